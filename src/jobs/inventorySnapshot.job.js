@@ -0,0 +1,27 @@
+// src/jobs/inventorySnapshot.job.js
+const { createMonthlySnapshots, previousPeriod } = require("../services/valuation.service");
+
+const INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Job chạy mỗi giờ: chốt tồn kho + giá trị tồn tháng trước (chi nhánh nào chưa có snapshot)
+ */
+async function runInventorySnapshot() {
+  try {
+    const period = previousPeriod();
+    const n = await createMonthlySnapshots(period);
+    if (n > 0) console.log(`[JOB] Created ${n} inventory snapshot(s) for ${period}`);
+  } catch (error) {
+    console.error("[JOB] Error creating inventory snapshots:", error);
+  }
+}
+
+function startInventorySnapshotJob() {
+  runInventorySnapshot();
+  const timer = setInterval(runInventorySnapshot, INTERVAL_MS);
+  timer.unref?.();
+  console.log("[JOB] Inventory snapshot job started");
+  return timer;
+}
+
+module.exports = { startInventorySnapshotJob, runInventorySnapshot };
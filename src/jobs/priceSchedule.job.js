@@ -0,0 +1,26 @@
+// src/jobs/priceSchedule.job.js
+const { runDuePriceSchedules } = require("../services/priceHistory.service");
+
+const INTERVAL_MS = 60 * 1000;
+
+/**
+ * Job chạy mỗi phút: áp lịch đổi giá đến hạn + trả giá cũ cho lịch hết hạn
+ */
+async function runPriceSchedules() {
+  try {
+    const { applied, reverted } = await runDuePriceSchedules();
+    if (applied || reverted) console.log(`[JOB] Price schedules: applied ${applied}, reverted ${reverted}`);
+  } catch (error) {
+    console.error("[JOB] Error running price schedules:", error);
+  }
+}
+
+function startPriceScheduleJob() {
+  runPriceSchedules();
+  const timer = setInterval(runPriceSchedules, INTERVAL_MS);
+  timer.unref?.();
+  console.log("[JOB] Price schedule job started");
+  return timer;
+}
+
+module.exports = { startPriceScheduleJob, runPriceSchedules };
@@ -0,0 +1,25 @@
+// src/jobs/reservation.job.js
+const { releaseExpiredReservations } = require("../services/reservation.service");
+
+const INTERVAL_MS = 60 * 1000;
+
+/**
+ * Job chạy mỗi phút: nhả giữ hàng của đơn online PENDING quá hạn
+ */
+async function runReservationSweep() {
+  try {
+    const n = await releaseExpiredReservations();
+    if (n > 0) console.log(`[JOB] Released ${n} expired stock reservation(s)`);
+  } catch (error) {
+    console.error("[JOB] Error releasing stock reservations:", error);
+  }
+}
+
+function startReservationJob() {
+  const timer = setInterval(runReservationSweep, INTERVAL_MS);
+  timer.unref?.();
+  console.log("[JOB] Stock reservation job started");
+  return timer;
+}
+
+module.exports = { startReservationJob, runReservationSweep };
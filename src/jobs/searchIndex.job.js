@@ -0,0 +1,26 @@
+// src/jobs/searchIndex.job.js
+const { reindexStale } = require("../services/search.service");
+
+const INTERVAL_MS = 2 * 60 * 1000;
+
+/**
+ * Job chạy mỗi 2 phút: build lại trường tìm kiếm không dấu cho product / variant vừa sửa
+ */
+async function runSearchIndex() {
+  try {
+    const n = await reindexStale();
+    if (n > 0) console.log(`[JOB] Reindexed search fields for ${n} product(s)`);
+  } catch (error) {
+    console.error("[JOB] Error reindexing search fields:", error);
+  }
+}
+
+function startSearchIndexJob() {
+  runSearchIndex();
+  const timer = setInterval(runSearchIndex, INTERVAL_MS);
+  timer.unref?.();
+  console.log("[JOB] Search index job started");
+  return timer;
+}
+
+module.exports = { startSearchIndexJob, runSearchIndex };
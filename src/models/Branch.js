@@ -40,6 +40,12 @@ const BranchSchema = new mongoose.Schema(
         default: "CASH",
       },
     },
+
+    // 4) Cấu hình bán online (đọc từ kho chính)
+    onlineConfig: {
+      // giữ hàng cho đơn online PENDING bao lâu (phút), 0 = không tự nhả
+      reservationTtlMinutes: { type: Number, default: 60, min: 0 },
+    },
   },
   { timestamps: true }
 );
@@ -1,6 +1,21 @@
 // models/Category.js
 const mongoose = require("mongoose");
 
+// Định nghĩa thuộc tính sản phẩm theo danh mục (category con kế thừa của category cha, trùng key -> con ghi đè)
+const AttributeDefSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true, lowercase: true }, // vd: "skin_type", "volume"
+    label: { type: String, required: true, trim: true }, // vd: "Loại da", "Dung tích"
+    type: { type: String, enum: ["TEXT", "NUMBER", "ENUM", "MULTI_ENUM", "RICH_TEXT"], required: true },
+    unit: { type: String, trim: true, default: "" }, // NUMBER: "ml", "g"
+    options: { type: [String], default: [] }, // ENUM / MULTI_ENUM
+    required: { type: Boolean, default: false },
+    filterable: { type: Boolean, default: false }, // hiện thành facet trên web
+    order: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
 const categorySchema = new mongoose.Schema(
   {
     code: {
@@ -47,6 +62,11 @@ const categorySchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+
+    attributeDefs: {
+      type: [AttributeDefSchema],
+      default: [],
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,34 @@
+// src/models/CostRevaluation.js
+const mongoose = require("mongoose");
+
+/**
+ * Lịch sử giá vốn bình quân: mỗi lần nhập hàng / nhận chuyển kho tính lại giá vốn
+ * newCost = (oldQty * oldCost + inQty * inCost) / (oldQty + inQty)
+ */
+const CostRevaluationSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true, index: true },
+
+    // GLOBAL: branchId = null | BRANCH: giá vốn của chi nhánh
+    scope: { type: String, enum: ["GLOBAL", "BRANCH"], required: true },
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null, index: true },
+
+    oldQty: { type: Number, default: 0 }, // tồn trước khi nhập (âm tính như 0)
+    oldCost: { type: Number, default: 0 },
+    inQty: { type: Number, default: 0 },
+    inCost: { type: Number, default: 0 },
+    newQty: { type: Number, default: 0 },
+    newCost: { type: Number, default: 0 },
+
+    refType: { type: String, default: "" }, // "GoodsReceipt" | "StockTransfer"
+    refId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    refCode: { type: String, default: "" },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "costrevaluations" }
+);
+
+CostRevaluationSchema.index({ variantId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("CostRevaluation", CostRevaluationSchema);
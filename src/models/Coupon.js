@@ -0,0 +1,39 @@
+// src/models/Coupon.js
+const mongoose = require("mongoose");
+
+const CouponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // VD: "SALE10"
+    name: { type: String, trim: true, default: "" },
+    description: { type: String, trim: true, default: "" },
+
+    // PERCENT: value = % giảm | FIXED: value = số tiền giảm
+    type: { type: String, enum: ["PERCENT", "FIXED"], required: true },
+    value: { type: Number, required: true, min: 0 },
+
+    minOrderValue: { type: Number, min: 0, default: 0 },
+    maxDiscount: { type: Number, min: 0, default: null }, // null = không giới hạn (PERCENT)
+
+    startDate: { type: Date, default: null },
+    endDate: { type: Date, default: null },
+
+    // Giới hạn lượt dùng
+    usageLimit: { type: Number, min: 0, default: null }, // null = không giới hạn
+    perCustomerLimit: { type: Number, min: 0, default: null }, // theo SĐT khách
+    usedCount: { type: Number, default: 0, min: 0 },
+
+    // Phạm vi: rỗng = áp dụng tất cả
+    branchIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Branch" }],
+    channels: { type: [String], enum: ["POS", "ONLINE"], default: [] },
+
+    isActive: { type: Boolean, default: true, index: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "coupons" }
+);
+
+CouponSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model("Coupon", CouponSchema);
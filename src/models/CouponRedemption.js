@@ -0,0 +1,30 @@
+// src/models/CouponRedemption.js
+const mongoose = require("mongoose");
+
+/**
+ * 1 lượt dùng coupon của 1 order
+ * - APPLIED: đã tính vào usedCount (order CONFIRM)
+ * - RELEASED: order huỷ / hoàn -> trả lại lượt
+ */
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true, index: true },
+    code: { type: String, required: true },
+
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    orderCode: { type: String, default: "" },
+
+    customerId: { type: mongoose.Schema.Types.ObjectId, ref: "Customer", default: null },
+    phone: { type: String, default: "" },
+
+    amount: { type: Number, default: 0 },
+    status: { type: String, enum: ["APPLIED", "RELEASED"], default: "APPLIED", index: true },
+    releasedAt: { type: Date, default: null },
+  },
+  { timestamps: true, collection: "couponredemptions" }
+);
+
+CouponRedemptionSchema.index({ couponId: 1, phone: 1, status: 1 });
+CouponRedemptionSchema.index({ orderId: 1, couponId: 1 }, { unique: true });
+
+module.exports = mongoose.model("CouponRedemption", CouponRedemptionSchema);
@@ -20,6 +20,11 @@ const GoodsReceiptItemSchema = new mongoose.Schema(
     qty: { type: Number, required: true, min: 1 },
     cost: { type: Number, required: true, min: 0 },
     total: { type: Number, required: true, min: 0 },
+
+    // ✅ Lô + HSD (rỗng -> lấy mã phiếu nhập làm số lô)
+    lotNo: { type: String, trim: true, default: "" },
+    expiryDate: { type: Date, default: null },
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot", default: null }, // set khi CONFIRMED
   },
   { _id: false }
 );
@@ -28,7 +33,12 @@ const GoodsReceiptSchema = new mongoose.Schema(
   {
     code: { type: String, required: true, index: true },
     branchId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
-    supplier: { type: String, default: "" },
+    supplier: { type: String, default: "" }, // tên NCC (snapshot / nhập tay)
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier", default: null, index: true },
+
+    // ✅ Lập theo đơn đặt hàng NCC
+    purchaseOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "PurchaseOrder", default: null, index: true },
+    purchaseOrderCode: { type: String, default: "" },
     note: { type: String, default: "" },
     status: { type: String, enum: ["DRAFT", "CONFIRMED", "CANCELLED"], default: "DRAFT", index: true },
 
@@ -0,0 +1,41 @@
+// src/models/InventorySetting.js
+const mongoose = require("mongoose");
+
+/**
+ * Cấu hình kho dùng chung (1 document key="default")
+ */
+const InventorySettingSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: "default", unique: true },
+
+    // Giá vốn bình quân gia quyền (moving average)
+    // - GLOBAL: 1 giá vốn / variant (ProductVariant.cost)
+    // - BRANCH: giá vốn riêng từng chi nhánh (VariantStock.avgCost)
+    costing: {
+      scope: { type: String, enum: ["GLOBAL", "BRANCH"], default: "GLOBAL" },
+    },
+
+    // Xuất kho đơn online (thứ tự ưu tiên chi nhánh cấu hình ở đây, không dùng .env)
+    // - MAIN_ONLY: chỉ kho chính
+    // - MAIN_FIRST: kho chính trước, thiếu -> lấy tiếp chi nhánh gần nhất (theo branchPriority)
+    // - SINGLE_BRANCH: 1 chi nhánh đủ hàng cho cả đơn (theo branchPriority)
+    // - SPLIT: chia nhiều chi nhánh, chi nhánh đáp ứng được nhiều nhất trước (ít kiện nhất)
+    fulfillment: {
+      strategy: {
+        type: String,
+        enum: ["MAIN_ONLY", "MAIN_FIRST", "SINGLE_BRANCH", "SPLIT"],
+        default: "MAIN_ONLY",
+      },
+      // null -> Branch.isMain (MAIN_BRANCH_ID .env cũ chỉ được chép vào đây 1 lần lúc khởi động)
+      mainBranchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null },
+      envMigratedAt: { type: Date, default: null },
+      // gần -> xa; rỗng = kho chính + mọi chi nhánh active (theo code)
+      branchPriority: { type: [mongoose.Schema.Types.ObjectId], ref: "Branch", default: [] },
+    },
+
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "inventorysettings" }
+);
+
+module.exports = mongoose.model("InventorySetting", InventorySettingSchema);
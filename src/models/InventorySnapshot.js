@@ -0,0 +1,41 @@
+// src/models/InventorySnapshot.js
+const mongoose = require("mongoose");
+
+const SnapshotLineSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+    sku: { type: String, default: "" },
+    name: { type: String, default: "" },
+    qty: { type: Number, default: 0 },
+    unitCost: { type: Number, default: 0 },
+    value: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+/**
+ * Chốt tồn kho + giá trị tồn cuối tháng theo chi nhánh (dựng lại từ sổ kho VariantStockTxn)
+ * 1 document / chi nhánh / kỳ
+ */
+const InventorySnapshotSchema = new mongoose.Schema(
+  {
+    period: { type: String, required: true }, // "YYYY-MM"
+    asOf: { type: Date, required: true }, // cuối tháng theo giờ VN
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true },
+
+    costingScope: { type: String, enum: ["GLOBAL", "BRANCH"], default: "GLOBAL" },
+
+    lines: { type: [SnapshotLineSchema], default: [] },
+    totalQty: { type: Number, default: 0 },
+    totalValue: { type: Number, default: 0 },
+
+    source: { type: String, enum: ["JOB", "MANUAL"], default: "JOB" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "inventorysnapshots" }
+);
+
+InventorySnapshotSchema.index({ period: 1, branchId: 1 }, { unique: true });
+
+module.exports = mongoose.model("InventorySnapshot", InventorySnapshotSchema);
@@ -6,6 +6,31 @@ const mongoose = require("mongoose");
 // ============================
 // src/models/Order.js
 
+// Khuyến mãi đã áp trên 1 dòng hàng
+const OrderItemPromotionSchema = new mongoose.Schema(
+  {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion", default: null },
+    code: { type: String, default: "" },
+    name: { type: String, default: "" },
+    type: { type: String, default: "" }, // BUY_X_GET_Y | BUNDLE | QTY_BREAK
+    qty: { type: Number, default: 0 }, // số sp được giảm / tặng
+    amount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Đơn vị bán của dòng hàng (hộp / thùng): qty, price của dòng luôn theo đơn vị gốc
+const OrderItemUnitSchema = new mongoose.Schema(
+  {
+    code: { type: String, default: "" },
+    name: { type: String, default: "" },
+    factor: { type: Number, default: 1 },
+    qty: { type: Number, default: 0 }, // SL theo đơn vị bán
+    price: { type: Number, default: 0 }, // giá 1 đơn vị bán
+  },
+  { _id: false }
+);
+
 const OrderItemSchema = new mongoose.Schema(
   {
     variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
@@ -23,9 +48,12 @@ const OrderItemSchema = new mongoose.Schema(
       default: [],
     },
 
-    qty: { type: Number, required: true },
-    price: { type: Number, required: true }, // Final price (flash sale or regular)
+    qty: { type: Number, required: true }, // SL theo đơn vị gốc (trừ kho)
+    price: { type: Number, required: true }, // Final price (flash sale or regular) / 1 đơn vị gốc
     total: { type: Number, required: true },
+
+    baseUnit: { type: String, default: "" },
+    unit: { type: OrderItemUnitSchema, default: null }, // null = bán theo đơn vị gốc
     
     // ✅ Flash sale metadata
     flashSaleId: { 
@@ -51,6 +79,18 @@ const OrderItemSchema = new mongoose.Schema(
       type: Number,
       default: 0, // Amount saved
     },
+
+    // ✅ Promotion engine (chạy sau flash sale): total = qty * price - promotionDiscount
+    promotionDiscount: { type: Number, default: 0 },
+    promotions: { type: [OrderItemPromotionSchema], default: [] },
+    isGift: { type: Boolean, default: false }, // dòng quà tặng giá 0
+
+    // ✅ Số lượng đã trả lại (partial return)
+    returnedQty: { type: Number, default: 0 },
+
+    // ✅ Giá vốn chốt lúc xuất kho bán (moving average) - báo cáo lãi gộp
+    unitCost: { type: Number, default: null },
+    costTotal: { type: Number, default: 0 },
   },
   { _id: false }
 );
@@ -60,7 +100,8 @@ const OrderItemSchema = new mongoose.Schema(
 // ============================
 const PaymentSchema = new mongoose.Schema(
   {
-    method: { type: String, enum: ["CASH", "BANK", "CARD", "COD", "WALLET", "PENDING"], required: true },
+    // EXCHANGE = cấn trừ giá trị hàng trả lại khi đổi hàng
+    method: { type: String, enum: ["CASH", "BANK", "CARD", "COD", "WALLET", "PENDING", "EXCHANGE"], required: true },
     amount: { type: Number, required: true },
   },
   { _id: false }
@@ -83,6 +124,18 @@ const DeliverySchema = new mongoose.Schema(
 // ============================
 // Stock Allocation (Variant-ready)
 // ============================
+// Lô đã trừ cho 1 allocation (FEFO)
+const AllocationLotSchema = new mongoose.Schema(
+  {
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot", default: null },
+    lotNo: { type: String, default: "" },
+    expiryDate: { type: Date, default: null },
+    qty: { type: Number, default: 0 },
+    returnedQty: { type: Number, default: 0 }, // đã hoàn lại lô khi trả hàng
+  },
+  { _id: false }
+);
+
 const StockAllocationSchema = new mongoose.Schema(
   {
     branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true },
@@ -94,6 +147,165 @@ const StockAllocationSchema = new mongoose.Schema(
     productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
 
     qty: { type: Number, required: true },
+
+    // dòng thành phần của combo: variant combo đã bán (null = hàng thường)
+    bundleVariantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", default: null },
+
+    // ✅ Lô + HSD đã xuất (FEFO)
+    lots: { type: [AllocationLotSchema], default: [] },
+
+    // ✅ Soạn hàng đơn online tại chi nhánh xuất ("" = không cần soạn, VD đơn POS)
+    pickStatus: { type: String, enum: ["", "PENDING", "PICKED"], default: "" },
+    pickedAt: { type: Date, default: null },
+    pickedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { _id: false }
+);
+
+// ============================
+// Return (partial refund per line)
+// ============================
+const ReturnItemSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+    sku: { type: String, default: "" },
+    name: { type: String, default: "" },
+
+    qty: { type: Number, required: true },
+    price: { type: Number, required: true }, // giá bán trên order
+    total: { type: Number, required: true }, // qty * price (trước phân bổ giảm giá)
+  },
+  { _id: false }
+);
+
+const OrderReturnSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true },
+    type: { type: String, enum: ["RETURN", "EXCHANGE"], default: "RETURN" },
+
+    // kho nhận hàng trả về
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true },
+
+    items: { type: [ReturnItemSchema], default: [] },
+
+    refundAmount: { type: Number, default: 0 },
+    refundMethod: { type: String, enum: ["CASH", "BANK", "CARD", "WALLET"], default: "CASH" },
+
+    pointsReverted: { type: Number, default: 0 },
+    note: { type: String, default: "" },
+
+    // ✅ đổi hàng: đơn mới sinh ra từ lần trả này
+    exchangeOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+    exchangeOrderCode: { type: String, default: "" },
+
+    createdById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+// ============================
+// Exchange (đơn đổi hàng -> link về đơn gốc)
+// ============================
+const ExchangeSchema = new mongoose.Schema(
+  {
+    fromOrderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    fromOrderCode: { type: String, required: true },
+    returnCode: { type: String, default: "" },
+
+    creditAmount: { type: Number, default: 0 }, // giá trị hàng trả lại được cấn trừ
+    settleType: { type: String, enum: ["NONE", "PAY", "REFUND"], default: "NONE" },
+    settleAmount: { type: Number, default: 0 }, // khách trả thêm / shop hoàn lại
+    refundMethod: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// ============================
+// Coupon snapshot (audit)
+// ============================
+const CouponSnapshotSchema = new mongoose.Schema(
+  {
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    code: { type: String, required: true },
+    type: { type: String, enum: ["PERCENT", "FIXED"], required: true },
+    value: { type: Number, default: 0 },
+    minOrderValue: { type: Number, default: 0 },
+    maxDiscount: { type: Number, default: null },
+
+    discountAmount: { type: Number, default: 0 },
+    phone: { type: String, default: "" }, // SĐT khách lúc validate (tính perCustomerLimit)
+
+    appliedAt: { type: Date, default: null },
+    consumedAt: { type: Date, default: null }, // tính lượt khi CONFIRM
+    releasedAt: { type: Date, default: null }, // trả lượt khi CANCELLED / REFUNDED
+  },
+  { _id: false }
+);
+
+// ✅ Promotion summary (mỗi khuyến mãi đã áp trên đơn)
+const AppliedPromotionSchema = new mongoose.Schema(
+  {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "Promotion", default: null },
+    code: { type: String, default: "" },
+    name: { type: String, default: "" },
+    type: { type: String, default: "" },
+    amount: { type: Number, default: 0 },
+    giftQty: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// ✅ Bán âm kho (chi nhánh cho phép âm) -> cờ theo dõi, xử lý sau
+const NegativeStockLineSchema = new mongoose.Schema(
+  {
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null },
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    sku: { type: String, default: "" },
+    name: { type: String, default: "" },
+    requested: { type: Number, default: 0 },
+    available: { type: Number, default: 0 }, // khả dụng lúc bán (qty - reserved)
+  },
+  { _id: false }
+);
+
+const NegativeStockSchema = new mongoose.Schema(
+  {
+    flagged: { type: Boolean, default: true },
+    lines: { type: [NegativeStockLineSchema], default: [] },
+    flaggedAt: { type: Date, default: null },
+    resolvedAt: { type: Date, default: null }, // null = chưa xử lý
+    resolvedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    resolveNote: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+// ✅ Stock reservation (online PENDING)
+const ReservationItemSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    qty: { type: Number, required: true },
+    // chi nhánh giữ hàng (null = reservation.branchId)
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", default: null },
+  },
+  { _id: false }
+);
+
+const ReservationSchema = new mongoose.Schema(
+  {
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true },
+    items: { type: [ReservationItemSchema], default: [] },
+
+    // ACTIVE: đang giữ | RELEASED: đã nhả (huỷ / hết hạn) | CONVERTED: đã trừ kho khi confirm
+    status: { type: String, enum: ["ACTIVE", "RELEASED", "CONVERTED"], default: "ACTIVE" },
+
+    reservedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null }, // null = không tự nhả
+    releasedAt: { type: Date, default: null },
+    releaseReason: { type: String, default: "" }, // CANCELLED | EXPIRED | NOT_ENOUGH_STOCK
+    convertedAt: { type: Date, default: null },
   },
   { _id: false }
 );
@@ -145,8 +357,19 @@ const OrderSchema = new mongoose.Schema(
     extraFee: { type: Number, default: 0 },
     pricingNote: { type: String, default: "" },
 
+    // ✅ Promotion engine: đã trừ sẵn trong item.total / subtotal (chỉ để hiển thị, báo cáo)
+    promotionDiscount: { type: Number, default: 0 },
+    appliedPromotions: { type: [AppliedPromotionSchema], default: [] },
+
+    // ✅ Coupon (voucher)
+    coupon: { type: CouponSnapshotSchema, default: null },
+    couponDiscount: { type: Number, default: 0 },
+
     total: { type: Number, default: 0 },
 
+    // ✅ Tổng giá vốn (sum item.costTotal) - chốt lúc xuất kho
+    costTotal: { type: Number, default: 0 },
+
     // ✅ NOW: items are variant-based
     items: { type: [OrderItemSchema], default: [] },
 
@@ -158,6 +381,12 @@ const OrderSchema = new mongoose.Schema(
     // ✅ NOW: allocations are variant-based
     stockAllocations: { type: [StockAllocationSchema], default: [] },
 
+    // ✅ Giữ hàng cho đơn online PENDING (VariantStock.reserved tại kho chính)
+    reservation: { type: ReservationSchema, default: null },
+
+    // ✅ Xuất kho vượt tồn (Branch.posConfig.allowNegativeStock = true)
+    negativeStock: { type: NegativeStockSchema, default: null },
+
     confirmedAt: { type: Date, default: null },
     confirmedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
 
@@ -166,6 +395,13 @@ const OrderSchema = new mongoose.Schema(
     refundedAt: { type: Date, default: null },
     refundNote: { type: String, default: "" },
 
+    // ============================
+    // Returns (partial refund)
+    // ============================
+    returns: { type: [OrderReturnSchema], default: [] },
+    returnedAmount: { type: Number, default: 0 },
+    exchange: { type: ExchangeSchema, default: null },
+
     // ============================
     // Loyalty (Earn)
     // ============================
@@ -201,5 +437,10 @@ OrderSchema.index({ branchId: 1, createdAt: -1 });
 // helpful indexes for variant-based queries
 OrderSchema.index({ "items.variantId": 1 });
 OrderSchema.index({ "stockAllocations.variantId": 1 });
+OrderSchema.index({ "stockAllocations.branchId": 1, "stockAllocations.pickStatus": 1 });
+OrderSchema.index({ "reservation.status": 1, "reservation.expiresAt": 1 });
+OrderSchema.index({ "exchange.fromOrderId": 1 }, { sparse: true });
+OrderSchema.index({ "coupon.couponId": 1 }, { sparse: true });
+OrderSchema.index({ "negativeStock.flagged": 1, "negativeStock.resolvedAt": 1 }, { sparse: true });
 
 module.exports = mongoose.model("Order", OrderSchema);
\ No newline at end of file
@@ -0,0 +1,37 @@
+// src/models/PriceHistory.js
+const mongoose = require("mongoose");
+
+const PRICE_CHANGE_SOURCES = ["MANUAL", "PRICING_RULES", "IMPORT", "SCHEDULE", "SCHEDULE_REVERT"];
+
+/**
+ * Lịch sử giá bán: mỗi lần đổi giá lẻ / giá sỉ theo tier ghi 1 dòng
+ * - variantId = null: giá cấp product (Product.price / price_tier)
+ * - field TIER: oldPrice = null -> thêm giá tier | newPrice = null -> bỏ giá tier
+ */
+const PriceHistorySchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null, index: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", default: null, index: true },
+
+    field: { type: String, enum: ["PRICE", "TIER"], required: true },
+    tierId: { type: mongoose.Schema.Types.ObjectId, ref: "TierAgency", default: null },
+
+    oldPrice: { type: Number, default: null },
+    newPrice: { type: Number, default: null },
+
+    source: { type: String, enum: PRICE_CHANGE_SOURCES, default: "MANUAL" },
+    reason: { type: String, default: "" },
+    scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: "PriceSchedule", default: null },
+
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null = job
+  },
+  { timestamps: { createdAt: "changedAt", updatedAt: false }, collection: "pricehistories" }
+);
+
+PriceHistorySchema.index({ variantId: 1, changedAt: -1 });
+PriceHistorySchema.index({ productId: 1, changedAt: -1 });
+
+const PriceHistory = mongoose.model("PriceHistory", PriceHistorySchema);
+
+module.exports = PriceHistory;
+module.exports.PRICE_CHANGE_SOURCES = PRICE_CHANGE_SOURCES;
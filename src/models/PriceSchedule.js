@@ -0,0 +1,72 @@
+// src/models/PriceSchedule.js
+const mongoose = require("mongoose");
+
+const PriceTierSchema = new mongoose.Schema(
+  {
+    tierId: { type: mongoose.Schema.Types.ObjectId, ref: "TierAgency", required: true },
+    price: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+const PriceScheduleItemSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+
+    // snapshot
+    sku: { type: String, default: "" },
+    name: { type: String, default: "" },
+
+    // giá mới: price = null -> giữ giá lẻ | price_tier chỉ đổi các tier được liệt kê
+    price: { type: Number, default: null, min: 0 },
+    price_tier: { type: [PriceTierSchema], default: [] },
+
+    // giá ngay trước khi áp (để trả lại khi hết hạn)
+    prevPrice: { type: Number, default: null },
+    prevTier: { type: [PriceTierSchema], default: [] },
+
+    appliedAt: { type: Date, default: null },
+    revertedAt: { type: Date, default: null },
+    // giá đã bị sửa tay trong thời gian áp -> không trả lại, ghi chú lý do
+    revertSkipped: { type: String, default: "" },
+  },
+  { _id: false }
+);
+
+/**
+ * Lịch đổi giá: SCHEDULED -> (startAt) ACTIVE -> (endAt) COMPLETED
+ * - không có endAt: áp xong là COMPLETED (đổi giá vĩnh viễn)
+ * - SCHEDULED | ACTIVE -> CANCELLED (ACTIVE: trả lại giá cũ ngay)
+ */
+const PriceScheduleSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, index: true },
+    reason: { type: String, default: "" },
+
+    status: {
+      type: String,
+      enum: ["SCHEDULED", "ACTIVE", "COMPLETED", "CANCELLED"],
+      default: "SCHEDULED",
+      index: true,
+    },
+
+    startAt: { type: Date, required: true },
+    endAt: { type: Date, default: null },
+
+    items: { type: [PriceScheduleItemSchema], default: [] },
+
+    createdById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    appliedAt: { type: Date, default: null },
+    revertedAt: { type: Date, default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelledById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "priceschedules" }
+);
+
+PriceScheduleSchema.index({ status: 1, startAt: 1 });
+PriceScheduleSchema.index({ status: 1, endAt: 1 });
+PriceScheduleSchema.index({ "items.variantId": 1, status: 1 });
+
+module.exports = mongoose.model("PriceSchedule", PriceScheduleSchema);
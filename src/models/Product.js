@@ -58,6 +58,33 @@ const ImageSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Giá trị thuộc tính theo Category.attributeDefs (v: string | number | string[] | html đã sanitize)
+const ProductAttributeSchema = new mongoose.Schema(
+  {
+    k: { type: String, required: true, trim: true, lowercase: true },
+    v: { type: mongoose.Schema.Types.Mixed, required: true },
+  },
+  { _id: false }
+);
+
+// Bản phẳng (k, v text) của thuộc tính filterable -> lọc / đếm facet cùng attributes của variant
+const AttributeFacetSchema = new mongoose.Schema(
+  {
+    k: { type: String, required: true },
+    v: { type: String, required: true },
+  },
+  { _id: false }
+);
+
+// Thành phần combo / gift set: variant + SL trong 1 combo
+const BundleItemSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    qty: { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
 const ProductSchema = new mongoose.Schema(
   {
     // Thông tin cơ bản
@@ -75,6 +102,10 @@ const ProductSchema = new mongoose.Schema(
     cost: { type: Number, min: 0, default: 0 },
     price_tier: { type: [PriceTierSchema], default: [] },
 
+    // SINGLE: hàng thường | BUNDLE: combo - không có tồn riêng, bán ra trừ kho các variant thành phần
+    productType: { type: String, enum: ["SINGLE", "BUNDLE"], default: "SINGLE", index: true },
+    bundleItems: { type: [BundleItemSchema], default: [] },
+
     // Variants system
     hasVariants: { type: Boolean, default: false },
     options: { type: [ProductOptionSchema], default: [] },
@@ -84,6 +115,10 @@ const ProductSchema = new mongoose.Schema(
     baseTier: { type: [PriceTierSchema], default: [] }, // Giá sỉ cơ bản
     pricingRules: { type: [PricingRuleSchema], default: [] }, // Rules tính giá động
 
+    // Thuộc tính mỹ phẩm: thành phần, loại da, xuất xứ, dung tích, HDSD... (productAttribute.service validate)
+    attributes: { type: [ProductAttributeSchema], default: [] },
+    attributeFacets: { type: [AttributeFacetSchema], default: [] },
+
     // Images
     thumbnail: { type: String, default: "" },
     images: { type: [ImageSchema], default: [] },
@@ -92,6 +127,11 @@ const ProductSchema = new mongoose.Schema(
     defaultVariantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", default: null, index: true },
     // defaultVariantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", default: null, index: true },
 
+    // Tìm kiếm không dấu (search.service build lại): text đã bỏ dấu + token, searchIndexedAt < updatedAt = cần build lại
+    searchText: { type: String, default: "" },
+    searchTokens: { type: [String], default: [] },
+    searchIndexedAt: { type: Date, default: null },
+
     // Status
     isActive: { type: Boolean, default: true, index: true },
 
@@ -140,11 +180,14 @@ ProductSchema.index({ activeFlashSaleId: 1 });
 ProductSchema.index({ flashSalePrice: 1 });
 ProductSchema.index({ activeFlashSaleId: 1, isActive: 1 });
 ProductSchema.index({ flashSaleEndDate: 1 });
+ProductSchema.index({ "attributeFacets.k": 1, "attributeFacets.v": 1 });
 
 ProductSchema.index({ name: "text", sku: "text" });
 ProductSchema.index({ brand: 1 });
 ProductSchema.index({ categoryId: 1 });
 ProductSchema.index({ isActive: 1 });
 ProductSchema.index({ defaultVariantId: 1 });
+ProductSchema.index({ "bundleItems.variantId": 1 });
+ProductSchema.index({ searchTokens: 1 });
 
 module.exports = mongoose.model("Product", ProductSchema);
@@ -29,6 +29,23 @@ const ImageSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Đơn vị quy đổi (hộp 12, thùng 48...): tồn kho luôn theo đơn vị gốc, 1 unit = factor đơn vị gốc
+const VariantUnitSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, trim: true, uppercase: true }, // vd: "BOX", "CARTON"
+    name: { type: String, required: true, trim: true }, // vd: "Hộp", "Thùng"
+    factor: { type: Number, required: true, min: 2 },
+    barcode: { type: String, trim: true, default: "" },
+
+    // 0 = giá đơn vị gốc x factor
+    price: { type: Number, min: 0, default: 0 },
+    price_tier: { type: [PriceTierSchema], default: [] },
+
+    isActive: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
 const ProductVariantSchema = new mongoose.Schema(
   {
     // Reference to Product
@@ -58,11 +75,20 @@ const ProductVariantSchema = new mongoose.Schema(
     price: { type: Number, min: 0, required: true },
     cost: { type: Number, min: 0, default: 0 },
     price_tier: { type: [PriceTierSchema], default: [] },
+
+    // Đơn vị gốc (tồn kho, giá ở trên) + đơn vị quy đổi bán sỉ
+    baseUnit: { type: String, trim: true, default: "" }, // vd: "Chai", "Cái"
+    units: { type: [VariantUnitSchema], default: [] },
     
     // Images riêng cho variant (optional, fallback to product images)
     thumbnail: { type: String, default: "" },
     images: { type: [ImageSchema], default: [] },
     
+    // Tìm kiếm không dấu (search.service build lại): text đã bỏ dấu + token, searchIndexedAt < updatedAt = cần build lại
+    searchText: { type: String, default: "" },
+    searchTokens: { type: [String], default: [] },
+    searchIndexedAt: { type: Date, default: null },
+
     // Status
     isActive: { type: Boolean, default: true, index: true },
 
@@ -110,6 +136,8 @@ ProductVariantSchema.index({
 ProductVariantSchema.index({ productId: 1, isActive: 1 });
 ProductVariantSchema.index({ name: "text", sku: "text" });
 ProductVariantSchema.index({ productId: 1, isDefault: 1 });
+ProductVariantSchema.index({ "units.barcode": 1 });
+ProductVariantSchema.index({ searchTokens: 1 });
 // ✅ Indexes for flash sale
 ProductVariantSchema.index({ activeFlashSaleId: 1 });
 ProductVariantSchema.index({ activeFlashSaleId: 1, isActive: 1 });
@@ -0,0 +1,92 @@
+// src/models/Promotion.js
+const mongoose = require("mongoose");
+
+// ===============================
+// Phạm vi sản phẩm áp dụng (rỗng tất cả = toàn bộ sản phẩm)
+// ===============================
+const PromotionScopeSchema = new mongoose.Schema(
+  {
+    variantIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant" }],
+    productIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
+    categoryIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }], // gồm cả danh mục con
+    brands: { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+// BUNDLE: 1 thành phần của combo
+const BundleItemSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    qty: { type: Number, min: 1, default: 1 },
+  },
+  { _id: false }
+);
+
+// QTY_BREAK: mua từ minQty -> giảm discountPercent
+const QtyBreakTierSchema = new mongoose.Schema(
+  {
+    minQty: { type: Number, min: 1, required: true },
+    discountPercent: { type: Number, min: 0, max: 100, required: true },
+  },
+  { _id: false }
+);
+
+// ===============================
+// Promotion rule
+// ===============================
+// BUY_X_GET_Y: mua buyQty (trong scope) tặng getQty
+//   - giftVariantId = null -> giảm getDiscountPercent cho getQty sp rẻ nhất trong scope
+//   - giftVariantId có     -> thêm dòng quà tặng giá 0
+// BUNDLE: đủ bundleItems -> cả combo giá bundlePrice
+// QTY_BREAK: tổng SL trong scope >= minQty -> giảm % theo bậc cao nhất đạt được
+const PromotionSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, trim: true, default: "" },
+
+    type: { type: String, enum: ["BUY_X_GET_Y", "BUNDLE", "QTY_BREAK"], required: true },
+
+    scope: { type: PromotionScopeSchema, default: () => ({}) },
+
+    // BUY_X_GET_Y
+    buyQty: { type: Number, min: 1, default: 1 },
+    getQty: { type: Number, min: 1, default: 1 },
+    getDiscountPercent: { type: Number, min: 0, max: 100, default: 100 },
+    giftVariantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", default: null },
+
+    // BUNDLE
+    bundleItems: { type: [BundleItemSchema], default: [] },
+    bundlePrice: { type: Number, min: 0, default: 0 },
+
+    // QTY_BREAK
+    qtyBreaks: { type: [QtyBreakTierSchema], default: [] },
+
+    // Số lần áp dụng tối đa / đơn (null = không giới hạn)
+    maxApplications: { type: Number, min: 1, default: null },
+
+    // Mặc định không chồng lên giá flash sale
+    applyToFlashSale: { type: Boolean, default: false },
+
+    // Số nhỏ chạy trước; sp đã dùng cho 1 khuyến mãi không dùng lại cho khuyến mãi sau
+    priority: { type: Number, default: 100 },
+
+    startDate: { type: Date, default: null },
+    endDate: { type: Date, default: null },
+
+    // Rỗng = áp dụng tất cả
+    branchIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "Branch" }],
+    channels: { type: [String], enum: ["POS", "ONLINE"], default: [] },
+
+    isActive: { type: Boolean, default: true, index: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "promotions" }
+);
+
+PromotionSchema.index({ isActive: 1, priority: 1 });
+
+module.exports = mongoose.model("Promotion", PromotionSchema);
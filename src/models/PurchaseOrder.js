@@ -0,0 +1,75 @@
+// src/models/PurchaseOrder.js
+const mongoose = require("mongoose");
+
+const PurchaseOrderItemSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+
+    // snapshot
+    sku: { type: String, default: "" },
+    name: { type: String, default: "" },
+    variantSku: { type: String, default: "" },
+    variantName: { type: String, default: "" },
+    attributes: { type: Array, default: [] }, // [{k,v}]
+
+    qty: { type: Number, required: true, min: 1 }, // SL đặt
+    cost: { type: Number, required: true, min: 0 }, // giá nhập thoả thuận
+    total: { type: Number, required: true, min: 0 },
+
+    receivedQty: { type: Number, default: 0 }, // cộng khi phiếu nhập CONFIRMED
+  },
+  { _id: false }
+);
+
+/**
+ * Đơn đặt hàng nhà cung cấp:
+ * DRAFT -> ORDERED -> PARTIALLY_RECEIVED -> RECEIVED
+ * ORDERED | PARTIALLY_RECEIVED -> CLOSED (đóng khi còn thiếu, không nhận thêm)
+ * DRAFT | ORDERED (chưa nhận) -> CANCELLED
+ */
+const PurchaseOrderSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, index: true },
+
+    supplierId: { type: mongoose.Schema.Types.ObjectId, ref: "Supplier", required: true, index: true },
+    supplier: {
+      code: { type: String, default: "" },
+      name: { type: String, default: "" },
+      phone: { type: String, default: "" },
+    },
+
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true, index: true }, // kho nhận
+
+    status: {
+      type: String,
+      enum: ["DRAFT", "ORDERED", "PARTIALLY_RECEIVED", "RECEIVED", "CLOSED", "CANCELLED"],
+      default: "DRAFT",
+      index: true,
+    },
+
+    items: { type: [PurchaseOrderItemSchema], default: [] },
+    subtotal: { type: Number, default: 0 },
+
+    expectedDate: { type: Date, default: null }, // mặc định orderedAt + supplier.leadTimeDays
+    note: { type: String, default: "" },
+
+    // nguồn tạo (VD: gợi ý đặt hàng)
+    source: { type: String, default: "" },
+
+    createdById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    orderedAt: { type: Date, default: null },
+    orderedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    closedAt: { type: Date, default: null },
+    closedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    closeReason: { type: String, default: "" },
+    cancelledAt: { type: Date, default: null },
+    cancelledById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "purchaseorders" }
+);
+
+PurchaseOrderSchema.index({ supplierId: 1, createdAt: -1 });
+PurchaseOrderSchema.index({ branchId: 1, status: 1 });
+
+module.exports = mongoose.model("PurchaseOrder", PurchaseOrderSchema);
@@ -0,0 +1,35 @@
+// src/models/StockLot.js
+const mongoose = require("mongoose");
+
+/**
+ * Tồn kho theo lô (lot) + hạn sử dụng
+ * - VariantStock.qty vẫn là tổng (màn hình cũ giữ nguyên)
+ * - Tồn cũ trước khi có lô = VariantStock.qty - sum(lot.qty) ("chưa theo lô")
+ */
+const StockLotSchema = new mongoose.Schema(
+  {
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true, index: true },
+
+    lotNo: { type: String, trim: true, default: "" },
+    expiryDate: { type: Date, default: null }, // null = không có HSD (xuất sau cùng)
+
+    qty: { type: Number, default: 0, min: 0 }, // còn lại
+    receivedQty: { type: Number, default: 0 }, // tổng đã nhập vào lô tại chi nhánh này
+    cost: { type: Number, default: 0 }, // giá vốn lúc nhập
+
+    receivedAt: { type: Date, default: Date.now },
+
+    // chứng từ gần nhất đưa hàng vào lô
+    sourceType: { type: String, default: "" }, // "GoodsReceipt" | "Transfer" | "Return" | "Adjust"
+    sourceId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sourceCode: { type: String, default: "" },
+  },
+  { timestamps: true, collection: "stocklots" }
+);
+
+// 1 lô (lotNo + HSD) / variant / chi nhánh
+StockLotSchema.index({ branchId: 1, variantId: 1, lotNo: 1, expiryDate: 1 }, { unique: true });
+StockLotSchema.index({ branchId: 1, expiryDate: 1, qty: 1 });
+
+module.exports = mongoose.model("StockLot", StockLotSchema);
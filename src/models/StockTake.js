@@ -0,0 +1,82 @@
+// src/models/StockTake.js
+const mongoose = require("mongoose");
+
+const StockTakeItemSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+
+    // snapshot
+    sku: { type: String, default: "" },
+    barcode: { type: String, default: "" },
+    name: { type: String, default: "" },
+    attributes: { type: Array, default: [] },
+    cost: { type: Number, default: 0 }, // giá vốn lúc mở phiên
+
+    systemQty: { type: Number, default: 0 }, // tồn hệ thống lúc mở phiên (đóng băng)
+    countedQty: { type: Number, default: null }, // null = chưa đếm
+    countedAt: { type: Date, default: null },
+    countedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+    addedDuringCount: { type: Boolean, default: false }, // quét được nhưng không có trong snapshot
+
+    // khi post
+    adjustedQty: { type: Number, default: 0 }, // delta đã ghi vào kho
+  },
+  { _id: false }
+);
+
+/**
+ * Phiên kiểm kê:
+ * COUNTING -> POSTED (ghi chênh lệch vào kho) | CANCELLED
+ *
+ * - blind=true: STAFF không thấy tồn hệ thống / chênh lệch
+ * - partial=true: dòng chưa đếm bỏ qua khi post (false -> coi như đếm được 0)
+ */
+const StockTakeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, index: true },
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+
+    scope: {
+      categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category", default: null },
+      brand: { type: String, default: "" },
+    },
+
+    blind: { type: Boolean, default: false },
+    partial: { type: Boolean, default: false },
+
+    status: {
+      type: String,
+      enum: ["COUNTING", "POSTED", "CANCELLED"],
+      default: "COUNTING",
+      index: true,
+    },
+
+    items: { type: [StockTakeItemSchema], default: [] },
+
+    // tổng hợp khi post
+    summary: {
+      countedLines: { type: Number, default: 0 },
+      adjustedLines: { type: Number, default: 0 },
+      surplusQty: { type: Number, default: 0 },
+      shortageQty: { type: Number, default: 0 },
+      surplusValue: { type: Number, default: 0 },
+      shortageValue: { type: Number, default: 0 },
+      varianceValue: { type: Number, default: 0 },
+    },
+
+    note: { type: String, default: "" },
+
+    createdById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    postedAt: { type: Date, default: null },
+    postedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelledById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "stocktakes" }
+);
+
+StockTakeSchema.index({ branchId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("StockTake", StockTakeSchema);
@@ -0,0 +1,80 @@
+// src/models/StockTransfer.js
+const mongoose = require("mongoose");
+
+// Lô đang đi đường (xuất FEFO / chỉ định tại kho gửi)
+const TransferLotSchema = new mongoose.Schema(
+  {
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot", default: null },
+    lotNo: { type: String, default: "" },
+    expiryDate: { type: Date, default: null },
+    qty: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const StockTransferItemSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+
+    // snapshot
+    sku: { type: String, default: "" },
+    name: { type: String, default: "" },
+    attributes: { type: Array, default: [] },
+
+    qty: { type: Number, required: true, min: 1 }, // SL gửi
+    unitCost: { type: Number, default: 0 }, // giá vốn kho gửi lúc xuất
+
+    // nhận hàng: lệch SL phải có lý do
+    receivedQty: { type: Number, default: null },
+    discrepancy: { type: Number, default: 0 }, // receivedQty - qty
+    discrepancyReason: { type: String, default: "" },
+
+    // lô chỉ định khi tạo (rỗng = FEFO lúc xuất)
+    requestedLots: { type: [{ lotId: mongoose.Schema.Types.ObjectId, qty: Number, _id: false }], default: [] },
+    lots: { type: [TransferLotSchema], default: [] },
+  },
+  { _id: false }
+);
+
+/**
+ * Phiếu chuyển kho:
+ * DRAFT -> SHIPPED (trừ kho gửi, hàng đi đường) -> RECEIVED (cộng kho nhận)
+ * DRAFT -> CANCELLED
+ */
+const StockTransferSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, index: true },
+
+    fromBranchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    toBranchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+
+    status: {
+      type: String,
+      enum: ["DRAFT", "SHIPPED", "RECEIVED", "CANCELLED"],
+      default: "DRAFT",
+      index: true,
+    },
+
+    items: { type: [StockTransferItemSchema], default: [] },
+    totalQty: { type: Number, default: 0 },
+    receivedTotalQty: { type: Number, default: 0 },
+
+    note: { type: String, default: "" },
+    receiveNote: { type: String, default: "" },
+
+    createdById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    shippedAt: { type: Date, default: null },
+    shippedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    receivedAt: { type: Date, default: null },
+    receivedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    cancelledAt: { type: Date, default: null },
+    cancelledById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "stocktransfers" }
+);
+
+StockTransferSchema.index({ fromBranchId: 1, createdAt: -1 });
+StockTransferSchema.index({ toBranchId: 1, status: 1 });
+
+module.exports = mongoose.model("StockTransfer", StockTransferSchema);
@@ -0,0 +1,84 @@
+// src/models/StockWriteOff.js
+const mongoose = require("mongoose");
+
+const WRITE_OFF_REASONS = ["DAMAGED", "EXPIRED", "TESTER", "LOST", "GIFT"];
+
+// Lô đã xuất huỷ (chỉ định hoặc FEFO)
+const WriteOffLotSchema = new mongoose.Schema(
+  {
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: "StockLot", default: null },
+    lotNo: { type: String, default: "" },
+    expiryDate: { type: Date, default: null },
+    qty: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const StockWriteOffItemSchema = new mongoose.Schema(
+  {
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: "ProductVariant", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", default: null },
+
+    // snapshot
+    sku: { type: String, default: "" },
+    name: { type: String, default: "" },
+    attributes: { type: Array, default: [] },
+
+    qty: { type: Number, required: true, min: 1 },
+    reason: { type: String, enum: WRITE_OFF_REASONS, required: true },
+    note: { type: String, default: "" },
+
+    // giá vốn chốt lúc post
+    unitCost: { type: Number, default: 0 },
+    costTotal: { type: Number, default: 0 },
+
+    requestedLots: { type: [{ lotId: mongoose.Schema.Types.ObjectId, qty: Number, _id: false }], default: [] },
+    lots: { type: [WriteOffLotSchema], default: [] },
+  },
+  { _id: false }
+);
+
+/**
+ * Phiếu xuất huỷ / hao hụt (hỏng, hết hạn, tester, mất, tặng):
+ * DRAFT -> PENDING_APPROVAL -> POSTED (trừ kho) | REJECTED
+ * DRAFT | PENDING_APPROVAL -> CANCELLED
+ */
+const StockWriteOffSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, index: true },
+    branchId: { type: mongoose.Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+
+    status: {
+      type: String,
+      enum: ["DRAFT", "PENDING_APPROVAL", "POSTED", "REJECTED", "CANCELLED"],
+      default: "DRAFT",
+      index: true,
+    },
+
+    items: { type: [StockWriteOffItemSchema], default: [] },
+    totalQty: { type: Number, default: 0 },
+    costTotal: { type: Number, default: 0 },
+
+    note: { type: String, default: "" },
+
+    createdById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    submittedAt: { type: Date, default: null },
+    submittedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    approvedAt: { type: Date, default: null }, // = thời điểm trừ kho
+    approvedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    rejectedAt: { type: Date, default: null },
+    rejectedById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    rejectReason: { type: String, default: "" },
+    cancelledAt: { type: Date, default: null },
+    cancelledById: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "stockwriteoffs" }
+);
+
+StockWriteOffSchema.index({ branchId: 1, createdAt: -1 });
+StockWriteOffSchema.index({ status: 1, approvedAt: -1 });
+
+const StockWriteOff = mongoose.model("StockWriteOff", StockWriteOffSchema);
+
+module.exports = StockWriteOff;
+module.exports.WRITE_OFF_REASONS = WRITE_OFF_REASONS;
@@ -0,0 +1,49 @@
+// src/models/Supplier.js
+const mongoose = require("mongoose");
+
+const SupplierContactSchema = new mongoose.Schema(
+  {
+    name: { type: String, trim: true, required: true },
+    position: { type: String, trim: true, default: "" },
+    phone: { type: String, trim: true, default: "" },
+    email: { type: String, trim: true, lowercase: true, default: "" },
+    note: { type: String, trim: true, default: "" },
+    isPrimary: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const SupplierSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true }, // VD: "NCC001"
+    name: { type: String, required: true, trim: true },
+
+    taxCode: { type: String, trim: true, default: "" },
+    phone: { type: String, trim: true, default: "" },
+    email: { type: String, trim: true, lowercase: true, default: "" },
+    address: { type: String, trim: true, default: "" },
+
+    contacts: { type: [SupplierContactSchema], default: [] },
+
+    // Điều khoản thanh toán: COD | PREPAID | NET (công nợ netDays ngày)
+    paymentTerms: {
+      type: { type: String, enum: ["COD", "PREPAID", "NET"], default: "COD" },
+      netDays: { type: Number, min: 0, default: 0 },
+      note: { type: String, trim: true, default: "" },
+    },
+
+    // Thời gian giao hàng mặc định (ngày) - dùng tính ngày dự kiến của PO
+    leadTimeDays: { type: Number, min: 0, default: 7 },
+
+    note: { type: String, trim: true, default: "" },
+    isActive: { type: Boolean, default: true, index: true },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true, collection: "suppliers" }
+);
+
+SupplierSchema.index({ name: 1 });
+
+module.exports = mongoose.model("Supplier", SupplierSchema);
@@ -17,6 +17,12 @@ const VariantStockSchema = new mongoose.Schema(
     },
     qty: { type: Number, default: 0 },
     reserved: { type: Number, default: 0 }, // Số lượng đang giữ trong orders
+    avgCost: { type: Number, default: 0 }, // Giá vốn bình quân tại chi nhánh (costing.scope=BRANCH)
+
+    // ✅ Định mức tồn (null = chưa cài): khả dụng <= reorderPoint -> cần đặt hàng lên reorderTarget
+    reorderPoint: { type: Number, default: null },
+    reorderTarget: { type: Number, default: null },
+    lowStockAlertedAt: { type: Date, default: null }, // đã báo thiếu hàng (reset khi tồn vượt định mức)
   },
   { 
     timestamps: true,
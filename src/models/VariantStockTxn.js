@@ -17,9 +17,11 @@ const VariantStockTxnSchema = new mongoose.Schema(
     },
     
     // Loại giao dịch
+    // - SALE | RETURN | INBOUND | ADJUST | TRANSFER: ghi qua stock.service, qty có dấu (after - before)
+    // - IN | OUT | SET | TRANSFER_OUT | TRANSFER_IN: dữ liệu cũ, qty luôn dương
     type: {
       type: String,
-      enum: ["IN", "OUT", "SET", "TRANSFER_OUT", "TRANSFER_IN"],
+      enum: ["SALE", "RETURN", "INBOUND", "ADJUST", "TRANSFER", "IN", "OUT", "SET", "TRANSFER_OUT", "TRANSFER_IN"],
       required: true,
       index: true,
     },
@@ -31,6 +33,9 @@ const VariantStockTxnSchema = new mongoose.Schema(
     
     // Ghi chú
     note: { type: String, default: "" },
+
+    // Lý do xuất huỷ (DAMAGED | EXPIRED | TESTER | LOST | GIFT) - báo cáo hao hụt
+    reason: { type: String, default: "" },
     
     // Reference to other documents (optional)
     refType: { type: String, default: "" }, // "Order", "GoodsReceipt", etc.
@@ -49,5 +54,7 @@ const VariantStockTxnSchema = new mongoose.Schema(
 VariantStockTxnSchema.index({ variantId: 1, createdAt: -1 });
 VariantStockTxnSchema.index({ branchId: 1, createdAt: -1 });
 VariantStockTxnSchema.index({ type: 1 });
+VariantStockTxnSchema.index({ branchId: 1, variantId: 1, createdAt: 1 });
+VariantStockTxnSchema.index({ refType: 1, refId: 1 });
 
 module.exports = mongoose.model("VariantStockTxn", VariantStockTxnSchema);
\ No newline at end of file
@@ -115,6 +115,12 @@ const updateSchema = z.object({
       defaultPaymentMethod: z.enum(["CASH", "BANK", "QR", "CARD"]).optional(),
     })
     .optional(),
+
+  onlineConfig: z
+    .object({
+      reservationTtlMinutes: z.number().int().nonnegative().optional(),
+    })
+    .optional(),
 });
 
 router.put(
@@ -163,6 +169,12 @@ router.put(
       }
     }
 
+    if (data.onlineConfig) {
+      for (const [k, v] of Object.entries(data.onlineConfig)) {
+        if (v !== undefined) set[`onlineConfig.${k}`] = v;
+      }
+    }
+
     try {
       // ✅ nếu bật isMain=true -> tắt isMain của các branch khác trước
       if (data.isMain === true) {
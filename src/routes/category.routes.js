@@ -5,6 +5,13 @@ const mongoose = require("mongoose");
 const Category = require("../models/Category");
 const { authRequired, requireRole } = require("../middlewares/auth");
 const { asyncHandler } = require("../utils/asyncHandler");
+const { getSubCategoryIds } = require("../utils/categoryTree");
+const {
+  ATTRIBUTE_TYPES,
+  normalizeAttributeDefs,
+  getEffectiveAttributeDefs,
+  refreshCategoryAttributeFacets,
+} = require("../services/productAttribute.service");
 
 // ===============================
 // HELPER FUNCTIONS
@@ -58,28 +65,6 @@ function buildTree(categories, parentId = null) {
     }));
 }
 
-/**
- * Lấy tất cả category con (recursive - tất cả cấp)
- */
-async function getAllDescendants(categoryId) {
-  const descendants = [];
-  const queue = [categoryId];
-
-  while (queue.length > 0) {
-    const currentId = queue.shift();
-    const children = await Category.find({ parentId: currentId })
-      .select("_id")
-      .lean();
-
-    for (const child of children) {
-      descendants.push(child._id);
-      queue.push(child._id);
-    }
-  }
-
-  return descendants;
-}
-
 /**
  * Kiểm tra circular reference
  */
@@ -88,7 +73,7 @@ async function checkCircularReference(categoryId, newParentId) {
   
   if (String(categoryId) === String(newParentId)) return true;
 
-  const descendants = await getAllDescendants(categoryId);
+  const descendants = await getSubCategoryIds(categoryId);
   
   return descendants.some((id) => String(id) === String(newParentId));
 }
@@ -140,7 +125,7 @@ router.get(
       .lean();
 
     if (includeChildren === "true" && parentId && mongoose.isValidObjectId(parentId)) {
-      const descendants = await getAllDescendants(parentId);
+      const descendants = await getSubCategoryIds(parentId);
       const childCategories = await Category.find({
         _id: { $in: descendants },
         isActive: true,
@@ -255,7 +240,7 @@ router.get(
       return res.status(400).json({ ok: false, message: "INVALID_CATEGORY_ID" });
     }
 
-    const descendantIds = await getAllDescendants(categoryId);
+    const descendantIds = await getSubCategoryIds(categoryId);
     const descendants = await Category.find({
       _id: { $in: descendantIds },
       isActive: true,
@@ -450,6 +435,93 @@ router.put(
   })
 );
 
+/**
+ * GET /api/categories/:id/attributes
+ * - own: định nghĩa của chính category
+ * - effective: gồm cả kế thừa từ category cha (dùng cho form sản phẩm)
+ */
+router.get(
+  "/:id/attributes",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const categoryId = req.params.id;
+    if (!mongoose.isValidObjectId(categoryId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_CATEGORY_ID" });
+    }
+
+    const category = await Category.findById(categoryId).select("_id code name attributeDefs").lean();
+    if (!category) {
+      return res.status(404).json({ ok: false, message: "CATEGORY_NOT_FOUND" });
+    }
+
+    const effective = await getEffectiveAttributeDefs(categoryId);
+
+    res.json({
+      ok: true,
+      category: { _id: category._id, code: category.code, name: category.name },
+      own: category.attributeDefs || [],
+      effective: effective.map((d) => ({ ...d, inherited: String(d.categoryId) !== String(category._id) })),
+    });
+  })
+);
+
+/**
+ * PUT /api/categories/:id/attributes
+ * Thay toàn bộ định nghĩa thuộc tính của category
+ */
+router.put(
+  "/:id/attributes",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const categoryId = req.params.id;
+    if (!mongoose.isValidObjectId(categoryId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_CATEGORY_ID" });
+    }
+
+    const body = z
+      .object({
+        attributeDefs: z
+          .array(
+            z.object({
+              key: z.string().min(1),
+              label: z.string().optional(),
+              type: z.enum(ATTRIBUTE_TYPES),
+              unit: z.string().optional(),
+              options: z.array(z.string()).optional(),
+              required: z.boolean().optional(),
+              filterable: z.boolean().optional(),
+              order: z.number().optional(),
+            })
+          )
+          .max(100),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) {
+      return res.status(400).json({ ok: false, error: body.error.flatten() });
+    }
+
+    let attributeDefs;
+    try {
+      attributeDefs = normalizeAttributeDefs(body.data.attributeDefs);
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
+    const category = await Category.findByIdAndUpdate(categoryId, { $set: { attributeDefs } }, { new: true });
+    if (!category) {
+      return res.status(404).json({ ok: false, message: "CATEGORY_NOT_FOUND" });
+    }
+
+    // ✅ cờ filterable có thể đổi -> build lại facet của sản phẩm trong cây category
+    const { updated } = await refreshCategoryAttributeFacets(categoryId);
+
+    res.json({ ok: true, category, productsUpdated: updated });
+  })
+);
+
 /**
  * DELETE /api/categories/:id
  */
@@ -8,6 +8,7 @@ const Order = require("../models/Order");
 
 const { asyncHandler } = require("../utils/asyncHandler");
 const { genOrderCode } = require("../utils/code");
+const { validateCoupon, buildCouponSnapshot } = require("../services/coupon.service");
 
 /**
  * ONLINE Checkout:
@@ -40,6 +41,7 @@ router.post(
             })
           )
           .min(1),
+        couponCode: z.string().optional(),
       })
       .safeParse(req.body);
 
@@ -83,6 +85,26 @@ router.post(
 
     const subtotal = items.reduce((s, it) => s + it.total, 0);
 
+    // ✅ Coupon (kênh ONLINE, theo kho tổng)
+    let coupon = null;
+    let couponDiscount = 0;
+    if (String(data.couponCode || "").trim()) {
+      try {
+        const r = await validateCoupon({
+          code: data.couponCode,
+          baseAmount: subtotal,
+          branchId: mainBranchId,
+          channel: "ONLINE",
+          phone: data.customer.phone,
+        });
+        couponDiscount = r.discountAmount;
+        coupon = buildCouponSnapshot(r.coupon, couponDiscount, data.customer.phone);
+      } catch (e) {
+        if (!String(e?.code || "").startsWith("COUPON_")) throw e;
+        return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+      }
+    }
+
     // ✅ Tạo order PENDING (KHÔNG trừ kho)
     const order = await Order.create({
       code: genOrderCode("WEB"),
@@ -96,7 +118,9 @@ router.post(
 
       subtotal,
       discount: 0,
-      total: subtotal,
+      coupon,
+      couponDiscount,
+      total: Math.max(0, subtotal - couponDiscount),
 
       items,
 
@@ -0,0 +1,287 @@
+// src/routes/coupon.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { normalizeCode, validateCoupon } = require("../services/coupon.service");
+
+const couponFields = {
+  name: z.string().optional(),
+  description: z.string().optional(),
+  type: z.enum(["PERCENT", "FIXED"]),
+  value: z.number().nonnegative(),
+  minOrderValue: z.number().nonnegative().optional(),
+  maxDiscount: z.number().nonnegative().nullable().optional(),
+  startDate: z.string().nullable().optional(),
+  endDate: z.string().nullable().optional(),
+  usageLimit: z.number().int().nonnegative().nullable().optional(),
+  perCustomerLimit: z.number().int().nonnegative().nullable().optional(),
+  branchIds: z.array(z.string()).optional(),
+  channels: z.array(z.enum(["POS", "ONLINE"])).optional(),
+  isActive: z.boolean().optional(),
+};
+
+function toDateOrNull(v) {
+  if (v === undefined) return undefined;
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function checkCouponPayload(data) {
+  if (data.type === "PERCENT" && Number(data.value) > 100) return "PERCENT_VALUE_EXCEEDS_100";
+  if (data.startDate && data.endDate && data.startDate > data.endDate) return "START_AFTER_END";
+  if ((data.branchIds || []).some((id) => !mongoose.isValidObjectId(id))) return "INVALID_BRANCH_ID";
+  return "";
+}
+
+/**
+ * =========================
+ * GET /api/coupons
+ * Danh sách mã giảm giá
+ * =========================
+ * Query:
+ *  - q: tìm theo code/name
+ *  - active=true|false
+ */
+router.get(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    const active = req.query.active;
+
+    const filter = {};
+    if (active === "true") filter.isActive = true;
+    if (active === "false") filter.isActive = false;
+    if (q) {
+      filter.$or = [
+        { code: { $regex: q, $options: "i" } },
+        { name: { $regex: q, $options: "i" } },
+      ];
+    }
+
+    const items = await Coupon.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({ ok: true, items });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/coupons/:id
+ * Chi tiết + lịch sử sử dụng
+ * =========================
+ */
+router.get(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, message: "INVALID_ID" });
+    }
+
+    const item = await Coupon.findById(req.params.id).lean();
+    if (!item) return res.status(404).json({ ok: false, message: "COUPON_NOT_FOUND" });
+
+    const redemptions = await CouponRedemption.find({ couponId: item._id })
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({ ok: true, item, redemptions });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/coupons
+ * Tạo mã giảm giá
+ * =========================
+ */
+router.post(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({ code: z.string().min(2), ...couponFields })
+      .safeParse(req.body);
+
+    if (!body.success) {
+      return res.status(400).json({ ok: false, error: body.error.flatten() });
+    }
+
+    const data = {
+      ...body.data,
+      code: normalizeCode(body.data.code),
+      startDate: toDateOrNull(body.data.startDate),
+      endDate: toDateOrNull(body.data.endDate),
+    };
+
+    const invalid = checkCouponPayload(data);
+    if (invalid) return res.status(400).json({ ok: false, message: invalid });
+
+    const exists = await Coupon.findOne({ code: data.code }).lean();
+    if (exists) {
+      return res.status(409).json({ ok: false, message: "CODE_ALREADY_EXISTS" });
+    }
+
+    const item = await Coupon.create({
+      ...data,
+      usedCount: 0,
+      createdBy: req.user?.sub || null,
+      updatedBy: req.user?.sub || null,
+    });
+
+    res.json({ ok: true, item });
+  })
+);
+
+/**
+ * =========================
+ * PUT /api/coupons/:id
+ * Cập nhật mã giảm giá
+ * =========================
+ */
+router.put(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({ code: z.string().min(2), ...couponFields })
+      .partial()
+      .safeParse(req.body);
+
+    if (!body.success) {
+      return res.status(400).json({ ok: false, error: body.error.flatten() });
+    }
+
+    const item = await Coupon.findById(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, message: "COUPON_NOT_FOUND" });
+
+    const patch = { ...body.data };
+    if (patch.code !== undefined) patch.code = normalizeCode(patch.code);
+    if (patch.startDate !== undefined) patch.startDate = toDateOrNull(patch.startDate);
+    if (patch.endDate !== undefined) patch.endDate = toDateOrNull(patch.endDate);
+
+    // đã có đơn dùng -> không cho đổi code (snapshot trên order giữ code cũ)
+    if (patch.code && patch.code !== item.code) {
+      if (Number(item.usedCount || 0) > 0) {
+        return res.status(409).json({ ok: false, message: "COUPON_ALREADY_USED" });
+      }
+      const dup = await Coupon.findOne({ code: patch.code, _id: { $ne: item._id } }).lean();
+      if (dup) return res.status(409).json({ ok: false, message: "CODE_ALREADY_EXISTS" });
+    }
+
+    const merged = { ...item.toObject(), ...patch };
+    const invalid = checkCouponPayload({
+      ...merged,
+      branchIds: (merged.branchIds || []).map(String),
+    });
+    if (invalid) return res.status(400).json({ ok: false, message: invalid });
+
+    item.set({ ...patch, updatedBy: req.user?.sub || null });
+    await item.save();
+
+    res.json({ ok: true, item });
+  })
+);
+
+/**
+ * =========================
+ * PATCH /api/coupons/:id/toggle
+ * Bật / tắt mã giảm giá
+ * =========================
+ */
+router.patch(
+  "/:id/toggle",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const item = await Coupon.findById(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, message: "COUPON_NOT_FOUND" });
+
+    item.isActive = !item.isActive;
+    item.updatedBy = req.user?.sub || null;
+    await item.save();
+
+    res.json({ ok: true, item });
+  })
+);
+
+/**
+ * =========================
+ * DELETE /api/coupons/:id
+ * Xoá cứng (chỉ khi chưa có đơn dùng)
+ * =========================
+ */
+router.delete(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN"]),
+  asyncHandler(async (req, res) => {
+    const item = await Coupon.findById(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, message: "COUPON_NOT_FOUND" });
+
+    const used = await CouponRedemption.exists({ couponId: item._id });
+    if (used) {
+      return res.status(409).json({ ok: false, message: "COUPON_ALREADY_USED" });
+    }
+
+    await item.deleteOne();
+    res.json({ ok: true });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/coupons/validate
+ * Kiểm tra mã trên POS trước khi tạo đơn
+ * =========================
+ */
+router.post(
+  "/validate",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        code: z.string().min(1),
+        subtotal: z.number().nonnegative(),
+        discount: z.number().nonnegative().optional(),
+        branchId: z.string().optional(),
+        channel: z.enum(["POS", "ONLINE"]).default("POS"),
+        phone: z.string().optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) {
+      return res.status(400).json({ ok: false, error: body.error.flatten() });
+    }
+
+    const data = body.data;
+
+    try {
+      const r = await validateCoupon({
+        code: data.code,
+        baseAmount: Math.max(0, data.subtotal - Number(data.discount || 0)),
+        branchId: data.branchId || req.user?.branchId || null,
+        channel: data.channel,
+        phone: data.phone || "",
+      });
+
+      res.json({ ok: true, coupon: r.coupon, discountAmount: r.discountAmount });
+    } catch (e) {
+      if (!String(e?.code || "").startsWith("COUPON_")) throw e;
+      res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+  })
+);
+
+module.exports = router;
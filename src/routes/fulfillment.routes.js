@@ -0,0 +1,229 @@
+// src/routes/fulfillment.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const Order = require("../models/Order");
+const Branch = require("../models/Branch");
+const ProductVariant = require("../models/ProductVariant");
+
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { resolveBranchId } = require("../utils/resolveBranchId");
+const {
+  FULFILLMENT_STRATEGIES,
+  getFulfillmentConfig,
+  planFulfillment,
+} = require("../services/fulfillment.service");
+const { expandBundleLines } = require("../services/bundle.service");
+
+const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
+
+/**
+ * =========================
+ * GET /api/fulfillment/config
+ * Strategy + thứ tự chi nhánh xuất kho online đang áp dụng
+ * =========================
+ */
+router.get(
+  "/config",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (_req, res) => {
+    const cfg = await getFulfillmentConfig();
+    const branches = await Branch.find({ _id: { $in: cfg.priority.filter(isValidObjectId) } })
+      .select("_id code name")
+      .lean();
+    const bMap = new Map(branches.map((b) => [String(b._id), b]));
+
+    res.json({
+      ok: true,
+      strategies: FULFILLMENT_STRATEGIES,
+      ...cfg,
+      branches: cfg.branchIds.map((id) => bMap.get(id) || { _id: id }),
+    });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/fulfillment/plan
+ * Xem trước phương án xuất kho cho 1 giỏ hàng (không giữ / trừ kho)
+ * =========================
+ * Body: { items: [{ variantId, qty }], strategy? }
+ */
+router.post(
+  "/plan",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        strategy: z.enum(FULFILLMENT_STRATEGIES).optional(),
+        items: z
+          .array(z.object({ variantId: z.string().min(1), qty: z.number().int().positive() }))
+          .min(1),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    if (body.data.items.some((it) => !isValidObjectId(it.variantId))) {
+      return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
+    }
+
+    try {
+      const items = await expandBundleLines(body.data.items);
+      const plan = await planFulfillment({ items, strategy: body.data.strategy || null });
+      res.json({ ok: true, plan });
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+  })
+);
+
+/**
+ * =========================
+ * GET /api/fulfillment/pick-lists
+ * Phiếu soạn hàng đơn online theo chi nhánh xuất
+ * =========================
+ * Query:
+ *  - branchId (bắt buộc với ADMIN/MANAGER, STAFF khoá theo token)
+ *  - status: PENDING (default) | PICKED | all
+ */
+router.get(
+  "/pick-lists",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const branchId = resolveBranchId(req);
+    if (!branchId) return res.status(400).json({ ok: false, message: "BRANCH_ID_REQUIRED" });
+
+    const status = String(req.query.status || "PENDING").toUpperCase();
+    if (!["PENDING", "PICKED", "ALL"].includes(status)) {
+      return res.status(400).json({ ok: false, message: "INVALID_STATUS" });
+    }
+    const elem = { branchId: new mongoose.Types.ObjectId(branchId) };
+    elem.pickStatus = status === "ALL" ? { $in: ["PENDING", "PICKED"] } : status;
+
+    const orders = await Order.find({
+      channel: "ONLINE",
+      status: { $in: ["CONFIRM", "SHIPPED"] },
+      stockAllocations: { $elemMatch: elem },
+    })
+      .select("code status confirmedAt delivery items stockAllocations negativeStock")
+      .sort({ confirmedAt: 1 })
+      .limit(200)
+      .lean();
+
+    // thành phần combo không nằm trong order.items -> lấy sku / tên từ variant
+    const known = new Set(orders.flatMap((o) => (o.items || []).map((x) => String(x.variantId))));
+    const missing = [
+      ...new Set(
+        orders.flatMap((o) => (o.stockAllocations || []).map((al) => String(al.variantId))).filter((id) => !known.has(id))
+      ),
+    ];
+    const comps = missing.length
+      ? await ProductVariant.find({ _id: { $in: missing } }).select("_id sku name attributes").lean()
+      : [];
+    const compMap = new Map(comps.map((v) => [String(v._id), v]));
+
+    const totals = new Map();
+    const items = orders.map((o) => {
+      const lines = (o.stockAllocations || [])
+        .filter((al) => String(al.branchId) === branchId)
+        .map((al) => {
+          const it =
+            (o.items || []).find((x) => String(x.variantId) === String(al.variantId)) ||
+            compMap.get(String(al.variantId));
+          const line = {
+            variantId: al.variantId,
+            sku: it?.sku || "",
+            name: it?.name || "",
+            attributes: it?.attributes || [],
+            qty: al.qty,
+            lots: al.lots || [],
+            pickStatus: al.pickStatus,
+            pickedAt: al.pickedAt,
+          };
+
+          // tổng SL cần lấy theo variant (soạn gộp nhiều đơn)
+          if (al.pickStatus === "PENDING") {
+            const key = String(al.variantId);
+            const t = totals.get(key) || { variantId: al.variantId, sku: line.sku, name: line.name, qty: 0 };
+            t.qty += Number(al.qty || 0);
+            totals.set(key, t);
+          }
+          return line;
+        });
+
+      // đơn chia nhiều chi nhánh -> chi nhánh khác cũng phải soạn
+      const otherBranchIds = [
+        ...new Set(
+          (o.stockAllocations || []).map((al) => String(al.branchId)).filter((id) => id !== branchId)
+        ),
+      ];
+
+      return {
+        orderId: o._id,
+        code: o.code,
+        status: o.status,
+        confirmedAt: o.confirmedAt,
+        receiverName: o.delivery?.receiverName || "",
+        receiverPhone: o.delivery?.receiverPhone || "",
+        address: o.delivery?.address || "",
+        split: otherBranchIds.length > 0,
+        otherBranchIds,
+        negativeStock: !!o.negativeStock?.flagged,
+        lines,
+      };
+    });
+
+    res.json({ ok: true, branchId, status, items, totals: [...totals.values()] });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/fulfillment/pick-lists/:orderId/picked
+ * Chi nhánh xác nhận đã soạn xong phần hàng của mình
+ * =========================
+ * Body: { branchId } (STAFF khoá theo token)
+ */
+router.post(
+  "/pick-lists/:orderId/picked",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.orderId)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const role = String(req.user?.role || "").toUpperCase();
+    const branchId =
+      role === "STAFF" ? String(req.user?.branchId || "") : String(req.body?.branchId || req.query.branchId || "");
+    if (!isValidObjectId(branchId)) return res.status(400).json({ ok: false, message: "BRANCH_ID_REQUIRED" });
+
+    const r = await Order.updateOne(
+      { _id: req.params.orderId, channel: "ONLINE", status: "CONFIRM" },
+      {
+        $set: {
+          "stockAllocations.$[al].pickStatus": "PICKED",
+          "stockAllocations.$[al].pickedAt": new Date(),
+          "stockAllocations.$[al].pickedById": req.user.sub || null,
+        },
+      },
+      { arrayFilters: [{ "al.branchId": new mongoose.Types.ObjectId(branchId), "al.pickStatus": "PENDING" }] }
+    );
+
+    if (!r.modifiedCount) {
+      const exists = await Order.exists({ _id: req.params.orderId });
+      if (!exists) return res.status(404).json({ ok: false, message: "Order not found" });
+      return res.status(409).json({ ok: false, message: "NOTHING_TO_PICK" });
+    }
+
+    const order = await Order.findById(req.params.orderId).select("code stockAllocations").lean();
+    const allPicked = (order.stockAllocations || []).every((al) => al.pickStatus !== "PENDING");
+
+    res.json({ ok: true, orderId: order._id, code: order.code, allPicked, stockAllocations: order.stockAllocations });
+  })
+);
+
+module.exports = router;
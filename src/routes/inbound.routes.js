@@ -6,11 +6,20 @@ const mongoose = require("mongoose");
 const GoodsReceipt = require("../models/GoodsReceipt");
 const Product = require("../models/Product");
 const ProductVariant = require("../models/ProductVariant");
-const VariantStock = require("../models/VariantStock"); // ✅ IMPORTANT: use variant stock
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
 
 const { authRequired, requireRole } = require("../middlewares/auth");
 const { asyncHandler } = require("../utils/asyncHandler");
 const { genReceiptCode } = require("../utils/code");
+const { addLot, normalizeExpiry } = require("../services/lot.service");
+const { applyInboundCost } = require("../services/costing.service");
+const { notifyLowStock } = require("../services/reorder.service");
+const { applyStockChanges } = require("../services/stock.service");
+const {
+  buildReceiptLinesFromPurchaseOrder,
+  applyReceiptToPurchaseOrder,
+} = require("../services/purchaseOrder.service");
 
 // ----------------- helpers
 const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
@@ -122,7 +131,11 @@ async function pickVariantForInbound({ productId, variantId }) {
 /**
  * POST /api/inbounds
  * Create DRAFT receipt - NOT add stock yet
- * items: [{ productId, variantId?, qty, cost }]
+ * items: [{ productId, variantId?, qty, cost, lotNo?, expiryDate? }]
+ *
+ * ✅ Theo PO: purchaseOrderId (+ items [{ variantId, qty, cost?, lotNo?, expiryDate? }])
+ * - branchId / supplier lấy theo PO, items rỗng -> nhận toàn bộ phần còn thiếu
+ * - không được vượt SL còn thiếu của PO
  */
 router.post(
   "/",
@@ -131,26 +144,66 @@ router.post(
   asyncHandler(async (req, res) => {
     const body = z
       .object({
-        branchId: z.string(),
+        branchId: z.string().optional(),
         supplier: z.string().optional(),
+        supplierId: z.string().optional(),
+        purchaseOrderId: z.string().optional(),
         note: z.string().optional(),
         clientMutationId: z.string().optional(),
         items: z
           .array(
             z.object({
-              productId: z.string(),
+              productId: z.string().optional(), // theo PO: lấy từ dòng PO
               variantId: z.string().optional(), // ✅ NEW
               qty: z.number().int().positive(),
-              cost: z.number().int().nonnegative(),
+              cost: z.number().int().nonnegative().optional(), // theo PO: mặc định giá PO
+              lotNo: z.string().optional(),
+              expiryDate: z.string().optional(), // "YYYY-MM-DD"
             })
           )
-          .min(1),
+          .optional(),
       })
       .safeParse(req.body);
 
     if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
 
-    const data = body.data;
+    const data = { ...body.data, items: body.data.items || [] };
+
+    // ✅ Lập theo PO
+    let po = null;
+    if (data.purchaseOrderId) {
+      if (!isValidObjectId(data.purchaseOrderId)) return res.status(400).json({ ok: false, message: "INVALID_PO_ID" });
+      po = await PurchaseOrder.findById(data.purchaseOrderId).lean();
+      if (!po) return res.status(404).json({ ok: false, message: "PO_NOT_FOUND" });
+
+      if (data.branchId && String(data.branchId) !== String(po.branchId)) {
+        return res.status(400).json({ ok: false, message: "PO_BRANCH_MISMATCH" });
+      }
+      if (data.items.some((it) => !it.variantId)) {
+        return res.status(400).json({ ok: false, message: "VARIANT_ID_REQUIRED" });
+      }
+
+      try {
+        data.items = buildReceiptLinesFromPurchaseOrder(po, data.items);
+      } catch (e) {
+        if (!e?.code) throw e;
+        return res.status(409).json({ ok: false, message: e.code, detail: e.detail });
+      }
+
+      data.branchId = String(po.branchId);
+      data.supplierId = String(po.supplierId);
+      data.supplier = data.supplier || po.supplier?.name || "";
+    }
+
+    if (!data.branchId) return res.status(400).json({ ok: false, message: "BRANCH_ID_REQUIRED" });
+    if (!data.items.length) return res.status(400).json({ ok: false, message: "ITEMS_REQUIRED" });
+
+    let supplierDoc = null;
+    if (data.supplierId) {
+      if (!isValidObjectId(data.supplierId)) return res.status(400).json({ ok: false, message: "INVALID_SUPPLIER_ID" });
+      supplierDoc = await Supplier.findById(data.supplierId).select("_id name").lean();
+      if (!supplierDoc) return res.status(400).json({ ok: false, message: "SUPPLIER_NOT_FOUND" });
+    }
 
     // validate branchId
     if (!isValidObjectId(data.branchId)) return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
@@ -164,9 +217,13 @@ router.post(
     // validate productIds
     for (const it of data.items) {
       if (!isValidObjectId(it.productId)) return res.status(400).json({ ok: false, message: "INVALID_PRODUCT_ID" });
+      if (it.cost === undefined) return res.status(400).json({ ok: false, message: "COST_REQUIRED" });
       if (it.variantId && !isValidObjectId(it.variantId)) {
         return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
       }
+      if (it.expiryDate && !normalizeExpiry(it.expiryDate)) {
+        return res.status(400).json({ ok: false, message: "INVALID_EXPIRY_DATE" });
+      }
     }
 
     // load products snapshot
@@ -210,6 +267,9 @@ router.post(
         qty,
         cost,
         total,
+
+        lotNo: String(raw.lotNo || "").trim(),
+        expiryDate: normalizeExpiry(raw.expiryDate),
       });
     }
 
@@ -218,7 +278,10 @@ router.post(
     const receipt = await GoodsReceipt.create({
       code: genReceiptCode("GR"),
       branchId: toObjId(data.branchId),
-      supplier: data.supplier || "",
+      supplier: data.supplier || supplierDoc?.name || "",
+      supplierId: supplierDoc?._id || null,
+      purchaseOrderId: po?._id || null,
+      purchaseOrderCode: po?.code || "",
       note: data.note || "",
       status: "DRAFT",
       items: receiptItems,
@@ -241,6 +304,8 @@ router.get(
   asyncHandler(async (req, res) => {
     const branchId = String(req.query.branchId || "").trim();
     const status = String(req.query.status || "").trim();
+    const supplierId = String(req.query.supplierId || "").trim();
+    const purchaseOrderId = String(req.query.purchaseOrderId || "").trim();
     const limit = Math.min(parseInt(req.query.limit) || 50, 200);
     const page = Math.max(parseInt(req.query.page) || 1, 1);
     const skip = (page - 1) * limit;
@@ -251,6 +316,8 @@ router.get(
       filter.branchId = toObjId(branchId);
     }
     if (status) filter.status = status;
+    if (supplierId && isValidObjectId(supplierId)) filter.supplierId = toObjId(supplierId);
+    if (purchaseOrderId && isValidObjectId(purchaseOrderId)) filter.purchaseOrderId = toObjId(purchaseOrderId);
 
     const [items, total] = await Promise.all([
       GoodsReceipt.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
@@ -293,6 +360,15 @@ router.post(
     if (receipt.status === "CONFIRMED") return res.status(409).json({ ok: false, message: "Receipt already confirmed" });
     if (receipt.status === "CANCELLED") return res.status(409).json({ ok: false, message: "Receipt cancelled" });
 
+    // ✅ Theo PO: kiểm tra + cộng SL đã nhận trước khi cộng kho
+    let po = null;
+    try {
+      po = await applyReceiptToPurchaseOrder(receipt);
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(409).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
     // ✅ add stock per variant
     for (const it of receipt.items || []) {
       const qty = moneyInt(it.qty || 0);
@@ -307,17 +383,35 @@ router.post(
         it.attributes = Array.isArray(v?.attributes) ? v.attributes : (it.attributes || []);
       }
 
-      await VariantStock.findOneAndUpdate(
-        { branchId: receipt.branchId, variantId: it.variantId },
-        {
-          $inc: { qty },
-          $set: {
-            updatedBy: req.user.sub || null,
-            note: `INBOUND ${receipt.code}`,
-          },
-        },
-        { upsert: true, new: true }
-      );
+      // ✅ Giá vốn bình quân (tính trên tồn trước khi cộng)
+      await applyInboundCost({
+        branchId: receipt.branchId,
+        variantId: it.variantId,
+        qty,
+        cost: it.cost,
+        ref: { type: "GoodsReceipt", id: receipt._id, code: receipt.code },
+        userId: req.user.sub || null,
+      });
+
+      await applyStockChanges([{ branchId: receipt.branchId, variantId: it.variantId, qty }], {
+        type: "INBOUND",
+        refType: "GoodsReceipt",
+        refId: receipt._id,
+        userId: req.user.sub || null,
+        note: `INBOUND ${receipt.code}`,
+      });
+
+      // ✅ Lô + HSD
+      const lot = await addLot({
+        branchId: receipt.branchId,
+        variantId: it.variantId,
+        lotNo: it.lotNo || receipt.code,
+        expiryDate: it.expiryDate,
+        qty,
+        cost: it.cost,
+        source: { type: "GoodsReceipt", id: receipt._id, code: receipt.code },
+      });
+      it.lotId = lot?._id || null;
     }
 
     receipt.status = "CONFIRMED";
@@ -327,14 +421,24 @@ router.post(
 
     // emit socket
     const io = req.app.get("io");
+    await notifyLowStock(
+      io,
+      receipt.items.map((it) => ({ branchId: receipt.branchId, variantId: it.variantId }))
+    );
     io?.to(`branch:${String(receipt.branchId)}`).emit("inboundConfirmed", {
       branchId: String(receipt.branchId),
       receiptId: String(receipt._id),
       code: receipt.code,
       subtotal: receipt.subtotal,
+      purchaseOrderId: po ? String(po._id) : null,
+      purchaseOrderStatus: po?.status || null,
     });
 
-    res.json({ ok: true, receipt: receipt.toObject() });
+    res.json({
+      ok: true,
+      receipt: receipt.toObject(),
+      purchaseOrder: po ? { _id: po._id, code: po.code, status: po.status } : null,
+    });
   })
 );
 
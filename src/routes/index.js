@@ -2,6 +2,8 @@ const router = require("express").Router();
 
 router.use("/auth", require("./auth.routes"));
 router.use("/branches", require("./branch.routes"));
+// ✅ đặt trước /products để không bị route /:id bắt
+router.use("/products/bulk", require("./productImport.routes"));
 router.use("/products", require("./product.routes"));
 router.use("/stocks", require("./stock.routes"));
 router.use("/customers", require("./customer.routes"));
@@ -12,9 +14,24 @@ router.use("/sync", require("./sync.routes"));
 router.use("/categories", require("./category.routes"));
 router.use("/stock-total", require("./stockTotal.routes"));
 router.use("/inbounds", require("./inbound.routes"));
+router.use("/suppliers", require("./supplier.routes"));
+router.use("/purchase-orders", require("./purchaseOrder.routes"));
+router.use("/reorder", require("./reorder.routes"));
+router.use("/lots", require("./lot.routes"));
+router.use("/transfers", require("./transfer.routes"));
+router.use("/stocktakes", require("./stocktake.routes"));
+router.use("/write-offs", require("./writeoff.routes"));
+router.use("/inventory-settings", require("./inventorySettings.routes"));
+router.use("/fulfillment", require("./fulfillment.routes"));
+router.use("/reports", require("./report.routes"));
+router.use("/labels", require("./label.routes"));
+router.use("/search", require("./search.routes"));
+router.use("/price-schedules", require("./priceSchedule.routes"));
 router.use("/receipt-templates", require("./receiptTemplates"));
 router.use("/uploads", require("./upload.routes"));
 router.use("/flashsales", require("./flashsale.routes"));
+router.use("/coupons", require("./coupon.routes"));
+router.use("/promotions", require("./promotion.routes"));
 
 // ✅ ADD:
 router.use("/tiers", require("./tiers.routes"));
@@ -8,6 +8,7 @@ const VariantStock = require("../models/VariantStock");
 
 const { authRequired, requireRole } = require("../middlewares/auth");
 const { asyncHandler } = require("../utils/asyncHandler");
+const { applyStockChanges, setStockQty } = require("../services/stock.service");
 
 // ---------------- helpers
 const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
@@ -135,11 +136,14 @@ router.put(
     const variantId = await resolveVariantIdFromParams({ productId: toObjId(productId), variantId: null });
 
     // set qty theo variant stock
-    const doc = await VariantStock.findOneAndUpdate(
-      { branchId: toObjId(branchId), variantId: toObjId(variantId) },
-      { $set: { qty: quantity }, $setOnInsert: { reserved: 0 } },
-      { upsert: true, new: true }
-    ).lean();
+    await setStockQty({
+      branchId: toObjId(branchId),
+      variantId: toObjId(variantId),
+      qty: quantity,
+      note: "SET",
+      userId: req.user.sub || null,
+    });
+    const doc = await VariantStock.findOne({ branchId: toObjId(branchId), variantId: toObjId(variantId) }).lean();
 
     res.json({
       ok: true,
@@ -176,15 +180,11 @@ router.post(
 
     const note = String(req.body.note || "").trim();
 
-    const doc = await VariantStock.findOneAndUpdate(
-      { branchId: toObjId(branchId), variantId: toObjId(resolvedVariantId) },
-      {
-        $inc: { qty: delta },
-        $set: note ? { note } : {},
-        $setOnInsert: { reserved: 0 },
-      },
-      { upsert: true, new: true }
-    ).lean();
+    await applyStockChanges(
+      [{ branchId: toObjId(branchId), variantId: toObjId(resolvedVariantId), qty: delta }],
+      { type: "ADJUST", note, userId: req.user.sub || null }
+    );
+    const doc = await VariantStock.findOne({ branchId: toObjId(branchId), variantId: toObjId(resolvedVariantId) }).lean();
 
     res.json({
       ok: true,
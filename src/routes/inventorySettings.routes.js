@@ -0,0 +1,85 @@
+// src/routes/inventorySettings.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const InventorySetting = require("../models/InventorySetting");
+const Branch = require("../models/Branch");
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { getInventorySetting } = require("../services/costing.service");
+
+// ==========================
+// Zod schema (strip unknown keys)
+// ==========================
+const InventorySettingZod = z
+  .object({
+    costing: z
+      .object({
+        scope: z.enum(["GLOBAL", "BRANCH"]).optional(),
+      })
+      .optional(),
+    fulfillment: z
+      .object({
+        strategy: z.enum(["MAIN_ONLY", "MAIN_FIRST", "SINGLE_BRANCH", "SPLIT"]).optional(),
+        mainBranchId: z.string().nullable().optional(),
+        branchPriority: z.array(z.string().min(1)).optional(),
+      })
+      .optional(),
+  })
+  .strip();
+
+// ==========================
+// GET /api/inventory-settings
+// ==========================
+router.get(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (_req, res) => {
+    const setting = await getInventorySetting();
+    res.json({ ok: true, setting });
+  })
+);
+
+// ==========================
+// PUT /api/inventory-settings
+// ==========================
+router.put(
+  "/",
+  authRequired,
+  requireRole(["ADMIN"]),
+  asyncHandler(async (req, res) => {
+    const parsed = InventorySettingZod.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ ok: false, message: "VALIDATION_ERROR", error: parsed.error.flatten() });
+    }
+
+    const patch = parsed.data || {};
+    const $set = { updatedBy: req.user?.sub || null };
+    if (patch.costing?.scope) $set["costing.scope"] = patch.costing.scope;
+
+    const f = patch.fulfillment;
+    if (f) {
+      const ids = [...(f.mainBranchId ? [f.mainBranchId] : []), ...(f.branchPriority || [])];
+      const uniqIds = [...new Set(ids)];
+      if (uniqIds.length) {
+        const count = await Branch.countDocuments({ _id: { $in: uniqIds.filter((id) => mongoose.isValidObjectId(id)) } });
+        if (count !== uniqIds.length) return res.status(400).json({ ok: false, message: "BRANCH_NOT_FOUND" });
+      }
+      if (f.strategy) $set["fulfillment.strategy"] = f.strategy;
+      if (f.mainBranchId !== undefined) $set["fulfillment.mainBranchId"] = f.mainBranchId || null;
+      if (f.branchPriority) $set["fulfillment.branchPriority"] = [...new Set(f.branchPriority)];
+    }
+
+    const setting = await InventorySetting.findOneAndUpdate(
+      { key: "default" },
+      { $set, $setOnInsert: { key: "default" } },
+      { upsert: true, new: true }
+    ).lean();
+
+    res.json({ ok: true, setting });
+  })
+);
+
+module.exports = router;
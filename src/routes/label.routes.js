@@ -0,0 +1,192 @@
+// src/routes/label.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const ChangeLog = require("../models/ChangeLog");
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  SYMBOLOGIES,
+  LABEL_TEMPLATES,
+  getLabelTemplate,
+  listLabelTemplates,
+  goodsReceiptLabelLines,
+  buildLabelItems,
+  renderLabelSheet,
+  assignInternalEan13,
+} = require("../services/label.service");
+
+const MAX_LABELS = 2000;
+
+const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
+
+async function nextVersion() {
+  const last = await ChangeLog.findOne().sort({ version: -1 }).lean();
+  return (last?.version || 0) + 1;
+}
+
+/**
+ * =========================
+ * GET /api/labels/templates
+ * Khổ tem hỗ trợ (mm) + loại mã vạch
+ * =========================
+ */
+router.get(
+  "/templates",
+  authRequired,
+  asyncHandler(async (_req, res) => {
+    res.json({ ok: true, symbologies: SYMBOLOGIES, templates: listLabelTemplates() });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/labels/sheet
+ * In tem mã vạch / tem giá cho variant chọn tay hoặc toàn bộ dòng của 1 phiếu nhập
+ * =========================
+ * Body:
+ *  - items: [{ variantId, copies }] hoặc goodsReceiptId (+ receiptCopies: QTY = theo SL nhập | ONE)
+ *  - template: mã khổ tem (GET /templates), symbology: CODE128 | EAN13 | QR
+ *  - showPrice, showFlashSalePrice, showAttributes (default true)
+ *  - format: html (default, trả trang in) | json (html + cảnh báo), autoPrint
+ */
+router.post(
+  "/sheet",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        items: z
+          .array(z.object({ variantId: z.string().min(1), copies: z.number().int().min(1).max(500).optional() }))
+          .optional(),
+        goodsReceiptId: z.string().optional(),
+        receiptCopies: z.enum(["QTY", "ONE"]).optional(),
+        template: z.enum(Object.keys(LABEL_TEMPLATES)).optional(),
+        symbology: z.enum(SYMBOLOGIES).optional(),
+        showPrice: z.boolean().optional(),
+        showFlashSalePrice: z.boolean().optional(),
+        showAttributes: z.boolean().optional(),
+        format: z.enum(["html", "json"]).optional(),
+        autoPrint: z.boolean().optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+    const data = body.data;
+
+    if (!data.items?.length && !data.goodsReceiptId) {
+      return res.status(400).json({ ok: false, message: "ITEMS_OR_GOODS_RECEIPT_REQUIRED" });
+    }
+    if (data.goodsReceiptId && !isValidObjectId(data.goodsReceiptId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_GOODS_RECEIPT_ID" });
+    }
+    if ((data.items || []).some((it) => !isValidObjectId(it.variantId))) {
+      return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
+    }
+
+    let lines;
+    try {
+      lines = data.goodsReceiptId
+        ? await goodsReceiptLabelLines(data.goodsReceiptId, data.receiptCopies || "QTY")
+        : data.items;
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(404).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
+    const { items, missing } = await buildLabelItems(lines);
+    if (!items.length) return res.status(404).json({ ok: false, message: "VARIANT_NOT_FOUND", missing });
+
+    const total = items.reduce((s, it) => s + it.copies, 0);
+    if (total > MAX_LABELS) {
+      return res.status(400).json({ ok: false, message: "TOO_MANY_LABELS", detail: `${total} > ${MAX_LABELS}` });
+    }
+
+    const template = getLabelTemplate(data.template || "THERMAL_50x30");
+    const sheet = await renderLabelSheet({
+      items,
+      template,
+      symbology: data.symbology || "CODE128",
+      showPrice: data.showPrice !== false,
+      showFlashSalePrice: data.showFlashSalePrice !== false,
+      showAttributes: data.showAttributes !== false,
+    });
+
+    if (data.format === "json") {
+      return res.json({
+        ok: true,
+        template,
+        labelCount: sheet.labelCount,
+        missing,
+        warnings: sheet.warnings,
+        html: sheet.html,
+      });
+    }
+
+    const nonce = crypto.randomBytes(16).toString("base64");
+    let html = sheet.html;
+    if (data.autoPrint) {
+      html = html.replace(
+        "</body>",
+        `<script nonce="${nonce}">
+          window.addEventListener('load', function() { setTimeout(function() { window.print(); }, 500); });
+        </script></body>`
+      );
+    }
+
+    res.setHeader(
+      "Content-Security-Policy",
+      `script-src 'self' 'nonce-${nonce}'; style-src 'self' 'unsafe-inline'; img-src 'self' data:;`
+    );
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.send(html);
+  })
+);
+
+/**
+ * =========================
+ * POST /api/labels/barcodes/generate
+ * Cấp EAN-13 nội bộ (có số kiểm tra) cho variant chưa có barcode
+ * =========================
+ * Body: { variantIds: [] } - variant đã có barcode được bỏ qua
+ */
+router.post(
+  "/barcodes/generate",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({ variantIds: z.array(z.string().min(1)).min(1).max(500) })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+    if (body.data.variantIds.some((id) => !isValidObjectId(id))) {
+      return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
+    }
+
+    let assigned;
+    try {
+      assigned = await assignInternalEan13(body.data.variantIds);
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(409).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
+    let version = null;
+    for (const a of assigned) {
+      version = await nextVersion();
+      await ChangeLog.create({ branchId: null, collection: "productvariants", docId: a.variantId, action: "UPSERT", version });
+    }
+
+    res.json({
+      ok: true,
+      assigned,
+      skipped: body.data.variantIds.length - assigned.length,
+      version,
+    });
+  })
+);
+
+module.exports = router;
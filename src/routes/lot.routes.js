@@ -0,0 +1,135 @@
+// src/routes/lot.routes.js
+const router = require("express").Router();
+const mongoose = require("mongoose");
+
+const StockLot = require("../models/StockLot");
+const VariantStock = require("../models/VariantStock");
+const ProductVariant = require("../models/ProductVariant");
+const Branch = require("../models/Branch");
+
+const { authRequired } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { resolveBranchId } = require("../utils/resolveBranchId");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function loadVariantMap(variantIds) {
+  const variants = await ProductVariant.find({ _id: { $in: variantIds } })
+    .select("_id productId sku barcode name attributes")
+    .lean();
+  return new Map(variants.map((v) => [String(v._id), v]));
+}
+
+/**
+ * =========================
+ * GET /api/lots
+ * Danh sách lô theo chi nhánh / variant
+ * =========================
+ * Query:
+ *  - branchId (STAFF bị khoá theo token)
+ *  - variantId
+ *  - includeEmpty=true: gồm cả lô đã hết
+ *
+ * Trả thêm untrackedQty = VariantStock.qty - sum(lot.qty) khi lọc theo variantId
+ */
+router.get(
+  "/",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const branchId = resolveBranchId(req);
+    const variantId = String(req.query.variantId || "").trim();
+    const includeEmpty = String(req.query.includeEmpty || "") === "true";
+
+    const filter = {};
+    if (branchId) filter.branchId = branchId;
+    if (variantId) {
+      if (!mongoose.isValidObjectId(variantId)) return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
+      filter.variantId = variantId;
+    }
+    if (!includeEmpty) filter.qty = { $gt: 0 };
+
+    const lots = await StockLot.find(filter).sort({ expiryDate: 1, receivedAt: 1 }).limit(1000).lean();
+    const vMap = await loadVariantMap([...new Set(lots.map((l) => String(l.variantId)))]);
+
+    const items = lots.map((l) => ({ ...l, variant: vMap.get(String(l.variantId)) || null }));
+
+    let summary = null;
+    if (variantId) {
+      const stFilter = { variantId };
+      if (branchId) stFilter.branchId = branchId;
+      const stocks = await VariantStock.find(stFilter).select("qty").lean();
+
+      const totalQty = stocks.reduce((s, x) => s + Number(x.qty || 0), 0);
+      const lotQty = lots.reduce((s, x) => s + Number(x.qty || 0), 0);
+      summary = { totalQty, lotQty, untrackedQty: Math.max(0, totalQty - lotQty) };
+    }
+
+    res.json({ ok: true, branchId: branchId || "all", items, summary });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/lots/expiring
+ * Lô sắp hết hạn trong N ngày (gồm cả lô đã hết hạn còn tồn), nhóm theo chi nhánh
+ * =========================
+ * Query:
+ *  - days (default 30)
+ *  - branchId (STAFF bị khoá theo token)
+ */
+router.get(
+  "/expiring",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const branchId = resolveBranchId(req);
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 0), 3650);
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const until = new Date(today.getTime() + days * DAY_MS);
+
+    const filter = { qty: { $gt: 0 }, expiryDate: { $ne: null, $lte: until } };
+    if (branchId) filter.branchId = branchId;
+
+    const lots = await StockLot.find(filter).sort({ expiryDate: 1 }).limit(5000).lean();
+
+    const [vMap, branches] = await Promise.all([
+      loadVariantMap([...new Set(lots.map((l) => String(l.variantId)))]),
+      Branch.find({ _id: { $in: [...new Set(lots.map((l) => String(l.branchId)))] } })
+        .select("_id code name")
+        .lean(),
+    ]);
+    const bMap = new Map(branches.map((b) => [String(b._id), b]));
+
+    const groups = new Map();
+    for (const l of lots) {
+      const key = String(l.branchId);
+      if (!groups.has(key)) {
+        groups.set(key, { branch: bMap.get(key) || { _id: l.branchId }, totalQty: 0, expiredQty: 0, items: [] });
+      }
+      const g = groups.get(key);
+
+      const daysLeft = Math.floor((new Date(l.expiryDate).getTime() - today.getTime()) / DAY_MS);
+      const v = vMap.get(String(l.variantId));
+
+      g.totalQty += Number(l.qty || 0);
+      if (daysLeft < 0) g.expiredQty += Number(l.qty || 0);
+      g.items.push({
+        lotId: l._id,
+        lotNo: l.lotNo,
+        expiryDate: l.expiryDate,
+        daysLeft,
+        expired: daysLeft < 0,
+        qty: l.qty,
+        cost: l.cost,
+        variantId: l.variantId,
+        sku: v?.sku || "",
+        name: v?.name || "",
+      });
+    }
+
+    res.json({ ok: true, days, until, branches: [...groups.values()] });
+  })
+);
+
+module.exports = router;
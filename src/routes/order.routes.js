@@ -8,7 +8,6 @@ const Product = require("../models/Product");
 const ProductVariant = require("../models/ProductVariant");
 const Customer = require("../models/Customer");
 const Stock = require("../models/Stock");
-const VariantStock = require("../models/VariantStock");
 const LoyaltySetting = require("../models/LoyaltySetting");
 const FlashSale = require("../models/FlashSale"); // ✅ ADD
 
@@ -22,6 +21,36 @@ const { revertEarnPointsForOrder } = require("../utils/points");
 // ✅ loyalty engine: MUST handle EARN + REDEEM idempotently inside service
 const { onOrderConfirmedOrDone } = require("../services/loyalty.service");
 
+// ✅ lot / expiry (FEFO)
+const { consumeLotsFEFO, consumeSpecificLots, restoreLots } = require("../services/lot.service");
+
+// ✅ sổ kho: mọi thay đổi tồn qua stock service
+const { applyStockChanges, allowsNegativeStock, findShortages } = require("../services/stock.service");
+
+// ✅ xuất kho đơn online nhiều chi nhánh
+const { planFulfillment, mergeAllocations, getFulfillmentConfig } = require("../services/fulfillment.service");
+
+// ✅ stock reservation (online PENDING)
+const { convertReservation, releaseReservation } = require("../services/reservation.service");
+
+// ✅ promotion engine
+const { applyPromotions, summarizePromotions } = require("../services/promotion.service");
+
+// ✅ Giá vốn bình quân: chốt giá vốn dòng hàng lúc xuất kho
+const { snapshotItemCosts } = require("../services/costing.service");
+const { expandBundleLines } = require("../services/bundle.service");
+const { findUnit, unitSellPrice, applyUnitToLine } = require("../services/unit.service");
+const { notifyLowStock } = require("../services/reorder.service");
+
+// ✅ coupon engine
+const {
+  calcCouponDiscount,
+  validateCoupon,
+  buildCouponSnapshot,
+  consumeCouponForOrder,
+  releaseCouponForOrder,
+} = require("../services/coupon.service");
+
 /**
  * ===============================
  * Redeem policy (Admin config)
@@ -329,7 +358,8 @@ async function buildOrderItems(itemsIn, opts = {}) {
   const tierAgencyId = String(opts?.tierAgencyId || "").trim();
   const productCache = opts?.productCache || new Map();
 
-  for (const item of itemsIn) {
+  // dòng quà tặng do engine sinh ra -> không nhận từ client
+  for (const item of (itemsIn || []).filter((x) => !x?.isGift)) {
     const productId = item.productId || item.itemId;
     const qty = Number(item.qty || 0);
 
@@ -356,7 +386,7 @@ async function buildOrderItems(itemsIn, opts = {}) {
 
     // Find variant
     const variant = await ProductVariant.findById(variantId)
-      .select("_id productId sku name price price_tier attributes isActive activeFlashSaleId flashSalePrice flashSaleEndDate")
+      .select("_id productId sku name price price_tier attributes isActive activeFlashSaleId flashSalePrice flashSaleEndDate baseUnit units")
       .lean();
 
     if (!variant || !variant.isActive) {
@@ -366,6 +396,9 @@ async function buildOrderItems(itemsIn, opts = {}) {
       throw err;
     }
 
+    // ✅ Đơn vị bán (hộp / thùng): qty nhập theo đơn vị bán, dòng hàng lưu theo đơn vị gốc
+    const unit = findUnit(variant, item.unitCode);
+
     let price = 0;
     let flashSaleId = null;
     let isFlashSale = false;
@@ -376,7 +409,9 @@ async function buildOrderItems(itemsIn, opts = {}) {
     // ✅ CHECK FLASH SALE FIRST (highest priority)
     const now = new Date();
     
+    // flash sale chỉ áp cho đơn vị gốc
     if (
+      !unit &&
       variant.activeFlashSaleId && 
       variant.flashSalePrice && 
       variant.flashSaleEndDate && 
@@ -438,15 +473,25 @@ async function buildOrderItems(itemsIn, opts = {}) {
       discountAmount = 0;
     }
 
+    let line = { qty, price, total: qty * price, unit: null };
+    if (unit) {
+      line = applyUnitToLine({ unit, unitQty: qty, unitPrice: unitSellPrice(unit, price, tierAgencyId) });
+      originalPrice = line.price;
+    }
+
     items.push({
       variantId: variant._id,
       productId: variant.productId,
       sku: variant.sku || "",
       name: variant.name || "",
       attributes: variant.attributes || [],
-      qty,
-      price,
-      total: qty * price,
+      qty: line.qty,
+      price: line.price,
+      total: line.total,
+
+      // ✅ Đơn vị: bán theo unit -> giữ cả SL unit + SL đơn vị gốc
+      baseUnit: variant.baseUnit || "",
+      unit: line.unit,
       
       // ✅ Flash sale metadata
       flashSaleId: flashSaleId || null,
@@ -459,6 +504,11 @@ async function buildOrderItems(itemsIn, opts = {}) {
     });
   }
 
+  // ✅ Promotion engine chạy sau giá flash sale / giá sỉ
+  if (opts?.promotions !== false) {
+    await applyPromotions(items, { channel: opts?.channel || "POS", branchId: opts?.branchId || null });
+  }
+
   return items;
 }
 
@@ -470,7 +520,8 @@ async function buildOrderItems(itemsIn, opts = {}) {
 async function allocatePosStockSingleBranch({ branchId, items }) {
   const allocations = [];
 
-  for (const it of items) {
+  // ✅ combo -> trừ kho các variant thành phần
+  for (const it of await expandBundleLines(items)) {
     const qty = Number(it.qty || 0);
     if (qty <= 0) continue;
 
@@ -479,52 +530,146 @@ async function allocatePosStockSingleBranch({ branchId, items }) {
       variantId: it.variantId,
       productId: it.productId,
       qty,
+      bundleVariantId: it.bundleVariantId || null,
+      sku: it.sku,
+      name: it.name,
     });
   }
 
   return allocations;
 }
 
-async function allocateOnlineStockMainOnly({ mainBranchId, items }) {
-  if (!mainBranchId) {
-    const err = new Error("MISSING_MAIN_BRANCH_ID");
-    err.code = "MISSING_MAIN_BRANCH_ID";
-    throw err;
+/**
+ * ===============================
+ * ⭐ Apply stock delta - VARIANT-BASED
+ * ===============================
+ * ctx: { refId, code, userId, note?, items?, allowNegative? } -> sổ kho (SALE khi trừ, RETURN khi hoàn)
+ * - allowNegative: true | Set branchId cho âm (đơn online xuất nhiều chi nhánh)
+ * - trừ kho ở chi nhánh không cho âm: thiếu khả dụng -> throw NOT_ENOUGH_STOCK (err.shortages)
+ * @returns shortages: dòng đã xuất vượt khả dụng (chỉ ở chi nhánh cho âm) -> gắn cờ đơn
+ */
+async function applyStockDelta(allocations, sign /* -1 subtract, +1 restore */, ctx = {}) {
+  const valid = (allocations || []).filter((al) => al.branchId && al.variantId && Number(al.qty || 0) > 0);
+  const meta = new Map((ctx.items || []).map((it) => [String(it.variantId), it]));
+
+  const toLine = (al) => ({
+    branchId: al.branchId,
+    variantId: al.variantId,
+    qty: Number(al.qty) * Number(sign || 0),
+    sku: al.sku || meta.get(String(al.variantId))?.sku || "",
+    name: al.name || meta.get(String(al.variantId))?.name || "",
+  });
+  const opts = {
+    type: sign < 0 ? "SALE" : "RETURN",
+    refType: "Order",
+    refId: ctx.refId,
+    userId: ctx.userId,
+    note: ctx.note || `${sign < 0 ? "SALE" : "CANCEL"} ${ctx.code || ""}`.trim(),
+  };
+  const allowsNegative = (al) =>
+    ctx.allowNegative instanceof Set ? ctx.allowNegative.has(String(al.branchId)) : ctx.allowNegative === true;
+
+  let done;
+  if (sign < 0) {
+    // dòng ở chi nhánh không cho âm trừ trước: thiếu -> throw khi chưa đụng tới dòng cho âm
+    const guarded = valid.filter((al) => !allowsNegative(al));
+    const free = valid.filter(allowsNegative);
+    done = [
+      ...(guarded.length ? await applyStockChanges(guarded.map(toLine), { ...opts, guard: true }) : []),
+      ...(free.length ? await applyStockChanges(free.map(toLine), opts) : []),
+    ];
+  } else {
+    done = await applyStockChanges(valid.map(toLine), opts);
   }
 
-  const allocations = [];
-
-  for (const it of items) {
-    const qty = Number(it.qty || 0);
-    if (qty <= 0) continue;
-
-    allocations.push({
-      branchId: String(mainBranchId),
-      variantId: it.variantId,
-      productId: it.productId,
-      qty,
-    });
+  for (const al of valid) {
+    // ✅ Lô: xuất FEFO / hoàn lại đúng lô đã xuất
+    if (sign < 0) {
+      al.lots = await consumeLotsFEFO({ branchId: al.branchId, variantId: al.variantId, qty: Number(al.qty) });
+    } else if (Array.isArray(al.lots) && al.lots.length) {
+      await restoreLots({
+        branchId: al.branchId,
+        variantId: al.variantId,
+        lots: al.lots.map((l) => ({ ...l, qty: Number(l.qty || 0) - Number(l.returnedQty || 0) })),
+        source: { type: "Order" },
+      });
+      al.lots = [];
+    }
   }
 
-  return allocations;
+  return done
+    .filter((d) => d.qty < 0 && d.before - d.reserved < -d.qty)
+    .map((d) => ({
+      branchId: d.branchId,
+      variantId: d.variantId,
+      sku: d.sku,
+      name: d.name,
+      requested: -d.qty,
+      available: Math.max(0, d.before - d.reserved),
+    }));
 }
 
 /**
  * ===============================
- * ⭐ Apply stock delta - VARIANT-BASED
+ * ✅ NEGATIVE STOCK POLICY (Branch.posConfig.allowNegativeStock)
  * ===============================
+ * - không cho âm: thiếu khả dụng -> 409 NOT_ENOUGH_STOCK + shortages theo dòng (chặn trước khi tạo / chốt đơn)
+ * - cho âm: vẫn bán, đơn gắn cờ negativeStock để theo dõi
  */
-async function applyStockDelta(allocations, sign /* -1 subtract, +1 restore */) {
-  for (const al of allocations || []) {
-    const qty = Number(al.qty || 0) * Number(sign || 0);
-    if (!al.branchId || !al.variantId || !qty) continue;
-
-    await VariantStock.findOneAndUpdate(
-      { branchId: al.branchId, variantId: al.variantId },
-      { $inc: { qty } },
-      { upsert: true, new: true }
-    );
+async function checkNegativeStockPolicy({ branchId, items, extraAvailable = null }) {
+  const allowNegative = await allowsNegativeStock(branchId);
+  if (allowNegative) return { allowNegative, shortages: [] };
+
+  const lines = await expandBundleLines(
+    (items || []).map((it) => ({ variantId: it.variantId, qty: it.qty, sku: it.sku, name: it.name }))
+  );
+  const shortages = await findShortages(branchId, lines, extraAvailable);
+  return { allowNegative, shortages };
+}
+
+/**
+ * Báo phiếu soạn hàng mới cho từng chi nhánh xuất của đơn online
+ */
+async function emitPickList(req, order) {
+  const io = req.app.get("io");
+  // thành phần combo không nằm trong order.items -> lấy sku / tên từ variant
+  const known = new Set(order.items.map((x) => String(x.variantId)));
+  const missing = (order.stockAllocations || []).map((al) => al.variantId).filter((id) => !known.has(String(id)));
+  const comps = missing.length
+    ? await ProductVariant.find({ _id: { $in: missing } }).select("_id sku name").lean()
+    : [];
+  const info = new Map([...order.items, ...comps.map((v) => ({ ...v, variantId: v._id }))].map((x) => [String(x.variantId), x]));
+
+  const byBranch = new Map();
+  for (const al of order.stockAllocations || []) {
+    const key = String(al.branchId);
+    if (!byBranch.has(key)) byBranch.set(key, []);
+    const it = info.get(String(al.variantId));
+    byBranch.get(key).push({ variantId: al.variantId, sku: it?.sku || "", name: it?.name || "", qty: al.qty });
   }
+  for (const [branchId, lines] of byBranch) {
+    io?.to(`branch:${branchId}`).emit("pickListAssigned", { orderId: String(order._id), code: order.code, lines });
+  }
+}
+
+function flagNegativeStock(req, order, shortages) {
+  if (!shortages?.length) return;
+
+  order.negativeStock = {
+    flagged: true,
+    lines: shortages,
+    flaggedAt: new Date(),
+    resolvedAt: null,
+    resolvedById: null,
+    resolveNote: "",
+  };
+
+  const branchId = String(shortages[0].branchId || order.branchId || "");
+  req.app.get("io")?.to(`branch:${branchId}`).emit("negativeStockSale", {
+    orderId: String(order._id),
+    code: order.code,
+    lines: shortages,
+  });
 }
 
 /**
@@ -615,6 +760,218 @@ async function recheckFlashSaleAvailability(items) {
   }
 }
 
+/**
+ * ===============================
+ * ⭐ Return helpers (partial return)
+ * ===============================
+ */
+const RETURNABLE_STATUSES = ["CONFIRM", "SHIPPED"];
+
+/**
+ * Map request lines -> order items, kiểm tra số lượng còn được trả
+ * @returns [{ item, variantId, qty }]
+ */
+function pickReturnLines(order, itemsIn) {
+  const merged = new Map();
+  for (const x of itemsIn || []) {
+    const vid = String(x.variantId || "");
+    merged.set(vid, (merged.get(vid) || 0) + Number(x.qty || 0));
+  }
+
+  const lines = [];
+  for (const [vid, qty] of merged.entries()) {
+    // 1 variant có thể có dòng mua + dòng quà tặng -> trả dòng mua trước
+    const matched = (order.items || [])
+      .filter((it) => String(it.variantId) === vid)
+      .sort((a, b) => Number(!!a.isGift) - Number(!!b.isGift));
+    if (!matched.length) {
+      const err = new Error("RETURN_ITEM_NOT_IN_ORDER");
+      err.code = "RETURN_ITEM_NOT_IN_ORDER";
+      err.detail = `variantId=${vid}`;
+      throw err;
+    }
+
+    const remaining = matched.reduce((s, it) => s + Number(it.qty || 0) - Number(it.returnedQty || 0), 0);
+    if (qty > remaining) {
+      const err = new Error("RETURN_QTY_EXCEEDED");
+      err.code = "RETURN_QTY_EXCEEDED";
+      err.detail = `${matched[0].name || matched[0].sku}: còn trả được ${remaining}, yêu cầu ${qty}`;
+      throw err;
+    }
+
+    let left = qty;
+    for (const item of matched) {
+      const take = Math.min(left, Number(item.qty || 0) - Number(item.returnedQty || 0));
+      if (take <= 0) continue;
+      lines.push({ item, variantId: item.variantId, qty: take });
+      left -= take;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Kho nhận hàng trả: body.branchId > order.branchId > branch đã trừ kho > kho chính (cấu hình xuất kho)
+ */
+async function resolveReturnBranchId(order, branchIdIn) {
+  const fromBody = String(branchIdIn || "").trim();
+  if (fromBody) return fromBody;
+  if (order.branchId) return String(order.branchId);
+
+  const al = (order.stockAllocations || [])[0];
+  if (al?.branchId) return String(al.branchId);
+
+  return (await getFulfillmentConfig()).mainBranchId;
+}
+
+function pickDeliveryContact(order) {
+  return {
+    receiverName: order.delivery?.receiverName || "",
+    receiverPhone: order.delivery?.receiverPhone || "",
+  };
+}
+
+/**
+ * Tiền hoàn gợi ý = giá trị dòng * (tiền hàng thực trả / subtotal)
+ * (phân bổ discount + đổi điểm theo tỉ lệ, không hoàn extraFee)
+ */
+function calcReturnRefund(order, lines) {
+  const subtotal = moneyInt(order.subtotal);
+  // giá trị dòng sau khuyến mãi (item.total đã trừ promotionDiscount, quà tặng = 0)
+  const lineValue = lines.reduce(
+    (s, l) => s + (l.qty * Number(l.item.total || 0)) / Math.max(1, Number(l.item.qty || 0)),
+    0
+  );
+  if (subtotal <= 0) return 0;
+
+  const net = Math.max(
+    0,
+    subtotal - moneyInt(order.discount) - moneyInt(order.couponDiscount) - moneyInt(order.pointsRedeemAmount)
+  );
+  return moneyInt((lineValue * net) / subtotal);
+}
+
+/**
+ * Nhập lại kho hàng trả (trả hàng / đổi hàng)
+ * @returns dòng đã nhập [{ variantId, qty, lots }] -> revertRestockReturnLines khi cần huỷ
+ */
+async function restockReturnLines({ order, lines: returnLines, branchId, returnCode, userId, kind = "RETURN" }) {
+  // combo trả về -> nhập lại các variant thành phần
+  const lines = await expandBundleLines(returnLines.map((l) => ({ variantId: l.variantId, qty: l.qty })));
+
+  await applyStockChanges(
+    lines.map((l) => ({ branchId, variantId: l.variantId, qty: l.qty })),
+    { type: "RETURN", refType: "Order", refId: order._id, userId, note: `${kind} ${returnCode} (${order.code})` }
+  );
+
+  const restocked = [];
+  for (const l of lines) {
+    // ✅ Lô: hàng trả về đúng lô đã xuất của đơn (phần chưa theo lô bỏ qua)
+    let left = l.qty;
+    const lots = [];
+    for (const al of order.stockAllocations || []) {
+      if (String(al.variantId) !== String(l.variantId)) continue;
+      for (const lot of al.lots || []) {
+        if (left <= 0) break;
+        const take = Math.min(left, Number(lot.qty || 0) - Number(lot.returnedQty || 0));
+        if (take <= 0) continue;
+        lot.returnedQty = Number(lot.returnedQty || 0) + take;
+        lots.push({ lotNo: lot.lotNo, expiryDate: lot.expiryDate, qty: take });
+        left -= take;
+      }
+    }
+    const restored = await restoreLots({
+      branchId,
+      variantId: l.variantId,
+      lots,
+      source: { type: "Return", id: order._id, code: returnCode },
+    });
+    restocked.push({ variantId: l.variantId, qty: l.qty, lots: restored });
+  }
+  return restocked;
+}
+
+/**
+ * Huỷ phần đã nhập của restockReturnLines (đổi hàng lỗi giữa chừng)
+ * - lô đã bị xuất mất trong lúc đó -> trừ FEFO
+ */
+async function revertRestockReturnLines({ order, restocked, branchId, returnCode, userId, kind = "RETURN" }) {
+  await applyStockChanges(
+    restocked.map((l) => ({ branchId, variantId: l.variantId, qty: -l.qty })),
+    { type: "RETURN", refType: "Order", refId: order._id, userId, note: `HUỶ ${kind} ${returnCode} (${order.code})` }
+  );
+
+  for (const l of restocked) {
+    if (!l.lots.length) continue;
+    try {
+      await consumeSpecificLots({ branchId, variantId: l.variantId, lots: l.lots });
+    } catch (e) {
+      if (e?.code !== "LOT_NOT_ENOUGH") throw e;
+      const qty = l.lots.reduce((s, x) => s + Number(x.qty || 0), 0);
+      await consumeLotsFEFO({ branchId, variantId: l.variantId, qty });
+    }
+  }
+}
+
+/**
+ * Đơn đã trả hết mọi dòng -> REFUNDED (hoàn lại điểm đã đổi như luồng PATCH status)
+ * - dùng chung cho trả hàng + đổi hàng, gọi trước order.save()
+ * @returns true nếu đơn vừa chuyển REFUNDED
+ */
+async function settleFullyReturned({ order, userId, note = "" }) {
+  const fullyReturned = order.items.every((it) => Number(it.returnedQty || 0) >= Number(it.qty || 0));
+  if (!fullyReturned) return false;
+
+  order.status = "REFUNDED";
+  order.refundedAt = new Date();
+  order.refundNote = note || order.refundNote || "";
+
+  await revertEarnPointsForOrder({
+    order,
+    userId,
+    reason: "REVERT_EARN_RETURNED",
+  });
+
+  const ptsRedeemed = Number(order.pointsRedeemed || 0);
+  if (ptsRedeemed > 0 && order.pointsRedeemedAt && !order.pointsRedeemRevertedAt && order.customerId) {
+    await Customer.findByIdAndUpdate(order.customerId, { $inc: { points: +ptsRedeemed } });
+    order.pointsRedeemRevertedAt = new Date();
+  }
+
+  await releaseCouponForOrder(order);
+  return true;
+}
+
+/**
+ * Trừ điểm đã tích theo tỉ lệ refundAmount / order.total (không trừ dưới 0)
+ * - Cập nhật order.pointsEarned + loyalty.earnedPoints để revertEarnPointsForOrder không trừ trùng
+ */
+async function revertEarnPointsPartial({ order, refundAmount }) {
+  const earned = Number(order.pointsEarned || 0);
+  const appliedAt = order.pointsAppliedAt || order.loyaltyAppliedAt || order.loyalty?.earnedAt;
+  if (!order.customerId || !appliedAt || earned <= 0) return 0;
+  if (order.pointsRevertedAt || order.loyalty?.revertedAt) return 0;
+
+  const remainingValue = Math.max(0, moneyInt(order.total) - moneyInt(order.returnedAmount));
+  if (remainingValue <= 0) return 0;
+
+  const ratio = Math.min(1, refundAmount / remainingValue);
+  const pts = Math.min(earned, Math.floor(earned * ratio));
+  if (pts <= 0) return 0;
+
+  const customer = await Customer.findById(order.customerId);
+  if (customer) {
+    customer.points = Math.max(0, Number(customer.points || 0) - pts);
+    await customer.save();
+  }
+
+  order.pointsEarned = earned - pts;
+  if (order.loyalty) order.loyalty.earnedPoints = order.pointsEarned;
+
+  return pts;
+}
+
 /**
  * ===============================
  * Payments helpers
@@ -734,10 +1091,19 @@ router.get(
     const page = Math.max(parseInt(req.query.page) || 1, 1);
     const skip = (page - 1) * limit;
 
+    // negativeStock=open (chưa xử lý) | all (mọi đơn từng bán âm kho)
+    const negativeStock = String(req.query.negativeStock || "").trim();
+
     const filter = {};
     if (channel) filter.channel = channel;
     if (status) filter.status = status;
     if (branchId) filter.branchId = branchId;
+    if (negativeStock === "open") {
+      filter["negativeStock.flagged"] = true;
+      filter["negativeStock.resolvedAt"] = null;
+    } else if (negativeStock === "all") {
+      filter["negativeStock.flagged"] = true;
+    }
 
     if (dateFrom || dateTo) {
       filter.createdAt = {};
@@ -750,6 +1116,7 @@ router.get(
         { code: { $regex: q, $options: "i" } },
         { "delivery.receiverPhone": { $regex: q, $options: "i" } },
         { "delivery.receiverName": { $regex: q, $options: "i" } },
+        { "exchange.fromOrderCode": { $regex: q, $options: "i" } },
       ];
     }
 
@@ -782,6 +1149,61 @@ router.get(
   })
 );
 
+/**
+ * ===============================
+ * POST /api/orders/preview
+ * Xem trước giỏ hàng: giá flash sale / giá sỉ + khuyến mãi (không tạo đơn)
+ * ===============================
+ */
+router.post(
+  "/preview",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        channel: z.enum(["POS", "ONLINE"]).default("POS"),
+        branchId: z.string().optional(),
+        customerId: z.string().optional(),
+        items: z
+          .array(
+            z.object({
+              productId: z.string().optional(),
+              itemId: z.string().optional(),
+              qty: z.number().positive(),
+              unitCode: z.string().optional(),
+            })
+          )
+          .min(1),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+    const data = body.data;
+
+    let tierAgencyId = "";
+    if (data.customerId && mongoose.isValidObjectId(data.customerId)) {
+      const customer = await Customer.findById(data.customerId).select("tierAgencyId").lean();
+      tierAgencyId = String(customer?.tierAgencyId || "").trim();
+    }
+
+    let items;
+    try {
+      items = await buildOrderItems(data.items, {
+        tierAgencyId,
+        productCache: new Map(),
+        channel: data.channel,
+        branchId: data.branchId || req.user?.branchId || null,
+      });
+    } catch (e) {
+      if (e?.code !== "UNIT_NOT_FOUND") throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
+    const subtotal = moneyInt(items.reduce((s, it) => s + Number(it.total || 0), 0));
+    res.json({ ok: true, items, subtotal, ...summarizePromotions(items) });
+  })
+);
+
 /**
  * ===============================
  * POST /api/orders
@@ -822,6 +1244,7 @@ router.post(
         discount: z.number().nonnegative().optional(),
         extraFee: z.number().nonnegative().optional(),
         pricingNote: z.string().optional(),
+        couponCode: z.string().optional(),
 
         payments: z
           .array(
@@ -853,6 +1276,7 @@ router.post(
             z.object({
               productId: z.string(),
               qty: z.number().int().positive(),
+              unitCode: z.string().optional(), // qty theo đơn vị này (bỏ trống = đơn vị gốc)
             })
           )
           .min(1),
@@ -943,8 +1367,23 @@ router.post(
 
     // ✅ Build items with flash sale checking
     const productCache = new Map();
-    const items = await buildOrderItems(data.items, { tierAgencyId, productCache });
+    let items;
+    try {
+      items = await buildOrderItems(data.items, {
+        tierAgencyId,
+        productCache,
+        channel: data.channel,
+        branchId: data.branchId || null,
+      });
+    } catch (e) {
+      if (e?.code !== "UNIT_NOT_FOUND") throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
     const subtotal = moneyInt(items.reduce((s, it) => s + Number(it.total || 0), 0));
+    const { promotionDiscount, appliedPromotions } = summarizePromotions(items);
+
+    // POS trừ kho ngay khi tạo -> chốt giá vốn luôn (ONLINE chốt lúc confirm)
+    const costTotal = data.channel === "POS" ? await snapshotItemCosts(items, data.branchId || null) : 0;
 
     const discount = moneyInt(data.discount || 0);
     const extraFee = moneyInt(data.extraFee || 0);
@@ -953,6 +1392,26 @@ router.post(
       return res.status(400).json({ ok: false, message: `discount cannot exceed subtotal (${subtotal})` });
     }
 
+    // ✅ Coupon: validate server-side, snapshot lên order
+    let coupon = null;
+    let couponDiscount = 0;
+    if (String(data.couponCode || "").trim()) {
+      try {
+        const r = await validateCoupon({
+          code: data.couponCode,
+          baseAmount: subtotal - discount,
+          branchId: data.branchId || null,
+          channel: data.channel,
+          phone: receiverPhone || customerDoc?.phone || "",
+        });
+        couponDiscount = r.discountAmount;
+        coupon = buildCouponSnapshot(r.coupon, couponDiscount, receiverPhone || customerDoc?.phone || "");
+      } catch (e) {
+        if (!String(e?.code || "").startsWith("COUPON_")) throw e;
+        return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+      }
+    }
+
     let payments = [];
     if (Array.isArray(data.payments) && data.payments.length) {
       payments = normalizePayments(data.payments);
@@ -981,7 +1440,7 @@ router.post(
       if (requestedStatus === "CONFIRM" && customerId && requestedRedeemPoints > 0) {
         const policy = await getRedeemPolicy({ branchId: String(data.branchId || "") });
 
-        const baseAmount = Math.max(0, subtotal - discount + extraFee);
+        const baseAmount = Math.max(0, subtotal - discount - couponDiscount + extraFee);
         const customerPoints = Number(customerDoc?.points || 0);
 
         const r = calcRedeem({
@@ -1002,7 +1461,7 @@ router.post(
       }
     }
 
-    const total = Math.max(0, subtotal - discount - pointsRedeemAmount + extraFee);
+    const total = Math.max(0, subtotal - discount - couponDiscount - pointsRedeemAmount + extraFee);
 
     if (data.channel === "POS") {
       if (requestedStatus === "PENDING") {
@@ -1032,6 +1491,15 @@ router.post(
       }
     }
 
+    // ✅ Âm kho: chi nhánh không cho âm -> chặn trước khi tạo đơn
+    let stockPolicy = { allowNegative: false, shortages: [] };
+    if (data.channel === "POS") {
+      stockPolicy = await checkNegativeStockPolicy({ branchId: data.branchId, items });
+      if (stockPolicy.shortages.length) {
+        return res.status(409).json({ ok: false, message: "NOT_ENOUGH_STOCK", shortages: stockPolicy.shortages });
+      }
+    }
+
     const order = await Order.create({
       code: genOrderCode(data.channel === "POS" ? "POS" : "ADM"),
       channel: data.channel,
@@ -1045,12 +1513,19 @@ router.post(
       extraFee,
       pricingNote: data.pricingNote || "",
 
+      promotionDiscount,
+      appliedPromotions,
+
+      coupon,
+      couponDiscount,
+
       pointsRedeemed,
       pointsRedeemAmount,
       pointsRedeemedAt: null,
       pointsRedeemRevertedAt: null,
 
       total,
+      costTotal,
 
       items,
       payments,
@@ -1081,14 +1556,42 @@ router.post(
     });
 
     if (data.channel === "POS") {
+      // ✅ Coupon: CONFIRM/DEBT đã chốt đơn -> tính lượt dùng
+      if ((requestedStatus === "CONFIRM" || requestedStatus === "DEBT") && order.coupon) {
+        try {
+          await consumeCouponForOrder(order);
+        } catch (e) {
+          await Order.deleteOne({ _id: order._id });
+          if (!String(e?.code || "").startsWith("COUPON_")) throw e;
+          return res.status(409).json({ ok: false, message: e.code, detail: e.detail });
+        }
+      }
+
       const needItems = order.items.map((x) => ({ variantId: x.variantId, productId: x.productId, qty: x.qty }));
       const allocations = await allocatePosStockSingleBranch({
         branchId: String(order.branchId),
         items: needItems,
       });
 
-      await applyStockDelta(allocations, -1);
+      let shortages = [];
+      try {
+        shortages = await applyStockDelta(allocations, -1, {
+          refId: order._id,
+          code: order.code,
+          userId: req.user.sub || null,
+          items: order.items,
+          allowNegative: stockPolicy.allowNegative,
+        });
+      } catch (e) {
+        if (e?.code !== "NOT_ENOUGH_STOCK") throw e;
+        // tồn bị bán mất giữa lúc kiểm tra và trừ kho -> bỏ đơn vừa tạo
+        await releaseCouponForOrder(order);
+        await Order.deleteOne({ _id: order._id });
+        return res.status(409).json({ ok: false, message: e.code, shortages: e.shortages });
+      }
       order.stockAllocations = allocations;
+      flagNegativeStock(req, order, shortages);
+      await notifyLowStock(req.app.get("io"), allocations);
 
       if (requestedStatus === "CONFIRM" || requestedStatus === "DEBT") {
         order.confirmedAt = new Date();
@@ -1132,9 +1635,6 @@ router.post(
   authRequired,
   requireRole(["ADMIN", "MANAGER", "CASHIER", "STAFF"]),
   asyncHandler(async (req, res) => {
-    const mainBranchId = String(process.env.MAIN_BRANCH_ID || "").trim();
-    if (!mainBranchId) return res.status(500).json({ ok: false, message: "Missing MAIN_BRANCH_ID in .env" });
-
     const body = z
       .object({
         payments: z
@@ -1186,17 +1686,38 @@ router.post(
       const tierAgencyId = String(customer?.tierAgencyId || "").trim();
 
       if (tierAgencyId && mongoose.isValidObjectId(tierAgencyId)) {
-        const itemsIn = (order.items || []).map((it) => ({
-          productId: String(it.variantId || it.productId || ""),
-          qty: Number(it.qty || 0),
-        }));
+        const itemsIn = (order.items || [])
+          .filter((it) => !it.isGift)
+          .map((it) => ({
+            productId: String(it.variantId || it.productId || ""),
+            qty: it.unit?.code ? Number(it.unit.qty || 0) : Number(it.qty || 0),
+            unitCode: it.unit?.code || "",
+          }));
 
         const productCache = new Map();
-        const rebuilt = await buildOrderItems(itemsIn, { tierAgencyId, productCache });
+        let rebuilt;
+        try {
+          rebuilt = await buildOrderItems(itemsIn, {
+            tierAgencyId,
+            productCache,
+            channel: "POS",
+            branchId: order.branchId || null,
+          });
+        } catch (e) {
+          if (e?.code !== "UNIT_NOT_FOUND") throw e;
+          return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+        }
 
         const newSubtotal = moneyInt(rebuilt.reduce((s, it) => s + Number(it.total || 0), 0));
         order.items = rebuilt;
         order.subtotal = newSubtotal;
+        Object.assign(order, summarizePromotions(rebuilt));
+
+        // giá đổi -> tính lại tiền giảm coupon theo snapshot
+        if (order.coupon) {
+          order.couponDiscount = calcCouponDiscount(order.coupon, newSubtotal - moneyInt(order.discount));
+          order.coupon.discountAmount = order.couponDiscount;
+        }
       }
     }
 
@@ -1222,7 +1743,7 @@ router.post(
 
       const baseAmount = Math.max(
         0,
-        moneyInt(order.subtotal) - moneyInt(order.discount) + moneyInt(order.extraFee)
+        moneyInt(order.subtotal) - moneyInt(order.discount) - moneyInt(order.couponDiscount) + moneyInt(order.extraFee)
       );
 
       if (redeemPtsReq > 0) {
@@ -1300,6 +1821,71 @@ router.post(
       order.payments = finalPayments;
     }
 
+    // ✅ Phương án xuất kho + âm kho: kiểm tra trước khi chốt
+    // - ONLINE: theo strategy cấu hình (inventory-settings.fulfillment), hàng đang giữ cho chính đơn tính là khả dụng
+    // - POS: chi nhánh của đơn
+    const hasAllocBefore = Array.isArray(order.stockAllocations) && order.stockAllocations.length > 0;
+    let stockPolicy = { allowNegative: false, shortages: [] };
+    let onlineAllocations = null;
+
+    if (!hasAllocBefore && String(order.channel) === "ONLINE") {
+      const r = order.reservation;
+      const extraAvailable = new Map();
+      if (r?.status === "ACTIVE") {
+        for (const x of r.items || []) {
+          const key = `${x.branchId || r.branchId}:${x.variantId}`;
+          extraAvailable.set(key, (extraAvailable.get(key) || 0) + Number(x.qty || 0));
+        }
+      }
+
+      let plan;
+      try {
+        plan = await planFulfillment({ items: await expandBundleLines(order.items), extraAvailable });
+      } catch (e) {
+        if (e?.code !== "MISSING_MAIN_BRANCH_ID") throw e;
+        return res.status(500).json({ ok: false, message: e.code });
+      }
+
+      if (plan.shortages.length && !(await allowsNegativeStock(plan.mainBranchId))) {
+        return res.status(409).json({
+          ok: false,
+          message: "NOT_ENOUGH_STOCK",
+          shortages: plan.shortages,
+        });
+      }
+
+      // kho chính cho âm -> phần không chi nhánh nào đủ xuất từ kho chính (đơn gắn cờ)
+      onlineAllocations = mergeAllocations([
+        ...plan.allocations,
+        ...plan.unfilled.map((u) => ({ ...u, branchId: plan.mainBranchId })),
+      ]);
+
+      // âm kho xét theo từng chi nhánh xuất: chi nhánh không cho âm vẫn chặn khi tồn bị bán mất sau bước lập phương án
+      const negativeBranchIds = new Set();
+      for (const id of new Set(onlineAllocations.map((a) => String(a.branchId)))) {
+        if (await allowsNegativeStock(id)) negativeBranchIds.add(id);
+      }
+      stockPolicy.allowNegative = negativeBranchIds;
+    } else if (!hasAllocBefore && order.branchId) {
+      stockPolicy = await checkNegativeStockPolicy({ branchId: order.branchId, items: order.items });
+      if (stockPolicy.shortages.length) {
+        return res.status(409).json({ ok: false, message: "NOT_ENOUGH_STOCK", shortages: stockPolicy.shortages });
+      }
+    }
+
+    // ✅ Coupon: tính lượt dùng khi CONFIRM (hết lượt -> không cho confirm)
+    if (order.coupon) {
+      try {
+        await consumeCouponForOrder(order);
+      } catch (e) {
+        if (!String(e?.code || "").startsWith("COUPON_")) throw e;
+        return res.status(409).json({ ok: false, message: e.code, detail: e.detail });
+      }
+    }
+
+    // ✅ Giữ hàng online -> chuyển thành trừ kho thật (bỏ reserved, bước dưới trừ qty)
+    await convertReservation(order);
+
     const hasAlloc = Array.isArray(order.stockAllocations) && order.stockAllocations.length > 0;
 
     if (!hasAlloc) {
@@ -1307,14 +1893,48 @@ router.post(
       let allocations = [];
 
       if (String(order.channel) === "ONLINE") {
-        allocations = await allocateOnlineStockMainOnly({ mainBranchId, items: needItems });
+        allocations = onlineAllocations.map((a) => ({ ...a, pickStatus: "PENDING" }));
       } else {
         if (!order.branchId) return res.status(400).json({ ok: false, message: "POS order missing branchId" });
         allocations = await allocatePosStockSingleBranch({ branchId: order.branchId, items: needItems });
       }
 
-      await applyStockDelta(allocations, -1);
+      let shortages = [];
+      try {
+        shortages = await applyStockDelta(allocations, -1, {
+          refId: order._id,
+          code: order.code,
+          userId: req.user.sub || null,
+          items: order.items,
+          allowNegative: stockPolicy.allowNegative,
+        });
+      } catch (e) {
+        if (e?.code !== "NOT_ENOUGH_STOCK") throw e;
+        // tồn bị bán mất sau bước kiểm tra -> đơn giữ nguyên (không save), chỉ ghi nhận giữ hàng đã nhả
+        await releaseCouponForOrder(order);
+        if (order.reservation?.status === "CONVERTED") {
+          await Order.updateOne(
+            { _id: order._id },
+            {
+              $set: {
+                "reservation.status": "RELEASED",
+                "reservation.releasedAt": new Date(),
+                "reservation.releaseReason": "NOT_ENOUGH_STOCK",
+              },
+            }
+          );
+        }
+        return res.status(409).json({ ok: false, message: e.code, shortages: e.shortages });
+      }
       order.stockAllocations = allocations;
+      flagNegativeStock(req, order, shortages);
+      await notifyLowStock(req.app.get("io"), allocations);
+    }
+
+    // ✅ Giá vốn: chốt khi xuất kho (đơn POS rebuild giá ở trên -> chốt lại)
+    if (order.items.some((it) => it.unitCost == null)) {
+      const costBranchId = order.stockAllocations[0]?.branchId || order.branchId || null;
+      order.costTotal = await snapshotItemCosts(order.items, costBranchId);
     }
 
     order.status = "CONFIRM";
@@ -1323,6 +1943,9 @@ router.post(
 
     await order.save();
 
+    // ✅ Phiếu soạn hàng: báo từng chi nhánh xuất
+    if (String(order.channel) === "ONLINE") await emitPickList(req, order);
+
     // ✅ INCREMENT FLASH SALE SOLD QUANTITY
     await incrementFlashSaleSoldQuantities(order.items);
 
@@ -1345,6 +1968,44 @@ router.post(
   })
 );
 
+/**
+ * ===============================
+ * POST /api/orders/:id/negative-stock/resolve
+ * Đánh dấu đã xử lý đơn bán âm kho (đã nhập bù / kiểm kê lại)
+ * ===============================
+ */
+router.post(
+  "/:id/negative-stock/resolve",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z.object({ note: z.string().optional() }).safeParse(req.body || {});
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const order = await Order.findOneAndUpdate(
+      { _id: req.params.id, "negativeStock.flagged": true, "negativeStock.resolvedAt": null },
+      {
+        $set: {
+          "negativeStock.resolvedAt": new Date(),
+          "negativeStock.resolvedById": req.user.sub || null,
+          "negativeStock.resolveNote": String(body.data.note || ""),
+        },
+      },
+      { new: true }
+    ).lean();
+
+    if (!order) {
+      const exists = await Order.exists({ _id: req.params.id });
+      if (!exists) return res.status(404).json({ ok: false, message: "Order not found" });
+      return res.status(409).json({ ok: false, message: "NEGATIVE_STOCK_NOT_OPEN" });
+    }
+
+    res.json({ ok: true, order });
+  })
+);
+
 /**
  * ===============================
  * POST /api/orders/:id/payments
@@ -1497,7 +2158,8 @@ router.patch(
       const hasAlloc = Array.isArray(order.stockAllocations) && order.stockAllocations.length > 0;
 
       if (isPOS && hasAlloc) {
-        await applyStockDelta(order.stockAllocations, +1);
+        await applyStockDelta(order.stockAllocations, +1, { refId: order._id, code: order.code, userId: req.user.sub || null });
+        await notifyLowStock(req.app.get("io"), order.stockAllocations);
         order.stockAllocations = [];
       }
 
@@ -1515,6 +2177,12 @@ router.patch(
 
       // ✅ DECREMENT FLASH SALE SOLD QUANTITY
       await decrementFlashSaleSoldQuantities(order.items);
+
+      // ✅ trả lại lượt coupon
+      await releaseCouponForOrder(order);
+
+      // ✅ nhả giữ hàng online
+      await releaseReservation(order, "CANCELLED");
     }
 
     if (next === "SHIPPED") {
@@ -1537,8 +2205,18 @@ router.patch(
         order.pointsRedeemRevertedAt = new Date();
       }
 
-      // ✅ DECREMENT FLASH SALE SOLD QUANTITY
-      await decrementFlashSaleSoldQuantities(order.items);
+      // ✅ DECREMENT FLASH SALE SOLD QUANTITY (bỏ phần đã trả qua /returns)
+      await decrementFlashSaleSoldQuantities(
+        order.items.map((it) => ({
+          variantId: it.variantId,
+          flashSaleId: it.flashSaleId,
+          isFlashSale: it.isFlashSale,
+          qty: Number(it.qty || 0) - Number(it.returnedQty || 0),
+        })).filter((it) => it.qty > 0)
+      );
+
+      // ✅ trả lại lượt coupon
+      await releaseCouponForOrder(order);
     }
 
     order.status = next;
@@ -1548,4 +2226,394 @@ router.patch(
   })
 );
 
-module.exports = router;
\ No newline at end of file
+/**
+ * ===============================
+ * POST /api/orders/:id/returns
+ * ===============================
+ * Trả hàng từng dòng (partial return):
+ * - Nhập lại VariantStock tại branch chọn (mặc định branch của order)
+ * - Giảm soldQuantity flash sale theo số lượng trả
+ * - Trừ pointsEarned theo tỉ lệ tiền hoàn
+ * - Trả hết tất cả dòng => order chuyển REFUNDED
+ */
+router.post(
+  "/:id/returns",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER", "CASHIER", "STAFF"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        branchId: z.string().optional(),
+        items: z
+          .array(
+            z.object({
+              variantId: z.string(),
+              qty: z.number().int().positive(),
+            })
+          )
+          .min(1),
+        refundAmount: z.number().nonnegative().optional(),
+        refundMethod: z.enum(["CASH", "BANK", "CARD", "WALLET"]).optional(),
+        note: z.string().optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const data = body.data;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ ok: false, message: "Order not found" });
+
+    if (!RETURNABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        ok: false,
+        message: `Chỉ trả hàng khi status=${RETURNABLE_STATUSES.join("/")}. Current=${order.status}`,
+      });
+    }
+
+    let lines;
+    try {
+      lines = pickReturnLines(order, data.items);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.code || e.message, detail: e.detail });
+    }
+
+    const branchId = await resolveReturnBranchId(order, data.branchId);
+    if (!branchId) return res.status(400).json({ ok: false, message: "Missing branchId for restock" });
+    if (!mongoose.isValidObjectId(branchId)) return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+
+    // ✅ tiền hoàn: mặc định phân bổ theo tỉ lệ giảm giá/đổi điểm của order
+    const suggested = calcReturnRefund(order, lines);
+    const refundable = Math.max(0, moneyInt(order.total) - moneyInt(order.returnedAmount));
+    const refundAmount = data.refundAmount !== undefined ? moneyInt(data.refundAmount) : Math.min(suggested, refundable);
+
+    if (refundAmount > refundable) {
+      return res.status(400).json({
+        ok: false,
+        message: `refundAmount vượt quá số tiền còn có thể hoàn (${refundable})`,
+      });
+    }
+
+    const returnCode = genOrderCode("RT");
+    const userId = req.user.sub || null;
+
+    await restockReturnLines({ order, lines, branchId, returnCode, userId });
+
+    await decrementFlashSaleSoldQuantities(
+      lines.map((l) => ({ ...l, flashSaleId: l.item.flashSaleId, isFlashSale: l.item.isFlashSale }))
+    );
+
+    for (const l of lines) {
+      l.item.returnedQty = Number(l.item.returnedQty || 0) + l.qty;
+    }
+
+    const pointsReverted = await revertEarnPointsPartial({ order, refundAmount });
+
+    order.returns.push({
+      code: returnCode,
+      branchId,
+      items: lines.map((l) => ({
+        variantId: l.item.variantId,
+        productId: l.item.productId,
+        sku: l.item.sku,
+        name: l.item.name,
+        qty: l.qty,
+        price: l.item.price,
+        total: moneyInt((l.qty * Number(l.item.total || 0)) / Math.max(1, Number(l.item.qty || 0))),
+      })),
+      refundAmount,
+      refundMethod: data.refundMethod || "CASH",
+      pointsReverted,
+      note: data.note || "",
+      createdById: userId,
+      createdAt: new Date(),
+    });
+    order.returnedAmount = moneyInt(order.returnedAmount) + refundAmount;
+
+    // ✅ trả hết => REFUNDED
+    const fullyReturned = await settleFullyReturned({ order, userId, note: data.note });
+
+    await order.save();
+
+    res.json({
+      ok: true,
+      order: order.toObject(),
+      return: order.returns[order.returns.length - 1],
+      fullyReturned,
+    });
+  })
+);
+
+/**
+ * ===============================
+ * POST /api/orders/:id/exchange
+ * ===============================
+ * Đổi hàng tại POS:
+ * - returnItems: dòng trả lại từ đơn gốc (nhập lại kho)
+ * - items: variant mới, tính giá như POST /api/orders (flash sale / tierAgency)
+ * - Chênh lệch > 0: khách trả thêm (payments) | < 0: shop hoàn lại (refundMethod)
+ * - Tạo đơn mới (EX-...) CONFIRM, exchange.fromOrderCode trỏ về đơn gốc
+ * - Đổi hết tất cả dòng => đơn gốc chuyển REFUNDED
+ */
+router.post(
+  "/:id/exchange",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER", "CASHIER", "STAFF"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        branchId: z.string().optional(),
+        returnItems: z
+          .array(
+            z.object({
+              variantId: z.string(),
+              qty: z.number().int().positive(),
+            })
+          )
+          .min(1),
+        items: z
+          .array(
+            z.object({
+              productId: z.string(),
+              qty: z.number().int().positive(),
+              unitCode: z.string().optional(), // qty theo đơn vị này (bỏ trống = đơn vị gốc)
+            })
+          )
+          .min(1),
+        payments: z
+          .array(
+            z.object({
+              method: z.enum(["CASH", "BANK", "CARD", "WALLET"]),
+              amount: z.number().nonnegative(),
+            })
+          )
+          .optional(),
+        refundMethod: z.enum(["CASH", "BANK", "CARD", "WALLET"]).optional(),
+        note: z.string().optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const data = body.data;
+
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ ok: false, message: "Order not found" });
+
+    if (String(order.channel) !== "POS") {
+      return res.status(409).json({ ok: false, message: "Đổi hàng chỉ áp dụng cho đơn POS" });
+    }
+    if (!RETURNABLE_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        ok: false,
+        message: `Chỉ đổi hàng khi status=${RETURNABLE_STATUSES.join("/")}. Current=${order.status}`,
+      });
+    }
+
+    let lines;
+    try {
+      lines = pickReturnLines(order, data.returnItems);
+    } catch (e) {
+      return res.status(400).json({ ok: false, message: e.code || e.message, detail: e.detail });
+    }
+
+    const branchId = await resolveReturnBranchId(order, data.branchId);
+    if (!branchId || !mongoose.isValidObjectId(branchId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+    }
+
+    // ✅ giá dòng mới: cùng builder + tierAgency của khách như POST /api/orders
+    let tierAgencyId = "";
+    if (order.customerId) {
+      const customer = await Customer.findById(order.customerId).select("tierAgencyId").lean();
+      tierAgencyId = String(customer?.tierAgencyId || "").trim();
+    }
+
+    const productCache = new Map();
+    let newItems;
+    try {
+      newItems = await buildOrderItems(data.items, { tierAgencyId, productCache, channel: "POS", branchId });
+    } catch (e) {
+      if (e?.code !== "UNIT_NOT_FOUND") throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+    const newSubtotal = moneyInt(newItems.reduce((s, it) => s + Number(it.total || 0), 0));
+    const newCostTotal = await snapshotItemCosts(newItems, branchId);
+
+    // ✅ Âm kho: hàng trả nhập lại trước khi xuất hàng đổi -> tính là khả dụng
+    const returnedQty = new Map();
+    for (const l of await expandBundleLines(lines.map((x) => ({ variantId: x.variantId, qty: x.qty })))) {
+      returnedQty.set(String(l.variantId), (returnedQty.get(String(l.variantId)) || 0) + l.qty);
+    }
+    const stockPolicy = await checkNegativeStockPolicy({ branchId, items: newItems, extraAvailable: returnedQty });
+    if (stockPolicy.shortages.length) {
+      return res.status(409).json({ ok: false, message: "NOT_ENOUGH_STOCK", shortages: stockPolicy.shortages });
+    }
+
+    const refundable = Math.max(0, moneyInt(order.total) - moneyInt(order.returnedAmount));
+    const credit = Math.min(calcReturnRefund(order, lines), refundable);
+    const diff = newSubtotal - credit;
+
+    let extraPayments = [];
+    let settleType = "NONE";
+    let settleAmount = 0;
+
+    if (diff > 0) {
+      extraPayments = normalizePayments(data.payments || []).filter((p) => p.amount > 0);
+      const sumPaid = moneyInt(sumPayments(extraPayments));
+      if (sumPaid !== diff) {
+        return res.status(400).json({
+          ok: false,
+          message: `Khách cần trả thêm ${diff}. sum(payments)=${sumPaid}`,
+          difference: diff,
+        });
+      }
+      settleType = "PAY";
+      settleAmount = diff;
+    } else if (diff < 0) {
+      settleType = "REFUND";
+      settleAmount = -diff;
+    }
+
+    const userId = req.user.sub || null;
+    const returnCode = genOrderCode("RT");
+    const creditUsed = Math.min(credit, newSubtotal);
+
+    const allocations = await allocatePosStockSingleBranch({
+      branchId,
+      items: newItems.map((x) => ({ variantId: x.variantId, productId: x.productId, qty: x.qty })),
+    });
+
+    const exOrder = await Order.create({
+      code: genOrderCode("EX"),
+      channel: "POS",
+      status: "CONFIRM",
+
+      branchId,
+      customerId: order.customerId || null,
+
+      subtotal: newSubtotal,
+      discount: 0,
+      extraFee: 0,
+      pricingNote: `Đổi hàng từ ${order.code}`,
+      ...summarizePromotions(newItems),
+      total: newSubtotal,
+      costTotal: newCostTotal,
+
+      items: newItems,
+      payments: [...(creditUsed > 0 ? [{ method: "EXCHANGE", amount: creditUsed }] : []), ...extraPayments],
+
+      delivery: { method: "PICKUP", ...pickDeliveryContact(order) },
+
+      exchange: {
+        fromOrderId: order._id,
+        fromOrderCode: order.code,
+        returnCode,
+        creditAmount: credit,
+        settleType,
+        settleAmount,
+        refundMethod: settleType === "REFUND" ? data.refundMethod || "CASH" : "",
+      },
+
+      createdById: userId,
+      confirmedAt: new Date(),
+      confirmedById: userId,
+    });
+
+    // ✅ kho 2 chiều: nhập hàng trả, trừ hàng đổi
+    // lỗi giữa chừng -> hoàn kho 2 chiều + bỏ đơn EX (đơn gốc chưa lưu)
+    let restocked = null;
+    let deducted = false;
+    let fullyReturned = false;
+    try {
+      restocked = await restockReturnLines({ order, lines, branchId, returnCode, userId, kind: "EXCHANGE" });
+
+      // đã nhập hàng trả -> không huỷ vì thiếu tồn, thiếu do tranh chấp tồn thì gắn cờ để xử lý
+      const shortages = await applyStockDelta(allocations, -1, {
+        refId: exOrder._id,
+        code: exOrder.code,
+        userId,
+        items: exOrder.items,
+        allowNegative: true,
+      });
+      deducted = true;
+      exOrder.stockAllocations = allocations;
+      flagNegativeStock(req, exOrder, shortages);
+      await exOrder.save();
+
+      // ✅ đơn gốc: ghi lịch sử đổi + trừ điểm phần hàng trả
+      for (const l of lines) {
+        l.item.returnedQty = Number(l.item.returnedQty || 0) + l.qty;
+      }
+
+      const pointsReverted = await revertEarnPointsPartial({ order, refundAmount: credit });
+
+      order.returns.push({
+        code: returnCode,
+        type: "EXCHANGE",
+        branchId,
+        items: lines.map((l) => ({
+          variantId: l.item.variantId,
+          productId: l.item.productId,
+          sku: l.item.sku,
+          name: l.item.name,
+          qty: l.qty,
+          price: l.item.price,
+          total: moneyInt((l.qty * Number(l.item.total || 0)) / Math.max(1, Number(l.item.qty || 0))),
+        })),
+        refundAmount: settleType === "REFUND" ? settleAmount : 0,
+        refundMethod: data.refundMethod || "CASH",
+        pointsReverted,
+        note: data.note || "",
+        exchangeOrderId: exOrder._id,
+        exchangeOrderCode: exOrder.code,
+        createdById: userId,
+        createdAt: new Date(),
+      });
+      order.returnedAmount = moneyInt(order.returnedAmount) + credit;
+
+      // ✅ đổi hết mọi dòng => đơn gốc REFUNDED như luồng trả hàng
+      fullyReturned = await settleFullyReturned({ order, userId, note: data.note });
+
+      await order.save();
+    } catch (e) {
+      if (deducted) {
+        await applyStockDelta(allocations, +1, { refId: exOrder._id, code: exOrder.code, userId, items: exOrder.items });
+      }
+      if (restocked) {
+        await revertRestockReturnLines({ order, restocked, branchId, returnCode, userId, kind: "EXCHANGE" });
+      }
+      await Order.deleteOne({ _id: exOrder._id });
+      throw e;
+    }
+
+    await notifyLowStock(req.app.get("io"), allocations);
+
+    await decrementFlashSaleSoldQuantities(
+      lines.map((l) => ({ ...l, flashSaleId: l.item.flashSaleId, isFlashSale: l.item.isFlashSale }))
+    );
+    await incrementFlashSaleSoldQuantities(exOrder.items);
+
+    if (exOrder.customerId) {
+      await onOrderConfirmedOrDone({
+        customerId: exOrder.customerId,
+        orderId: exOrder._id,
+        order: exOrder.toObject(),
+        userId,
+      });
+    }
+
+    const fresh = await Order.findById(exOrder._id).lean();
+
+    res.json({
+      ok: true,
+      order: order.toObject(),
+      exchangeOrder: fresh,
+      settlement: { creditAmount: credit, newSubtotal, settleType, settleAmount },
+      fullyReturned,
+    });
+  })
+);
+
+module.exports = router;
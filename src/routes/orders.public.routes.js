@@ -10,6 +10,9 @@ const FlashSale = require("../models/FlashSale");
 
 const { asyncHandler } = require("../utils/asyncHandler");
 const { genOrderCode } = require("../utils/code");
+const { validateCoupon, buildCouponSnapshot } = require("../services/coupon.service");
+const { applyPromotions, summarizePromotions } = require("../services/promotion.service");
+const { reserveStock, releaseReservation } = require("../services/reservation.service");
 
 function moneyInt(n) {
   const x = Number(n || 0);
@@ -17,6 +20,154 @@ function moneyInt(n) {
   return Math.round(x);
 }
 
+/**
+ * Lỗi trả thẳng cho client (400)
+ */
+function publicOrderError(payload) {
+  const err = new Error(payload.code || "PUBLIC_ORDER_INVALID");
+  err.code = payload.code || "PUBLIC_ORDER_INVALID";
+  err.payload = payload;
+  return err;
+}
+
+/**
+ * ===============================
+ * Build items cho storefront: giá variant / flash sale -> promotion engine
+ * (dùng chung cho tạo đơn + preview giỏ hàng)
+ * ===============================
+ */
+async function buildPublicOrderItems(itemsIn) {
+  // ✅ Validate all variantIds exist
+  const variantIds = itemsIn.map((it) => it.productId);
+  const invalidIds = variantIds.filter((id) => !mongoose.isValidObjectId(id));
+
+  if (invalidIds.length) {
+    throw publicOrderError({
+      message: "ID sản phẩm không hợp lệ",
+    });
+  }
+
+  const variants = await ProductVariant.find({
+    _id: { $in: variantIds },
+    isActive: true,
+  })
+    .select("_id productId sku name price attributes activeFlashSaleId flashSalePrice flashSaleEndDate")
+    .lean();
+
+  if (variants.length !== variantIds.length) {
+    throw publicOrderError({
+      message: "Một số sản phẩm không tồn tại hoặc đã ngừng bán",
+    });
+  }
+
+  // ✅ Build order items with flash sale checking
+  const items = [];
+
+  for (const reqItem of itemsIn) {
+    const variant = variants.find((v) => String(v._id) === reqItem.productId);
+
+    if (!variant) continue;
+
+    const qty = Math.max(1, Number(reqItem.qty));
+    let price = Number(variant.price || 0);
+    let flashSaleId = null;
+    let isFlashSale = false;
+    let originalPrice = Number(variant.price || 0); // ✅ Default to variant price
+    let discountPercent = 0;
+    let discountAmount = 0;
+
+    // ✅ Check if variant has active flash sale
+    const now = new Date();
+
+    if (
+      variant.activeFlashSaleId &&
+      variant.flashSalePrice &&
+      variant.flashSaleEndDate &&
+      new Date(variant.flashSaleEndDate) >= now
+    ) {
+      const flashSale = await FlashSale.findById(variant.activeFlashSaleId);
+
+      if (flashSale && flashSale.isActive && flashSale.status === "ACTIVE") {
+        const fsVariant = flashSale.variants.find(
+          (v) => String(v.variantId) === String(variant._id) && v.isActive
+        );
+
+        if (fsVariant) {
+          // ✅ Check stock availability
+          if (fsVariant.limitedQuantity !== null) {
+            const remaining = fsVariant.limitedQuantity - fsVariant.soldQuantity;
+
+            if (remaining < qty) {
+              throw publicOrderError({
+                message: `Flash sale chỉ còn ${remaining} sản phẩm "${variant.name}"`,
+                code: "FLASH_SALE_OUT_OF_STOCK",
+                remaining,
+              });
+            }
+          }
+
+          // ✅ Check maxPerCustomer
+          if (fsVariant.maxPerCustomer && qty > fsVariant.maxPerCustomer) {
+            throw publicOrderError({
+              message: `Chỉ được mua tối đa ${fsVariant.maxPerCustomer} sản phẩm "${variant.name}"`,
+              code: "FLASH_SALE_MAX_PER_CUSTOMER_EXCEEDED",
+              maxPerCustomer: fsVariant.maxPerCustomer,
+            });
+          }
+
+          // ✅ Calculate price breakdown
+          originalPrice = Number(variant.price || 0); // Regular price
+          price = Number(fsVariant.flashPrice || 0); // Flash sale price
+          discountAmount = Math.max(0, originalPrice - price);
+          discountPercent = originalPrice > 0 
+            ? Math.round((discountAmount / originalPrice) * 100) 
+            : 0;
+          
+          flashSaleId = flashSale._id;
+          isFlashSale = true;
+        }
+      }
+    }
+
+    const itemTotal = price * qty;
+
+    items.push({
+      variantId: variant._id,
+      productId: variant.productId,
+      sku: variant.sku || "",
+      name: variant.name || "",
+      attributes: variant.attributes || [],
+      qty,
+      price,
+      total: itemTotal,
+      
+      // ✅ Flash sale metadata
+      flashSaleId,
+      isFlashSale,
+      
+      // ✅ Price breakdown for display
+      originalPrice,
+      discountPercent,
+      discountAmount,
+    });
+  }
+
+  if (!items.length) {
+    throw publicOrderError({
+      message: "Không có sản phẩm hợp lệ trong đơn hàng",
+    });
+  }
+
+  // ✅ Promotion engine (cùng rule với POS)
+  await applyPromotions(items, {
+    channel: "ONLINE",
+    branchId: String(process.env.MAIN_BRANCH_ID || "").trim() || null,
+  });
+
+  const subtotal = items.reduce((sum, it) => sum + Number(it.total || 0), 0);
+  return { items, subtotal, ...summarizePromotions(items) };
+}
+
 /**
  * ===============================
  * POST /api/public/orders - Create ONLINE order (no auth)
@@ -62,6 +213,9 @@ router.post(
         // Fees
         extraFee: z.number().nonnegative().default(0),
         discount: z.number().nonnegative().default(0),
+
+        // Coupon
+        couponCode: z.string().optional(),
       })
       .safeParse(req.body);
 
@@ -75,133 +229,35 @@ router.post(
 
     const data = body.data;
 
-    // ✅ Validate all variantIds exist
-    const variantIds = data.items.map((it) => it.productId);
-    const invalidIds = variantIds.filter((id) => !mongoose.isValidObjectId(id));
-
-    if (invalidIds.length) {
-      return res.status(400).json({
-        ok: false,
-        message: "ID sản phẩm không hợp lệ",
-      });
+    let built;
+    try {
+      built = await buildPublicOrderItems(data.items);
+    } catch (e) {
+      if (!e?.payload) throw e;
+      return res.status(400).json({ ok: false, ...e.payload });
     }
+    const { items, subtotal, promotionDiscount, appliedPromotions } = built;
 
-    const variants = await ProductVariant.find({
-      _id: { $in: variantIds },
-      isActive: true,
-    })
-      .select("_id productId sku name price attributes activeFlashSaleId flashSalePrice flashSaleEndDate")
-      .lean();
-
-    if (variants.length !== variantIds.length) {
-      return res.status(400).json({
-        ok: false,
-        message: "Một số sản phẩm không tồn tại hoặc đã ngừng bán",
-      });
-    }
-
-    // ✅ Build order items with flash sale checking
-    const items = [];
-    let subtotal = 0;
-
-    for (const reqItem of data.items) {
-      const variant = variants.find((v) => String(v._id) === reqItem.productId);
-
-      if (!variant) continue;
-
-      const qty = Math.max(1, Number(reqItem.qty));
-      let price = Number(variant.price || 0);
-      let flashSaleId = null;
-      let isFlashSale = false;
-      let originalPrice = Number(variant.price || 0); // ✅ Default to variant price
-      let discountPercent = 0;
-      let discountAmount = 0;
-
-      // ✅ Check if variant has active flash sale
-      const now = new Date();
-
-      if (
-        variant.activeFlashSaleId &&
-        variant.flashSalePrice &&
-        variant.flashSaleEndDate &&
-        new Date(variant.flashSaleEndDate) >= now
-      ) {
-        const flashSale = await FlashSale.findById(variant.activeFlashSaleId);
-
-        if (flashSale && flashSale.isActive && flashSale.status === "ACTIVE") {
-          const fsVariant = flashSale.variants.find(
-            (v) => String(v.variantId) === String(variant._id) && v.isActive
-          );
-
-          if (fsVariant) {
-            // ✅ Check stock availability
-            if (fsVariant.limitedQuantity !== null) {
-              const remaining = fsVariant.limitedQuantity - fsVariant.soldQuantity;
-
-              if (remaining < qty) {
-                return res.status(400).json({
-                  ok: false,
-                  message: `Flash sale chỉ còn ${remaining} sản phẩm "${variant.name}"`,
-                  code: "FLASH_SALE_OUT_OF_STOCK",
-                  remaining,
-                });
-              }
-            }
-
-            // ✅ Check maxPerCustomer
-            if (fsVariant.maxPerCustomer && qty > fsVariant.maxPerCustomer) {
-              return res.status(400).json({
-                ok: false,
-                message: `Chỉ được mua tối đa ${fsVariant.maxPerCustomer} sản phẩm "${variant.name}"`,
-                code: "FLASH_SALE_MAX_PER_CUSTOMER_EXCEEDED",
-                maxPerCustomer: fsVariant.maxPerCustomer,
-              });
-            }
-
-            // ✅ Calculate price breakdown
-            originalPrice = Number(variant.price || 0); // Regular price
-            price = Number(fsVariant.flashPrice || 0); // Flash sale price
-            discountAmount = Math.max(0, originalPrice - price);
-            discountPercent = originalPrice > 0 
-              ? Math.round((discountAmount / originalPrice) * 100) 
-              : 0;
-            
-            flashSaleId = flashSale._id;
-            isFlashSale = true;
-          }
-        }
+    // ✅ Validate coupon (trước khi tạo customer)
+    const discount = Math.max(0, Number(data.discount || 0));
+    let coupon = null;
+    let couponDiscount = 0;
+
+    if (String(data.couponCode || "").trim()) {
+      try {
+        const r = await validateCoupon({
+          code: data.couponCode,
+          baseAmount: subtotal - discount,
+          branchId: null,
+          channel: "ONLINE",
+          phone: data.customer.phone,
+        });
+        couponDiscount = r.discountAmount;
+        coupon = buildCouponSnapshot(r.coupon, couponDiscount, data.customer.phone);
+      } catch (e) {
+        if (!String(e?.code || "").startsWith("COUPON_")) throw e;
+        return res.status(400).json({ ok: false, message: e.code, code: e.code, detail: e.detail });
       }
-
-      const itemTotal = price * qty;
-
-      items.push({
-        variantId: variant._id,
-        productId: variant.productId,
-        sku: variant.sku || "",
-        name: variant.name || "",
-        attributes: variant.attributes || [],
-        qty,
-        price,
-        total: itemTotal,
-        
-        // ✅ Flash sale metadata
-        flashSaleId,
-        isFlashSale,
-        
-        // ✅ Price breakdown for display
-        originalPrice,
-        discountPercent,
-        discountAmount,
-      });
-
-      subtotal += itemTotal;
-    }
-
-    if (!items.length) {
-      return res.status(400).json({
-        ok: false,
-        message: "Không có sản phẩm hợp lệ trong đơn hàng",
-      });
     }
 
     // ✅ Find or create customer
@@ -227,9 +283,8 @@ router.post(
     }
 
     // ✅ Calculate totals
-    const discount = Math.max(0, Number(data.discount || 0));
     const extraFee = Math.max(0, Number(data.extraFee || 0));
-    const total = Math.max(0, subtotal - discount + extraFee);
+    const total = Math.max(0, subtotal - discount - couponDiscount + extraFee);
 
     // ✅ Calculate total savings from flash sales
     const totalSavings = items.reduce((sum, it) => {
@@ -239,6 +294,23 @@ router.post(
       return sum;
     }, 0);
 
+    // ✅ Giữ hàng theo phương án xuất kho online (tránh bán vượt tồn khi chờ confirm)
+    let reservation;
+    try {
+      reservation = await reserveStock({ items });
+    } catch (e) {
+      if (e?.code !== "OUT_OF_STOCK") throw e;
+      return res.status(409).json({
+        ok: false,
+        message: "Một số sản phẩm không đủ hàng",
+        code: "OUT_OF_STOCK",
+        shortages: e.shortages.map((x) => ({
+          ...x,
+          name: items.find((it) => String(it.variantId) === String(x.variantId))?.name || "",
+        })),
+      });
+    }
+
     // ✅ Create order
     const order = await Order.create({
       code: genOrderCode("WEB"), // or "ONLINE"
@@ -253,6 +325,12 @@ router.post(
       extraFee,
       total,
 
+      promotionDiscount,
+      appliedPromotions,
+
+      coupon,
+      couponDiscount,
+
       items, // ✅ Items with flash sale info and price breakdown
 
       payments:
@@ -270,7 +348,12 @@ router.post(
 
       stockAllocations: [],
 
+      reservation,
+
       createdById: null, // Public order, no user
+    }).catch(async (e) => {
+      await releaseReservation({ reservation }, "CREATE_FAILED");
+      throw e;
     });
 
     // ✅ Return success with detailed info
@@ -286,12 +369,18 @@ router.post(
         // ✅ Price breakdown
         subtotal: order.subtotal,
         discount: order.discount,
+        couponCode: order.coupon?.code || "",
+        couponDiscount: order.couponDiscount,
         extraFee: order.extraFee,
         total: order.total,
         
         // ✅ Flash sale info
         hasFlashSaleItems: items.some((it) => it.isFlashSale),
         totalSavings, // Total amount saved from flash sales
+
+        // ✅ Promotion info
+        promotionDiscount,
+        appliedPromotions,
         
         // ✅ Items with full details
         items: items.map(it => ({
@@ -306,6 +395,9 @@ router.post(
           discountAmount: it.discountAmount,
           total: it.total,
           isFlashSale: it.isFlashSale,
+          promotionDiscount: it.promotionDiscount,
+          promotions: it.promotions,
+          isGift: it.isGift || false,
         })),
         
         // ✅ Customer info
@@ -330,6 +422,82 @@ router.post(
   })
 );
 
+/**
+ * ===============================
+ * POST /api/public/cart/preview - Preview giỏ hàng + khuyến mãi (no auth)
+ * ===============================
+ */
+router.post(
+  "/cart/preview",
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        items: z
+          .array(
+            z.object({
+              productId: z.string(), // Actually variantId
+              qty: z.number().int().positive(),
+            })
+          )
+          .min(1, "Giỏ hàng trống"),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) {
+      return res.status(400).json({ ok: false, message: "Dữ liệu không hợp lệ", errors: body.error.flatten() });
+    }
+
+    try {
+      const built = await buildPublicOrderItems(body.data.items);
+      res.json({ ok: true, ...built });
+    } catch (e) {
+      if (!e?.payload) throw e;
+      res.status(400).json({ ok: false, ...e.payload });
+    }
+  })
+);
+
+/**
+ * ===============================
+ * POST /api/public/coupons/validate - Preview coupon (no auth)
+ * ===============================
+ */
+router.post(
+  "/coupons/validate",
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        code: z.string().min(1),
+        subtotal: z.number().nonnegative(),
+        phone: z.string().optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) {
+      return res.status(400).json({ ok: false, message: "Dữ liệu không hợp lệ", errors: body.error.flatten() });
+    }
+
+    try {
+      const r = await validateCoupon({
+        code: body.data.code,
+        baseAmount: moneyInt(body.data.subtotal),
+        branchId: null,
+        channel: "ONLINE",
+        phone: body.data.phone || "",
+      });
+
+      res.json({
+        ok: true,
+        coupon: { code: r.coupon.code, name: r.coupon.name, type: r.coupon.type, value: r.coupon.value },
+        discountAmount: r.discountAmount,
+      });
+    } catch (e) {
+      if (!String(e?.code || "").startsWith("COUPON_")) throw e;
+      res.status(400).json({ ok: false, message: e.code, code: e.code, detail: e.detail });
+    }
+  })
+);
+
 /**
  * ===============================
  * GET /api/public/orders/:code - Get order by code (no auth)
@@ -376,11 +544,15 @@ router.get(
         
         subtotal: order.subtotal,
         discount: order.discount,
+        couponCode: order.coupon?.code || "",
+        couponDiscount: order.couponDiscount || 0,
         extraFee: order.extraFee,
         total: order.total,
         
         hasFlashSaleItems: (order.items || []).some((it) => it.isFlashSale),
         totalSavings,
+        promotionDiscount: order.promotionDiscount || 0,
+        appliedPromotions: order.appliedPromotions || [],
         
         items: order.items || [],
         payments: order.payments || [],
@@ -0,0 +1,154 @@
+// src/routes/priceSchedule.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const PriceSchedule = require("../models/PriceSchedule");
+
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { createPriceSchedule, cancelPriceSchedule, runDuePriceSchedules } = require("../services/priceHistory.service");
+
+const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
+
+const NOT_FOUND_CODES = ["PRICE_SCHEDULE_NOT_FOUND", "VARIANT_NOT_FOUND", "TIER_NOT_FOUND"];
+const CONFLICT_CODES = ["SCHEDULE_CONFLICT", "SCHEDULE_NOT_CANCELLABLE"];
+
+function sendServiceError(res, e) {
+  if (!e?.code) throw e;
+  const status = NOT_FOUND_CODES.includes(e.code) ? 404 : CONFLICT_CODES.includes(e.code) ? 409 : 400;
+  return res.status(status).json({ ok: false, message: e.code, detail: e.detail });
+}
+
+/**
+ * =========================
+ * GET /api/price-schedules
+ * ?status=SCHEDULED|ACTIVE|COMPLETED|CANCELLED&variantId=
+ * =========================
+ */
+router.get(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const status = String(req.query.status || "").trim().toUpperCase();
+    const variantId = String(req.query.variantId || "").trim();
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (variantId) {
+      if (!isValidObjectId(variantId)) return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
+      filter["items.variantId"] = new mongoose.Types.ObjectId(variantId);
+    }
+
+    const [items, total] = await Promise.all([
+      PriceSchedule.find(filter).sort({ startAt: -1 }).skip(skip).limit(limit).lean(),
+      PriceSchedule.countDocuments(filter),
+    ]);
+
+    res.json({ ok: true, page, limit, total, totalPages: Math.ceil(total / limit), items });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/price-schedules/:id
+ * =========================
+ */
+router.get(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const doc = await PriceSchedule.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ ok: false, message: "PRICE_SCHEDULE_NOT_FOUND" });
+
+    res.json({ ok: true, schedule: doc });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/price-schedules
+ * body: { reason?, startAt, endAt?, items: [{ variantId, price?, price_tier?: [{ tierId, price }] }] }
+ * - endAt: hết hạn thì trả lại giá trước khi áp; không có -> đổi giá vĩnh viễn
+ * - startAt đã tới -> áp ngay
+ * =========================
+ */
+router.post(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        reason: z.string().max(500).optional(),
+        startAt: z.string().datetime({ offset: true }),
+        endAt: z.string().datetime({ offset: true }).optional().nullable(),
+        items: z
+          .array(
+            z.object({
+              variantId: z.string().min(1),
+              price: z.number().nonnegative().optional().nullable(),
+              price_tier: z.array(z.object({ tierId: z.string(), price: z.number().nonnegative() })).optional(),
+            })
+          )
+          .min(1),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const data = body.data;
+    let schedule;
+    try {
+      schedule = await createPriceSchedule(
+        {
+          reason: String(data.reason || "").trim(),
+          startAt: new Date(data.startAt),
+          endAt: data.endAt ? new Date(data.endAt) : null,
+          items: data.items,
+        },
+        { userId: req.user.sub }
+      );
+    } catch (e) {
+      return sendServiceError(res, e);
+    }
+
+    if (schedule.startAt <= new Date()) {
+      await runDuePriceSchedules();
+      schedule = await PriceSchedule.findById(schedule._id).lean();
+    }
+
+    res.json({ ok: true, schedule });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/price-schedules/:id/cancel
+ * SCHEDULED -> huỷ | ACTIVE -> trả giá cũ ngay
+ * =========================
+ */
+router.post(
+  "/:id/cancel",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    try {
+      const schedule = await cancelPriceSchedule(req.params.id, { userId: req.user.sub });
+      res.json({ ok: true, schedule });
+    } catch (e) {
+      return sendServiceError(res, e);
+    }
+  })
+);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const ReceiptTemplate = require("../models/ReceiptTemplate");
 const { asyncHandler } = require("../utils/asyncHandler");
 const { renderReceiptHtml } = require("./receiptTemplates");
 const User = require("../models/User");
+const { describeItemUnit } = require("../services/unit.service");
 
 // ===== Helpers
 const money = (n) => Number(n || 0).toLocaleString("vi-VN");
@@ -111,14 +112,15 @@ router.get("/receipt/:orderId", asyncHandler(async (req, res) => {
   const itemsRaw = Array.isArray(order.items) ? order.items : [];
   const items = itemsRaw.map((it) => {
     const name = it.name || it.productName || "Sản phẩm";
-    const qty = Number(it.qty ?? it.quantity ?? 0);
-    const price = Number(it.price ?? 0);
-    const total = Number(it.total ?? (qty * price));
+    // ✅ Đơn vị quy đổi: "2 Hộp" x giá hộp + SL đơn vị gốc
+    const { qty, price, unitNote } = describeItemUnit(it);
+    const total = Number(it.total ?? (Number(it.qty || 0) * Number(it.price || 0)));
     return {
       name,
       qty,
       price: money(price),
       total: money(total),
+      unitNote,
     };
   });
 
@@ -162,6 +164,7 @@ router.get("/receipt/:orderId", asyncHandler(async (req, res) => {
       qty: x.qty,
       price: x.price,
       total: x.total,
+      unitNote: x.unitNote,
     })),
     summary: {
       subtotal: money(subtotal),
@@ -7,13 +7,24 @@ const path = require("path");
 
 const Product = require("../models/Product");
 const ProductVariant = require("../models/ProductVariant");
+const VariantStock = require("../models/VariantStock");
 const ChangeLog = require("../models/ChangeLog");
 
 const { authRequired, requireRole } = require("../middlewares/auth");
 const { asyncHandler } = require("../utils/asyncHandler");
+const { getSubCategoryIds } = require("../utils/categoryTree");
 
 const { upload, buildFileUrl, UPLOAD_DIR } = require("../middlewares/uploadProductImages");
 const { applyRulesToVariant } = require("../services/pricing.service");
+const { getBundleMap, bundleAvailability, normalizeBundleItems } = require("../services/bundle.service");
+const { findByBarcode } = require("../services/unit.service");
+const { textSearchConditions, reindexProducts } = require("../services/search.service");
+const {
+  getEffectiveAttributeDefs,
+  validateProductAttributes,
+  attributesToObject,
+} = require("../services/productAttribute.service");
+const { recordPriceChanges, getPriceHistory } = require("../services/priceHistory.service");
 
 // ⭐ COLLECTION NAMES - SỬ DỤNG TÊN THỰC TẾ TRONG DB
 const VARIANT_STOCKS_COLLECTION = "variantstocks"; // ⭐ KHÔNG có dấu gạch dưới
@@ -86,6 +97,22 @@ function tryDeleteLocalUploadByUrl(url) {
 // ===============================
 // ✅ PRICE TIER HELPERS
 // ===============================
+/**
+ * ?from=&to=&page=&limit= cho lịch sử giá -> null nếu ngày không hợp lệ
+ */
+function parseHistoryQuery(query) {
+  const from = query.from ? new Date(String(query.from)) : null;
+  const to = query.to ? new Date(String(query.to)) : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) return null;
+
+  return {
+    from,
+    to,
+    page: Math.max(parseInt(query.page) || 1, 1),
+    limit: Math.min(parseInt(query.limit) || 50, 200),
+  };
+}
+
 function normalizePriceTier(input) {
   const arr = Array.isArray(input) ? input : [];
   const out = [];
@@ -123,6 +150,73 @@ function normalizePriceTier(input) {
   return out;
 }
 
+// ===============================
+// ✅ Đơn vị quy đổi của variant (hộp / thùng)
+// - code duy nhất trong variant, factor nguyên >= 2
+// - barcode không trùng barcode variant / đơn vị khác
+// ===============================
+async function normalizeUnits(input, variantId) {
+  const out = [];
+  const codes = new Set();
+
+  for (const u of Array.isArray(input) ? input : []) {
+    const code = normalizeToken(u?.code);
+    const factor = Number(u?.factor);
+    if (!code) {
+      const err = new Error("INVALID_UNIT_CODE");
+      err.code = "INVALID_UNIT_CODE";
+      throw err;
+    }
+    if (codes.has(code) || code === "BASE") {
+      const err = new Error("DUPLICATE_UNIT_CODE");
+      err.code = "DUPLICATE_UNIT_CODE";
+      err.detail = code;
+      throw err;
+    }
+    if (!Number.isInteger(factor) || factor < 2) {
+      const err = new Error("INVALID_UNIT_FACTOR");
+      err.code = "INVALID_UNIT_FACTOR";
+      err.detail = code;
+      throw err;
+    }
+    codes.add(code);
+
+    out.push({
+      code,
+      name: String(u?.name || "").trim() || code,
+      factor,
+      barcode: String(u?.barcode || "").trim(),
+      price: Math.round(Number(u?.price || 0)),
+      price_tier: normalizePriceTier(u?.price_tier),
+      isActive: u?.isActive !== false,
+    });
+  }
+
+  const barcodes = out.map((u) => u.barcode).filter(Boolean);
+  if (new Set(barcodes).size !== barcodes.length) {
+    const err = new Error("DUPLICATE_UNIT_BARCODE");
+    err.code = "DUPLICATE_UNIT_BARCODE";
+    throw err;
+  }
+  if (barcodes.length) {
+    const conflict = await ProductVariant.findOne({
+      _id: { $ne: variantId },
+      $or: [{ barcode: { $in: barcodes } }, { "units.barcode": { $in: barcodes } }],
+    })
+      .select("sku")
+      .lean();
+    const own = await ProductVariant.findOne({ _id: variantId, barcode: { $in: barcodes } }).select("_id").lean();
+    if (conflict || own) {
+      const err = new Error("DUPLICATE_UNIT_BARCODE");
+      err.code = "DUPLICATE_UNIT_BARCODE";
+      err.detail = conflict?.sku || "";
+      throw err;
+    }
+  }
+
+  return out;
+}
+
 // ===============================
 // ✅ VARIANT HELPERS
 // ===============================
@@ -162,6 +256,32 @@ function cartesianOptions(options) {
   return acc;
 }
 
+// ===============================
+// ✅ Combo không có tồn riêng: stock = SL ghép được từ tồn thành phần (1 branch / tất cả)
+// ===============================
+async function applyBundleStock(items, branchObjId) {
+  const bundles = (items || []).filter((it) => it.productType === "BUNDLE");
+  if (!bundles.length) return items;
+
+  const bundleMap = await getBundleMap(bundles.map((it) => it._id));
+  const compIds = [...bundleMap.values()].flatMap((comps) => comps.map((c) => c.variantId));
+
+  const match = { variantId: { $in: compIds } };
+  if (branchObjId) match.branchId = branchObjId;
+  const rows = await VariantStock.aggregate([
+    { $match: match },
+    { $group: { _id: "$variantId", qty: { $sum: { $ifNull: ["$qty", 0] } } } },
+  ]);
+  const qtyMap = new Map(rows.map((r) => [String(r._id), Number(r.qty || 0)]));
+
+  for (const it of bundles) {
+    const comps = bundleMap.get(String(it._id)) || [];
+    it.stock = bundleAvailability(comps, (vid) => qtyMap.get(vid));
+    it.bundleItems = comps;
+  }
+  return items;
+}
+
 // ===============================
 // ✅ Ensure default variant for "product-only" items
 // Mục tiêu: Product tạo mới -> luôn có defaultVariantId
@@ -551,6 +671,62 @@ router.delete(
   })
 );
 
+// ===============================
+// ✅ GET /scan?barcode=&branchId=
+// POS quét mã: barcode variant (đơn vị gốc) hoặc barcode đơn vị quy đổi (hộp / thùng)
+// - stock luôn theo đơn vị gốc, stockInUnit = số unit nguyên còn bán được
+// ===============================
+router.get(
+  "/scan",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const barcode = String(req.query.barcode || "").trim();
+    if (!barcode) return res.status(400).json({ ok: false, message: "MISSING_BARCODE" });
+
+    const branchResolved = resolveBranchId(req);
+    if (!branchResolved) return res.status(400).json({ ok: false, message: "STAFF_MISSING_BRANCH_ID" });
+    const isAll = branchResolved === "all";
+    if (!isAll && !isValidObjectId(branchResolved)) return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+
+    const found = await findByBarcode(barcode);
+    if (!found) return res.status(404).json({ ok: false, message: "BARCODE_NOT_FOUND" });
+    const { variant, unit } = found;
+
+    const match = { variantId: variant._id };
+    if (!isAll) match.branchId = toObjId(branchResolved);
+    const [st] = await VariantStock.aggregate([
+      { $match: match },
+      { $group: { _id: null, qty: { $sum: { $ifNull: ["$qty", 0] } } } },
+    ]);
+    const stock = Number(st?.qty || 0);
+
+    res.json({
+      ok: true,
+      barcode,
+      variantId: String(variant._id),
+      productId: String(variant.productId),
+      sku: variant.sku,
+      name: variant.name,
+      attributes: variant.attributes || [],
+      thumbnail: variant.thumbnail || "",
+      price: variant.price,
+      baseUnit: variant.baseUnit || "",
+      unit: unit
+        ? {
+            code: unit.code,
+            name: unit.name,
+            factor: unit.factor,
+            price: unit.price > 0 ? unit.price : Math.round(Number(variant.price || 0) * unit.factor),
+          }
+        : null,
+      units: (variant.units || []).filter((u) => u.isActive !== false),
+      stock,
+      stockInUnit: unit ? Math.floor(stock / unit.factor) : stock,
+      branchId: isAll ? null : branchResolved,
+    });
+  })
+);
+
 // ===============================
 // ✅ LIST PRODUCTS + STOCK (GHÉP FULL LIST)
 // - mode=pos: trả sellables (luôn là variant) + stock theo variantstocks
@@ -625,11 +801,7 @@ router.get(
       }
 
       if (q) {
-        const or = [
-          { name: { $regex: q, $options: "i" } },
-          { sku: { $regex: q, $options: "i" } },
-          { barcode: { $regex: q, $options: "i" } },
-        ];
+        const or = textSearchConditions(q);
         if (baseProductFilter.$or) {
           baseProductFilter.$and = [{ $or: baseProductFilter.$or }, { $or: or }];
           delete baseProductFilter.$or;
@@ -719,6 +891,10 @@ router.get(
                       categoryId: { $ifNull: ["$categoryId", null] },
                       categoryName: { $ifNull: ["$categoryName", ""] },
                       attributes: { $ifNull: ["$$v.attributes", []] },
+                      baseUnit: { $ifNull: ["$$v.baseUnit", ""] },
+                      units: { $ifNull: ["$$v.units", []] },
+                      productType: { $ifNull: ["$productType", "SINGLE"] },
+                      searchTokens: { $ifNull: ["$$v.searchTokens", []] },
                     },
                   },
                 },
@@ -739,6 +915,10 @@ router.get(
                     categoryId: { $ifNull: ["$categoryId", null] },
                     categoryName: { $ifNull: ["$categoryName", ""] },
                     attributes: [],
+                    baseUnit: "",
+                    units: [],
+                    productType: { $ifNull: ["$productType", "SINGLE"] },
+                    searchTokens: { $ifNull: ["$searchTokens", []] },
                   },
                 ],
               ],
@@ -871,6 +1051,10 @@ router.get(
             thumbnail: "$_sellables.thumbnail",
             images: "$_sellables.images",
             attributes: "$_sellables.attributes",
+            baseUnit: "$_sellables.baseUnit",
+            units: "$_sellables.units",
+            productType: "$_sellables.productType",
+            searchTokens: "$_sellables.searchTokens",
             isActive: "$isActive",
             stock: 1,
 
@@ -899,16 +1083,15 @@ router.get(
           ? [
               {
                 $match: {
-                  $or: [
-                    { name: { $regex: q, $options: "i" } },
-                    { sku: { $regex: q, $options: "i" } },
-                    { barcode: { $regex: q, $options: "i" } },
-                  ],
+                  $or: textSearchConditions(q),
                 },
               },
             ]
           : []),
 
+        // chỉ dùng để lọc không dấu, không trả về
+        { $project: { searchTokens: 0 } },
+
         {
           $facet: {
             items: [{ $sort: { [sortBy]: sortOrder } }, { $skip: skip }, { $limit: limit }],
@@ -918,6 +1101,7 @@ router.get(
       ]);
 
       const items = agg?.[0]?.items || [];
+      await applyBundleStock(items, isAll ? null : branchObjId);
       const total = agg?.[0]?.total?.[0]?.count || 0;
 
       return res.json({
@@ -941,11 +1125,7 @@ router.get(
       if (barcode) filterV.barcode = barcode;
 
       if (q) {
-        filterV.$or = [
-          { name: { $regex: q, $options: "i" } },
-          { sku: { $regex: q, $options: "i" } },
-          { barcode: { $regex: q, $options: "i" } },
-        ];
+        filterV.$or = textSearchConditions(q);
       }
 
       const priceMatch = {};
@@ -1095,11 +1275,7 @@ router.get(
     }
 
     if (q) {
-      const or = [
-        { name: { $regex: q, $options: "i" } },
-        { sku: { $regex: q, $options: "i" } },
-        { barcode: { $regex: q, $options: "i" } },
-      ];
+      const or = textSearchConditions(q);
       if (filter.$or) {
         filter.$and = [{ $or: filter.$or }, { $or: or }];
         delete filter.$or;
@@ -1312,6 +1488,7 @@ router.post(
     if (anyVariant) p.defaultVariantId = anyVariant._id;
 
     await p.save();
+    await reindexProducts([p._id]);
 
     const v = await nextVersion();
     await ChangeLog.create({
@@ -1434,18 +1611,28 @@ router.post(
 
     const variants = await ProductVariant.find({ productId: p._id }).lean();
 
-    const ops = variants.map((v) => {
-      const out = applyRulesToVariant(p, v);
-      return {
-        updateOne: {
-          filter: { _id: v._id },
-          update: { $set: { price: out.price, price_tier: out.price_tier } },
-        },
-      };
-    });
+    const outs = variants.map((v) => applyRulesToVariant(p, v));
+    const ops = variants.map((v, i) => ({
+      updateOne: {
+        filter: { _id: v._id },
+        update: { $set: { price: outs[i].price, price_tier: outs[i].price_tier } },
+      },
+    }));
 
     if (ops.length) await ProductVariant.bulkWrite(ops);
 
+    // ✅ lịch sử giá: chỉ ghi variant có giá thực sự đổi
+    for (let i = 0; i < variants.length; i++) {
+      await recordPriceChanges({
+        productId: p._id,
+        variantId: variants[i]._id,
+        before: variants[i],
+        after: { price: outs[i].price, price_tier: outs[i].price_tier },
+        source: "PRICING_RULES",
+        userId: req.user.sub,
+      });
+    }
+
     const ver = await nextVersion();
     await ChangeLog.create({
       branchId: null,
@@ -1497,6 +1684,11 @@ router.post(
         thumbnail: z.string().optional(),
         images: z.array(z.object({ url: z.string(), isPrimary: z.boolean().optional(), order: z.number().optional() })).optional(),
         isActive: z.boolean().optional(),
+
+        productType: z.enum(["SINGLE", "BUNDLE"]).optional(),
+        bundleItems: z.array(z.object({ variantId: z.string(), qty: z.number().int().positive() })).optional(),
+
+        attributes: z.record(z.string(), z.any()).optional(),
       })
       .safeParse(req.body);
 
@@ -1511,6 +1703,15 @@ router.post(
       categoryId = isValidObjectId(s) ? new mongoose.Types.ObjectId(s) : s;
     }
 
+    // ✅ thuộc tính mỹ phẩm: validate theo định nghĩa của category (gồm kế thừa từ category cha)
+    let attrs;
+    try {
+      attrs = validateProductAttributes(await getEffectiveAttributeDefs(categoryId), data.attributes || {});
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
     let price_tier = [];
     try {
       price_tier = normalizePriceTier(data.price_tier);
@@ -1555,6 +1756,18 @@ router.post(
       order: Number(o.order || 0),
     }));
 
+    // ✅ combo: thành phần là variant có sẵn, tồn suy ra từ thành phần
+    const productType = data.productType || "SINGLE";
+    let bundleItems = [];
+    if (productType === "BUNDLE") {
+      try {
+        bundleItems = await normalizeBundleItems(data.bundleItems);
+      } catch (e) {
+        if (!e?.code) throw e;
+        return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+      }
+    }
+
     const p = await Product.create({
       sku: data.sku,
       name: data.name,
@@ -1577,11 +1790,18 @@ router.post(
       images,
       isActive: data.isActive !== undefined ? !!data.isActive : true,
 
+      productType,
+      bundleItems,
+
+      attributes: attrs.attributes,
+      attributeFacets: attrs.attributeFacets,
+
       defaultVariantId: null,
     });
 
     // ✅ tạo default variant ngay lập tức
     const dv = await ensureDefaultVariantForProduct(p);
+    await reindexProducts([p._id]);
 
     const v = await nextVersion();
     await ChangeLog.create({ branchId: null, collection: "products", docId: p._id, action: "UPSERT", version: v });
@@ -1631,12 +1851,20 @@ router.put(
 
         thumbnail: z.string().optional(),
         images: z.array(z.object({ url: z.string(), isPrimary: z.boolean().optional(), order: z.number().optional() })).optional(),
+
+        productType: z.enum(["SINGLE", "BUNDLE"]).optional(),
+        bundleItems: z.array(z.object({ variantId: z.string(), qty: z.number().int().positive() })).optional(),
+
+        attributes: z.record(z.string(), z.any()).optional(),
+
+        // lý do đổi giá (ghi vào lịch sử giá)
+        priceChangeReason: z.string().max(500).optional(),
       })
       .safeParse(req.body);
 
     if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
 
-    const patch = { ...body.data };
+    const { priceChangeReason = "", ...patch } = body.data;
 
     if ("categoryId" in patch) {
       if (patch.categoryId === null) patch.categoryId = null;
@@ -1646,6 +1874,27 @@ router.put(
       }
     }
 
+    // ✅ sửa thuộc tính / đổi category -> validate lại theo định nghĩa của category mới
+    if ("attributes" in patch || "categoryId" in patch) {
+      const cur = await Product.findById(productId).select("categoryId attributes").lean();
+      if (!cur) return res.status(404).json({ ok: false, message: "PRODUCT_NOT_FOUND" });
+
+      const defs = await getEffectiveAttributeDefs("categoryId" in patch ? patch.categoryId : cur.categoryId);
+      let input = patch.attributes || {};
+      if (!("attributes" in patch)) {
+        // đổi category không gửi attributes: giữ giá trị có key trong định nghĩa mới
+        const keys = new Set(defs.map((d) => d.key));
+        input = Object.fromEntries(Object.entries(attributesToObject(cur.attributes)).filter(([k]) => keys.has(k)));
+      }
+
+      try {
+        Object.assign(patch, validateProductAttributes(defs, input));
+      } catch (e) {
+        if (!e?.code) throw e;
+        return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+      }
+    }
+
     if ("price_tier" in patch) {
       try {
         patch.price_tier = normalizePriceTier(patch.price_tier);
@@ -1706,10 +1955,50 @@ router.put(
 
     patch.hasVariants = true; // ✅ luôn
 
+    // ✅ combo: kiểm tra lại thành phần khi đổi loại / đổi thành phần
+    if ("productType" in patch || "bundleItems" in patch) {
+      const cur = await Product.findById(productId).select("productType bundleItems").lean();
+      if (!cur) return res.status(404).json({ ok: false, message: "PRODUCT_NOT_FOUND" });
+
+      const productType = patch.productType || cur.productType || "SINGLE";
+      if (productType === "BUNDLE") {
+        if (cur.productType !== "BUNDLE") {
+          // variant của sản phẩm đang là thành phần combo khác -> không cho thành combo lồng nhau
+          const ownIds = (await ProductVariant.find({ productId }).select("_id").lean()).map((v) => v._id);
+          if (await Product.exists({ "bundleItems.variantId": { $in: ownIds } })) {
+            return res.status(409).json({ ok: false, message: "PRODUCT_IS_BUNDLE_ITEM" });
+          }
+        }
+        try {
+          patch.bundleItems = await normalizeBundleItems(patch.bundleItems || cur.bundleItems, productId);
+        } catch (e) {
+          if (!e?.code) throw e;
+          return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+        }
+      } else {
+        patch.bundleItems = [];
+      }
+    }
+
+    const priceBefore =
+      "price" in patch || "price_tier" in patch ? await Product.findById(productId).select("price price_tier").lean() : null;
+
     const p = await Product.findByIdAndUpdate(productId, { $set: patch }, { new: true });
     if (!p) return res.status(404).json({ ok: false, message: "PRODUCT_NOT_FOUND" });
 
+    // ✅ lịch sử giá cấp product (variantId = null)
+    if (priceBefore) {
+      await recordPriceChanges({
+        productId: p._id,
+        before: priceBefore,
+        after: { price: patch.price, price_tier: patch.price_tier },
+        reason: priceChangeReason,
+        userId: req.user.sub,
+      });
+    }
+
     const dv = await ensureDefaultVariantForProduct(p);
+    await reindexProducts([p._id]);
 
     const v = await nextVersion();
     await ChangeLog.create({ branchId: null, collection: "products", docId: p._id, action: "UPSERT", version: v });
@@ -1721,29 +2010,6 @@ router.put(
 //NEW
 // src/routes/product.routes.js
 
-// ===============================
-// ✅ Helper: Lấy tất cả category con (copy từ categories.js)
-// ===============================
-async function getAllDescendantCategories(categoryId) {
-  const Category = require("../models/Category");
-  const descendants = [];
-  const queue = [categoryId];
-
-  while (queue.length > 0) {
-    const currentId = queue.shift();
-    const children = await Category.find({ parentId: currentId })
-      .select("_id")
-      .lean();
-
-    for (const child of children) {
-      descendants.push(child._id);
-      queue.push(child._id);
-    }
-  }
-
-  return descendants;
-}
-
 // ===============================
 // ✅ GET /api/products/by-category/:categoryId
 // Lấy products theo category (có option bao gồm category con)
@@ -1807,7 +2073,7 @@ router.get(
     let categoryIds = [new mongoose.Types.ObjectId(categoryId)];
     
     if (includeSubcategories) {
-      const descendants = await getAllDescendantCategories(categoryId);
+      const descendants = await getSubCategoryIds(categoryId);
       categoryIds = [
         new mongoose.Types.ObjectId(categoryId),
         ...descendants.map(id => new mongoose.Types.ObjectId(id))
@@ -1825,11 +2091,7 @@ router.get(
 
       if (brand) filter.brand = brand;
       if (q) {
-        filter.$or = [
-          { name: { $regex: q, $options: "i" } },
-          { sku: { $regex: q, $options: "i" } },
-          { barcode: { $regex: q, $options: "i" } },
-        ];
+        filter.$or = textSearchConditions(q);
       }
       
       if (minPrice !== null || maxPrice !== null) {
@@ -1969,11 +2231,7 @@ router.get(
       const filterV = { isActive };
 
       if (q) {
-        filterV.$or = [
-          { name: { $regex: q, $options: "i" } },
-          { sku: { $regex: q, $options: "i" } },
-          { barcode: { $regex: q, $options: "i" } },
-        ];
+        filterV.$or = textSearchConditions(q);
       }
 
       const priceMatch = {};
@@ -2113,11 +2371,7 @@ router.get(
 
       if (brand) baseProductFilter.brand = brand;
       if (q) {
-        baseProductFilter.$or = [
-          { name: { $regex: q, $options: "i" } },
-          { sku: { $regex: q, $options: "i" } },
-          { barcode: { $regex: q, $options: "i" } },
-        ];
+        baseProductFilter.$or = textSearchConditions(q);
       }
 
       const lookupVariantStock = isAll
@@ -2207,6 +2461,9 @@ router.get(
                       categoryId: { $ifNull: ["$categoryId", null] },
                       categoryName: { $ifNull: ["$categoryName", ""] },
                       attributes: { $ifNull: ["$$v.attributes", []] },
+                      baseUnit: { $ifNull: ["$$v.baseUnit", ""] },
+                      units: { $ifNull: ["$$v.units", []] },
+                      productType: { $ifNull: ["$productType", "SINGLE"] },
                     },
                   },
                 },
@@ -2227,6 +2484,9 @@ router.get(
                     categoryId: { $ifNull: ["$categoryId", null] },
                     categoryName: { $ifNull: ["$categoryName", ""] },
                     attributes: [],
+                    baseUnit: "",
+                    units: [],
+                    productType: { $ifNull: ["$productType", "SINGLE"] },
                   },
                 ],
               ],
@@ -2267,6 +2527,9 @@ router.get(
             thumbnail: "$_sellables.thumbnail",
             images: "$_sellables.images",
             attributes: "$_sellables.attributes",
+            baseUnit: "$_sellables.baseUnit",
+            units: "$_sellables.units",
+            productType: "$_sellables.productType",
             isActive: "$isActive",
             stock: 1,
             updatedAt: "$updatedAt",
@@ -2300,6 +2563,7 @@ router.get(
       ]);
 
       const items = agg?.[0]?.items || [];
+      await applyBundleStock(items, isAll ? null : branchObjId);
       const total = agg?.[0]?.total?.[0]?.count || 0;
 
       return res.json({
@@ -2368,6 +2632,58 @@ router.get(
   })
 );
 
+// ===============================
+// ✅ GET /variants/:id/price-history  (LỊCH SỬ GIÁ VARIANT)
+// URL: /api/products/variants/:id/price-history?from=&to=&page=&limit=
+// ===============================
+router.get(
+  "/variants/:id/price-history",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const variantId = req.params.id;
+    if (!isValidObjectId(variantId)) return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
+
+    const range = parseHistoryQuery(req.query);
+    if (!range) return res.status(400).json({ ok: false, message: "INVALID_DATE" });
+
+    const variant = await ProductVariant.findById(variantId).select("_id productId sku name price price_tier").lean();
+    if (!variant) return res.status(404).json({ ok: false, message: "VARIANT_NOT_FOUND" });
+
+    const { items, total } = await getPriceHistory({ variantId: variant._id, ...range });
+
+    res.json({
+      ok: true,
+      variant,
+      page: range.page,
+      limit: range.limit,
+      total,
+      totalPages: Math.ceil(total / range.limit),
+      items,
+    });
+  })
+);
+
+// ===============================
+// ✅ GET /:id/price-history  (LỊCH SỬ GIÁ PRODUCT: cấp product + mọi variant)
+// ===============================
+router.get(
+  "/:id/price-history",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const productId = req.params.id;
+    if (!isValidObjectId(productId)) return res.status(400).json({ ok: false, message: "INVALID_PRODUCT_ID" });
+
+    const range = parseHistoryQuery(req.query);
+    if (!range) return res.status(400).json({ ok: false, message: "INVALID_DATE" });
+
+    const { items, total } = await getPriceHistory({ productId: new mongoose.Types.ObjectId(productId), ...range });
+
+    res.json({ ok: true, page: range.page, limit: range.limit, total, totalPages: Math.ceil(total / range.limit), items });
+  })
+);
+
 // ===============================
 // ✅ PUT /variants/:id  (UPDATE VARIANT)
 // URL: /api/products/variants/:id
@@ -2398,12 +2714,31 @@ router.put(
 
         isActive: z.boolean().optional(),
         isDefault: z.boolean().optional(),
+
+        // ✅ đơn vị gốc + đơn vị quy đổi (thay toàn bộ danh sách)
+        baseUnit: z.string().optional(),
+        units: z
+          .array(
+            z.object({
+              code: z.string().min(1),
+              name: z.string().optional(),
+              factor: z.number().int().min(2),
+              barcode: z.string().optional(),
+              price: z.number().nonnegative().optional(),
+              price_tier: z.array(z.object({ tierId: z.string(), price: z.number().nonnegative() })).optional(),
+              isActive: z.boolean().optional(),
+            })
+          )
+          .optional(),
+
+        // lý do đổi giá (ghi vào lịch sử giá)
+        priceChangeReason: z.string().max(500).optional(),
       })
       .safeParse(req.body);
 
     if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
 
-    const patch = { ...body.data };
+    const { priceChangeReason = "", ...patch } = body.data;
 
     // normalize money
     if (patch.price !== undefined) patch.price = Math.round(Number(patch.price || 0));
@@ -2418,6 +2753,16 @@ router.put(
       }
     }
 
+    if ("baseUnit" in patch) patch.baseUnit = String(patch.baseUnit || "").trim();
+    if ("units" in patch) {
+      try {
+        patch.units = await normalizeUnits(patch.units, variantId);
+      } catch (e) {
+        if (!e?.code) throw e;
+        return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+      }
+    }
+
     // normalize attributes
     if ("attributes" in patch) {
       patch.attributes = (patch.attributes || [])
@@ -2453,10 +2798,27 @@ router.put(
       patch.thumbnail = normalizeUrl(patch.thumbnail);
     }
 
+    const priceBefore =
+      "price" in patch || "price_tier" in patch
+        ? await ProductVariant.findById(variantId).select("price price_tier").lean()
+        : null;
+
     // update variant
     const vdoc = await ProductVariant.findByIdAndUpdate(variantId, { $set: patch }, { new: true });
     if (!vdoc) return res.status(404).json({ ok: false, message: "VARIANT_NOT_FOUND" });
 
+    // ✅ lịch sử giá
+    if (priceBefore) {
+      await recordPriceChanges({
+        productId: vdoc.productId,
+        variantId: vdoc._id,
+        before: priceBefore,
+        after: { price: patch.price, price_tier: patch.price_tier },
+        reason: priceChangeReason,
+        userId: req.user.sub,
+      });
+    }
+
     // nếu set isDefault=true => unset default của các variant khác cùng product
     if (patch.isDefault === true && vdoc.productId) {
       await ProductVariant.updateMany(
@@ -2467,6 +2829,7 @@ router.put(
       // đồng bộ defaultVariantId lên Product
       await Product.updateOne({ _id: vdoc.productId }, { $set: { defaultVariantId: vdoc._id, hasVariants: true } });
     }
+    await reindexProducts([vdoc.productId]);
 
     const ver = await nextVersion();
     await ChangeLog.create({
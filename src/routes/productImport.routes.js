@@ -0,0 +1,100 @@
+// src/routes/productImport.routes.js
+const router = require("express").Router();
+const mongoose = require("mongoose");
+const multer = require("multer");
+
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { sendCsv } = require("../utils/csv");
+const { sendXlsx } = require("../utils/xlsx");
+const {
+  parseImportFile,
+  buildImportPlan,
+  toPlanReport,
+  commitImportPlan,
+  exportProducts,
+} = require("../services/productImport.service");
+
+// file import chỉ đọc trong bộ nhớ, không lưu ra đĩa
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+/**
+ * =========================
+ * POST /api/products/bulk/import
+ * Import sản phẩm / variant từ CSV hoặc XLSX (upsert theo SKU)
+ * =========================
+ * multipart: file (.csv | .xlsx), mode = DRY_RUN (default) | COMMIT
+ * - DRY_RUN: chỉ kiểm tra, trả lỗi theo dòng + thay đổi dự kiến
+ * - COMMIT: kiểm tra lại rồi ghi; còn lỗi -> 400 IMPORT_HAS_ERRORS, không ghi gì
+ * Cột: product_sku, product_name, brand, category_code, variant_sku, variant_name, attributes,
+ *      barcode, base_unit, price, cost, is_active, tier:<TierAgency.code>..., stock:<Branch.code>...
+ */
+router.post(
+  "/import",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  upload.single("file"),
+  asyncHandler(async (req, res) => {
+    if (!req.file) return res.status(400).json({ ok: false, message: "MISSING_FILE" });
+
+    const mode = String(req.body?.mode || req.query.mode || "DRY_RUN").toUpperCase();
+    if (!["DRY_RUN", "COMMIT"].includes(mode)) return res.status(400).json({ ok: false, message: "INVALID_MODE" });
+
+    let plan;
+    try {
+      plan = await buildImportPlan(parseImportFile(req.file.buffer, req.file.originalname));
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
+    const report = toPlanReport(plan);
+    if (mode === "DRY_RUN") return res.json({ ok: true, mode, ...report });
+    if (!plan.valid) return res.status(400).json({ ok: false, message: "IMPORT_HAS_ERRORS", mode, ...report });
+
+    const result = await commitImportPlan(plan, { userId: req.user.sub || null });
+    res.json({ ok: true, mode, summary: report.summary, warnings: report.warnings, result });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/products/bulk/export
+ * Xuất danh mục hàng theo đúng định dạng import
+ * =========================
+ * Query: format = xlsx (default) | csv, categoryId (gồm category con), brand
+ */
+router.get(
+  "/export",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const format = String(req.query.format || "xlsx").toLowerCase();
+    if (!["xlsx", "csv"].includes(format)) return res.status(400).json({ ok: false, message: "INVALID_FORMAT" });
+
+    const categoryId = String(req.query.categoryId || "").trim();
+    if (categoryId && !mongoose.isValidObjectId(categoryId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_CATEGORY_ID" });
+    }
+
+    const { header, rows } = await exportProducts({
+      categoryId: categoryId || null,
+      brand: String(req.query.brand || "").trim(),
+    });
+
+    if (format === "csv") {
+      return sendCsv(
+        res,
+        "products.csv",
+        header.map((key) => ({ key, label: key })),
+        rows.map((r) => Object.fromEntries(header.map((key, i) => [key, r[i]])))
+      );
+    }
+    sendXlsx(res, "products.xlsx", [header, ...rows], "products");
+  })
+);
+
+module.exports = router;
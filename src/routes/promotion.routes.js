@@ -0,0 +1,247 @@
+// src/routes/promotion.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const Promotion = require("../models/Promotion");
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+
+const objectId = z.string().refine((v) => mongoose.isValidObjectId(v), "Invalid ObjectId");
+
+const promotionFields = {
+  name: z.string().min(1),
+  description: z.string().optional(),
+  type: z.enum(["BUY_X_GET_Y", "BUNDLE", "QTY_BREAK"]),
+
+  scope: z
+    .object({
+      variantIds: z.array(objectId).optional(),
+      productIds: z.array(objectId).optional(),
+      categoryIds: z.array(objectId).optional(),
+      brands: z.array(z.string()).optional(),
+    })
+    .optional(),
+
+  buyQty: z.number().int().positive().optional(),
+  getQty: z.number().int().positive().optional(),
+  getDiscountPercent: z.number().min(0).max(100).optional(),
+  giftVariantId: objectId.nullable().optional(),
+
+  bundleItems: z.array(z.object({ variantId: objectId, qty: z.number().int().positive() })).optional(),
+  bundlePrice: z.number().nonnegative().optional(),
+
+  qtyBreaks: z
+    .array(z.object({ minQty: z.number().int().positive(), discountPercent: z.number().min(0).max(100) }))
+    .optional(),
+
+  maxApplications: z.number().int().positive().nullable().optional(),
+  applyToFlashSale: z.boolean().optional(),
+  priority: z.number().int().optional(),
+
+  startDate: z.string().nullable().optional(),
+  endDate: z.string().nullable().optional(),
+  branchIds: z.array(objectId).optional(),
+  channels: z.array(z.enum(["POS", "ONLINE"])).optional(),
+  isActive: z.boolean().optional(),
+};
+
+function toDateOrNull(v) {
+  if (v === undefined) return undefined;
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Kiểm tra cấu hình theo từng loại khuyến mãi
+ */
+function checkPromotionPayload(data) {
+  if (data.startDate && data.endDate && data.startDate > data.endDate) return "START_AFTER_END";
+  if (data.type === "BUNDLE" && !(data.bundleItems || []).length) return "BUNDLE_ITEMS_REQUIRED";
+  if (data.type === "QTY_BREAK" && !(data.qtyBreaks || []).length) return "QTY_BREAKS_REQUIRED";
+  return "";
+}
+
+/**
+ * =========================
+ * GET /api/promotions
+ * Danh sách khuyến mãi
+ * =========================
+ * Query:
+ *  - q: tìm theo code/name
+ *  - type=BUY_X_GET_Y|BUNDLE|QTY_BREAK
+ *  - active=true|false
+ */
+router.get(
+  "/",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    const type = String(req.query.type || "").trim().toUpperCase();
+    const active = req.query.active;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (active === "true") filter.isActive = true;
+    if (active === "false") filter.isActive = false;
+    if (q) {
+      filter.$or = [
+        { code: { $regex: q, $options: "i" } },
+        { name: { $regex: q, $options: "i" } },
+      ];
+    }
+
+    const items = await Promotion.find(filter).sort({ priority: 1, createdAt: -1 }).lean();
+    res.json({ ok: true, items });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/promotions/:id
+ * =========================
+ */
+router.get(
+  "/:id",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, message: "INVALID_ID" });
+    }
+
+    const item = await Promotion.findById(req.params.id).lean();
+    if (!item) return res.status(404).json({ ok: false, message: "PROMOTION_NOT_FOUND" });
+
+    res.json({ ok: true, item });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/promotions
+ * Tạo khuyến mãi
+ * =========================
+ */
+router.post(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({ code: z.string().min(2), ...promotionFields })
+      .safeParse(req.body);
+
+    if (!body.success) {
+      return res.status(400).json({ ok: false, error: body.error.flatten() });
+    }
+
+    const data = {
+      ...body.data,
+      code: body.data.code.toUpperCase().trim(),
+      startDate: toDateOrNull(body.data.startDate),
+      endDate: toDateOrNull(body.data.endDate),
+    };
+
+    const invalid = checkPromotionPayload(data);
+    if (invalid) return res.status(400).json({ ok: false, message: invalid });
+
+    const exists = await Promotion.findOne({ code: data.code }).lean();
+    if (exists) {
+      return res.status(409).json({ ok: false, message: "CODE_ALREADY_EXISTS" });
+    }
+
+    const item = await Promotion.create({
+      ...data,
+      createdBy: req.user?.sub || null,
+      updatedBy: req.user?.sub || null,
+    });
+
+    res.json({ ok: true, item });
+  })
+);
+
+/**
+ * =========================
+ * PUT /api/promotions/:id
+ * Cập nhật khuyến mãi
+ * =========================
+ */
+router.put(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({ code: z.string().min(2), ...promotionFields })
+      .partial()
+      .safeParse(req.body);
+
+    if (!body.success) {
+      return res.status(400).json({ ok: false, error: body.error.flatten() });
+    }
+
+    const item = await Promotion.findById(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, message: "PROMOTION_NOT_FOUND" });
+
+    const patch = { ...body.data };
+    if (patch.code !== undefined) patch.code = patch.code.toUpperCase().trim();
+    if (patch.startDate !== undefined) patch.startDate = toDateOrNull(patch.startDate);
+    if (patch.endDate !== undefined) patch.endDate = toDateOrNull(patch.endDate);
+
+    if (patch.code && patch.code !== item.code) {
+      const dup = await Promotion.findOne({ code: patch.code, _id: { $ne: item._id } }).lean();
+      if (dup) return res.status(409).json({ ok: false, message: "CODE_ALREADY_EXISTS" });
+    }
+
+    const invalid = checkPromotionPayload({ ...item.toObject(), ...patch });
+    if (invalid) return res.status(400).json({ ok: false, message: invalid });
+
+    item.set({ ...patch, updatedBy: req.user?.sub || null });
+    await item.save();
+
+    res.json({ ok: true, item });
+  })
+);
+
+/**
+ * =========================
+ * PATCH /api/promotions/:id/toggle
+ * Bật / tắt khuyến mãi
+ * =========================
+ */
+router.patch(
+  "/:id/toggle",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const item = await Promotion.findById(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, message: "PROMOTION_NOT_FOUND" });
+
+    item.isActive = !item.isActive;
+    item.updatedBy = req.user?.sub || null;
+    await item.save();
+
+    res.json({ ok: true, item });
+  })
+);
+
+/**
+ * =========================
+ * DELETE /api/promotions/:id
+ * Xoá cứng (đơn cũ vẫn giữ snapshot khuyến mãi trên dòng hàng)
+ * =========================
+ */
+router.delete(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN"]),
+  asyncHandler(async (req, res) => {
+    const item = await Promotion.findByIdAndDelete(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, message: "PROMOTION_NOT_FOUND" });
+
+    res.json({ ok: true });
+  })
+);
+
+module.exports = router;
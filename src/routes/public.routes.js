@@ -7,6 +7,17 @@ const ProductVariant = require("../models/ProductVariant");
 const Category = require("../models/Category");
 const FlashSale = require("../models/FlashSale");
 const { asyncHandler } = require("../utils/asyncHandler");
+const { getSubCategoryIds } = require("../utils/categoryTree");
+const { getAvailabilityMap } = require("../services/reservation.service");
+const { textSearchConditions, searchCatalog } = require("../services/search.service");
+const {
+  parseFacetFilters,
+  buildFacetMatch,
+  attributeFacetStages,
+  facetCountStages,
+  formatFacets,
+} = require("../services/catalogFacet.service");
+const { getEffectiveAttributeDefs, formatProductAttributes } = require("../services/productAttribute.service");
 
 const PRODUCT_VARIANTS_COLLECTION = "productvariants";
 
@@ -14,28 +25,6 @@ function isValidObjectId(id) {
   return mongoose.isValidObjectId(String(id || ""));
 }
 
-// ===============================
-// Helper: Get descendant categories
-// ===============================
-async function getAllDescendantCategories(categoryId) {
-  const descendants = [];
-  const queue = [categoryId];
-
-  while (queue.length > 0) {
-    const currentId = queue.shift();
-    const children = await Category.find({ parentId: currentId })
-      .select("_id")
-      .lean();
-
-    for (const child of children) {
-      descendants.push(child._id);
-      queue.push(child._id);
-    }
-  }
-
-  return descendants;
-}
-
 // ===============================
 // Helper: Build category tree
 // ===============================
@@ -52,6 +41,22 @@ function buildCategoryTree(categories, parentId = null) {
     }));
 }
 
+// ===============================
+// GET /api/public/search - Tìm sản phẩm không dấu cho web (xếp hạng + gợi ý sửa lỗi gõ)
+// ===============================
+router.get(
+  "/search",
+  asyncHandler(async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.json({ ok: true, q, items: [], total: 0, corrected: null, suggestions: [] });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const result = await searchCatalog({ q, limit, level: "product", activeOnly: true });
+
+    res.json({ ok: true, q, ...result });
+  })
+);
+
 // ===============================
 // GET /api/public/products - Danh sách sản phẩm cho web
 // ===============================
@@ -60,7 +65,6 @@ router.get(
   asyncHandler(async (req, res) => {
     const categoryId = req.query.categoryId ? String(req.query.categoryId) : null;
     const includeSubcategories = String(req.query.includeSubcategories || "true") === "true";
-    const brand = req.query.brand ? String(req.query.brand) : null;
     const q = String(req.query.q || "").trim();
     
     const minPrice = req.query.minPrice !== undefined ? Number(req.query.minPrice) : null;
@@ -76,6 +80,15 @@ router.get(
     const isFlashSale = req.query.isFlashSale === "true";
     const isNew = req.query.isNew === "true";
 
+    // ✅ Facet: brand / attr[key] / priceRange / onSale (nhiều giá trị trong 1 facet = OR)
+    let facetFilters;
+    try {
+      facetFilters = parseFacetFilters(req.query);
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
     // ✅ Build query
     const query = { isActive: true };
 
@@ -84,7 +97,7 @@ router.get(
       let categoryIds = [new mongoose.Types.ObjectId(categoryId)];
       
       if (includeSubcategories) {
-        const descendants = await getAllDescendantCategories(categoryId);
+        const descendants = await getSubCategoryIds(categoryId);
         categoryIds = [
           new mongoose.Types.ObjectId(categoryId),
           ...descendants.map(id => new mongoose.Types.ObjectId(id))
@@ -94,13 +107,8 @@ router.get(
       query.categoryId = { $in: categoryIds };
     }
 
-    if (brand) query.brand = brand;
-
     if (q) {
-      query.$or = [
-        { name: { $regex: q, $options: "i" } },
-        { sku: { $regex: q, $options: "i" } }
-      ];
+      query.$or = textSearchConditions(q);
     }
 
     if (isFlashSale) {
@@ -148,6 +156,7 @@ router.get(
             },
             {
               $project: {
+                price: 1,
                 displayPrice: {
                   $cond: [
                     { $and: [
@@ -164,7 +173,8 @@ router.get(
               $group: {
                 _id: null,
                 minPrice: { $min: "$displayPrice" },
-                maxPrice: { $max: "$displayPrice" }
+                maxPrice: { $max: "$displayPrice" },
+                anyOnSale: { $max: { $lt: ["$displayPrice", "$price"] } }
               }
             }
           ],
@@ -221,6 +231,14 @@ router.get(
         }
       },
 
+      // Facet: thuộc tính variant + cờ đang giảm giá
+      ...attributeFacetStages(PRODUCT_VARIANTS_COLLECTION),
+      {
+        $addFields: {
+          _isOnSale: { $or: ["$isFlashSale", { $eq: ["$_pr.anyOnSale", true] }] }
+        }
+      },
+
       // Price filter
       ...(minPrice !== null || maxPrice !== null ? [{
         $match: {
@@ -234,6 +252,7 @@ router.get(
       {
         $facet: {
           items: [
+            { $match: buildFacetMatch(facetFilters) },
             { $sort: sortOptions },
             { $skip: skip },
             { $limit: limit },
@@ -267,32 +286,35 @@ router.get(
               }
             }
           ],
-          total: [{ $count: "count" }],
+          total: [{ $match: buildFacetMatch(facetFilters) }, { $count: "count" }],
           
-          // Facets for filters
-          brands: [
-            { $group: { _id: "$brand", count: { $sum: 1 } } },
-            { $sort: { count: -1 } },
-            { $limit: 20 }
-          ],
-          priceRanges: [
-            {
-              $bucket: {
-                groupBy: "$minPrice",
-                boundaries: [0, 100000, 500000, 1000000, 5000000, 10000000, 999999999],
-                default: "Other",
-                output: { count: { $sum: 1 } }
-              }
-            }
-          ]
+          // Facets for filters (mỗi facet đếm theo các bộ lọc còn lại)
+          ...facetCountStages(facetFilters)
         }
       }
     ]);
 
     const items = agg?.[0]?.items || [];
     const total = agg?.[0]?.total?.[0]?.count || 0;
-    const brands = agg?.[0]?.brands || [];
-    const priceRanges = agg?.[0]?.priceRanges || [];
+
+    // nhãn / đơn vị cho facet thuộc tính khi đang xem 1 category
+    const attributeDefs = categoryId && isValidObjectId(categoryId) ? await getEffectiveAttributeDefs(categoryId) : [];
+
+    // ✅ Tồn có thể bán online (các chi nhánh xuất kho online): available = qty - reserved
+    const pageVariants = await ProductVariant.find({
+      productId: { $in: items.map((p) => p._id) },
+      isActive: true,
+    })
+      .select("_id productId")
+      .lean();
+    const availMap = await getAvailabilityMap(pageVariants.map((v) => v._id));
+
+    for (const p of items) {
+      p.available = pageVariants
+        .filter((v) => String(v.productId) === String(p._id))
+        .reduce((sum, v) => sum + (availMap.get(String(v._id))?.available || 0), 0);
+      p.inStock = p.available > 0;
+    }
 
     res.json({
       ok: true,
@@ -302,14 +324,7 @@ router.get(
       limit,
       totalPages: Math.ceil(total / limit),
       
-      filters: {
-        brands: brands.map(b => ({ name: b._id, count: b.count })),
-        priceRanges: priceRanges.map(pr => ({
-          min: pr._id === "Other" ? 10000000 : pr._id,
-          max: pr._id === "Other" ? 999999999 : (pr._id + 100000),
-          count: pr.count
-        }))
-      }
+      filters: formatFacets(agg?.[0], facetFilters, attributeDefs)
     });
   })
 );
@@ -363,7 +378,7 @@ router.get(
         let totalCount = countMap.get(String(cat._id)) || 0;
         
         // Lấy tất cả descendant categories
-        const descendants = await getAllDescendantCategories(cat._id);
+        const descendants = await getSubCategoryIds(cat._id);
         
         if (descendants.length > 0) {
           const descendantCounts = await Product.countDocuments({
@@ -503,7 +518,7 @@ router.get(
     });
 
     // ✅ Count tất cả products bao gồm subcategories
-    const descendants = await getAllDescendantCategories(category._id);
+    const descendants = await getSubCategoryIds(category._id);
     const allCategoryIds = [category._id, ...descendants];
     
     const totalProductCount = await Product.countDocuments({
@@ -519,7 +534,7 @@ router.get(
           isActive: true
         });
 
-        const childDescendants = await getAllDescendantCategories(child._id);
+        const childDescendants = await getSubCategoryIds(child._id);
         const childTotalCount = await Product.countDocuments({
           categoryId: { $in: [child._id, ...childDescendants] },
           isActive: true
@@ -603,7 +618,7 @@ router.get(
     let categoryIds = [new mongoose.Types.ObjectId(categoryId)];
     
     if (includeSubcategories) {
-      const descendants = await getAllDescendantCategories(categoryId);
+      const descendants = await getSubCategoryIds(categoryId);
       categoryIds = [
         new mongoose.Types.ObjectId(categoryId),
         ...descendants.map(id => new mongoose.Types.ObjectId(id))
@@ -618,10 +633,7 @@ router.get(
 
     if (brand) query.brand = brand;
     if (q) {
-      query.$or = [
-        { name: { $regex: q, $options: "i" } },
-        { sku: { $regex: q, $options: "i" } }
-      ];
+      query.$or = textSearchConditions(q);
     }
 
     // ✅ Sort options
@@ -862,7 +874,7 @@ router.get(
       let categoryIds = [new mongoose.Types.ObjectId(categoryId)];
       
       if (includeSubcategories) {
-        const descendants = await getAllDescendantCategories(categoryId);
+        const descendants = await getSubCategoryIds(categoryId);
         categoryIds = [
           new mongoose.Types.ObjectId(categoryId),
           ...descendants.map(id => new mongoose.Types.ObjectId(id))
@@ -875,10 +887,7 @@ router.get(
     if (brand) query.brand = brand;
 
     if (q) {
-      query.$or = [
-        { name: { $regex: q, $options: "i" } },
-        { sku: { $regex: q, $options: "i" } }
-      ];
+      query.$or = textSearchConditions(q);
     }
 
     if (isFlashSale) {
@@ -1175,6 +1184,9 @@ router.get(
       };
     });
 
+    // ✅ Tồn có thể bán online (các chi nhánh xuất kho online): available = qty - reserved
+    const availMap = await getAvailabilityMap(variants.map((v) => v._id));
+
     // Format variants
     const formattedVariants = variants.map(variant => {
       let displayPrice = variant.price;
@@ -1244,6 +1256,9 @@ router.get(
         
         isFlashSale,
         flashSale: flashSaleInfo,
+
+        available: availMap.get(String(variant._id))?.available || 0,
+        inStock: (availMap.get(String(variant._id))?.available || 0) > 0,
         
         isDefault: variant.isDefault || false
       };
@@ -1316,6 +1331,11 @@ router.get(
         
         hasVariants: true,
         totalVariants: formattedVariants.length,
+
+        available: formattedVariants.reduce((sum, v) => sum + v.available, 0),
+
+        // ✅ thành phần, loại da, xuất xứ, dung tích, HDSD... theo định nghĩa của category
+        attributes: formatProductAttributes(await getEffectiveAttributeDefs(product.categoryId), product.attributes),
         
         createdAt: product.createdAt,
         updatedAt: product.updatedAt
@@ -0,0 +1,311 @@
+// src/routes/purchaseOrder.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const PurchaseOrder = require("../models/PurchaseOrder");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const Supplier = require("../models/Supplier");
+
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const {
+  RECEIVABLE_STATUSES,
+  buildPurchaseOrderItems,
+  calcSubtotal,
+  createPurchaseOrderDraft,
+} = require("../services/purchaseOrder.service");
+
+const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const itemsSchema = z
+  .array(
+    z.object({
+      variantId: z.string().min(1),
+      qty: z.number().int().positive(),
+      cost: z.number().int().nonnegative().optional(), // rỗng -> giá vốn variant
+    })
+  )
+  .min(1);
+
+function toDateOrNull(v) {
+  if (v === undefined) return undefined;
+  if (!v) return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function withOutstanding(po) {
+  const items = (po.items || []).map((l) => ({
+    ...l,
+    outstandingQty: Math.max(0, Number(l.qty || 0) - Number(l.receivedQty || 0)),
+  }));
+  return {
+    ...po,
+    items,
+    outstandingQty: items.reduce((s, l) => s + l.outstandingQty, 0),
+  };
+}
+
+/**
+ * =========================
+ * GET /api/purchase-orders
+ * =========================
+ * Query: supplierId, branchId, status (có thể nhiều, phân cách dấu phẩy), q (mã PO), page, limit
+ */
+router.get(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const supplierId = String(req.query.supplierId || "").trim();
+    const branchId = String(req.query.branchId || "").trim();
+    const status = String(req.query.status || "").trim().toUpperCase();
+    const q = String(req.query.q || "").trim();
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (supplierId) {
+      if (!isValidObjectId(supplierId)) return res.status(400).json({ ok: false, message: "INVALID_SUPPLIER_ID" });
+      filter.supplierId = supplierId;
+    }
+    if (branchId && branchId !== "all") {
+      if (!isValidObjectId(branchId)) return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+      filter.branchId = branchId;
+    }
+    if (status) filter.status = { $in: status.split(",").map((s) => s.trim()).filter(Boolean) };
+    if (q) filter.code = { $regex: q, $options: "i" };
+
+    const [items, total] = await Promise.all([
+      PurchaseOrder.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      PurchaseOrder.countDocuments(filter),
+    ]);
+
+    res.json({
+      ok: true,
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      items: items.map(withOutstanding),
+    });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/purchase-orders/:id
+ * Kèm các phiếu nhập lập theo PO
+ * =========================
+ */
+router.get(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const po = await PurchaseOrder.findById(req.params.id).lean();
+    if (!po) return res.status(404).json({ ok: false, message: "PO_NOT_FOUND" });
+
+    const receipts = await GoodsReceipt.find({ purchaseOrderId: po._id })
+      .select("_id code status subtotal items.variantId items.qty confirmedAt createdAt")
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({ ok: true, purchaseOrder: withOutstanding(po), receipts });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/purchase-orders
+ * Tạo PO nháp
+ * =========================
+ */
+router.post(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        supplierId: z.string().min(1),
+        branchId: z.string().min(1),
+        expectedDate: z.string().nullable().optional(),
+        note: z.string().optional(),
+        items: itemsSchema,
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+    const data = body.data;
+
+    try {
+      const po = await createPurchaseOrderDraft({
+        supplierId: data.supplierId,
+        branchId: data.branchId,
+        items: data.items,
+        expectedDate: toDateOrNull(data.expectedDate) || null,
+        note: data.note || "",
+        userId: req.user.sub || null,
+      });
+      res.json({ ok: true, purchaseOrder: withOutstanding(po.toObject()) });
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+  })
+);
+
+/**
+ * =========================
+ * PUT /api/purchase-orders/:id
+ * Sửa PO nháp
+ * =========================
+ */
+router.put(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        expectedDate: z.string().nullable().optional(),
+        note: z.string().optional(),
+        items: itemsSchema.optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const po = await PurchaseOrder.findById(req.params.id);
+    if (!po) return res.status(404).json({ ok: false, message: "PO_NOT_FOUND" });
+    if (po.status !== "DRAFT") return res.status(409).json({ ok: false, message: "Only DRAFT can be edited" });
+
+    if (body.data.items) {
+      try {
+        po.items = await buildPurchaseOrderItems(body.data.items);
+      } catch (e) {
+        if (!e?.code) throw e;
+        return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+      }
+      po.subtotal = calcSubtotal(po.items);
+    }
+    if (body.data.note !== undefined) po.note = body.data.note;
+    if (body.data.expectedDate !== undefined) po.expectedDate = toDateOrNull(body.data.expectedDate);
+
+    await po.save();
+    res.json({ ok: true, purchaseOrder: withOutstanding(po.toObject()) });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/purchase-orders/:id/order
+ * DRAFT -> ORDERED (đã gửi NCC); expectedDate mặc định theo leadTimeDays của NCC
+ * =========================
+ */
+router.post(
+  "/:id/order",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const po = await PurchaseOrder.findById(req.params.id);
+    if (!po) return res.status(404).json({ ok: false, message: "PO_NOT_FOUND" });
+    if (po.status !== "DRAFT") return res.status(409).json({ ok: false, message: "Only DRAFT can be ordered" });
+    if (!po.items.length) return res.status(400).json({ ok: false, message: "ITEMS_REQUIRED" });
+
+    const supplier = await Supplier.findById(po.supplierId).select("isActive leadTimeDays").lean();
+    if (!supplier || supplier.isActive === false) {
+      return res.status(409).json({ ok: false, message: "SUPPLIER_INACTIVE" });
+    }
+
+    const now = new Date();
+    po.status = "ORDERED";
+    po.orderedAt = now;
+    po.orderedById = req.user.sub || null;
+    if (!po.expectedDate) po.expectedDate = new Date(now.getTime() + Number(supplier.leadTimeDays || 0) * DAY_MS);
+    await po.save();
+
+    res.json({ ok: true, purchaseOrder: withOutstanding(po.toObject()) });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/purchase-orders/:id/close
+ * Đóng PO còn thiếu hàng (NCC không giao tiếp) - không nhận thêm được
+ * =========================
+ */
+router.post(
+  "/:id/close",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z.object({ reason: z.string().optional() }).safeParse(req.body || {});
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const po = await PurchaseOrder.findById(req.params.id);
+    if (!po) return res.status(404).json({ ok: false, message: "PO_NOT_FOUND" });
+    if (!RECEIVABLE_STATUSES.includes(po.status)) {
+      return res.status(409).json({ ok: false, message: `Only ORDERED / PARTIALLY_RECEIVED can be closed. Current=${po.status}` });
+    }
+
+    // phiếu nhập nháp theo PO sẽ không confirm được nữa
+    const draftReceipts = await GoodsReceipt.countDocuments({ purchaseOrderId: po._id, status: "DRAFT" });
+    if (draftReceipts) {
+      return res.status(409).json({ ok: false, message: "PO_HAS_DRAFT_RECEIPTS", draftReceipts });
+    }
+
+    po.status = "CLOSED";
+    po.closedAt = new Date();
+    po.closedById = req.user.sub || null;
+    po.closeReason = body.data.reason || "";
+    await po.save();
+
+    res.json({ ok: true, purchaseOrder: withOutstanding(po.toObject()) });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/purchase-orders/:id/cancel
+ * Huỷ PO chưa nhận hàng
+ * =========================
+ */
+router.post(
+  "/:id/cancel",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const po = await PurchaseOrder.findById(req.params.id);
+    if (!po) return res.status(404).json({ ok: false, message: "PO_NOT_FOUND" });
+    if (!["DRAFT", "ORDERED"].includes(po.status)) {
+      return res.status(409).json({ ok: false, message: "Only DRAFT / ORDERED (not received) can be cancelled" });
+    }
+
+    const draftReceipts = await GoodsReceipt.countDocuments({ purchaseOrderId: po._id, status: "DRAFT" });
+    if (draftReceipts) {
+      return res.status(409).json({ ok: false, message: "PO_HAS_DRAFT_RECEIPTS", draftReceipts });
+    }
+
+    po.status = "CANCELLED";
+    po.cancelledAt = new Date();
+    po.cancelledById = req.user.sub || null;
+    await po.save();
+
+    res.json({ ok: true, purchaseOrder: withOutstanding(po.toObject()) });
+  })
+);
+
+module.exports = router;
@@ -5,10 +5,12 @@ const QRCode = require("qrcode");
 const crypto = require("crypto");
 
 const Order = require("../models/Order");
+const StockTransfer = require("../models/StockTransfer");
 const Branch = require("../models/Branch");
 const Customer = require("../models/Customer");
 const { asyncHandler } = require("../utils/asyncHandler");
 const User = require("../models/User");
+const { describeItemUnit } = require("../services/unit.service");
 
 // ===== Helpers
 const money = (n) => Number(n || 0).toLocaleString("vi-VN");
@@ -84,6 +86,7 @@ function getPaymentMethodLabel(method) {
   if (m === "CARD") return "Thẻ";
   if (m === "WALLET") return "Ví điện tử";
   if (m === "COD") return "COD";
+  if (m === "EXCHANGE") return "Cấn trừ hàng đổi";
   return m || "Khác";
 }
 
@@ -175,11 +178,19 @@ function renderBlocksReceipt({ blocks, data, paper = 56 }) {
       const qty = escapeHtml(it?.qty);
       const price = escapeHtml(it?.price);
       const total = escapeHtml(it?.total);
+      const promoNote = it?.promoNote
+        ? `<div style="color:#d32f2f;font-size:10px;">KM: ${escapeHtml(it.promoNote)}</div>`
+        : "";
+      const unitNote = it?.unitNote
+        ? `<div style="color:#666;font-size:10px;">${escapeHtml(it.unitNote)}</div>`
+        : "";
       return `
         <div style="display:flex;gap:6px;margin:3px 0;">
           <div style="flex:1;min-width:0;">
             ${name}
             <div style="color:#666;font-size:10px;">${qty} x ${price}</div>
+            ${unitNote}
+            ${promoNote}
           </div>
           <div style="text-align:right;white-space:nowrap;font-weight:600;">${total}</div>
         </div>
@@ -202,6 +213,16 @@ function renderBlocksReceipt({ blocks, data, paper = 56 }) {
           ? `<div>Trạng thái: <b>${item_format(escapeHtml(data.order.status))}</b></div>`
           : ""
       }
+      ${
+        data?.order?.exchangeFromCode
+          ? `<div>Đổi hàng từ đơn: <b>${escapeHtml(data.order.exchangeFromCode)}</b></div>`
+          : ""
+      }
+      ${
+        data?.order?.exchangeCodes
+          ? `<div>Đã đổi/trả: <b>${escapeHtml(data.order.exchangeCodes)}</b></div>`
+          : ""
+      }
     </div>
   `;
 
@@ -269,6 +290,13 @@ function renderBlocksReceipt({ blocks, data, paper = 56 }) {
             </div>`
           : ""
       }
+      ${
+        data?.summary?.couponCode
+          ? `<div style="display:flex;justify-content:space-between;margin:2px 0;">
+              <span>Mã giảm giá (${escapeHtml(data.summary.couponCode)})</span><span style="color:#d32f2f;">- ${escapeHtml(data.summary.couponDiscount)}</span>
+            </div>`
+          : ""
+      }
       ${
         data?.loyalty?.redeemAmount && data.loyalty.redeemAmount > 0
           ? `<div style="display:flex;justify-content:space-between;margin:2px 0;">
@@ -549,14 +577,21 @@ router.get(
     const itemsRaw = Array.isArray(order.items) ? order.items : [];
     const items = itemsRaw.map((it) => {
       const name = it.name || it.productName || "Sản phẩm";
-      const qty = Number(it.qty ?? it.quantity ?? 0);
-      const price = Number(it.price ?? 0);
-      const total = Number(it.total ?? qty * price);
+      // ✅ Đơn vị quy đổi: "2 Hộp" x giá hộp + SL đơn vị gốc
+      const { qty, price, unitNote } = describeItemUnit(it);
+      const total = Number(it.total ?? Number(it.qty || 0) * Number(it.price || 0));
+      // ✅ Khuyến mãi trên dòng: "Mua 2 tặng 1 -10.000"
+      const promoNote = (it.promotions || [])
+        .filter((p) => Number(p.amount || 0) > 0)
+        .map((p) => `${p.name || p.code} -${money(p.amount)}`)
+        .join(", ");
       return {
-        name,
+        name: it.isGift ? `${name} (Quà tặng)` : name,
         qty,
         price: money(price),
         total: money(total),
+        promoNote,
+        unitNote,
       };
     });
 
@@ -572,9 +607,11 @@ router.get(
     const discount = Number(order.discount ?? 0);
     const extraFee = Number(order.extraFee ?? 0);
     const pointsRedeemAmount = Number(order.pointsRedeemAmount ?? 0);
+    const couponDiscount = Number(order.couponDiscount ?? 0);
+    const couponCode = couponDiscount > 0 ? String(order.coupon?.code || "") : "";
     const total = Math.max(
       0,
-      subtotal - discount - pointsRedeemAmount + extraFee
+      subtotal - discount - couponDiscount - pointsRedeemAmount + extraFee
     );
     const pricingNote = order.pricingNote || "";
 
@@ -633,6 +670,11 @@ router.get(
         createdAt,
         barcodeText,
         barcodeDataUrl,
+        exchangeFromCode: order.exchange?.fromOrderCode || "",
+        exchangeCodes: (order.returns || [])
+          .map((r) => r.exchangeOrderCode || r.code)
+          .filter(Boolean)
+          .join(", "),
       },
       cashier: { name: cashierName },
       customer: {
@@ -651,10 +693,14 @@ router.get(
         qty: x.qty,
         price: x.price,
         total: x.total,
+        promoNote: x.promoNote,
+        unitNote: x.unitNote,
       })),
       summary: {
         subtotal: money(subtotal),
         discount: money(discount),
+        couponCode,
+        couponDiscount: money(couponDiscount),
         extraFee: money(extraFee),
         total: money(total),
         paid: money(paid),
@@ -718,4 +764,137 @@ router.get(
   })
 );
 
-module.exports = router;
\ No newline at end of file
+const TRANSFER_STATUS_LABEL = {
+  DRAFT: "Nháp",
+  SHIPPED: "Đang chuyển",
+  RECEIVED: "Đã nhận",
+  CANCELLED: "Đã huỷ",
+};
+
+const fmtDate = (d) => (d ? new Date(d).toLocaleDateString("vi-VN") : "");
+const fmtDateTime = (d) => (d ? new Date(d).toLocaleString("vi-VN") : "");
+
+/**
+ * GET /print/transfer/:id
+ * Phiếu chuyển kho (A4) - kèm lô/HSD, SL nhận & lý do lệch
+ * Query params:
+ * - autoPrint hoặc autoprint: "1" hoặc "true" để tự động in
+ */
+router.get(
+  "/transfer/:id",
+  asyncHandler(async (req, res) => {
+    const autoPrintParam = req.query.autoPrint || req.query.autoprint;
+    const autoPrint = autoPrintParam === "1" || autoPrintParam === "true";
+    const nonce = crypto.randomBytes(16).toString("base64");
+
+    const t = await StockTransfer.findById(req.params.id).lean().catch(() => null);
+    if (!t) return res.status(404).send("Transfer not found");
+
+    const [from, to] = await Promise.all([
+      Branch.findById(t.fromBranchId).select("name address phone").lean(),
+      Branch.findById(t.toBranchId).select("name address phone").lean(),
+    ]);
+
+    const received = t.status === "RECEIVED";
+
+    const rows = (t.items || [])
+      .map((it, i) => {
+        const lots = (it.lots || [])
+          .map((l) => `${escapeHtml(l.lotNo || "-")}${l.expiryDate ? ` (HSD ${fmtDate(l.expiryDate)})` : ""}: ${l.qty}`)
+          .join("<br/>");
+        return `
+          <tr>
+            <td class="c">${i + 1}</td>
+            <td>${escapeHtml(it.sku)}</td>
+            <td>${escapeHtml(it.name)}</td>
+            <td>${lots}</td>
+            <td class="r">${money(it.qty)}</td>
+            <td class="r">${received ? money(it.receivedQty) : ""}</td>
+            <td>${escapeHtml(it.discrepancyReason || "")}</td>
+          </tr>`;
+      })
+      .join("");
+
+    const branchBlock = (label, b) => `
+      <div class="box">
+        <b>${label}:</b> ${escapeHtml(b?.name || "")}<br/>
+        ${escapeHtml(b?.address || "")}${b?.phone ? ` - ${escapeHtml(b.phone)}` : ""}
+      </div>`;
+
+    let html = `<!doctype html>
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <title>Phiếu chuyển kho ${escapeHtml(t.code)}</title>
+        <style>
+          @page { size: A4; margin: 12mm; }
+          body { font-family: Arial, sans-serif; font-size: 13px; color: #000; }
+          h2 { text-align: center; margin: 0 0 4px; }
+          .meta { text-align: center; margin-bottom: 12px; }
+          .row { display: flex; gap: 12px; margin-bottom: 12px; }
+          .box { flex: 1; border: 1px solid #000; padding: 6px; }
+          table { width: 100%; border-collapse: collapse; }
+          th, td { border: 1px solid #000; padding: 4px; vertical-align: top; }
+          .c { text-align: center; } .r { text-align: right; }
+          .sign { display: flex; justify-content: space-around; margin-top: 24px; text-align: center; }
+          .sign div { width: 30%; height: 90px; }
+        </style>
+      </head>
+      <body>
+        <h2>PHIẾU CHUYỂN KHO</h2>
+        <div class="meta">
+          Số: <b>${escapeHtml(t.code)}</b> - ${TRANSFER_STATUS_LABEL[t.status] || t.status}<br/>
+          Ngày tạo: ${fmtDateTime(t.createdAt)}
+          ${t.shippedAt ? ` | Xuất: ${fmtDateTime(t.shippedAt)}` : ""}
+          ${t.receivedAt ? ` | Nhận: ${fmtDateTime(t.receivedAt)}` : ""}
+        </div>
+        <div class="row">
+          ${branchBlock("Kho xuất", from)}
+          ${branchBlock("Kho nhận", to)}
+        </div>
+        <table>
+          <thead>
+            <tr>
+              <th>#</th><th>SKU</th><th>Sản phẩm</th><th>Lô / HSD</th>
+              <th>SL chuyển</th><th>SL nhận</th><th>Lý do lệch</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+          <tfoot>
+            <tr>
+              <td colspan="4" class="r"><b>Tổng</b></td>
+              <td class="r"><b>${money(t.totalQty)}</b></td>
+              <td class="r"><b>${received ? money(t.receivedTotalQty) : ""}</b></td>
+              <td></td>
+            </tr>
+          </tfoot>
+        </table>
+        ${t.note ? `<p><b>Ghi chú:</b> ${escapeHtmlWithNewline(t.note)}</p>` : ""}
+        ${t.receiveNote ? `<p><b>Ghi chú nhận:</b> ${escapeHtmlWithNewline(t.receiveNote)}</p>` : ""}
+        <div class="sign">
+          <div><b>Người lập</b><br/><i>(Ký, ghi rõ họ tên)</i></div>
+          <div><b>Người giao</b><br/><i>(Ký, ghi rõ họ tên)</i></div>
+          <div><b>Người nhận</b><br/><i>(Ký, ghi rõ họ tên)</i></div>
+        </div>
+      </body>
+    </html>`;
+
+    if (autoPrint) {
+      html = html.replace(
+        "</body>",
+        `<script nonce="${nonce}">
+          window.addEventListener('load', function() { setTimeout(function() { window.print(); }, 500); });
+        </script></body>`
+      );
+    }
+
+    res.setHeader(
+      "Content-Security-Policy",
+      `script-src 'self' 'nonce-${nonce}'; style-src 'self' 'unsafe-inline'; img-src 'self' data: http: https:;`
+    );
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.send(html);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,281 @@
+// src/routes/reorder.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const VariantStock = require("../models/VariantStock");
+const ProductVariant = require("../models/ProductVariant");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const Supplier = require("../models/Supplier");
+
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { resolveBranchId } = require("../utils/resolveBranchId");
+const { genReceiptCode } = require("../utils/code");
+const { notifyLowStock, computeReorderSuggestions } = require("../services/reorder.service");
+const { buildPurchaseOrderItems, createPurchaseOrderDraft } = require("../services/purchaseOrder.service");
+
+const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
+
+function intParam(v, def, min, max) {
+  const n = parseInt(v);
+  if (!Number.isFinite(n)) return def;
+  return Math.min(Math.max(n, min), max);
+}
+
+function suggestionParams(src) {
+  return {
+    days: intParam(src.days, 30, 1, 365),
+    safetyDays: intParam(src.safetyDays, 7, 0, 365),
+    coverDays: intParam(src.coverDays, 30, 0, 365),
+  };
+}
+
+/**
+ * =========================
+ * GET /api/reorder/rules
+ * Định mức tồn đã cài theo chi nhánh
+ * =========================
+ */
+router.get(
+  "/rules",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const branchId = resolveBranchId(req);
+
+    const filter = { reorderPoint: { $ne: null } };
+    if (branchId) filter.branchId = branchId;
+
+    const rows = await VariantStock.find(filter)
+      .select("branchId variantId qty reserved reorderPoint reorderTarget lowStockAlertedAt")
+      .lean();
+
+    const variants = await ProductVariant.find({ _id: { $in: rows.map((r) => r.variantId) } })
+      .select("_id sku name")
+      .lean();
+    const vMap = new Map(variants.map((v) => [String(v._id), v]));
+
+    const items = rows.map((r) => ({
+      ...r,
+      available: Number(r.qty || 0) - Number(r.reserved || 0),
+      belowPoint: Number(r.qty || 0) - Number(r.reserved || 0) <= Number(r.reorderPoint || 0),
+      sku: vMap.get(String(r.variantId))?.sku || "",
+      name: vMap.get(String(r.variantId))?.name || "",
+    }));
+
+    res.json({ ok: true, branchId: branchId || "all", items });
+  })
+);
+
+/**
+ * =========================
+ * PUT /api/reorder/rules
+ * Cài min/max theo variant tại chi nhánh (reorderPoint=null -> xoá định mức)
+ * =========================
+ */
+router.put(
+  "/rules",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        branchId: z.string().min(1),
+        items: z
+          .array(
+            z.object({
+              variantId: z.string().min(1),
+              reorderPoint: z.number().int().nonnegative().nullable(),
+              reorderTarget: z.number().int().nonnegative().nullable().optional(),
+            })
+          )
+          .min(1),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+    const { branchId, items } = body.data;
+
+    if (!isValidObjectId(branchId)) return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+
+    for (const it of items) {
+      if (!isValidObjectId(it.variantId)) {
+        return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID", detail: it.variantId });
+      }
+      if (it.reorderPoint != null && it.reorderTarget != null && it.reorderTarget < it.reorderPoint) {
+        return res.status(400).json({ ok: false, message: "TARGET_BELOW_POINT", detail: it.variantId });
+      }
+    }
+
+    const count = await ProductVariant.countDocuments({ _id: { $in: items.map((it) => it.variantId) } });
+    if (count !== new Set(items.map((it) => it.variantId)).size) {
+      return res.status(400).json({ ok: false, message: "VARIANT_NOT_FOUND" });
+    }
+
+    for (const it of items) {
+      const cleared = it.reorderPoint == null;
+      await VariantStock.updateOne(
+        { branchId, variantId: it.variantId },
+        {
+          $set: {
+            reorderPoint: cleared ? null : it.reorderPoint,
+            reorderTarget: cleared ? null : it.reorderTarget ?? it.reorderPoint,
+            lowStockAlertedAt: null,
+          },
+          $setOnInsert: { qty: 0, reserved: 0 },
+        },
+        { upsert: true }
+      );
+    }
+
+    // định mức mới có thể đã dưới ngưỡng ngay
+    const alerts = await notifyLowStock(
+      req.app.get("io"),
+      items.map((it) => ({ branchId, variantId: it.variantId }))
+    );
+
+    res.json({ ok: true, updated: items.length, alerts });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/reorder/suggestions
+ * Gợi ý SL đặt hàng
+ * =========================
+ * Query:
+ *  - branchId (bắt buộc với ADMIN/MANAGER, STAFF khoá theo token)
+ *  - days (kỳ tính tốc độ bán, default 30), safetyDays (7), coverDays (30)
+ *  - supplierId: chỉ variant đặt gần nhất từ NCC này
+ *  - all=true: gồm cả variant chưa cần đặt
+ */
+router.get(
+  "/suggestions",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const branchId = resolveBranchId(req);
+    if (!branchId) return res.status(400).json({ ok: false, message: "BRANCH_ID_REQUIRED" });
+
+    const supplierId = String(req.query.supplierId || "").trim();
+    if (supplierId && !isValidObjectId(supplierId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_SUPPLIER_ID" });
+    }
+
+    const params = suggestionParams(req.query);
+    const items = await computeReorderSuggestions({
+      branchId,
+      ...params,
+      supplierId: supplierId || null,
+      onlyBelow: String(req.query.all || "") !== "true",
+    });
+
+    res.json({
+      ok: true,
+      branchId,
+      ...params,
+      items,
+      totalSuggestQty: items.reduce((s, it) => s + it.suggestQty, 0),
+      totalValue: items.reduce((s, it) => s + it.suggestQty * it.unitCost, 0),
+    });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/reorder/suggestions/convert
+ * Gợi ý -> PO nháp (target=PURCHASE_ORDER) hoặc phiếu nhập nháp (target=INBOUND)
+ * =========================
+ * Body:
+ *  - branchId, supplierId (bắt buộc với PO)
+ *  - items?: [{ variantId, qty, cost? }] (đã chỉnh trên FE); rỗng -> lấy gợi ý hiện tại theo NCC
+ *  - days/safetyDays/coverDays: như GET suggestions
+ */
+router.post(
+  "/suggestions/convert",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        target: z.enum(["PURCHASE_ORDER", "INBOUND"]).optional(),
+        branchId: z.string().min(1),
+        supplierId: z.string().optional(),
+        note: z.string().optional(),
+        items: z
+          .array(
+            z.object({
+              variantId: z.string().min(1),
+              qty: z.number().int().positive(),
+              cost: z.number().int().nonnegative().optional(),
+            })
+          )
+          .optional(),
+        days: z.number().int().optional(),
+        safetyDays: z.number().int().optional(),
+        coverDays: z.number().int().optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+    const data = body.data;
+    const target = data.target || "PURCHASE_ORDER";
+
+    if (!isValidObjectId(data.branchId)) return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+    if (data.supplierId && !isValidObjectId(data.supplierId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_SUPPLIER_ID" });
+    }
+    if (target === "PURCHASE_ORDER" && !data.supplierId) {
+      return res.status(400).json({ ok: false, message: "SUPPLIER_ID_REQUIRED" });
+    }
+
+    let lines = data.items;
+    if (!lines?.length) {
+      const suggestions = await computeReorderSuggestions({
+        branchId: data.branchId,
+        ...suggestionParams(data),
+        supplierId: data.supplierId || null,
+      });
+      lines = suggestions.map((s) => ({ variantId: String(s.variantId), qty: s.suggestQty, cost: s.unitCost }));
+    }
+    if (!lines.length) return res.status(409).json({ ok: false, message: "NO_SUGGESTIONS" });
+
+    const note = data.note || "Tạo từ gợi ý đặt hàng";
+
+    try {
+      if (target === "PURCHASE_ORDER") {
+        const po = await createPurchaseOrderDraft({
+          supplierId: data.supplierId,
+          branchId: data.branchId,
+          items: lines,
+          note,
+          source: "REORDER",
+          userId: req.user.sub || null,
+        });
+        return res.json({ ok: true, target, purchaseOrder: po.toObject() });
+      }
+
+      // phiếu nhập nháp (mua ngoài không qua PO)
+      const supplier = data.supplierId ? await Supplier.findById(data.supplierId).select("_id name").lean() : null;
+      const poItems = await buildPurchaseOrderItems(lines);
+      const receiptItems = poItems.map(({ receivedQty, ...it }) => ({ ...it, lotNo: "", expiryDate: null }));
+
+      const receipt = await GoodsReceipt.create({
+        code: genReceiptCode("GR"),
+        branchId: data.branchId,
+        supplier: supplier?.name || "",
+        supplierId: supplier?._id || null,
+        note,
+        status: "DRAFT",
+        items: receiptItems,
+        subtotal: receiptItems.reduce((s, it) => s + Number(it.total || 0), 0),
+        createdById: req.user.sub || null,
+      });
+      return res.json({ ok: true, target, receipt: receipt.toObject() });
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+  })
+);
+
+module.exports = router;
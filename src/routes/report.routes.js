@@ -0,0 +1,732 @@
+// src/routes/report.routes.js
+const router = require("express").Router();
+const mongoose = require("mongoose");
+const { z } = require("zod");
+
+const Order = require("../models/Order");
+const CostRevaluation = require("../models/CostRevaluation");
+const StockWriteOff = require("../models/StockWriteOff");
+const StockTake = require("../models/StockTake");
+const Branch = require("../models/Branch");
+const ProductVariant = require("../models/ProductVariant");
+const InventorySnapshot = require("../models/InventorySnapshot");
+
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { resolveBranchId } = require("../utils/resolveBranchId");
+const { sendCsv } = require("../utils/csv");
+const { valueStockAt, createMonthlySnapshots, periodEnd } = require("../services/valuation.service");
+const {
+  resolveVariantScope,
+  deadStockReport,
+  stockAgingReport,
+  sellThroughReport,
+  abcReport,
+} = require("../services/inventoryAnalytics.service");
+
+const TZ = "Asia/Ho_Chi_Minh";
+const SOLD_STATUSES = ["CONFIRM", "DEBT", "SHIPPED"];
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+/**
+ * from/to: "YYYY-MM-DD" (to tính hết ngày). Mặc định 30 ngày gần nhất
+ */
+function parseRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  if (query.to) to.setHours(23, 59, 59, 999);
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (query.from) from.setHours(0, 0, 0, 0);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) return null;
+  return { from, to };
+}
+
+function withMargin(row) {
+  const revenue = Math.round(toNum(row.revenue));
+  const cogs = Math.round(toNum(row.cogs));
+  const grossProfit = revenue - cogs;
+  return {
+    ...row,
+    revenue,
+    cogs,
+    grossProfit,
+    marginPercent: revenue > 0 ? Math.round((grossProfit / revenue) * 10000) / 100 : 0,
+  };
+}
+
+/**
+ * =========================
+ * GET /api/reports/gross-profit
+ * Lãi gộp theo đơn / chi nhánh / ngày / tháng
+ * =========================
+ * Query:
+ *  - from, to (YYYY-MM-DD, theo confirmedAt)
+ *  - branchId (STAFF bị khoá theo token)
+ *  - channel=POS|ONLINE
+ *  - groupBy=order|branch|day|month (default day)
+ *
+ * revenue = total - extraFee - returnedAmount
+ * cogs    = costTotal - giá vốn phần hàng trả (unitCost * returnedQty)
+ * Đơn cũ chưa có giá vốn snapshot -> đếm ở missingCostOrders
+ */
+router.get(
+  "/gross-profit",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const range = parseRange(req.query);
+    if (!range) return res.status(400).json({ ok: false, message: "INVALID_DATE_RANGE" });
+
+    const branchId = resolveBranchId(req);
+    const channel = String(req.query.channel || "").trim().toUpperCase();
+    const groupBy = ["order", "branch", "day", "month"].includes(String(req.query.groupBy))
+      ? String(req.query.groupBy)
+      : "day";
+
+    const match = {
+      status: { $in: SOLD_STATUSES },
+      confirmedAt: { $gte: range.from, $lte: range.to },
+    };
+    if (branchId) match.branchId = new mongoose.Types.ObjectId(branchId);
+    if (channel === "POS" || channel === "ONLINE") match.channel = channel;
+
+    const project = {
+      $project: {
+        code: 1,
+        channel: 1,
+        branchId: 1,
+        confirmedAt: 1,
+        revenue: {
+          $subtract: [
+            { $subtract: [{ $ifNull: ["$total", 0] }, { $ifNull: ["$extraFee", 0] }] },
+            { $ifNull: ["$returnedAmount", 0] },
+          ],
+        },
+        cogs: {
+          $subtract: [
+            { $ifNull: ["$costTotal", 0] },
+            {
+              $sum: {
+                $map: {
+                  input: "$items",
+                  as: "it",
+                  in: { $multiply: [{ $ifNull: ["$$it.unitCost", 0] }, { $ifNull: ["$$it.returnedQty", 0] }] },
+                },
+              },
+            },
+          ],
+        },
+        missingCost: {
+          $cond: [
+            {
+              $gt: [
+                {
+                  $size: {
+                    $filter: { input: "$items", as: "it", cond: { $eq: [{ $ifNull: ["$$it.unitCost", null] }, null] } },
+                  },
+                },
+                0,
+              ],
+            },
+            1,
+            0,
+          ],
+        },
+      },
+    };
+
+    const totalsAgg = await Order.aggregate([
+      { $match: match },
+      project,
+      {
+        $group: {
+          _id: null,
+          orders: { $sum: 1 },
+          revenue: { $sum: "$revenue" },
+          cogs: { $sum: "$cogs" },
+          missingCostOrders: { $sum: "$missingCost" },
+        },
+      },
+    ]);
+    const totals = withMargin({
+      orders: totalsAgg[0]?.orders || 0,
+      revenue: totalsAgg[0]?.revenue || 0,
+      cogs: totalsAgg[0]?.cogs || 0,
+      missingCostOrders: totalsAgg[0]?.missingCostOrders || 0,
+    });
+
+    let rows = [];
+    if (groupBy === "order") {
+      rows = await Order.aggregate([{ $match: match }, project, { $sort: { confirmedAt: -1 } }, { $limit: 1000 }]);
+      rows = rows.map(({ _id, ...r }) => withMargin({ orderId: _id, ...r }));
+    } else {
+      const key =
+        groupBy === "branch"
+          ? "$branchId"
+          : { $dateToString: { format: groupBy === "month" ? "%Y-%m" : "%Y-%m-%d", date: "$confirmedAt", timezone: TZ } };
+
+      rows = await Order.aggregate([
+        { $match: match },
+        project,
+        {
+          $group: {
+            _id: key,
+            orders: { $sum: 1 },
+            revenue: { $sum: "$revenue" },
+            cogs: { $sum: "$cogs" },
+            missingCostOrders: { $sum: "$missingCost" },
+          },
+        },
+        { $sort: { _id: 1 } },
+      ]);
+
+      if (groupBy === "branch") {
+        const branches = await Branch.find({ _id: { $in: rows.map((r) => r._id).filter(Boolean) } })
+          .select("_id code name")
+          .lean();
+        const bMap = new Map(branches.map((b) => [String(b._id), b]));
+        rows = rows.map(({ _id, ...r }) => withMargin({ branchId: _id, branch: bMap.get(String(_id)) || null, ...r }));
+      } else {
+        rows = rows.map(({ _id, ...r }) => withMargin({ period: _id, ...r }));
+      }
+    }
+
+    res.json({ ok: true, from: range.from, to: range.to, branchId: branchId || "all", groupBy, totals, rows });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/reports/cost-history
+ * Lịch sử giá vốn bình quân theo từng lần nhập / nhận chuyển kho
+ * =========================
+ * Query: variantId (bắt buộc), scope=GLOBAL|BRANCH, branchId, limit
+ */
+router.get(
+  "/cost-history",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const variantId = String(req.query.variantId || "").trim();
+    if (!mongoose.isValidObjectId(variantId)) return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
+
+    const scope = String(req.query.scope || "").trim().toUpperCase();
+    const branchId = resolveBranchId(req);
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const filter = { variantId };
+    if (scope === "GLOBAL" || scope === "BRANCH") filter.scope = scope;
+    if (branchId) filter.branchId = branchId;
+
+    const [variant, items] = await Promise.all([
+      ProductVariant.findById(variantId).select("_id sku name cost").lean(),
+      CostRevaluation.find(filter).sort({ createdAt: -1 }).limit(limit).lean(),
+    ]);
+    if (!variant) return res.status(404).json({ ok: false, message: "VARIANT_NOT_FOUND" });
+
+    res.json({ ok: true, variant, items });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/reports/shrinkage
+ * Hao hụt theo lý do / chi nhánh / tháng / sản phẩm (giá vốn chốt lúc xuất huỷ)
+ * =========================
+ * Query:
+ *  - from, to (YYYY-MM-DD, theo approvedAt / postedAt)
+ *  - branchId (STAFF bị khoá theo token)
+ *  - reason (DAMAGED|EXPIRED|TESTER|LOST|GIFT)
+ *  - groupBy=reason|branch|month|variant (default reason)
+ *  - includeStocktake=true: cộng thêm phần thiếu khi kiểm kê (reason=STOCKTAKE)
+ */
+router.get(
+  "/shrinkage",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const range = parseRange(req.query);
+    if (!range) return res.status(400).json({ ok: false, message: "INVALID_DATE_RANGE" });
+
+    const branchId = resolveBranchId(req);
+    const reason = String(req.query.reason || "").trim().toUpperCase();
+    const groupBy = ["reason", "branch", "month", "variant"].includes(String(req.query.groupBy))
+      ? String(req.query.groupBy)
+      : "reason";
+    const includeStocktake = String(req.query.includeStocktake || "") === "true";
+
+    const keyOf = (dateField) =>
+      groupBy === "reason"
+        ? "$reason"
+        : groupBy === "branch"
+          ? "$branchId"
+          : groupBy === "variant"
+            ? "$variantId"
+            : { $dateToString: { format: "%Y-%m", date: dateField, timezone: TZ } };
+
+    const woMatch = { status: "POSTED", approvedAt: { $gte: range.from, $lte: range.to } };
+    if (branchId) woMatch.branchId = new mongoose.Types.ObjectId(branchId);
+
+    const lines = await StockWriteOff.aggregate([
+      { $match: woMatch },
+      { $unwind: "$items" },
+      ...(reason ? [{ $match: { "items.reason": reason } }] : []),
+      {
+        $project: {
+          branchId: 1,
+          approvedAt: 1,
+          reason: "$items.reason",
+          variantId: "$items.variantId",
+          sku: "$items.sku",
+          name: "$items.name",
+          qty: "$items.qty",
+          value: "$items.costTotal",
+        },
+      },
+      {
+        $group: {
+          _id: keyOf("$approvedAt"),
+          qty: { $sum: "$qty" },
+          value: { $sum: "$value" },
+          lines: { $sum: 1 },
+          sku: { $first: "$sku" },
+          name: { $first: "$name" },
+        },
+      },
+    ]);
+
+    if (includeStocktake && (!reason || reason === "STOCKTAKE")) {
+      const stMatch = { status: "POSTED", postedAt: { $gte: range.from, $lte: range.to } };
+      if (branchId) stMatch.branchId = new mongoose.Types.ObjectId(branchId);
+
+      const stLines = await StockTake.aggregate([
+        { $match: stMatch },
+        { $unwind: "$items" },
+        { $match: { "items.adjustedQty": { $lt: 0 } } },
+        {
+          $project: {
+            branchId: 1,
+            postedAt: 1,
+            reason: "STOCKTAKE",
+            variantId: "$items.variantId",
+            sku: "$items.sku",
+            name: "$items.name",
+            qty: { $multiply: ["$items.adjustedQty", -1] },
+            value: { $multiply: ["$items.adjustedQty", -1, "$items.cost"] },
+          },
+        },
+        {
+          $group: {
+            _id: keyOf("$postedAt"),
+            qty: { $sum: "$qty" },
+            value: { $sum: "$value" },
+            lines: { $sum: 1 },
+            sku: { $first: "$sku" },
+            name: { $first: "$name" },
+          },
+        },
+      ]);
+
+      // gộp 2 nguồn theo cùng key
+      const merged = new Map(lines.map((l) => [String(l._id), l]));
+      for (const l of stLines) {
+        const cur = merged.get(String(l._id));
+        if (!cur) merged.set(String(l._id), l);
+        else {
+          cur.qty += l.qty;
+          cur.value += l.value;
+          cur.lines += l.lines;
+        }
+      }
+      lines.splice(0, lines.length, ...merged.values());
+    }
+
+    let rows = lines.map(({ _id, sku, name, ...r }) => {
+      const row = { key: _id, ...r, value: Math.round(toNum(r.value)) };
+      if (groupBy === "variant") Object.assign(row, { variantId: _id, sku, name });
+      return row;
+    });
+
+    if (groupBy === "branch") {
+      const branches = await Branch.find({ _id: { $in: rows.map((r) => r.key).filter(Boolean) } })
+        .select("_id code name")
+        .lean();
+      const bMap = new Map(branches.map((b) => [String(b._id), b]));
+      rows = rows.map((r) => ({ ...r, branchId: r.key, branch: bMap.get(String(r.key)) || null }));
+    }
+
+    rows.sort((a, b) => (groupBy === "month" ? String(a.key).localeCompare(String(b.key)) : b.value - a.value));
+
+    const totals = rows.reduce(
+      (t, r) => ({ qty: t.qty + r.qty, value: t.value + r.value, lines: t.lines + r.lines }),
+      { qty: 0, value: 0, lines: 0 }
+    );
+
+    res.json({ ok: true, from: range.from, to: range.to, branchId: branchId || "all", groupBy, totals, rows });
+  })
+);
+
+/**
+ * asOf: "YYYY-MM-DD" (tính hết ngày, giờ VN) | ISO datetime. Mặc định hiện tại
+ */
+function parseAsOf(v) {
+  if (!v) return new Date();
+  const s = String(v);
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(s) ? new Date(`${s}T23:59:59.999+07:00`) : new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+const VALUATION_CSV_COLUMNS = [
+  { key: "branchCode", label: "Chi nhánh" },
+  { key: "branchName", label: "Tên chi nhánh" },
+  { key: "sku", label: "SKU" },
+  { key: "name", label: "Tên hàng" },
+  { key: "qty", label: "Tồn" },
+  { key: "unitCost", label: "Giá vốn" },
+  { key: "value", label: "Giá trị tồn" },
+];
+
+function valuationCsvRows(branches) {
+  return branches.flatMap((b) =>
+    b.lines.map((l) => ({ branchCode: b.code, branchName: b.name, ...l }))
+  );
+}
+
+/**
+ * =========================
+ * GET /api/reports/inventory-valuation
+ * Tồn kho + giá trị tồn tại 1 thời điểm quá khứ (dựng lại từ sổ kho, giá vốn tại thời điểm đó)
+ * =========================
+ * Query:
+ *  - asOf (YYYY-MM-DD | ISO, default hiện tại)
+ *  - branchId (STAFF bị khoá theo token)
+ *  - detail=false: chỉ tổng theo chi nhánh
+ *  - format=csv
+ */
+router.get(
+  "/inventory-valuation",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const asOf = parseAsOf(req.query.asOf);
+    if (!asOf) return res.status(400).json({ ok: false, message: "INVALID_AS_OF" });
+    if (asOf > new Date()) return res.status(400).json({ ok: false, message: "AS_OF_IN_FUTURE" });
+
+    const branchId = resolveBranchId(req);
+    const val = await valueStockAt({ asOf, branchId });
+
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      const day = new Date(asOf.getTime() + 7 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      return sendCsv(res, `inventory-valuation-${day}.csv`, VALUATION_CSV_COLUMNS, valuationCsvRows(val.branches));
+    }
+
+    const detail = String(req.query.detail || "") !== "false";
+    res.json({
+      ok: true,
+      branchId: branchId || "all",
+      ...val,
+      branches: detail ? val.branches : val.branches.map(({ lines, ...b }) => ({ ...b, lines: lines.length })),
+    });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/reports/inventory-snapshots
+ * Danh sách kỳ đã chốt tồn cuối tháng (tổng theo chi nhánh)
+ * =========================
+ * Query: branchId (STAFF bị khoá theo token), from, to (YYYY-MM)
+ */
+router.get(
+  "/inventory-snapshots",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const branchId = resolveBranchId(req);
+    const filter = {};
+    if (branchId) filter.branchId = branchId;
+    if (req.query.from || req.query.to) {
+      filter.period = {};
+      if (req.query.from) filter.period.$gte = String(req.query.from);
+      if (req.query.to) filter.period.$lte = String(req.query.to);
+    }
+
+    const items = await InventorySnapshot.find(filter)
+      .select("period asOf branchId costingScope totalQty totalValue source createdAt")
+      .populate("branchId", "code name")
+      .sort({ period: -1 })
+      .limit(500)
+      .lean();
+
+    res.json({ ok: true, items });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/reports/inventory-snapshots/:period
+ * Chi tiết tồn cuối kỳ đã chốt (period = YYYY-MM)
+ * =========================
+ * Query: branchId (STAFF bị khoá theo token), format=csv
+ */
+router.get(
+  "/inventory-snapshots/:period",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const period = String(req.params.period);
+    if (!periodEnd(period)) return res.status(400).json({ ok: false, message: "INVALID_PERIOD" });
+
+    const branchId = resolveBranchId(req);
+    const filter = { period };
+    if (branchId) filter.branchId = branchId;
+
+    const docs = await InventorySnapshot.find(filter).populate("branchId", "code name").lean();
+    if (!docs.length) return res.status(404).json({ ok: false, message: "SNAPSHOT_NOT_FOUND" });
+
+    const branches = docs
+      .map((d) => ({
+        branchId: d.branchId?._id || d.branchId,
+        code: d.branchId?.code || "",
+        name: d.branchId?.name || "",
+        lines: d.lines || [],
+        totalQty: d.totalQty,
+        totalValue: d.totalValue,
+      }))
+      .sort((a, b) => a.code.localeCompare(b.code));
+
+    if (String(req.query.format || "").toLowerCase() === "csv") {
+      return sendCsv(res, `inventory-snapshot-${period}.csv`, VALUATION_CSV_COLUMNS, valuationCsvRows(branches));
+    }
+
+    res.json({
+      ok: true,
+      period,
+      asOf: docs[0].asOf,
+      costingScope: docs[0].costingScope,
+      branches,
+      totalQty: branches.reduce((s, b) => s + toNum(b.totalQty), 0),
+      totalValue: branches.reduce((s, b) => s + toNum(b.totalValue), 0),
+    });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/reports/inventory-snapshots
+ * Chốt tồn cuối kỳ thủ công (job tự chốt tháng trước mỗi giờ)
+ * =========================
+ * Body: { period: "YYYY-MM", force?: true (ghi đè snapshot đã có) }
+ */
+router.post(
+  "/inventory-snapshots",
+  authRequired,
+  requireRole(["ADMIN"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({ period: z.string().regex(/^\d{4}-\d{2}$/), force: z.boolean().optional() })
+      .safeParse(req.body);
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const { period, force = false } = body.data;
+    try {
+      const created = await createMonthlySnapshots(period, { force, userId: req.user.sub || null, source: "MANUAL" });
+      res.json({ ok: true, period, created });
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+  })
+);
+
+/**
+ * Phạm vi báo cáo phân tích tồn kho: branchId (STAFF khoá theo token), categoryId (gồm category con), brand
+ * @returns { branchId, variantIds } | null (categoryId sai)
+ */
+async function parseAnalyticsScope(req) {
+  const categoryId = String(req.query.categoryId || "").trim();
+  if (categoryId && !mongoose.isValidObjectId(categoryId)) return null;
+  const brand = String(req.query.brand || "").trim();
+
+  return {
+    branchId: resolveBranchId(req),
+    variantIds: await resolveVariantScope({ categoryId: categoryId || null, brand }),
+  };
+}
+
+function wantsCsv(req) {
+  return String(req.query.format || "").toLowerCase() === "csv";
+}
+
+const ITEM_CSV_COLUMNS = [
+  { key: "branchCode", label: "Chi nhánh" },
+  { key: "sku", label: "SKU" },
+  { key: "name", label: "Tên hàng" },
+  { key: "brand", label: "Thương hiệu" },
+  { key: "categoryName", label: "Danh mục" },
+];
+
+/**
+ * =========================
+ * GET /api/reports/dead-stock
+ * Hàng chậm bán: số ngày từ lần bán cuối theo chi nhánh + variant (chỉ hàng còn tồn)
+ * =========================
+ * Query:
+ *  - branchId (STAFF bị khoá theo token), categoryId (gồm category con), brand
+ *  - minDays (default 0): chỉ lấy hàng không bán >= minDays ngày (chưa bán lần nào luôn có)
+ *  - format=csv
+ */
+router.get(
+  "/dead-stock",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const scope = await parseAnalyticsScope(req);
+    if (!scope) return res.status(400).json({ ok: false, message: "INVALID_CATEGORY_ID" });
+    const minDays = Math.max(0, parseInt(req.query.minDays) || 0);
+
+    const rows = await deadStockReport({ ...scope, minDays });
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, "dead-stock.csv", [
+        ...ITEM_CSV_COLUMNS,
+        { key: "qty", label: "Tồn" },
+        { key: "value", label: "Giá trị tồn" },
+        { key: "lastSaleAt", label: "Bán lần cuối" },
+        { key: "daysSinceLastSale", label: "Số ngày chưa bán" },
+      ], rows);
+    }
+
+    const totals = rows.reduce((t, r) => ({ qty: t.qty + r.qty, value: t.value + r.value }), { qty: 0, value: 0 });
+    res.json({ ok: true, branchId: scope.branchId || "all", minDays, totals, rows });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/reports/stock-aging
+ * Tuổi tồn theo ngày nhập (phiếu nhập CONFIRMED, tồn còn lại tính là hàng nhập gần nhất)
+ * =========================
+ * Query: branchId, categoryId, brand, format=csv
+ */
+router.get(
+  "/stock-aging",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const scope = await parseAnalyticsScope(req);
+    if (!scope) return res.status(400).json({ ok: false, message: "INVALID_CATEGORY_ID" });
+
+    const report = await stockAgingReport(scope);
+
+    if (wantsCsv(req)) {
+      const rows = report.rows.map(({ buckets, ...r }) => ({ ...r, ...buckets }));
+      return sendCsv(res, "stock-aging.csv", [
+        ...ITEM_CSV_COLUMNS,
+        { key: "qty", label: "Tồn" },
+        { key: "value", label: "Giá trị tồn" },
+        ...report.buckets.map((k) => ({ key: k, label: k === "UNKNOWN" ? "Không rõ ngày nhập" : `${k} ngày` })),
+      ], rows);
+    }
+
+    res.json({ ok: true, branchId: scope.branchId || "all", ...report });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/reports/sell-through
+ * Tỉ lệ bán hết trong kỳ = SL bán / (SL bán + tồn cuối kỳ)
+ * =========================
+ * Query: from, to (YYYY-MM-DD), branchId, categoryId, brand, format=csv
+ */
+router.get(
+  "/sell-through",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const range = parseRange(req.query);
+    if (!range) return res.status(400).json({ ok: false, message: "INVALID_DATE_RANGE" });
+    const scope = await parseAnalyticsScope(req);
+    if (!scope) return res.status(400).json({ ok: false, message: "INVALID_CATEGORY_ID" });
+
+    const rows = await sellThroughReport({ ...scope, from: range.from, to: range.to });
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, "sell-through.csv", [
+        ...ITEM_CSV_COLUMNS,
+        { key: "soldQty", label: "SL bán" },
+        { key: "endingQty", label: "Tồn cuối kỳ" },
+        { key: "sellThroughPercent", label: "Sell-through (%)" },
+      ], rows);
+    }
+
+    const sold = rows.reduce((s, r) => s + r.soldQty, 0);
+    const ending = rows.reduce((s, r) => s + r.endingQty, 0);
+    res.json({
+      ok: true,
+      from: range.from,
+      to: range.to,
+      branchId: scope.branchId || "all",
+      totals: {
+        soldQty: sold,
+        endingQty: ending,
+        sellThroughPercent: sold + ending > 0 ? Math.round((sold / (sold + ending)) * 10000) / 100 : 0,
+      },
+      rows,
+    });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/reports/abc
+ * Phân loại ABC theo đóng góp doanh thu (A: tới a%, B: tới b%, C: còn lại)
+ * =========================
+ * Query: from, to, branchId, categoryId, brand, a=80, b=95, format=csv
+ */
+router.get(
+  "/abc",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const range = parseRange(req.query);
+    if (!range) return res.status(400).json({ ok: false, message: "INVALID_DATE_RANGE" });
+    const scope = await parseAnalyticsScope(req);
+    if (!scope) return res.status(400).json({ ok: false, message: "INVALID_CATEGORY_ID" });
+
+    const aPercent = req.query.a !== undefined ? Number(req.query.a) : 80;
+    const bPercent = req.query.b !== undefined ? Number(req.query.b) : 95;
+    if (!(aPercent > 0 && aPercent < bPercent && bPercent <= 100)) {
+      return res.status(400).json({ ok: false, message: "INVALID_ABC_THRESHOLDS" });
+    }
+
+    const report = await abcReport({ ...scope, from: range.from, to: range.to, aPercent, bPercent });
+
+    if (wantsCsv(req)) {
+      return sendCsv(res, "abc.csv", [
+        { key: "rank", label: "Hạng" },
+        ...ITEM_CSV_COLUMNS.filter((c) => c.key !== "branchCode"),
+        { key: "qty", label: "SL bán" },
+        { key: "revenue", label: "Doanh thu" },
+        { key: "sharePercent", label: "Tỉ trọng (%)" },
+        { key: "cumulativePercent", label: "Luỹ kế (%)" },
+        { key: "abcClass", label: "Nhóm" },
+      ], report.items);
+    }
+
+    res.json({
+      ok: true,
+      from: range.from,
+      to: range.to,
+      branchId: scope.branchId || "all",
+      thresholds: { a: aPercent, b: bPercent },
+      ...report,
+    });
+  })
+);
+
+module.exports = router;
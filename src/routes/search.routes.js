@@ -0,0 +1,92 @@
+// src/routes/search.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const VariantStock = require("../models/VariantStock");
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { resolveBranchId } = require("../utils/resolveBranchId");
+const { searchCatalog, suggestQueries, reindexAll, reindexStale } = require("../services/search.service");
+
+/**
+ * =========================
+ * GET /api/search/products
+ * Tìm hàng không dấu cho POS (quét / gõ): "son moi" ra "Son môi", xếp hạng SKU / barcode trùng khớp lên đầu
+ * =========================
+ * Query:
+ *  - q (bắt buộc), limit (default 20, max 100)
+ *  - level: variant (default) | product
+ *  - branchId: kèm tồn theo chi nhánh (STAFF khoá theo token)
+ *  - includeInactive=true: gồm hàng ngừng bán (quản trị)
+ */
+router.get(
+  "/products",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.status(400).json({ ok: false, message: "Q_REQUIRED" });
+
+    const level = String(req.query.level || "variant").toLowerCase();
+    if (!["variant", "product"].includes(level)) return res.status(400).json({ ok: false, message: "INVALID_LEVEL" });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const result = await searchCatalog({
+      q,
+      limit,
+      level,
+      activeOnly: String(req.query.includeInactive) !== "true",
+    });
+
+    const branchId = resolveBranchId(req);
+    if (branchId && level === "variant" && result.items.length) {
+      const stocks = await VariantStock.find({
+        branchId: new mongoose.Types.ObjectId(branchId),
+        variantId: { $in: result.items.map((it) => it._id) },
+      })
+        .select("variantId qty")
+        .lean();
+      const qtyMap = new Map(stocks.map((s) => [String(s.variantId), Number(s.qty || 0)]));
+      for (const it of result.items) it.stock = qtyMap.get(String(it._id)) || 0;
+    }
+
+    res.json({ ok: true, q, level, branchId: branchId || null, ...result });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/search/suggest
+ * Gợi ý sửa lỗi gõ ("kem chong nag" -> "kem chong nang")
+ * =========================
+ */
+router.get(
+  "/suggest",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    if (!q) return res.json({ ok: true, q, suggestions: [] });
+    res.json({ ok: true, q, suggestions: await suggestQueries(q) });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/search/reindex
+ * Build lại trường tìm kiếm: all=true -> toàn bộ, mặc định chỉ hàng sửa sau lần build gần nhất
+ * =========================
+ */
+router.post(
+  "/reindex",
+  authRequired,
+  requireRole(["ADMIN"]),
+  asyncHandler(async (req, res) => {
+    const body = z.object({ all: z.boolean().optional() }).safeParse(req.body || {});
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const products = body.data.all ? await reindexAll() : await reindexStale();
+    res.json({ ok: true, all: !!body.data.all, products });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,461 @@
+// src/routes/stocktake.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const StockTake = require("../models/StockTake");
+const VariantStock = require("../models/VariantStock");
+const ProductVariant = require("../models/ProductVariant");
+const Product = require("../models/Product");
+const Branch = require("../models/Branch");
+
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { resolveBranchId } = require("../utils/resolveBranchId");
+const { genOrderCode } = require("../utils/code");
+const { consumeLotsFEFO } = require("../services/lot.service");
+const { getUnitCostMap } = require("../services/costing.service");
+const { notifyLowStock } = require("../services/reorder.service");
+const { applyStockChanges } = require("../services/stock.service");
+const { buildProductScopeFilter } = require("../utils/categoryTree");
+
+const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function isStaff(req) {
+  return String(req.user?.role || "").toUpperCase() === "STAFF";
+}
+
+function canAccessBranch(req, branchId) {
+  return !isStaff(req) || String(req.user?.branchId || "") === String(branchId);
+}
+
+function variantSnapshot(v, p, systemQty, unitCost) {
+  return {
+    variantId: v._id,
+    productId: v.productId || null,
+    sku: v.sku || "",
+    barcode: v.barcode || "",
+    name: v.name || p?.name || "",
+    attributes: v.attributes || [],
+    cost: toNum(unitCost),
+    systemQty: toNum(systemQty),
+  };
+}
+
+/**
+ * Chênh lệch 1 dòng
+ * - chưa đếm + partial -> null (bỏ qua)
+ * - chưa đếm + full    -> coi như đếm 0
+ */
+function lineVariance(it, partial) {
+  if (it.countedQty == null && partial) return null;
+  const counted = it.countedQty == null ? 0 : toNum(it.countedQty);
+  const qty = counted - toNum(it.systemQty);
+  return { counted, qty, value: qty * toNum(it.cost) };
+}
+
+function buildSummary(items, partial) {
+  const s = {
+    totalLines: items.length,
+    countedLines: 0,
+    uncountedLines: 0,
+    varianceLines: 0,
+    surplusQty: 0,
+    shortageQty: 0,
+    surplusValue: 0,
+    shortageValue: 0,
+    varianceValue: 0,
+  };
+
+  for (const it of items) {
+    if (it.countedQty == null) s.uncountedLines += 1;
+    else s.countedLines += 1;
+
+    const v = lineVariance(it, partial);
+    if (!v || v.qty === 0) continue;
+
+    s.varianceLines += 1;
+    if (v.qty > 0) {
+      s.surplusQty += v.qty;
+      s.surplusValue += v.value;
+    } else {
+      s.shortageQty += -v.qty;
+      s.shortageValue += -v.value;
+    }
+    s.varianceValue += v.value;
+  }
+
+  return s;
+}
+
+/**
+ * Trả phiên cho client: kiểm kê mù -> STAFF không thấy tồn hệ thống/chênh lệch
+ */
+function presentSession(req, doc, { onlyVariance = false } = {}) {
+  const hide = doc.blind && isStaff(req);
+
+  let items = (doc.items || []).map((it) => {
+    if (hide) {
+      const { systemQty, cost, adjustedQty, ...rest } = it;
+      return rest;
+    }
+    const v = lineVariance(it, doc.partial);
+    return { ...it, varianceQty: v ? v.qty : null, varianceValue: v ? v.value : null };
+  });
+
+  if (onlyVariance && !hide) items = items.filter((it) => it.varianceQty);
+
+  const { items: _items, summary, ...head } = doc;
+  return {
+    ...head,
+    summary: hide ? null : doc.status === "POSTED" ? summary : buildSummary(doc.items || [], doc.partial),
+    items,
+  };
+}
+
+/**
+ * =========================
+ * GET /api/stocktakes
+ * =========================
+ * Query: branchId (STAFF bị khoá theo token), status, page, limit
+ */
+router.get(
+  "/",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const branchId = resolveBranchId(req);
+    const status = String(req.query.status || "").trim().toUpperCase();
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (branchId) filter.branchId = branchId;
+    if (status) filter.status = status;
+
+    const [items, total] = await Promise.all([
+      StockTake.find(filter).select("-items").sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      StockTake.countDocuments(filter),
+    ]);
+
+    res.json({ ok: true, page, limit, total, totalPages: Math.ceil(total / limit), items });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/stocktakes/:id
+ * =========================
+ * Query: onlyVariance=true -> chỉ dòng lệch (MANAGER/ADMIN)
+ */
+router.get(
+  "/:id",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const doc = await StockTake.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ ok: false, message: "STOCKTAKE_NOT_FOUND" });
+    if (!canAccessBranch(req, doc.branchId)) return res.status(403).json({ ok: false, message: "FORBIDDEN" });
+
+    const onlyVariance = String(req.query.onlyVariance || "") === "true";
+    res.json({ ok: true, stocktake: presentSession(req, doc, { onlyVariance }) });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/stocktakes
+ * Mở phiên kiểm kê: đóng băng tồn hệ thống theo phạm vi
+ * =========================
+ * Body: { branchId, categoryId?, brand?, blind?, partial?, note? }
+ */
+router.post(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        branchId: z.string().min(1),
+        categoryId: z.string().optional(),
+        brand: z.string().optional(),
+        blind: z.boolean().optional(),
+        partial: z.boolean().optional(),
+        note: z.string().optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+    const data = body.data;
+
+    if (!isValidObjectId(data.branchId)) return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+    const branch = await Branch.findById(data.branchId).select("_id").lean();
+    if (!branch) return res.status(400).json({ ok: false, message: "BRANCH_NOT_FOUND" });
+
+    // 1 chi nhánh chỉ 1 phiên đang đếm cho cùng phạm vi
+    const brand = String(data.brand || "").trim();
+    const categoryId = data.categoryId && isValidObjectId(data.categoryId) ? data.categoryId : null;
+    if (data.categoryId && !categoryId) return res.status(400).json({ ok: false, message: "INVALID_CATEGORY_ID" });
+
+    const open = await StockTake.findOne({
+      branchId: data.branchId,
+      status: "COUNTING",
+      "scope.categoryId": categoryId,
+      "scope.brand": brand,
+    })
+      .select("_id code")
+      .lean();
+    if (open) return res.status(409).json({ ok: false, message: "STOCKTAKE_ALREADY_OPEN", stocktake: open });
+
+    // phạm vi sản phẩm
+    const pFilter = await buildProductScopeFilter({ categoryId, brand });
+
+    const products = await Product.find(pFilter).select("_id name").lean();
+    const pMap = new Map(products.map((p) => [String(p._id), p]));
+
+    const variants = await ProductVariant.find({ productId: { $in: products.map((p) => p._id) } })
+      .select("_id productId sku barcode name attributes isActive")
+      .lean();
+
+    const stocks = await VariantStock.find({
+      branchId: data.branchId,
+      variantId: { $in: variants.map((v) => v._id) },
+    })
+      .select("variantId qty")
+      .lean();
+    const stMap = new Map(stocks.map((s) => [String(s.variantId), toNum(s.qty)]));
+    const costMap = await getUnitCostMap(variants.map((v) => v._id), data.branchId);
+
+    // variant ngừng bán mà hết hàng thì không cần đếm
+    const items = variants
+      .filter((v) => v.isActive !== false || toNum(stMap.get(String(v._id))) !== 0)
+      .map((v) =>
+        variantSnapshot(v, pMap.get(String(v.productId)), stMap.get(String(v._id)), costMap.get(String(v._id)))
+      )
+      .sort((a, b) => a.sku.localeCompare(b.sku));
+
+    const doc = await StockTake.create({
+      code: genOrderCode("ST"),
+      branchId: data.branchId,
+      scope: { categoryId, brand },
+      blind: !!data.blind,
+      partial: !!data.partial,
+      status: "COUNTING",
+      items,
+      note: data.note || "",
+      createdById: req.user.sub || null,
+    });
+
+    res.json({ ok: true, stocktake: presentSession(req, doc.toObject()) });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/stocktakes/:id/counts
+ * Nhập số đếm (tay hoặc máy quét)
+ * =========================
+ * Body: { items: [{ variantId? | code? (barcode/SKU), qty, mode: "SET" | "ADD" }] }
+ * - máy quét: { code, qty: 1, mode: "ADD" } mỗi lần bíp
+ * - hàng quét được nhưng ngoài snapshot -> thêm dòng với tồn hiện tại
+ */
+router.post(
+  "/:id/counts",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        items: z
+          .array(
+            z.object({
+              variantId: z.string().optional(),
+              code: z.string().optional(),
+              qty: z.number().int().nonnegative(),
+              mode: z.enum(["SET", "ADD"]).optional(),
+            })
+          )
+          .min(1),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const doc = await StockTake.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, message: "STOCKTAKE_NOT_FOUND" });
+    if (!canAccessBranch(req, doc.branchId)) return res.status(403).json({ ok: false, message: "FORBIDDEN" });
+    if (doc.status !== "COUNTING") {
+      return res.status(409).json({ ok: false, message: `Only COUNTING can be counted. Current=${doc.status}` });
+    }
+
+    const byVariant = new Map(doc.items.map((it, idx) => [String(it.variantId), idx]));
+    const byCode = new Map();
+    for (const [idx, it] of doc.items.entries()) {
+      if (it.barcode) byCode.set(it.barcode, idx);
+      if (it.sku && !byCode.has(it.sku)) byCode.set(it.sku, idx);
+    }
+
+    const notFound = [];
+    const updated = [];
+    const now = new Date();
+
+    for (const x of body.data.items) {
+      const code = String(x.code || "").trim();
+      let idx = x.variantId ? byVariant.get(String(x.variantId)) : byCode.get(code);
+
+      if (idx === undefined) {
+        // ngoài snapshot -> tìm variant để thêm dòng
+        const vFilter = x.variantId
+          ? isValidObjectId(x.variantId)
+            ? { _id: x.variantId }
+            : null
+          : code
+            ? { $or: [{ barcode: code }, { sku: code }] }
+            : null;
+
+        const v = vFilter
+          ? await ProductVariant.findOne(vFilter).select("_id productId sku barcode name attributes").lean()
+          : null;
+        if (!v) {
+          notFound.push({ variantId: x.variantId || null, code: code || null });
+          continue;
+        }
+
+        idx = byVariant.get(String(v._id));
+        if (idx === undefined) {
+          const [p, st, costMap] = await Promise.all([
+            Product.findById(v.productId).select("name").lean(),
+            VariantStock.findOne({ branchId: doc.branchId, variantId: v._id }).select("qty").lean(),
+            getUnitCostMap([v._id], doc.branchId),
+          ]);
+          doc.items.push({ ...variantSnapshot(v, p, st?.qty, costMap.get(String(v._id))), addedDuringCount: true });
+          idx = doc.items.length - 1;
+          byVariant.set(String(v._id), idx);
+          if (v.barcode) byCode.set(v.barcode, idx);
+        }
+      }
+
+      const it = doc.items[idx];
+      it.countedQty = x.mode === "ADD" ? toNum(it.countedQty) + x.qty : x.qty;
+      it.countedAt = now;
+      it.countedById = req.user.sub || null;
+      updated.push(idx);
+    }
+
+    await doc.save();
+
+    const view = presentSession(req, doc.toObject());
+    res.json({
+      ok: true,
+      items: [...new Set(updated)].map((i) => view.items[i]),
+      notFound,
+      summary: view.summary,
+    });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/stocktakes/:id/post
+ * Ghi chênh lệch vào kho
+ * =========================
+ * delta = countedQty - systemQty (snapshot), cộng vào tồn HIỆN TẠI
+ * -> bán hàng trong lúc đếm không bị ghi đè
+ */
+router.post(
+  "/:id/post",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    // khoá phiên: chỉ 1 request post được
+    const doc = await StockTake.findOneAndUpdate(
+      { _id: req.params.id, status: "COUNTING" },
+      { $set: { status: "POSTED", postedAt: new Date(), postedById: req.user.sub || null } },
+      { new: true }
+    );
+    if (!doc) {
+      const exists = await StockTake.exists({ _id: req.params.id });
+      if (!exists) return res.status(404).json({ ok: false, message: "STOCKTAKE_NOT_FOUND" });
+      return res.status(409).json({ ok: false, message: "Only COUNTING can be posted" });
+    }
+
+    const userId = req.user.sub || null;
+
+    for (const it of doc.items) {
+      const v = lineVariance(it, doc.partial);
+      if (!v || v.qty === 0) continue;
+
+      const [r] = await applyStockChanges(
+        [{ branchId: doc.branchId, variantId: it.variantId, qty: v.qty }],
+        {
+          type: "ADJUST",
+          refType: "StockTake",
+          refId: doc._id,
+          userId,
+          note: `STOCKTAKE ${doc.code}: đếm ${v.counted}, hệ thống ${it.systemQty}`,
+          clamp: true,
+        }
+      );
+      it.adjustedQty = r ? r.after - r.before : 0;
+
+      if (it.adjustedQty < 0) {
+        await consumeLotsFEFO({ branchId: doc.branchId, variantId: it.variantId, qty: -it.adjustedQty });
+      }
+    }
+
+    await notifyLowStock(
+      req.app.get("io"),
+      doc.items.filter((it) => it.adjustedQty !== 0).map((it) => ({ branchId: doc.branchId, variantId: it.variantId }))
+    );
+
+    const s = buildSummary(doc.items, doc.partial);
+    doc.summary = {
+      countedLines: s.countedLines,
+      adjustedLines: doc.items.filter((it) => it.adjustedQty !== 0).length,
+      surplusQty: s.surplusQty,
+      shortageQty: s.shortageQty,
+      surplusValue: s.surplusValue,
+      shortageValue: s.shortageValue,
+      varianceValue: s.varianceValue,
+    };
+    await doc.save();
+
+    res.json({ ok: true, stocktake: presentSession(req, doc.toObject(), { onlyVariance: true }) });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/stocktakes/:id/cancel
+ * =========================
+ */
+router.post(
+  "/:id/cancel",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const doc = await StockTake.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, message: "STOCKTAKE_NOT_FOUND" });
+    if (doc.status !== "COUNTING") return res.status(409).json({ ok: false, message: "Only COUNTING can be cancelled" });
+
+    doc.status = "CANCELLED";
+    doc.cancelledAt = new Date();
+    doc.cancelledById = req.user.sub || null;
+    await doc.save();
+
+    res.json({ ok: true, stocktake: { _id: doc._id, code: doc.code, status: doc.status } });
+  })
+);
+
+module.exports = router;
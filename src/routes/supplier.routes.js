@@ -0,0 +1,198 @@
+// src/routes/supplier.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const Supplier = require("../models/Supplier");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+
+const supplierFields = {
+  name: z.string().min(1),
+  taxCode: z.string().optional(),
+  phone: z.string().optional(),
+  email: z.string().optional(),
+  address: z.string().optional(),
+
+  contacts: z
+    .array(
+      z.object({
+        name: z.string().min(1),
+        position: z.string().optional(),
+        phone: z.string().optional(),
+        email: z.string().optional(),
+        note: z.string().optional(),
+        isPrimary: z.boolean().optional(),
+      })
+    )
+    .optional(),
+
+  paymentTerms: z
+    .object({
+      type: z.enum(["COD", "PREPAID", "NET"]),
+      netDays: z.number().int().nonnegative().optional(),
+      note: z.string().optional(),
+    })
+    .optional(),
+
+  leadTimeDays: z.number().int().nonnegative().optional(),
+  note: z.string().optional(),
+  isActive: z.boolean().optional(),
+};
+
+function checkSupplierPayload(data) {
+  if (data.paymentTerms?.type === "NET" && !data.paymentTerms.netDays) return "NET_DAYS_REQUIRED";
+  if ((data.contacts || []).filter((c) => c.isPrimary).length > 1) return "ONLY_ONE_PRIMARY_CONTACT";
+  return "";
+}
+
+/**
+ * =========================
+ * GET /api/suppliers
+ * =========================
+ * Query:
+ *  - q: tìm theo code/name/phone
+ *  - active=true|false
+ */
+router.get(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const q = String(req.query.q || "").trim();
+    const active = req.query.active;
+
+    const filter = {};
+    if (active === "true") filter.isActive = true;
+    if (active === "false") filter.isActive = false;
+    if (q) {
+      filter.$or = [
+        { code: { $regex: q, $options: "i" } },
+        { name: { $regex: q, $options: "i" } },
+        { phone: { $regex: q, $options: "i" } },
+      ];
+    }
+
+    const items = await Supplier.find(filter).sort({ name: 1 }).lean();
+    res.json({ ok: true, items });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/suppliers/:id
+ * =========================
+ */
+router.get(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ ok: false, message: "INVALID_ID" });
+    }
+
+    const item = await Supplier.findById(req.params.id).lean();
+    if (!item) return res.status(404).json({ ok: false, message: "SUPPLIER_NOT_FOUND" });
+
+    const openPurchaseOrders = await PurchaseOrder.countDocuments({
+      supplierId: item._id,
+      status: { $in: ["ORDERED", "PARTIALLY_RECEIVED"] },
+    });
+
+    res.json({ ok: true, item, openPurchaseOrders });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/suppliers
+ * =========================
+ */
+router.post(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z.object({ code: z.string().min(2), ...supplierFields }).safeParse(req.body);
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const data = { ...body.data, code: body.data.code.toUpperCase().trim() };
+
+    const invalid = checkSupplierPayload(data);
+    if (invalid) return res.status(400).json({ ok: false, message: invalid });
+
+    const exists = await Supplier.findOne({ code: data.code }).lean();
+    if (exists) return res.status(409).json({ ok: false, message: "CODE_ALREADY_EXISTS" });
+
+    const item = await Supplier.create({
+      ...data,
+      createdBy: req.user?.sub || null,
+      updatedBy: req.user?.sub || null,
+    });
+
+    res.json({ ok: true, item });
+  })
+);
+
+/**
+ * =========================
+ * PUT /api/suppliers/:id
+ * =========================
+ */
+router.put(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({ code: z.string().min(2), ...supplierFields })
+      .partial()
+      .safeParse(req.body);
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const item = await Supplier.findById(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, message: "SUPPLIER_NOT_FOUND" });
+
+    const patch = { ...body.data };
+    if (patch.code !== undefined) patch.code = patch.code.toUpperCase().trim();
+
+    if (patch.code && patch.code !== item.code) {
+      const dup = await Supplier.findOne({ code: patch.code, _id: { $ne: item._id } }).lean();
+      if (dup) return res.status(409).json({ ok: false, message: "CODE_ALREADY_EXISTS" });
+    }
+
+    const invalid = checkSupplierPayload({ ...item.toObject(), ...patch });
+    if (invalid) return res.status(400).json({ ok: false, message: invalid });
+
+    item.set({ ...patch, updatedBy: req.user?.sub || null });
+    await item.save();
+
+    res.json({ ok: true, item });
+  })
+);
+
+/**
+ * =========================
+ * PATCH /api/suppliers/:id/toggle
+ * Ngừng / mở lại giao dịch (không xoá vì PO/phiếu nhập cũ tham chiếu)
+ * =========================
+ */
+router.patch(
+  "/:id/toggle",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const item = await Supplier.findById(req.params.id);
+    if (!item) return res.status(404).json({ ok: false, message: "SUPPLIER_NOT_FOUND" });
+
+    item.isActive = !item.isActive;
+    item.updatedBy = req.user?.sub || null;
+    await item.save();
+
+    res.json({ ok: true, item });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,516 @@
+// src/routes/transfer.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const StockTransfer = require("../models/StockTransfer");
+const StockLot = require("../models/StockLot");
+const ProductVariant = require("../models/ProductVariant");
+const Branch = require("../models/Branch");
+
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { genOrderCode } = require("../utils/code");
+const { addLot, consumeLotsFEFO, consumeSpecificLots } = require("../services/lot.service");
+const { applyInboundCost, getUnitCostMap } = require("../services/costing.service");
+const { notifyLowStock } = require("../services/reorder.service");
+const { applyStockChanges } = require("../services/stock.service");
+
+const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
+
+const itemsSchema = z
+  .array(
+    z.object({
+      variantId: z.string().min(1),
+      qty: z.number().int().positive(),
+      // chuyển đúng lô (sum qty = qty); không truyền -> FEFO khi xuất
+      lots: z.array(z.object({ lotId: z.string().min(1), qty: z.number().int().positive() })).optional(),
+    })
+  )
+  .min(1);
+
+function isStaff(req) {
+  return String(req.user?.role || "").toUpperCase() === "STAFF";
+}
+
+// STAFF chỉ thao tác phiếu liên quan chi nhánh của mình
+function canAccessTransfer(req, t, side = "any") {
+  if (!isStaff(req)) return true;
+  const b = String(req.user?.branchId || "");
+  if (side === "to") return b === String(t.toBranchId);
+  return b === String(t.fromBranchId) || b === String(t.toBranchId);
+}
+
+function emitToBranch(req, branchId, event, payload) {
+  const io = req.app.get("io");
+  io?.to(`branch:${String(branchId)}`).emit(event, payload);
+}
+
+/**
+ * Gộp dòng trùng variant, snapshot sku/name, kiểm tra lô chỉ định
+ */
+async function buildTransferItems(itemsIn) {
+  const merged = new Map();
+  for (const it of itemsIn) {
+    if (!isValidObjectId(it.variantId)) {
+      const err = new Error("INVALID_VARIANT_ID");
+      err.code = "INVALID_VARIANT_ID";
+      err.detail = `variantId=${it.variantId}`;
+      throw err;
+    }
+    for (const l of it.lots || []) {
+      if (!isValidObjectId(l.lotId)) {
+        const err = new Error("INVALID_LOT_ID");
+        err.code = "INVALID_LOT_ID";
+        throw err;
+      }
+    }
+
+    const cur = merged.get(it.variantId) || { variantId: it.variantId, qty: 0, lots: [] };
+    cur.qty += it.qty;
+    cur.lots.push(...(it.lots || []));
+    merged.set(it.variantId, cur);
+  }
+
+  const variants = await ProductVariant.find({ _id: { $in: [...merged.keys()] } })
+    .select("_id productId sku name attributes")
+    .lean();
+  const vMap = new Map(variants.map((v) => [String(v._id), v]));
+
+  const items = [];
+  for (const m of merged.values()) {
+    const v = vMap.get(m.variantId);
+    if (!v) {
+      const err = new Error("VARIANT_NOT_FOUND");
+      err.code = "VARIANT_NOT_FOUND";
+      err.detail = `variantId=${m.variantId}`;
+      throw err;
+    }
+
+    if (m.lots.length && m.lots.reduce((s, l) => s + l.qty, 0) !== m.qty) {
+      const err = new Error("LOT_QTY_MISMATCH");
+      err.code = "LOT_QTY_MISMATCH";
+      err.detail = `${v.sku}: tổng SL lô khác SL chuyển`;
+      throw err;
+    }
+
+    items.push({
+      variantId: v._id,
+      productId: v.productId || null,
+      sku: v.sku || "",
+      name: v.name || "",
+      attributes: v.attributes || [],
+      qty: m.qty,
+      requestedLots: m.lots.map((l) => ({ lotId: l.lotId, qty: l.qty })),
+    });
+  }
+
+  return items;
+}
+
+/**
+ * =========================
+ * GET /api/transfers
+ * =========================
+ * Query:
+ *  - branchId: phiếu gửi đi hoặc nhận về của chi nhánh (STAFF bị khoá theo token)
+ *  - direction=out|in (kèm branchId)
+ *  - status, q (mã phiếu), page, limit
+ */
+router.get(
+  "/",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const branchId = isStaff(req) ? String(req.user?.branchId || "") : String(req.query.branchId || "").trim();
+    const direction = String(req.query.direction || "").trim();
+    const status = String(req.query.status || "").trim().toUpperCase();
+    const q = String(req.query.q || "").trim();
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (branchId && branchId !== "all") {
+      if (!isValidObjectId(branchId)) return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+      if (direction === "out") filter.fromBranchId = branchId;
+      else if (direction === "in") filter.toBranchId = branchId;
+      else filter.$or = [{ fromBranchId: branchId }, { toBranchId: branchId }];
+    }
+    if (status) filter.status = status;
+    if (q) filter.code = { $regex: q, $options: "i" };
+
+    const [items, total] = await Promise.all([
+      StockTransfer.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      StockTransfer.countDocuments(filter),
+    ]);
+
+    res.json({ ok: true, page, limit, total, totalPages: Math.ceil(total / limit), items });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/transfers/:id
+ * =========================
+ */
+router.get(
+  "/:id",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const transfer = await StockTransfer.findById(req.params.id).lean();
+    if (!transfer) return res.status(404).json({ ok: false, message: "TRANSFER_NOT_FOUND" });
+    if (!canAccessTransfer(req, transfer)) return res.status(403).json({ ok: false, message: "FORBIDDEN" });
+
+    res.json({ ok: true, transfer });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/transfers
+ * Tạo phiếu DRAFT (chưa trừ kho)
+ * =========================
+ */
+router.post(
+  "/",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        fromBranchId: z.string().min(1),
+        toBranchId: z.string().min(1),
+        note: z.string().optional(),
+        items: itemsSchema,
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+    const data = body.data;
+
+    if (!isValidObjectId(data.fromBranchId) || !isValidObjectId(data.toBranchId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+    }
+    if (data.fromBranchId === data.toBranchId) return res.status(400).json({ ok: false, message: "SAME_BRANCH" });
+
+    const [b1, b2] = await Promise.all([
+      Branch.findById(data.fromBranchId).select("_id").lean(),
+      Branch.findById(data.toBranchId).select("_id").lean(),
+    ]);
+    if (!b1 || !b2) return res.status(400).json({ ok: false, message: "BRANCH_NOT_FOUND" });
+
+    let items;
+    try {
+      items = await buildTransferItems(data.items);
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
+    const transfer = await StockTransfer.create({
+      code: genOrderCode("TF"),
+      fromBranchId: data.fromBranchId,
+      toBranchId: data.toBranchId,
+      status: "DRAFT",
+      items,
+      totalQty: items.reduce((s, it) => s + it.qty, 0),
+      note: data.note || "",
+      createdById: req.user.sub || null,
+    });
+
+    res.json({ ok: true, transfer: transfer.toObject() });
+  })
+);
+
+/**
+ * =========================
+ * PUT /api/transfers/:id
+ * Sửa phiếu DRAFT
+ * =========================
+ */
+router.put(
+  "/:id",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        note: z.string().optional(),
+        items: itemsSchema.optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const transfer = await StockTransfer.findById(req.params.id);
+    if (!transfer) return res.status(404).json({ ok: false, message: "TRANSFER_NOT_FOUND" });
+    if (transfer.status !== "DRAFT") return res.status(409).json({ ok: false, message: "Only DRAFT can be edited" });
+
+    if (body.data.items) {
+      try {
+        transfer.items = await buildTransferItems(body.data.items);
+      } catch (e) {
+        if (!e?.code) throw e;
+        return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+      }
+      transfer.totalQty = transfer.items.reduce((s, it) => s + it.qty, 0);
+    }
+    if (body.data.note !== undefined) transfer.note = body.data.note;
+
+    await transfer.save();
+    res.json({ ok: true, transfer: transfer.toObject() });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/transfers/:id/ship
+ * DRAFT -> SHIPPED: trừ kho gửi (không đủ hàng -> 409, không tự cắt SL)
+ * =========================
+ */
+router.post(
+  "/:id/ship",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const transfer = await StockTransfer.findById(req.params.id);
+    if (!transfer) return res.status(404).json({ ok: false, message: "TRANSFER_NOT_FOUND" });
+    if (transfer.status !== "DRAFT") {
+      return res.status(409).json({ ok: false, message: `Only DRAFT can be shipped. Current=${transfer.status}` });
+    }
+
+    const fromBranchId = transfer.fromBranchId;
+    const userId = req.user.sub || null;
+
+    // 1) trừ tồn tổng + sổ kho (đủ hàng có thể bán: qty - reserved)
+    try {
+      await applyStockChanges(
+        transfer.items.map((it) => ({
+          branchId: fromBranchId,
+          variantId: it.variantId,
+          qty: -it.qty,
+          sku: it.sku,
+          name: it.name,
+        })),
+        {
+          type: "TRANSFER",
+          refType: "StockTransfer",
+          refId: transfer._id,
+          userId,
+          note: `TRANSFER ${transfer.code}`,
+          guard: true,
+        }
+      );
+    } catch (e) {
+      if (e?.code !== "NOT_ENOUGH_STOCK") throw e;
+      return res.status(409).json({ ok: false, message: e.code, shortages: e.shortages });
+    }
+
+    // 2) lô đi đường + giá vốn
+    const costMap = await getUnitCostMap(
+      transfer.items.map((it) => it.variantId),
+      fromBranchId
+    );
+
+    for (const it of transfer.items) {
+      it.unitCost = Math.round(Number(costMap.get(String(it.variantId)) || 0));
+
+      try {
+        it.lots = it.requestedLots?.length
+          ? await consumeSpecificLots({ branchId: fromBranchId, variantId: it.variantId, lots: it.requestedLots })
+          : await consumeLotsFEFO({ branchId: fromBranchId, variantId: it.variantId, qty: it.qty });
+      } catch (e) {
+        if (e?.code !== "LOT_NOT_ENOUGH") throw e;
+        // lô chỉ định không còn đủ -> xuất FEFO thay thế
+        it.lots = await consumeLotsFEFO({ branchId: fromBranchId, variantId: it.variantId, qty: it.qty });
+      }
+    }
+
+    await notifyLowStock(
+      req.app.get("io"),
+      transfer.items.map((it) => ({ branchId: fromBranchId, variantId: it.variantId }))
+    );
+
+    transfer.status = "SHIPPED";
+    transfer.shippedAt = new Date();
+    transfer.shippedById = userId;
+    await transfer.save();
+
+    emitToBranch(req, transfer.toBranchId, "transferShipped", {
+      transferId: String(transfer._id),
+      code: transfer.code,
+      fromBranchId: String(transfer.fromBranchId),
+      toBranchId: String(transfer.toBranchId),
+      totalQty: transfer.totalQty,
+    });
+
+    res.json({ ok: true, transfer: transfer.toObject() });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/transfers/:id/receive
+ * SHIPPED -> RECEIVED: cộng kho nhận theo SL thực nhận
+ * =========================
+ * items (optional): [{ variantId, receivedQty, reason }] - dòng không gửi = nhận đủ
+ * Lệch SL bắt buộc có reason
+ */
+router.post(
+  "/:id/receive",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        items: z
+          .array(
+            z.object({
+              variantId: z.string().min(1),
+              receivedQty: z.number().int().nonnegative(),
+              reason: z.string().optional(),
+            })
+          )
+          .optional(),
+        note: z.string().optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const transfer = await StockTransfer.findById(req.params.id);
+    if (!transfer) return res.status(404).json({ ok: false, message: "TRANSFER_NOT_FOUND" });
+    if (!canAccessTransfer(req, transfer, "to")) return res.status(403).json({ ok: false, message: "FORBIDDEN" });
+    if (transfer.status !== "SHIPPED") {
+      return res.status(409).json({ ok: false, message: `Only SHIPPED can be received. Current=${transfer.status}` });
+    }
+
+    const inMap = new Map((body.data.items || []).map((x) => [String(x.variantId), x]));
+    for (const vid of inMap.keys()) {
+      if (!transfer.items.some((it) => String(it.variantId) === vid)) {
+        return res.status(400).json({ ok: false, message: "ITEM_NOT_IN_TRANSFER", detail: `variantId=${vid}` });
+      }
+    }
+
+    for (const it of transfer.items) {
+      const x = inMap.get(String(it.variantId));
+      const receivedQty = x ? x.receivedQty : it.qty;
+      if (receivedQty !== it.qty && !String(x?.reason || "").trim()) {
+        return res.status(400).json({
+          ok: false,
+          message: "DISCREPANCY_REASON_REQUIRED",
+          detail: `${it.sku || it.name}: gửi ${it.qty}, nhận ${receivedQty}`,
+        });
+      }
+      it.receivedQty = receivedQty;
+      it.discrepancy = receivedQty - it.qty;
+      it.discrepancyReason = receivedQty !== it.qty ? String(x.reason).trim() : "";
+    }
+
+    const toBranchId = transfer.toBranchId;
+    const userId = req.user.sub || null;
+
+    const lotIds = transfer.items.flatMap((it) => (it.lots || []).map((l) => l.lotId)).filter(Boolean);
+    const lotCost = new Map(
+      (await StockLot.find({ _id: { $in: lotIds } }).select("_id cost").lean()).map((l) => [String(l._id), l.cost])
+    );
+
+    for (const it of transfer.items) {
+      const qty = Number(it.receivedQty || 0);
+      if (qty <= 0) continue;
+
+      // giá vốn chi nhánh nhận (tổng tồn toàn hệ thống không đổi -> không tính lại giá chung)
+      await applyInboundCost({
+        branchId: toBranchId,
+        variantId: it.variantId,
+        qty,
+        cost: it.unitCost,
+        ref: { type: "StockTransfer", id: transfer._id, code: transfer.code },
+        userId,
+        global: false,
+      });
+
+      await applyStockChanges([{ branchId: toBranchId, variantId: it.variantId, qty }], {
+        type: "TRANSFER",
+        refType: "StockTransfer",
+        refId: transfer._id,
+        userId,
+        note: `TRANSFER ${transfer.code}${it.discrepancy ? ` (lệch ${it.discrepancy}: ${it.discrepancyReason})` : ""}`,
+      });
+
+      // lô: nhận theo thứ tự đã xuất (thiếu -> lô cuối thiếu, dư -> chưa theo lô)
+      let left = qty;
+      for (const l of it.lots || []) {
+        if (left <= 0) break;
+        const take = Math.min(left, Number(l.qty || 0));
+        await addLot({
+          branchId: toBranchId,
+          variantId: it.variantId,
+          lotNo: l.lotNo,
+          expiryDate: l.expiryDate,
+          qty: take,
+          cost: lotCost.get(String(l.lotId)) || 0,
+          source: { type: "Transfer", id: transfer._id, code: transfer.code },
+        });
+        left -= take;
+      }
+    }
+
+    await notifyLowStock(
+      req.app.get("io"),
+      transfer.items.map((it) => ({ branchId: toBranchId, variantId: it.variantId }))
+    );
+
+    transfer.status = "RECEIVED";
+    transfer.receivedAt = new Date();
+    transfer.receivedById = userId;
+    transfer.receiveNote = body.data.note || "";
+    transfer.receivedTotalQty = transfer.items.reduce((s, it) => s + Number(it.receivedQty || 0), 0);
+    await transfer.save();
+
+    emitToBranch(req, transfer.fromBranchId, "transferReceived", {
+      transferId: String(transfer._id),
+      code: transfer.code,
+      fromBranchId: String(transfer.fromBranchId),
+      toBranchId: String(transfer.toBranchId),
+      totalQty: transfer.totalQty,
+      receivedTotalQty: transfer.receivedTotalQty,
+      hasDiscrepancy: transfer.items.some((it) => it.discrepancy !== 0),
+    });
+
+    res.json({ ok: true, transfer: transfer.toObject() });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/transfers/:id/cancel
+ * Chỉ huỷ phiếu DRAFT
+ * =========================
+ */
+router.post(
+  "/:id/cancel",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const transfer = await StockTransfer.findById(req.params.id);
+    if (!transfer) return res.status(404).json({ ok: false, message: "TRANSFER_NOT_FOUND" });
+    if (transfer.status !== "DRAFT") return res.status(409).json({ ok: false, message: "Only DRAFT can be cancelled" });
+
+    transfer.status = "CANCELLED";
+    transfer.cancelledAt = new Date();
+    transfer.cancelledById = req.user.sub || null;
+    await transfer.save();
+
+    res.json({ ok: true, transfer: transfer.toObject() });
+  })
+);
+
+module.exports = router;
@@ -11,6 +11,15 @@ const Branch = require("../models/Branch");
 
 const { authRequired, requireRole } = require("../middlewares/auth");
 const { asyncHandler } = require("../utils/asyncHandler");
+const { addLot, consumeLotsFEFO, moveLots, normalizeExpiry } = require("../services/lot.service");
+const { notifyLowStock } = require("../services/reorder.service");
+const {
+  applyStockChanges,
+  setStockQty,
+  reconcileLedger,
+  findLedgerBreaks,
+  writeOpeningBalance,
+} = require("../services/stock.service");
 
 function resolveBranchId(req) {
   const role = String(req.user?.role || "").toUpperCase();
@@ -22,12 +31,6 @@ function resolveBranchId(req) {
   return q;
 }
 
-async function getOrCreateStock(variantId, branchId) {
-  let st = await VariantStock.findOne({ variantId, branchId });
-  if (!st) st = await VariantStock.create({ variantId, branchId, qty: 0, reserved: 0 });
-  return st;
-}
-
 // ===== LIST stocks (by variantId or productId)
 router.get(
   "/",
@@ -109,6 +112,9 @@ router.post(
         note: z.string().optional(),
         refType: z.string().optional(),
         refId: z.string().optional(),
+        // tăng tồn: ghi vào lô (không truyền -> phần tăng chưa theo lô)
+        lotNo: z.string().optional(),
+        expiryDate: z.string().optional(),
       })
       .safeParse(req.body);
 
@@ -126,31 +132,46 @@ router.post(
     const b = await Branch.findById(branchId).select("_id").lean();
     if (!b) return res.status(400).json({ ok: false, message: "BRANCH_NOT_FOUND" });
 
-    const st = await getOrCreateStock(variantId, branchId);
-    const before = Number(st.qty || 0);
+    const ledger = {
+      type: "ADJUST",
+      note: String(body.data.note || op),
+      refType: String(body.data.refType || ""),
+      refId: body.data.refId,
+      userId: req.user.sub || null,
+    };
+
+    let before;
+    let after;
+    if (op === "SET") {
+      ({ before, after } = await setStockQty({ branchId, variantId, qty, ...ledger }));
+    } else {
+      const [r] = await applyStockChanges([{ branchId, variantId, qty: op === "IN" ? qty : -qty }], {
+        ...ledger,
+        clamp: true,
+      });
+      before = r ? r.before : Number((await VariantStock.findOne({ branchId, variantId }).lean())?.qty || 0);
+      after = r ? r.after : before;
+    }
 
-    let after = before;
-    if (op === "IN") after = before + qty;
-    if (op === "OUT") after = Math.max(0, before - qty);
-    if (op === "SET") after = qty;
+    // ✅ Lô: giảm -> trừ FEFO, tăng -> cộng vào lô chỉ định
+    let lots = [];
+    if (after < before) {
+      lots = await consumeLotsFEFO({ branchId, variantId, qty: before - after });
+    } else if (after > before && (body.data.lotNo || body.data.expiryDate)) {
+      const lot = await addLot({
+        branchId,
+        variantId,
+        lotNo: body.data.lotNo || "",
+        expiryDate: normalizeExpiry(body.data.expiryDate),
+        qty: after - before,
+        source: { type: "Adjust" },
+      });
+      if (lot) lots = [{ lotId: lot._id, lotNo: lot.lotNo, expiryDate: lot.expiryDate, qty: after - before }];
+    }
 
-    st.qty = after;
-    await st.save();
+    await notifyLowStock(req.app.get("io"), [{ branchId, variantId }]);
 
-    await VariantStockTxn.create({
-      variantId,
-      branchId,
-      type: op,
-      qty,
-      before,
-      after,
-      note: String(body.data.note || ""),
-      refType: String(body.data.refType || ""),
-      refId: body.data.refId && mongoose.isValidObjectId(body.data.refId) ? body.data.refId : undefined,
-      createdBy: req.user?._id,
-    });
-
-    res.json({ ok: true, variantId, branchId, before, after });
+    res.json({ ok: true, variantId, branchId, before, after, lots });
   })
 );
 
@@ -167,6 +188,8 @@ router.post(
         toBranchId: z.string().min(1),
         qty: z.number().positive(),
         note: z.string().optional(),
+        // chuyển đúng lô (sum qty = qty); không truyền -> FEFO
+        lots: z.array(z.object({ lotId: z.string().min(1), qty: z.number().positive() })).optional(),
       })
       .safeParse(req.body);
 
@@ -187,46 +210,69 @@ router.post(
     ]);
     if (!b1 || !b2) return res.status(400).json({ ok: false, message: "BRANCH_NOT_FOUND" });
 
-    const sFrom = await getOrCreateStock(variantId, fromBranchId);
-    const sTo = await getOrCreateStock(variantId, toBranchId);
-
-    const beforeFrom = Number(sFrom.qty || 0);
-    const beforeTo = Number(sTo.qty || 0);
+    const lotsIn = body.data.lots || [];
+    if (lotsIn.length) {
+      if (lotsIn.some((x) => !mongoose.isValidObjectId(x.lotId))) {
+        return res.status(400).json({ ok: false, message: "INVALID_LOT_ID" });
+      }
+      const sumLots = lotsIn.reduce((s, x) => s + Number(x.qty || 0), 0);
+      if (sumLots !== qty) return res.status(400).json({ ok: false, message: "LOT_QTY_MISMATCH" });
+    }
 
-    const afterFrom = Math.max(0, beforeFrom - qty);
-    const moved = beforeFrom - afterFrom; // nếu thiếu hàng thì chuyển tối đa
-    const afterTo = beforeTo + moved;
+    const sFrom = await VariantStock.findOne({ variantId, branchId: fromBranchId }).select("qty").lean();
+    const fromQty = Number(sFrom?.qty || 0);
 
-    sFrom.qty = afterFrom;
-    sTo.qty = afterTo;
+    if (lotsIn.length && fromQty < qty) {
+      return res.status(409).json({ ok: false, message: "NOT_ENOUGH_STOCK" });
+    }
 
-    await Promise.all([sFrom.save(), sTo.save()]);
+    // ✅ Lô: chuyển trước để lỗi lô không làm lệch tồn tổng
+    let movedLots = [];
+    try {
+      movedLots = await moveLots({
+        fromBranchId,
+        toBranchId,
+        variantId,
+        qty: Math.min(qty, fromQty),
+        lots: lotsIn.length ? lotsIn : null,
+        source: { type: "Transfer" },
+      });
+    } catch (e) {
+      if (e?.code !== "LOT_NOT_ENOUGH") throw e;
+      return res.status(409).json({ ok: false, message: e.code, detail: e.detail });
+    }
 
-    const note = String(body.data.note || "");
+    const ledger = {
+      type: "TRANSFER",
+      note: String(body.data.note || ""),
+      userId: req.user.sub || null,
+    };
 
-    await VariantStockTxn.create({
-      variantId,
-      branchId: fromBranchId,
-      type: "TRANSFER_OUT",
-      qty: moved,
-      before: beforeFrom,
-      after: afterFrom,
-      note,
-      createdBy: req.user?._id,
+    // nếu thiếu hàng thì chuyển tối đa
+    const [rFrom] = await applyStockChanges([{ branchId: fromBranchId, variantId, qty: -qty }], {
+      ...ledger,
+      clamp: true,
     });
+    const moved = rFrom ? rFrom.before - rFrom.after : 0;
+    const [rTo] = await applyStockChanges([{ branchId: toBranchId, variantId, qty: moved }], ledger);
 
-    await VariantStockTxn.create({
-      variantId,
-      branchId: toBranchId,
-      type: "TRANSFER_IN",
-      qty: moved,
-      before: beforeTo,
-      after: afterTo,
-      note,
-      createdBy: req.user?._id,
-    });
+    const beforeFrom = rFrom ? rFrom.before : fromQty;
+    const afterFrom = rFrom ? rFrom.after : fromQty;
+    const beforeTo = rTo ? rTo.before : Number((await VariantStock.findOne({ variantId, branchId: toBranchId }).lean())?.qty || 0);
+    const afterTo = rTo ? rTo.after : beforeTo;
+
+    await notifyLowStock(req.app.get("io"), [
+      { branchId: fromBranchId, variantId },
+      { branchId: toBranchId, variantId },
+    ]);
 
-    res.json({ ok: true, moved, from: { before: beforeFrom, after: afterFrom }, to: { before: beforeTo, after: afterTo } });
+    res.json({
+      ok: true,
+      moved,
+      lots: movedLots,
+      from: { before: beforeFrom, after: afterFrom },
+      to: { before: beforeTo, after: afterTo },
+    });
   })
 );
 
@@ -242,9 +288,114 @@ router.get(
     if (variantId) filter.variantId = variantId;
     if (branchId !== "all") filter.branchId = branchId;
 
+    const type = String(req.query.type || "").trim();
+    const refType = String(req.query.refType || "").trim();
+    const refId = String(req.query.refId || "").trim();
+    if (type) filter.type = type;
+    if (refType) filter.refType = refType;
+    if (refId && mongoose.isValidObjectId(refId)) filter.refId = refId;
+
     const items = await VariantStockTxn.find(filter).sort({ createdAt: -1 }).limit(200).lean();
     res.json({ ok: true, branchId, items });
   })
 );
 
+// ===== RECONCILE: replay sổ kho vs tồn hiện tại
+// GET /api/variant-stocks/reconcile?branchId=&variantId=&all=true
+// - mặc định chỉ trả dòng lệch (diff = qty - ledgerQty != 0)
+// - có cả branchId + variantId -> kèm các điểm đứt chuỗi before/after
+router.get(
+  "/reconcile",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const branchId = resolveBranchId(req);
+    const variantId = String(req.query.variantId || "").trim();
+
+    if (branchId !== "all" && !mongoose.isValidObjectId(branchId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+    }
+    if (variantId && !mongoose.isValidObjectId(variantId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
+    }
+
+    const rows = await reconcileLedger({
+      branchId: branchId === "all" ? null : branchId,
+      variantId: variantId || null,
+    });
+    const showAll = String(req.query.all || "") === "true";
+    const items = showAll ? rows : rows.filter((r) => r.diff !== 0 || r.lastAfterMismatch);
+
+    const variants = await ProductVariant.find({ _id: { $in: items.map((r) => r.variantId) } })
+      .select("_id sku name")
+      .lean();
+    const vMap = new Map(variants.map((v) => [String(v._id), v]));
+    for (const r of items) {
+      r.sku = vMap.get(String(r.variantId))?.sku || "";
+      r.name = vMap.get(String(r.variantId))?.name || "";
+    }
+
+    const breaks =
+      branchId !== "all" && variantId ? await findLedgerBreaks({ branchId, variantId }) : undefined;
+
+    res.json({
+      ok: true,
+      branchId,
+      checked: rows.length,
+      mismatched: rows.filter((r) => r.diff !== 0).length,
+      items,
+      breaks,
+    });
+  })
+);
+
+// ===== RECONCILE FIX: ghi giao dịch mở sổ cho phần lệch (không đổi tồn)
+// POST /api/variant-stocks/reconcile { branchId?, variantIds?, note? }
+router.post(
+  "/reconcile",
+  authRequired,
+  requireRole(["ADMIN"]),
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        branchId: z.string().optional(),
+        variantIds: z.array(z.string().min(1)).optional(),
+        note: z.string().optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const { branchId, variantIds } = body.data;
+    if (branchId && !mongoose.isValidObjectId(branchId)) {
+      return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+    }
+    if ((variantIds || []).some((id) => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ ok: false, message: "INVALID_VARIANT_ID" });
+    }
+
+    const allow = variantIds?.length ? new Set(variantIds) : null;
+    const rows = (await reconcileLedger({ branchId: branchId || null })).filter(
+      (r) => r.diff !== 0 && (!allow || allow.has(String(r.variantId)))
+    );
+
+    for (const r of rows) {
+      await writeOpeningBalance({
+        branchId: r.branchId,
+        variantId: r.variantId,
+        ledgerQty: r.ledgerQty,
+        qty: r.qty,
+        userId: req.user.sub || null,
+        note: body.data.note,
+      });
+    }
+
+    res.json({
+      ok: true,
+      fixed: rows.length,
+      items: rows.map((r) => ({ branchId: r.branchId, variantId: r.variantId, ledgerQty: r.ledgerQty, qty: r.qty, diff: r.diff })),
+    });
+  })
+);
+
 module.exports = router;
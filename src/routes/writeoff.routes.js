@@ -0,0 +1,397 @@
+// src/routes/writeoff.routes.js
+const router = require("express").Router();
+const { z } = require("zod");
+const mongoose = require("mongoose");
+
+const StockWriteOff = require("../models/StockWriteOff");
+const { WRITE_OFF_REASONS } = require("../models/StockWriteOff");
+const ProductVariant = require("../models/ProductVariant");
+const Branch = require("../models/Branch");
+
+const { authRequired, requireRole } = require("../middlewares/auth");
+const { asyncHandler } = require("../utils/asyncHandler");
+const { resolveBranchId } = require("../utils/resolveBranchId");
+const { genOrderCode } = require("../utils/code");
+const { consumeLotsFEFO, consumeSpecificLots } = require("../services/lot.service");
+const { getUnitCostMap } = require("../services/costing.service");
+const { notifyLowStock } = require("../services/reorder.service");
+const { applyStockChanges } = require("../services/stock.service");
+
+const isValidObjectId = (v) => mongoose.isValidObjectId(String(v || ""));
+
+const itemsSchema = z
+  .array(
+    z.object({
+      variantId: z.string().min(1),
+      qty: z.number().int().positive(),
+      reason: z.enum(WRITE_OFF_REASONS),
+      note: z.string().optional(),
+      // huỷ đúng lô (VD: lô hết hạn); không truyền -> FEFO
+      lots: z.array(z.object({ lotId: z.string().min(1), qty: z.number().int().positive() })).optional(),
+    })
+  )
+  .min(1);
+
+function isStaff(req) {
+  return String(req.user?.role || "").toUpperCase() === "STAFF";
+}
+
+function canAccessBranch(req, branchId) {
+  return !isStaff(req) || String(req.user?.branchId || "") === String(branchId);
+}
+
+/**
+ * Snapshot dòng xuất huỷ (không gộp: cùng variant có thể khác lý do)
+ */
+async function buildWriteOffItems(itemsIn) {
+  for (const it of itemsIn) {
+    if (!isValidObjectId(it.variantId)) {
+      const err = new Error("INVALID_VARIANT_ID");
+      err.code = "INVALID_VARIANT_ID";
+      err.detail = `variantId=${it.variantId}`;
+      throw err;
+    }
+    if ((it.lots || []).some((l) => !isValidObjectId(l.lotId))) {
+      const err = new Error("INVALID_LOT_ID");
+      err.code = "INVALID_LOT_ID";
+      throw err;
+    }
+    if ((it.lots || []).length && it.lots.reduce((s, l) => s + l.qty, 0) !== it.qty) {
+      const err = new Error("LOT_QTY_MISMATCH");
+      err.code = "LOT_QTY_MISMATCH";
+      err.detail = `variantId=${it.variantId}`;
+      throw err;
+    }
+  }
+
+  const variants = await ProductVariant.find({ _id: { $in: itemsIn.map((it) => it.variantId) } })
+    .select("_id productId sku name attributes")
+    .lean();
+  const vMap = new Map(variants.map((v) => [String(v._id), v]));
+
+  return itemsIn.map((it) => {
+    const v = vMap.get(String(it.variantId));
+    if (!v) {
+      const err = new Error("VARIANT_NOT_FOUND");
+      err.code = "VARIANT_NOT_FOUND";
+      err.detail = `variantId=${it.variantId}`;
+      throw err;
+    }
+    return {
+      variantId: v._id,
+      productId: v.productId || null,
+      sku: v.sku || "",
+      name: v.name || "",
+      attributes: v.attributes || [],
+      qty: it.qty,
+      reason: it.reason,
+      note: it.note || "",
+      requestedLots: (it.lots || []).map((l) => ({ lotId: l.lotId, qty: l.qty })),
+    };
+  });
+}
+
+/**
+ * =========================
+ * GET /api/write-offs
+ * =========================
+ * Query: branchId (STAFF khoá theo token), status, reason, page, limit
+ */
+router.get(
+  "/",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const branchId = resolveBranchId(req);
+    const status = String(req.query.status || "").trim().toUpperCase();
+    const reason = String(req.query.reason || "").trim().toUpperCase();
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (branchId) filter.branchId = branchId;
+    if (status) filter.status = status;
+    if (reason) filter["items.reason"] = reason;
+
+    const [items, total] = await Promise.all([
+      StockWriteOff.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      StockWriteOff.countDocuments(filter),
+    ]);
+
+    res.json({ ok: true, page, limit, total, totalPages: Math.ceil(total / limit), items });
+  })
+);
+
+/**
+ * =========================
+ * GET /api/write-offs/:id
+ * =========================
+ */
+router.get(
+  "/:id",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const doc = await StockWriteOff.findById(req.params.id).lean();
+    if (!doc) return res.status(404).json({ ok: false, message: "WRITE_OFF_NOT_FOUND" });
+    if (!canAccessBranch(req, doc.branchId)) return res.status(403).json({ ok: false, message: "FORBIDDEN" });
+
+    res.json({ ok: true, writeOff: doc });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/write-offs
+ * Lập phiếu xuất huỷ (STAFF lập cho chi nhánh mình)
+ * =========================
+ * Body: { branchId, note?, submit?: true -> gửi duyệt luôn, items: [{ variantId, qty, reason, note?, lots? }] }
+ */
+router.post(
+  "/",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        branchId: z.string().min(1),
+        note: z.string().optional(),
+        submit: z.boolean().optional(),
+        items: itemsSchema,
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+    const data = body.data;
+
+    if (!isValidObjectId(data.branchId)) return res.status(400).json({ ok: false, message: "INVALID_BRANCH_ID" });
+    if (!canAccessBranch(req, data.branchId)) return res.status(403).json({ ok: false, message: "FORBIDDEN" });
+
+    const branch = await Branch.findById(data.branchId).select("_id").lean();
+    if (!branch) return res.status(400).json({ ok: false, message: "BRANCH_NOT_FOUND" });
+
+    let items;
+    try {
+      items = await buildWriteOffItems(data.items);
+    } catch (e) {
+      if (!e?.code) throw e;
+      return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+    }
+
+    const userId = req.user.sub || null;
+    const doc = await StockWriteOff.create({
+      code: genOrderCode("WO"),
+      branchId: data.branchId,
+      status: data.submit ? "PENDING_APPROVAL" : "DRAFT",
+      items,
+      totalQty: items.reduce((s, it) => s + it.qty, 0),
+      note: data.note || "",
+      createdById: userId,
+      submittedAt: data.submit ? new Date() : null,
+      submittedById: data.submit ? userId : null,
+    });
+
+    res.json({ ok: true, writeOff: doc.toObject() });
+  })
+);
+
+/**
+ * =========================
+ * PUT /api/write-offs/:id
+ * Sửa phiếu DRAFT
+ * =========================
+ */
+router.put(
+  "/:id",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    const body = z
+      .object({
+        note: z.string().optional(),
+        items: itemsSchema.optional(),
+      })
+      .safeParse(req.body);
+
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    const doc = await StockWriteOff.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, message: "WRITE_OFF_NOT_FOUND" });
+    if (!canAccessBranch(req, doc.branchId)) return res.status(403).json({ ok: false, message: "FORBIDDEN" });
+    if (doc.status !== "DRAFT") return res.status(409).json({ ok: false, message: "Only DRAFT can be edited" });
+
+    if (body.data.items) {
+      try {
+        doc.items = await buildWriteOffItems(body.data.items);
+      } catch (e) {
+        if (!e?.code) throw e;
+        return res.status(400).json({ ok: false, message: e.code, detail: e.detail });
+      }
+      doc.totalQty = doc.items.reduce((s, it) => s + it.qty, 0);
+    }
+    if (body.data.note !== undefined) doc.note = body.data.note;
+
+    await doc.save();
+    res.json({ ok: true, writeOff: doc.toObject() });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/write-offs/:id/submit
+ * DRAFT -> PENDING_APPROVAL
+ * =========================
+ */
+router.post(
+  "/:id/submit",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const doc = await StockWriteOff.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, message: "WRITE_OFF_NOT_FOUND" });
+    if (!canAccessBranch(req, doc.branchId)) return res.status(403).json({ ok: false, message: "FORBIDDEN" });
+    if (doc.status !== "DRAFT") return res.status(409).json({ ok: false, message: "Only DRAFT can be submitted" });
+
+    doc.status = "PENDING_APPROVAL";
+    doc.submittedAt = new Date();
+    doc.submittedById = req.user.sub || null;
+    await doc.save();
+
+    res.json({ ok: true, writeOff: doc.toObject() });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/write-offs/:id/approve
+ * Quản lý duyệt -> POSTED: trừ kho + lô, chốt giá vốn, ghi sổ kho kèm lý do
+ * =========================
+ * Không đủ tồn -> 409 + danh sách thiếu (không tự cắt SL)
+ */
+router.post(
+  "/:id/approve",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const doc = await StockWriteOff.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, message: "WRITE_OFF_NOT_FOUND" });
+    if (!["DRAFT", "PENDING_APPROVAL"].includes(doc.status)) {
+      return res.status(409).json({ ok: false, message: `Only DRAFT / PENDING_APPROVAL can be approved. Current=${doc.status}` });
+    }
+
+    const branchId = doc.branchId;
+    const userId = req.user.sub || null;
+
+    // 1) trừ tồn + sổ kho từng dòng (lý do riêng), không đụng hàng đang giữ cho đơn online
+    try {
+      await applyStockChanges(
+        doc.items.map((it) => ({
+          branchId,
+          variantId: it.variantId,
+          qty: -it.qty,
+          sku: it.sku,
+          name: it.name,
+          reason: it.reason,
+          note: `WRITE-OFF ${doc.code} (${it.reason})${it.note ? `: ${it.note}` : ""}`,
+        })),
+        { type: "ADJUST", refType: "StockWriteOff", refId: doc._id, userId, guard: true }
+      );
+    } catch (e) {
+      if (e?.code !== "NOT_ENOUGH_STOCK") throw e;
+      return res.status(409).json({ ok: false, message: e.code, shortages: e.shortages });
+    }
+
+    // 2) lô + giá vốn
+    const variantIds = [...new Set(doc.items.map((it) => String(it.variantId)))];
+    const costMap = await getUnitCostMap(variantIds, branchId);
+
+    for (const it of doc.items) {
+      try {
+        it.lots = it.requestedLots?.length
+          ? await consumeSpecificLots({ branchId, variantId: it.variantId, lots: it.requestedLots })
+          : await consumeLotsFEFO({ branchId, variantId: it.variantId, qty: it.qty });
+      } catch (e) {
+        if (e?.code !== "LOT_NOT_ENOUGH") throw e;
+        it.lots = await consumeLotsFEFO({ branchId, variantId: it.variantId, qty: it.qty });
+      }
+
+      it.unitCost = Math.round(Number(costMap.get(String(it.variantId)) || 0));
+      it.costTotal = it.unitCost * it.qty;
+    }
+
+    doc.costTotal = doc.items.reduce((s, it) => s + Number(it.costTotal || 0), 0);
+    doc.status = "POSTED";
+    doc.approvedAt = new Date();
+    doc.approvedById = userId;
+    await doc.save();
+
+    await notifyLowStock(
+      req.app.get("io"),
+      variantIds.map((variantId) => ({ branchId, variantId }))
+    );
+
+    res.json({ ok: true, writeOff: doc.toObject() });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/write-offs/:id/reject
+ * =========================
+ */
+router.post(
+  "/:id/reject",
+  authRequired,
+  requireRole(["ADMIN", "MANAGER"]),
+  asyncHandler(async (req, res) => {
+    const body = z.object({ reason: z.string().min(1) }).safeParse(req.body);
+    if (!body.success) return res.status(400).json({ ok: false, error: body.error.flatten() });
+
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const doc = await StockWriteOff.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, message: "WRITE_OFF_NOT_FOUND" });
+    if (doc.status !== "PENDING_APPROVAL") {
+      return res.status(409).json({ ok: false, message: "Only PENDING_APPROVAL can be rejected" });
+    }
+
+    doc.status = "REJECTED";
+    doc.rejectedAt = new Date();
+    doc.rejectedById = req.user.sub || null;
+    doc.rejectReason = body.data.reason;
+    await doc.save();
+
+    res.json({ ok: true, writeOff: doc.toObject() });
+  })
+);
+
+/**
+ * =========================
+ * POST /api/write-offs/:id/cancel
+ * =========================
+ */
+router.post(
+  "/:id/cancel",
+  authRequired,
+  asyncHandler(async (req, res) => {
+    if (!isValidObjectId(req.params.id)) return res.status(400).json({ ok: false, message: "INVALID_ID" });
+
+    const doc = await StockWriteOff.findById(req.params.id);
+    if (!doc) return res.status(404).json({ ok: false, message: "WRITE_OFF_NOT_FOUND" });
+    if (!canAccessBranch(req, doc.branchId)) return res.status(403).json({ ok: false, message: "FORBIDDEN" });
+    if (!["DRAFT", "PENDING_APPROVAL"].includes(doc.status)) {
+      return res.status(409).json({ ok: false, message: "Only DRAFT / PENDING_APPROVAL can be cancelled" });
+    }
+
+    doc.status = "CANCELLED";
+    doc.cancelledAt = new Date();
+    doc.cancelledById = req.user.sub || null;
+    await doc.save();
+
+    res.json({ ok: true, writeOff: doc.toObject() });
+  })
+);
+
+module.exports = router;
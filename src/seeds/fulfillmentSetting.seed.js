@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+const InventorySetting = require("../models/InventorySetting");
+const Branch = require("../models/Branch");
+
+/**
+ * Chuyển MAIN_BRANCH_ID (.env, cấu hình cũ) sang InventorySetting.fulfillment.mainBranchId - chạy 1 lần
+ * - đã chuyển (envMigratedAt) hoặc đã cấu hình kho chính -> bỏ qua, sau đó chỉ đọc cấu hình
+ */
+async function seedFulfillmentMainBranch() {
+  const setting = await InventorySetting.findOne({ key: "default" }).select("fulfillment").lean();
+  if (setting?.fulfillment?.envMigratedAt || setting?.fulfillment?.mainBranchId) return;
+
+  const envMain = String(process.env.MAIN_BRANCH_ID || "").trim();
+  const branch = mongoose.isValidObjectId(envMain)
+    ? await Branch.findOne({ _id: envMain, isActive: true }).select("_id").lean()
+    : null;
+
+  await InventorySetting.updateOne(
+    { key: "default" },
+    {
+      $set: {
+        ...(branch ? { "fulfillment.mainBranchId": branch._id } : {}),
+        "fulfillment.envMigratedAt": new Date(),
+      },
+    },
+    { upsert: true }
+  );
+
+  if (branch) console.log(`✅ Migrated MAIN_BRANCH_ID -> inventory settings (${envMain})`);
+}
+
+module.exports = { seedFulfillmentMainBranch };
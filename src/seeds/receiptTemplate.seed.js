@@ -32,7 +32,7 @@ const DEFAULT_HTML = `
 <tbody>
 {{#each items}}
 <tr>
-  <td>{{name}}</td>
+  <td>{{name}}<div style="font-size:10px;color:#666">{{unitNote}}</div></td>
   <td style="text-align:center">{{qty}}</td>
   <td style="text-align:right">{{price}}</td>
   <td style="text-align:right"><b>{{total}}</b></td>
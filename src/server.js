@@ -5,6 +5,11 @@ const { env } = require("./config/env");
 const { connectDB } = require("./db");
 const { createApp } = require("./app");
 const { seedReceiptTemplate } = require("./seeds/receiptTemplate.seed");
+const { seedFulfillmentMainBranch } = require("./seeds/fulfillmentSetting.seed");
+const { startReservationJob } = require("./jobs/reservation.job");
+const { startInventorySnapshotJob } = require("./jobs/inventorySnapshot.job");
+const { startSearchIndexJob } = require("./jobs/searchIndex.job");
+const { startPriceScheduleJob } = require("./jobs/priceSchedule.job");
 
 
 async function main() {
@@ -29,6 +34,21 @@ async function main() {
    // ✅ seed bill template nếu chưa có
   await seedReceiptTemplate();
 
+  // ✅ MAIN_BRANCH_ID (.env cũ) -> cấu hình xuất kho (1 lần)
+  await seedFulfillmentMainBranch();
+
+  // ✅ nhả giữ hàng đơn online quá hạn
+  startReservationJob();
+
+  // ✅ chốt tồn kho cuối tháng
+  startInventorySnapshotJob();
+
+  // ✅ build lại trường tìm kiếm không dấu
+  startSearchIndexJob();
+
+  // ✅ áp / trả lại lịch đổi giá
+  startPriceScheduleJob();
+
   server.listen(env.PORT, "0.0.0.0", () => {
   console.log(`Server running :${env.PORT}`);
 });
@@ -0,0 +1,152 @@
+// src/services/bundle.service.js
+const mongoose = require("mongoose");
+
+const Product = require("../models/Product");
+const ProductVariant = require("../models/ProductVariant");
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function bundleError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+/**
+ * Thành phần combo theo variant bán
+ * @returns Map<bundleVariantId, [{ variantId, productId, sku, name, qty }]> (variant thường không có trong map)
+ */
+async function getBundleMap(variantIds) {
+  const ids = [...new Set((variantIds || []).map(String).filter((id) => mongoose.isValidObjectId(id)))];
+  const map = new Map();
+  if (!ids.length) return map;
+
+  const variants = await ProductVariant.find({ _id: { $in: ids } }).select("_id productId").lean();
+  const bundles = await Product.find({
+    _id: { $in: [...new Set(variants.map((v) => String(v.productId)))] },
+    productType: "BUNDLE",
+  })
+    .select("_id bundleItems")
+    .lean();
+  if (!bundles.length) return map;
+
+  const compIds = bundles.flatMap((p) => (p.bundleItems || []).map((c) => c.variantId));
+  const comps = await ProductVariant.find({ _id: { $in: compIds } }).select("_id productId sku name").lean();
+  const cMap = new Map(comps.map((c) => [String(c._id), c]));
+  const bMap = new Map(bundles.map((p) => [String(p._id), p]));
+
+  for (const v of variants) {
+    const p = bMap.get(String(v.productId));
+    if (!p) continue;
+    map.set(
+      String(v._id),
+      (p.bundleItems || []).map((c) => {
+        const cv = cMap.get(String(c.variantId));
+        return {
+          variantId: c.variantId,
+          productId: cv?.productId || null,
+          sku: cv?.sku || "",
+          name: cv?.name || "",
+          qty: toNum(c.qty),
+        };
+      })
+    );
+  }
+  return map;
+}
+
+/**
+ * Tách dòng combo thành dòng thành phần (SL = SL combo x SL thành phần) để giữ / trừ / hoàn kho
+ * - dòng thường giữ nguyên
+ * - dòng thành phần mang bundleVariantId = variant combo
+ * lines: [{ variantId, qty, ... }]
+ */
+async function expandBundleLines(lines, bundleMap = null) {
+  const list = lines || [];
+  const map = bundleMap || (await getBundleMap(list.map((l) => l.variantId)));
+  if (!map.size) return list;
+
+  const out = [];
+  for (const l of list) {
+    const comps = map.get(String(l.variantId));
+    if (!comps) {
+      out.push(l);
+      continue;
+    }
+    for (const c of comps) {
+      out.push({
+        ...l,
+        variantId: c.variantId,
+        productId: c.productId,
+        sku: c.sku,
+        name: c.name,
+        qty: toNum(l.qty) * c.qty,
+        bundleVariantId: l.variantId,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * SL combo ghép được = min(floor(tồn thành phần / SL thành phần))
+ * availableOf(variantId) -> tồn / khả dụng của thành phần
+ */
+function bundleAvailability(components, availableOf) {
+  if (!(components || []).length) return 0;
+  return Math.max(
+    0,
+    Math.min(...components.map((c) => Math.floor(toNum(availableOf(String(c.variantId))) / Math.max(1, c.qty))))
+  );
+}
+
+/**
+ * Chuẩn hoá + kiểm tra thành phần combo khi tạo / sửa sản phẩm
+ * - thành phần là variant đang bán, không phải combo (không lồng combo), không thuộc chính combo
+ * - trùng variant -> cộng dồn SL
+ * @returns [{ variantId, qty }]
+ */
+async function normalizeBundleItems(input, productId = null) {
+  const merged = new Map();
+  for (const c of input || []) {
+    const vid = String(c?.variantId || "").trim();
+    const qty = Math.trunc(toNum(c?.qty));
+    if (!mongoose.isValidObjectId(vid)) throw bundleError("INVALID_BUNDLE_ITEM", `variantId=${vid}`);
+    if (qty <= 0) throw bundleError("INVALID_BUNDLE_ITEM", `qty=${c?.qty} (${vid})`);
+    merged.set(vid, (merged.get(vid) || 0) + qty);
+  }
+  if (!merged.size) throw bundleError("BUNDLE_ITEMS_REQUIRED");
+
+  const variants = await ProductVariant.find({ _id: { $in: [...merged.keys()] } })
+    .select("_id productId sku isActive")
+    .lean();
+  const vMap = new Map(variants.map((v) => [String(v._id), v]));
+
+  const nested = await Product.find({
+    _id: { $in: variants.map((v) => v.productId) },
+    productType: "BUNDLE",
+  })
+    .select("_id")
+    .lean();
+  const nestedIds = new Set(nested.map((p) => String(p._id)));
+
+  for (const vid of merged.keys()) {
+    const v = vMap.get(vid);
+    if (!v || !v.isActive) throw bundleError("BUNDLE_ITEM_NOT_FOUND", `variantId=${vid}`);
+    if (productId && String(v.productId) === String(productId)) throw bundleError("BUNDLE_ITEM_SELF", v.sku);
+    if (nestedIds.has(String(v.productId))) throw bundleError("BUNDLE_ITEM_IS_BUNDLE", v.sku);
+  }
+
+  return [...merged.entries()].map(([variantId, qty]) => ({ variantId: new mongoose.Types.ObjectId(variantId), qty }));
+}
+
+module.exports = {
+  getBundleMap,
+  expandBundleLines,
+  bundleAvailability,
+  normalizeBundleItems,
+};
@@ -0,0 +1,218 @@
+// src/services/catalogFacet.service.js
+// Bộ lọc nhiều lựa chọn + đếm facet cho danh sách sản phẩm web
+// - trong 1 facet: OR (brand=A,B -> A hoặc B)
+// - giữa các facet: AND
+// - số đếm của 1 facet áp mọi bộ lọc KHÁC (trừ chính nó) -> chọn A vẫn thấy số của B
+
+const PRICE_BUCKETS = [
+  { key: "0-100000", min: 0, max: 100000 },
+  { key: "100000-500000", min: 100000, max: 500000 },
+  { key: "500000-1000000", min: 500000, max: 1000000 },
+  { key: "1000000-5000000", min: 1000000, max: 5000000 },
+  { key: "5000000-10000000", min: 5000000, max: 10000000 },
+  { key: "10000000-", min: 10000000, max: null },
+];
+
+const MAX_ATTR_KEYS = 10;
+const MAX_FACET_VALUES = 50;
+
+// "A,B" | ["A", "B,C"] -> ["A", "B", "C"]
+function toList(v) {
+  const arr = Array.isArray(v) ? v : v == null ? [] : [v];
+  return [
+    ...new Set(
+      arr
+        .filter((x) => typeof x === "string" || typeof x === "number")
+        .flatMap((x) => String(x).split(","))
+        .map((x) => x.trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Đọc bộ lọc facet từ query
+ * - brand=A,B | brand=A&brand=B
+ * - attr[skin_type]=dầu,hỗn hợp  (key theo ProductVariant.attributes.k hoặc thuộc tính filterable của sản phẩm)
+ * - priceRange=0-100000,100000-500000  (key trong PRICE_BUCKETS)
+ * - onSale=true
+ */
+function parseFacetFilters(query = {}) {
+  const attrs = {};
+  const rawAttr = query.attr && typeof query.attr === "object" && !Array.isArray(query.attr) ? query.attr : {};
+  for (const [k, v] of Object.entries(rawAttr)) {
+    const key = String(k).trim().toLowerCase();
+    const values = toList(v);
+    if (key && values.length) attrs[key] = values;
+  }
+
+  const priceKeys = toList(query.priceRange);
+  const unknownPrice = priceKeys.filter((k) => !PRICE_BUCKETS.some((b) => b.key === k));
+  if (unknownPrice.length || Object.keys(attrs).length > MAX_ATTR_KEYS) {
+    const err = new Error("INVALID_FACET_FILTER");
+    err.code = "INVALID_FACET_FILTER";
+    err.detail = unknownPrice.length
+      ? `unknown priceRange: ${unknownPrice.join(", ")}`
+      : `at most ${MAX_ATTR_KEYS} attribute filters`;
+    throw err;
+  }
+
+  return {
+    brands: toList(query.brand),
+    attrs,
+    priceBuckets: PRICE_BUCKETS.filter((b) => priceKeys.includes(b.key)),
+    onSale: query.onSale === "true",
+  };
+}
+
+function priceCond(b) {
+  return { minPrice: b.max == null ? { $gte: b.min } : { $gte: b.min, $lt: b.max } };
+}
+
+/**
+ * $match cho bước sau khi đã tính minPrice / _isOnSale / _attrs
+ * @param except "brand" | "price" | "onSale" | "attr:<key>" -> bỏ qua bộ lọc đó (để đếm facet)
+ */
+function buildFacetMatch(filters, except = null) {
+  const and = [];
+  if (except !== "brand" && filters.brands.length) and.push({ brand: { $in: filters.brands } });
+  if (except !== "price" && filters.priceBuckets.length) and.push({ $or: filters.priceBuckets.map(priceCond) });
+  if (except !== "onSale" && filters.onSale) and.push({ _isOnSale: true });
+  for (const [k, values] of Object.entries(filters.attrs)) {
+    if (except === `attr:${k}`) continue;
+    and.push({ _attrs: { $elemMatch: { k, v: { $in: values } } } });
+  }
+  return and.length ? { $and: and } : {};
+}
+
+/**
+ * Stages gom thuộc tính (k, v) không trùng -> _attrs
+ * - option của các variant đang bán (ProductVariant.attributes)
+ * - thuộc tính filterable của sản phẩm (Product.attributeFacets, theo định nghĩa của category)
+ */
+function attributeFacetStages(variantsCollection) {
+  return [
+    {
+      $lookup: {
+        from: variantsCollection,
+        let: { pid: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ["$productId", "$$pid"] }, { $eq: ["$isActive", true] }] } } },
+          { $unwind: "$attributes" },
+          { $group: { _id: { k: "$attributes.k", v: "$attributes.v" } } },
+          { $replaceRoot: { newRoot: "$_id" } },
+        ],
+        as: "_attrs",
+      },
+    },
+    { $addFields: { _attrs: { $setUnion: ["$_attrs", { $ifNull: ["$attributeFacets", []] }] } } },
+  ];
+}
+
+function attrCountPipeline(match, onlyKey = null) {
+  return [
+    { $match: match },
+    { $unwind: "$_attrs" },
+    ...(onlyKey ? [{ $match: { "_attrs.k": onlyKey } }] : []),
+    { $group: { _id: { k: "$_attrs.k", v: "$_attrs.v" }, count: { $sum: 1 } } },
+    { $sort: { count: -1, "_id.v": 1 } },
+  ];
+}
+
+/**
+ * Các nhánh $facet để đếm: brands / priceRanges / onSale / attributes
+ * - key thuộc tính đang lọc có nhánh riêng (attr_0, attr_1...) bỏ qua bộ lọc của chính key đó
+ */
+function facetCountStages(filters) {
+  const stages = {
+    brands: [
+      { $match: buildFacetMatch(filters, "brand") },
+      { $group: { _id: "$brand", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: MAX_FACET_VALUES },
+    ],
+    priceRanges: [
+      { $match: buildFacetMatch(filters, "price") },
+      {
+        $bucket: {
+          groupBy: "$minPrice",
+          boundaries: [...PRICE_BUCKETS.map((b) => b.min), Number.MAX_SAFE_INTEGER],
+          default: "Other",
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ],
+    onSale: [{ $match: buildFacetMatch(filters, "onSale") }, { $match: { _isOnSale: true } }, { $count: "count" }],
+    attributes: attrCountPipeline(buildFacetMatch(filters)),
+  };
+
+  Object.keys(filters.attrs).forEach((k, i) => {
+    stages[`attr_${i}`] = attrCountPipeline(buildFacetMatch(filters, `attr:${k}`), k);
+  });
+  return stages;
+}
+
+/**
+ * Kết quả $facet -> filters trả cho web (đánh dấu selected, giữ giá trị đang chọn dù count = 0)
+ * @param attributeDefs định nghĩa thuộc tính của category đang xem -> thêm label / unit cho facet
+ */
+function formatFacets(facetDoc, filters, attributeDefs = []) {
+  const doc = facetDoc || {};
+
+  const brandCounts = new Map((doc.brands || []).filter((b) => b._id).map((b) => [b._id, b.count]));
+  for (const b of filters.brands) if (!brandCounts.has(b)) brandCounts.set(b, 0);
+  const brands = [...brandCounts].map(([name, count]) => ({ name, count, selected: filters.brands.includes(name) }));
+
+  const priceCounts = new Map((doc.priceRanges || []).map((r) => [r._id, r.count]));
+  const priceRanges = PRICE_BUCKETS.map((b) => ({
+    key: b.key,
+    min: b.min,
+    max: b.max,
+    count: priceCounts.get(b.min) || 0,
+    selected: filters.priceBuckets.some((x) => x.key === b.key),
+  })).filter((r) => r.count > 0 || r.selected);
+
+  const defMap = new Map((attributeDefs || []).map((d) => [d.key, d]));
+
+  // key -> Map<value, count>
+  const attrMap = new Map();
+  const addRows = (rows) => {
+    for (const r of rows || []) {
+      if (!attrMap.has(r._id.k)) attrMap.set(r._id.k, new Map());
+      attrMap.get(r._id.k).set(r._id.v, r.count);
+    }
+  };
+  addRows((doc.attributes || []).filter((r) => !filters.attrs[r._id.k]));
+  Object.keys(filters.attrs).forEach((k, i) => {
+    attrMap.set(k, new Map());
+    addRows(doc[`attr_${i}`]);
+    for (const v of filters.attrs[k]) if (!attrMap.get(k).has(v)) attrMap.get(k).set(v, 0);
+  });
+
+  const attributes = [...attrMap]
+    .map(([key, values]) => ({
+      key,
+      label: defMap.get(key)?.label || key,
+      unit: defMap.get(key)?.unit || "",
+      values: [...values]
+        .map(([value, count]) => ({ value, count, selected: (filters.attrs[key] || []).includes(value) }))
+        .filter((x, i) => i < MAX_FACET_VALUES || x.selected),
+    }))
+    .sort((a, b) => a.key.localeCompare(b.key));
+
+  return {
+    brands,
+    priceRanges,
+    onSale: { count: doc.onSale?.[0]?.count || 0, selected: filters.onSale },
+    attributes,
+  };
+}
+
+module.exports = {
+  PRICE_BUCKETS,
+  parseFacetFilters,
+  buildFacetMatch,
+  attributeFacetStages,
+  facetCountStages,
+  formatFacets,
+};
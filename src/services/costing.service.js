@@ -0,0 +1,225 @@
+// src/services/costing.service.js
+const mongoose = require("mongoose");
+
+const InventorySetting = require("../models/InventorySetting");
+const CostRevaluation = require("../models/CostRevaluation");
+const VariantStock = require("../models/VariantStock");
+const ProductVariant = require("../models/ProductVariant");
+const Product = require("../models/Product");
+const { getBundleMap } = require("./bundle.service");
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function moneyInt(n) {
+  return Math.round(toNum(n));
+}
+
+async function getInventorySetting() {
+  const doc = await InventorySetting.findOne({ key: "default" }).lean();
+  return doc || { key: "default", costing: { scope: "GLOBAL" } };
+}
+
+async function getCostingScope() {
+  const s = await getInventorySetting();
+  return s?.costing?.scope === "BRANCH" ? "BRANCH" : "GLOBAL";
+}
+
+/**
+ * Bình quân gia quyền; tồn âm (bán âm kho) tính như 0
+ */
+function weightedAverage(oldQty, oldCost, inQty, inCost) {
+  const q0 = Math.max(0, toNum(oldQty));
+  const q1 = toNum(inQty);
+  if (q0 + q1 <= 0) return moneyInt(inCost);
+  return moneyInt((q0 * toNum(oldCost) + q1 * toNum(inCost)) / (q0 + q1));
+}
+
+async function loadFallbackCost(variant) {
+  if (toNum(variant?.cost) > 0) return toNum(variant.cost);
+  if (!variant?.productId) return 0;
+  const p = await Product.findById(variant.productId).select("cost").lean();
+  return toNum(p?.cost);
+}
+
+/**
+ * Nhập hàng: tính lại giá vốn bình quân (gọi TRƯỚC khi cộng tồn)
+ * - global=true: ProductVariant.cost theo tổng tồn mọi chi nhánh (nhập NCC)
+ * - luôn cập nhật VariantStock.avgCost của chi nhánh nhận
+ * - global=false: chỉ chi nhánh (nhận chuyển kho - tổng tồn toàn hệ thống không đổi)
+ * @returns { globalCost, branchCost }
+ */
+async function applyInboundCost({ branchId, variantId, qty, cost, ref = {}, userId = null, global = true }) {
+  const inQty = toNum(qty);
+  if (inQty <= 0) return null;
+
+  const variant = await ProductVariant.findById(variantId).select("_id productId cost").lean();
+  if (!variant) return null;
+
+  const baseCost = await loadFallbackCost(variant);
+  const refFields = { refType: ref.type || "", refId: ref.id || null, refCode: ref.code || "" };
+  const out = { globalCost: baseCost, branchCost: null };
+
+  if (global) {
+    const agg = await VariantStock.aggregate([
+      { $match: { variantId: variant._id } },
+      { $group: { _id: null, qty: { $sum: { $max: [0, "$qty"] } } } },
+    ]);
+    const oldQty = toNum(agg[0]?.qty);
+    const newCost = weightedAverage(oldQty, baseCost, inQty, cost);
+
+    await ProductVariant.updateOne({ _id: variant._id }, { $set: { cost: newCost } });
+    await CostRevaluation.create({
+      variantId: variant._id,
+      scope: "GLOBAL",
+      branchId: null,
+      oldQty,
+      oldCost: baseCost,
+      inQty,
+      inCost: moneyInt(cost),
+      newQty: Math.max(0, oldQty) + inQty,
+      newCost,
+      ...refFields,
+      createdBy: userId,
+    });
+    out.globalCost = newCost;
+  }
+
+  const st = await VariantStock.findOne({ branchId, variantId: variant._id }).select("qty avgCost").lean();
+  const oldQty = toNum(st?.qty);
+  // chưa có giá vốn chi nhánh -> lấy giá vốn chung trước lần nhập này
+  const oldCost = toNum(st?.avgCost) > 0 ? toNum(st.avgCost) : baseCost;
+  const newCost = weightedAverage(oldQty, oldCost, inQty, cost);
+
+  await VariantStock.updateOne(
+    { branchId, variantId: variant._id },
+    { $set: { avgCost: newCost }, $setOnInsert: { qty: 0, reserved: 0 } },
+    { upsert: true }
+  );
+  await CostRevaluation.create({
+    variantId: variant._id,
+    scope: "BRANCH",
+    branchId,
+    oldQty,
+    oldCost,
+    inQty,
+    inCost: moneyInt(cost),
+    newQty: Math.max(0, oldQty) + inQty,
+    newCost,
+    ...refFields,
+    createdBy: userId,
+  });
+  out.branchCost = newCost;
+
+  return out;
+}
+
+/**
+ * Giá vốn hiện hành theo cấu hình costing.scope
+ * - combo: Σ giá vốn thành phần x SL
+ * @returns Map<variantId, unitCost>
+ */
+async function getUnitCostMap(variantIds, branchId = null) {
+  const ids = [...new Set((variantIds || []).map(String))];
+  const map = new Map();
+  if (!ids.length) return map;
+
+  const scope = await getCostingScope();
+
+  const variants = await ProductVariant.find({ _id: { $in: ids } }).select("_id productId cost").lean();
+  const products = await Product.find({ _id: { $in: variants.map((v) => v.productId).filter(Boolean) } })
+    .select("_id cost")
+    .lean();
+  const pCost = new Map(products.map((p) => [String(p._id), toNum(p.cost)]));
+
+  for (const v of variants) {
+    map.set(String(v._id), toNum(v.cost) > 0 ? toNum(v.cost) : pCost.get(String(v.productId)) || 0);
+  }
+
+  if (scope === "BRANCH" && branchId) {
+    const stocks = await VariantStock.find({ branchId, variantId: { $in: ids } }).select("variantId avgCost").lean();
+    for (const s of stocks) {
+      if (toNum(s.avgCost) > 0) map.set(String(s.variantId), toNum(s.avgCost));
+    }
+  }
+
+  const bundleMap = await getBundleMap(ids);
+  if (bundleMap.size) {
+    const compCost = await getUnitCostMap(
+      [...bundleMap.values()].flatMap((comps) => comps.map((c) => c.variantId)),
+      branchId
+    );
+    for (const [bundleId, comps] of bundleMap) {
+      map.set(bundleId, comps.reduce((s, c) => s + toNum(compCost.get(String(c.variantId))) * c.qty, 0));
+    }
+  }
+
+  return map;
+}
+
+/**
+ * Giá vốn tại thời điểm asOf (định giá tồn quá khứ) theo lịch sử CostRevaluation
+ * - lần tính lại gần nhất <= asOf -> newCost
+ * - chưa có -> oldCost của lần tính lại đầu tiên sau asOf (giá vốn trước lần nhập đó)
+ * - không có lịch sử -> giá vốn hiện hành
+ * @returns Map<variantId, unitCost>
+ */
+async function getUnitCostMapAt(variantIds, branchId = null, asOf = new Date()) {
+  const map = await getUnitCostMap(variantIds, branchId);
+  if (!map.size) return map;
+
+  const scope = await getCostingScope();
+  const match = { variantId: { $in: [...map.keys()].map((id) => new mongoose.Types.ObjectId(id)) } };
+  if (scope === "BRANCH" && branchId) Object.assign(match, { scope: "BRANCH", branchId: new mongoose.Types.ObjectId(String(branchId)) });
+  else match.scope = "GLOBAL";
+
+  const [before, after] = await Promise.all([
+    CostRevaluation.aggregate([
+      { $match: { ...match, createdAt: { $lte: asOf } } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $group: { _id: "$variantId", cost: { $first: "$newCost" } } },
+    ]),
+    CostRevaluation.aggregate([
+      { $match: { ...match, createdAt: { $gt: asOf } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $group: { _id: "$variantId", cost: { $first: "$oldCost" } } },
+    ]),
+  ]);
+
+  for (const r of after) if (toNum(r.cost) > 0) map.set(String(r._id), toNum(r.cost));
+  for (const r of before) map.set(String(r._id), toNum(r.cost));
+  return map;
+}
+
+/**
+ * Chốt giá vốn cho dòng hàng lúc xuất kho bán (item.unitCost, item.costTotal)
+ * @returns tổng giá vốn đơn
+ */
+async function snapshotItemCosts(items, branchId = null) {
+  const costMap = await getUnitCostMap(
+    (items || []).map((it) => it.variantId),
+    branchId
+  );
+
+  let costTotal = 0;
+  for (const it of items || []) {
+    const unitCost = moneyInt(costMap.get(String(it.variantId)) || 0);
+    it.unitCost = unitCost;
+    it.costTotal = moneyInt(unitCost * toNum(it.qty));
+    costTotal += it.costTotal;
+  }
+
+  return moneyInt(costTotal);
+}
+
+module.exports = {
+  getInventorySetting,
+  getCostingScope,
+  weightedAverage,
+  applyInboundCost,
+  getUnitCostMap,
+  getUnitCostMapAt,
+  snapshotItemCosts,
+};
@@ -0,0 +1,206 @@
+// src/services/coupon.service.js
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function couponError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+function normalizeCode(code) {
+  return String(code || "").toUpperCase().trim();
+}
+
+/**
+ * Số tiền giảm theo coupon (hoặc snapshot coupon trên order)
+ * - baseAmount: tiền hàng sau giảm tay (subtotal - discount)
+ * - Không đạt minOrderValue -> 0
+ */
+function calcCouponDiscount(coupon, baseAmount) {
+  const base = Math.max(0, Math.round(toNum(baseAmount)));
+  if (!coupon || base <= 0) return 0;
+  if (base < toNum(coupon.minOrderValue)) return 0;
+
+  let amount = 0;
+  if (coupon.type === "PERCENT") {
+    amount = Math.floor((base * Math.min(100, toNum(coupon.value))) / 100);
+    const cap = coupon.maxDiscount != null ? toNum(coupon.maxDiscount) : 0;
+    if (cap > 0) amount = Math.min(amount, cap);
+  } else {
+    amount = Math.round(toNum(coupon.value));
+  }
+
+  return Math.max(0, Math.min(base, amount));
+}
+
+async function countCustomerUsage(couponId, phone) {
+  if (!phone) return 0;
+  return CouponRedemption.countDocuments({ couponId, phone, status: "APPLIED" });
+}
+
+/**
+ * Validate coupon theo: active, thời gian, kênh, chi nhánh, min order, lượt dùng
+ * @returns { coupon, discountAmount }
+ * @throws err.code = COUPON_*
+ */
+async function validateCoupon({ code, baseAmount, branchId = null, channel, phone = "" }) {
+  const c = normalizeCode(code);
+  if (!c) throw couponError("COUPON_CODE_REQUIRED");
+
+  const coupon = await Coupon.findOne({ code: c }).lean();
+  if (!coupon || !coupon.isActive) throw couponError("COUPON_NOT_FOUND", `Mã ${c} không tồn tại hoặc đã tắt`);
+
+  const now = new Date();
+  if (coupon.startDate && new Date(coupon.startDate) > now) {
+    throw couponError("COUPON_NOT_STARTED", `Mã ${c} chưa đến thời gian áp dụng`);
+  }
+  if (coupon.endDate && new Date(coupon.endDate) < now) {
+    throw couponError("COUPON_EXPIRED", `Mã ${c} đã hết hạn`);
+  }
+
+  const channels = Array.isArray(coupon.channels) ? coupon.channels : [];
+  if (channels.length && channel && !channels.includes(channel)) {
+    throw couponError("COUPON_CHANNEL_NOT_ALLOWED", `Mã ${c} không áp dụng cho kênh ${channel}`);
+  }
+
+  const branchIds = (coupon.branchIds || []).map(String);
+  if (branchIds.length && branchId && !branchIds.includes(String(branchId))) {
+    throw couponError("COUPON_BRANCH_NOT_ALLOWED", `Mã ${c} không áp dụng tại chi nhánh này`);
+  }
+
+  if (toNum(baseAmount) < toNum(coupon.minOrderValue)) {
+    throw couponError("COUPON_MIN_ORDER_NOT_MET", `Đơn tối thiểu ${toNum(coupon.minOrderValue)} để dùng mã ${c}`);
+  }
+
+  if (coupon.usageLimit != null && toNum(coupon.usedCount) >= toNum(coupon.usageLimit)) {
+    throw couponError("COUPON_USAGE_LIMIT_REACHED", `Mã ${c} đã hết lượt sử dụng`);
+  }
+
+  if (coupon.perCustomerLimit != null) {
+    const p = String(phone || "").trim();
+    if (!p) throw couponError("COUPON_REQUIRES_PHONE", `Mã ${c} cần số điện thoại khách hàng`);
+
+    const used = await countCustomerUsage(coupon._id, p);
+    if (used >= toNum(coupon.perCustomerLimit)) {
+      throw couponError("COUPON_CUSTOMER_LIMIT_REACHED", `Khách đã dùng hết lượt của mã ${c}`);
+    }
+  }
+
+  const discountAmount = calcCouponDiscount(coupon, baseAmount);
+  return { coupon, discountAmount };
+}
+
+/**
+ * Snapshot coupon lưu trên Order (audit, không phụ thuộc coupon bị sửa sau này)
+ * - phone: SĐT khách đã dùng lúc validate -> dùng lại khi CONFIRM để kiểm / ghi lượt theo khách
+ */
+function buildCouponSnapshot(coupon, discountAmount, phone = "") {
+  return {
+    couponId: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    value: toNum(coupon.value),
+    minOrderValue: toNum(coupon.minOrderValue),
+    maxDiscount: coupon.maxDiscount != null ? toNum(coupon.maxDiscount) : null,
+    discountAmount: Math.round(toNum(discountAmount)),
+    phone: String(phone || "").trim(),
+    appliedAt: new Date(),
+    consumedAt: null,
+    releasedAt: null,
+  };
+}
+
+// SĐT chốt trong snapshot (đơn POS chỉ có customerId) -> fallback SĐT người nhận cho đơn cũ
+function orderPhone(order) {
+  return String(order?.coupon?.phone || order?.delivery?.receiverPhone || "").trim();
+}
+
+/**
+ * Tính 1 lượt dùng khi order CONFIRM (idempotent theo order.coupon.consumedAt)
+ * - Tăng usedCount có điều kiện usageLimit (atomic)
+ * - Caller tự save order
+ */
+async function consumeCouponForOrder(order) {
+  const snap = order?.coupon;
+  if (!snap?.couponId) return { ok: true, skipped: true, reason: "NO_COUPON" };
+  if (snap.consumedAt && !snap.releasedAt) return { ok: true, skipped: true, reason: "ALREADY_CONSUMED" };
+
+  const phone = orderPhone(order);
+
+  const coupon = await Coupon.findById(snap.couponId).lean();
+  if (!coupon) throw couponError("COUPON_NOT_FOUND", `Mã ${snap.code} không còn tồn tại`);
+
+  if (coupon.perCustomerLimit != null && phone) {
+    const used = await countCustomerUsage(coupon._id, phone);
+    if (used >= toNum(coupon.perCustomerLimit)) {
+      throw couponError("COUPON_CUSTOMER_LIMIT_REACHED", `Khách đã dùng hết lượt của mã ${snap.code}`);
+    }
+  }
+
+  const updated = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [{ usageLimit: null }, { $expr: { $lt: ["$usedCount", "$usageLimit"] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  if (!updated) throw couponError("COUPON_USAGE_LIMIT_REACHED", `Mã ${snap.code} đã hết lượt sử dụng`);
+
+  await CouponRedemption.findOneAndUpdate(
+    { orderId: order._id, couponId: coupon._id },
+    {
+      $set: {
+        code: coupon.code,
+        orderCode: order.code || "",
+        customerId: order.customerId || null,
+        phone,
+        amount: toNum(order.couponDiscount),
+        status: "APPLIED",
+        releasedAt: null,
+      },
+    },
+    { upsert: true, new: true }
+  );
+
+  order.coupon.consumedAt = new Date();
+  order.coupon.releasedAt = null;
+
+  return { ok: true, consumed: true };
+}
+
+/**
+ * Trả lại lượt dùng khi order CANCELLED / REFUNDED (idempotent)
+ * - Caller tự save order
+ */
+async function releaseCouponForOrder(order) {
+  const snap = order?.coupon;
+  if (!snap?.couponId || !snap.consumedAt) return { ok: true, skipped: true, reason: "NOT_CONSUMED" };
+  if (snap.releasedAt) return { ok: true, skipped: true, reason: "ALREADY_RELEASED" };
+
+  await Coupon.updateOne({ _id: snap.couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+  await CouponRedemption.updateOne(
+    { orderId: order._id, couponId: snap.couponId, status: "APPLIED" },
+    { $set: { status: "RELEASED", releasedAt: new Date() } }
+  );
+
+  order.coupon.releasedAt = new Date();
+
+  return { ok: true, released: true };
+}
+
+module.exports = {
+  normalizeCode,
+  calcCouponDiscount,
+  validateCoupon,
+  buildCouponSnapshot,
+  consumeCouponForOrder,
+  releaseCouponForOrder,
+};
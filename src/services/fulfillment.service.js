@@ -0,0 +1,189 @@
+// src/services/fulfillment.service.js
+const mongoose = require("mongoose");
+
+const VariantStock = require("../models/VariantStock");
+const Branch = require("../models/Branch");
+const { getInventorySetting } = require("./costing.service");
+
+const FULFILLMENT_STRATEGIES = ["MAIN_ONLY", "MAIN_FIRST", "SINGLE_BRANCH", "SPLIT"];
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function uniq(ids) {
+  return [...new Set(ids.map(String).filter(Boolean))];
+}
+
+/**
+ * Cấu hình xuất kho online đã resolve
+ * @returns { strategy, mainBranchId, priority, branchIds } - branchIds: thứ tự xét chi nhánh cho strategy
+ */
+async function getFulfillmentConfig() {
+  const setting = await getInventorySetting();
+  const f = setting?.fulfillment || {};
+  const strategy = FULFILLMENT_STRATEGIES.includes(f.strategy) ? f.strategy : "MAIN_ONLY";
+
+  const branches = await Branch.find({ isActive: true }).select("_id code isMain").sort({ code: 1 }).lean();
+  const active = new Set(branches.map((b) => String(b._id)));
+
+  // kho chính: cấu hình -> Branch.isMain (MAIN_BRANCH_ID .env đã chép vào cấu hình lúc khởi động)
+  const mainBranchId =
+    [f.mainBranchId, branches.find((b) => b.isMain)?._id]
+      .map((id) => String(id || ""))
+      .find((id) => id && active.has(id)) || "";
+
+  const priority = uniq((f.branchPriority || []).map(String)).filter((id) => active.has(id));
+  const ordered = priority.length ? priority : uniq([mainBranchId, ...branches.map((b) => b._id)]);
+
+  return { strategy, mainBranchId, priority: ordered, branchIds: branchOrderFor(strategy, mainBranchId, ordered) };
+}
+
+/**
+ * Thứ tự xét chi nhánh theo strategy
+ */
+function branchOrderFor(strategy, mainBranchId, priority) {
+  if (strategy === "MAIN_ONLY") return uniq([mainBranchId]);
+  if (strategy === "MAIN_FIRST") return uniq([mainBranchId, ...priority]);
+  return uniq(priority);
+}
+
+/**
+ * Gộp SL theo variant (giữ productId / sku / name của dòng đầu)
+ */
+function groupLines(items) {
+  const map = new Map();
+  for (const it of items || []) {
+    const qty = toNum(it.qty);
+    if (!it.variantId || qty <= 0) continue;
+    const key = String(it.variantId);
+    const cur = map.get(key) || {
+      variantId: it.variantId,
+      productId: it.productId || null,
+      sku: it.sku || "",
+      name: it.name || "",
+      qty: 0,
+    };
+    cur.qty += qty;
+    map.set(key, cur);
+  }
+  return [...map.values()];
+}
+
+/**
+ * Gộp allocations trùng chi nhánh + variant
+ */
+function mergeAllocations(list) {
+  const map = new Map();
+  for (const a of list || []) {
+    if (!a?.branchId || !a?.variantId || toNum(a.qty) <= 0) continue;
+    const key = `${a.branchId}:${a.variantId}`;
+    const cur = map.get(key);
+    if (cur) cur.qty += toNum(a.qty);
+    else map.set(key, { branchId: String(a.branchId), variantId: a.variantId, productId: a.productId || null, qty: toNum(a.qty) });
+  }
+  return [...map.values()];
+}
+
+/**
+ * Lên phương án xuất kho cho đơn online theo strategy cấu hình
+ * - items: [{ variantId, productId, qty, sku?, name? }]
+ * - extraAvailable: Map<"branchId:variantId", qty> cộng thêm vào khả dụng (hàng đang giữ cho chính đơn này)
+ * - strategy / config: ghi đè cấu hình (xem trước)
+ * @returns {
+ *   strategy, mainBranchId,
+ *   allocations: [{ branchId, variantId, productId, qty }],
+ *   unfilled: [{ variantId, productId, qty }]  phần không chi nhánh nào đủ,
+ *   shortages: [{ variantId, sku, name, requested, available }]
+ * }
+ */
+async function planFulfillment({ items, extraAvailable = null, strategy = null, config = null }) {
+  const cfg = config || (await getFulfillmentConfig());
+  const mode = strategy || cfg.strategy;
+  const branchIds = strategy ? branchOrderFor(strategy, cfg.mainBranchId, cfg.priority) : cfg.branchIds;
+
+  if (!cfg.mainBranchId || !branchIds.length) {
+    const err = new Error("MISSING_MAIN_BRANCH_ID");
+    err.code = "MISSING_MAIN_BRANCH_ID";
+    throw err;
+  }
+
+  const lines = groupLines(items);
+  const stocks = lines.length
+    ? await VariantStock.find({
+        branchId: { $in: branchIds.filter((id) => mongoose.isValidObjectId(id)) },
+        variantId: { $in: lines.map((l) => l.variantId) },
+      })
+        .select("branchId variantId qty reserved")
+        .lean()
+    : [];
+
+  // khả dụng còn lại theo chi nhánh + variant
+  const avail = new Map();
+  for (const s of stocks) {
+    const key = `${s.branchId}:${s.variantId}`;
+    avail.set(key, Math.max(0, toNum(s.qty) - toNum(s.reserved)));
+  }
+  for (const [key, qty] of extraAvailable || []) avail.set(key, (avail.get(key) || 0) + toNum(qty));
+
+  const getAvail = (b, l) => avail.get(`${b}:${l.variantId}`) || 0;
+  const left = new Map(lines.map((l) => [String(l.variantId), l.qty]));
+  const allocations = [];
+
+  const take = (branchId, l, qty) => {
+    if (qty <= 0) return;
+    allocations.push({ branchId, variantId: l.variantId, productId: l.productId, qty });
+    avail.set(`${branchId}:${l.variantId}`, getAvail(branchId, l) - qty);
+    left.set(String(l.variantId), left.get(String(l.variantId)) - qty);
+  };
+
+  if (mode === "MAIN_ONLY" || mode === "MAIN_FIRST") {
+    // từng dòng: lấy lần lượt theo thứ tự chi nhánh
+    for (const l of lines) {
+      for (const b of branchIds) take(b, l, Math.min(left.get(String(l.variantId)), getAvail(b, l)));
+    }
+  } else if (mode === "SINGLE_BRANCH") {
+    // chi nhánh đầu tiên đủ cả đơn; không có -> chi nhánh đáp ứng nhiều nhất, phần còn lại thiếu
+    const covered = (b) => lines.reduce((s, l) => s + Math.min(l.qty, getAvail(b, l)), 0);
+    const need = lines.reduce((s, l) => s + l.qty, 0);
+    let best = branchIds.find((b) => covered(b) >= need);
+    if (!best) best = branchIds.reduce((a, b) => (covered(b) > covered(a) ? b : a), branchIds[0]);
+    for (const l of lines) take(best, l, Math.min(l.qty, getAvail(best, l)));
+  } else {
+    // SPLIT: tham lam - chi nhánh đáp ứng được nhiều SL còn thiếu nhất trước (hoà -> theo thứ tự ưu tiên)
+    const pool = [...branchIds];
+    while (pool.length && [...left.values()].some((q) => q > 0)) {
+      const score = (b) => lines.reduce((s, l) => s + Math.min(left.get(String(l.variantId)), getAvail(b, l)), 0);
+      const best = pool.reduce((a, b) => (score(b) > score(a) ? b : a), pool[0]);
+      if (score(best) <= 0) break;
+      for (const l of lines) take(best, l, Math.min(left.get(String(l.variantId)), getAvail(best, l)));
+      pool.splice(pool.indexOf(best), 1);
+    }
+  }
+
+  const unfilled = [];
+  const shortages = [];
+  for (const l of lines) {
+    const rest = left.get(String(l.variantId));
+    if (rest <= 0) continue;
+    unfilled.push({ variantId: l.variantId, productId: l.productId, qty: rest });
+    shortages.push({ variantId: l.variantId, sku: l.sku, name: l.name, requested: l.qty, available: l.qty - rest });
+  }
+
+  return {
+    strategy: mode,
+    mainBranchId: cfg.mainBranchId,
+    branchIds,
+    allocations: mergeAllocations(allocations),
+    unfilled,
+    shortages,
+  };
+}
+
+module.exports = {
+  FULFILLMENT_STRATEGIES,
+  getFulfillmentConfig,
+  planFulfillment,
+  mergeAllocations,
+};
@@ -0,0 +1,383 @@
+// src/services/inventoryAnalytics.service.js
+const mongoose = require("mongoose");
+
+const VariantStock = require("../models/VariantStock");
+const VariantStockTxn = require("../models/VariantStockTxn");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const ProductVariant = require("../models/ProductVariant");
+const Branch = require("../models/Branch");
+const { getUnitCostMap } = require("./costing.service");
+const { getStockAt } = require("./valuation.service");
+const { buildProductScopeFilter } = require("../utils/categoryTree");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOLD_STATUSES = ["CONFIRM", "DEBT", "SHIPPED"];
+
+// Nhóm tuổi tồn (ngày kể từ ngày nhập)
+const AGE_BUCKETS = [
+  { key: "0-30", max: 30 },
+  { key: "31-60", max: 60 },
+  { key: "61-90", max: 90 },
+  { key: "91-180", max: 180 },
+  { key: "181-365", max: 365 },
+  { key: ">365", max: Infinity },
+];
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function toObjId(id) {
+  return new mongoose.Types.ObjectId(String(id));
+}
+
+/**
+ * Phạm vi variant theo category (gồm con) / brand
+ * @returns null = không lọc | ObjectId[]
+ */
+async function resolveVariantScope({ categoryId = null, brand = "" } = {}) {
+  if (!categoryId && !brand) return null;
+  const products = await Product.find(await buildProductScopeFilter({ categoryId, brand })).select("_id").lean();
+  const variants = await ProductVariant.find({ productId: { $in: products.map((p) => p._id) } }).select("_id").lean();
+  return variants.map((v) => v._id);
+}
+
+function baseMatch({ branchId = null, variantIds = null } = {}) {
+  const m = {};
+  if (branchId) m.branchId = toObjId(branchId);
+  if (variantIds) m.variantId = { $in: variantIds };
+  return m;
+}
+
+/**
+ * sku / tên / brand / category theo variant + code / tên chi nhánh
+ */
+async function loadMeta(variantIds, branchIds) {
+  const variants = await ProductVariant.find({ _id: { $in: variantIds } }).select("_id productId sku name").lean();
+  const products = await Product.find({ _id: { $in: variants.map((v) => v.productId) } })
+    .select("_id brand categoryName")
+    .lean();
+  const branches = await Branch.find({ _id: { $in: branchIds } }).select("_id code name").lean();
+
+  const pMap = new Map(products.map((p) => [String(p._id), p]));
+  const vMap = new Map(
+    variants.map((v) => {
+      const p = pMap.get(String(v.productId));
+      return [
+        String(v._id),
+        { sku: v.sku || "", name: v.name || "", brand: p?.brand || "", categoryName: p?.categoryName || "" },
+      ];
+    })
+  );
+  const bMap = new Map(branches.map((b) => [String(b._id), b]));
+
+  return {
+    variant: (id) => vMap.get(String(id)) || { sku: "", name: "", brand: "", categoryName: "" },
+    branch: (id) => ({ branchCode: bMap.get(String(id))?.code || "", branchName: bMap.get(String(id))?.name || "" }),
+  };
+}
+
+/**
+ * Giá vốn hiện hành theo chi nhánh (costing.scope=BRANCH mỗi chi nhánh 1 bảng giá)
+ * @returns (branchId, variantId) => unitCost
+ */
+async function loadCostLookup(rows) {
+  const byBranch = new Map();
+  for (const r of rows) {
+    const key = String(r.branchId);
+    if (!byBranch.has(key)) byBranch.set(key, []);
+    byBranch.get(key).push(r.variantId);
+  }
+  const maps = new Map();
+  for (const [bId, ids] of byBranch) maps.set(bId, await getUnitCostMap(ids, bId));
+  return (branchId, variantId) => toNum(maps.get(String(branchId))?.get(String(variantId)));
+}
+
+/**
+ * Tồn đang có (qty > 0) theo chi nhánh + variant
+ */
+async function loadOnHand(scope) {
+  return VariantStock.find({ ...baseMatch(scope), qty: { $gt: 0 } })
+    .select("branchId variantId qty")
+    .lean();
+}
+
+/**
+ * Hàng chậm bán: số ngày kể từ lần bán cuối (sổ kho SALE) theo chi nhánh + variant
+ * - chưa bán lần nào -> lastSaleAt = null, daysSinceLastSale = null (xếp đầu)
+ * scope: { branchId, variantIds, minDays }
+ */
+async function deadStockReport({ branchId = null, variantIds = null, minDays = 0, now = new Date() }) {
+  const scope = { branchId, variantIds };
+  const stocks = await loadOnHand(scope);
+
+  const sales = await VariantStockTxn.aggregate([
+    { $match: { ...baseMatch(scope), type: "SALE" } },
+    { $group: { _id: { branchId: "$branchId", variantId: "$variantId" }, lastSaleAt: { $max: "$createdAt" } } },
+  ]);
+  const lastSale = new Map(sales.map((s) => [`${s._id.branchId}:${s._id.variantId}`, s.lastSaleAt]));
+
+  const meta = await loadMeta(
+    stocks.map((s) => s.variantId),
+    [...new Set(stocks.map((s) => String(s.branchId)))]
+  );
+  const costOf = await loadCostLookup(stocks);
+
+  return stocks
+    .map((s) => {
+      const lastSaleAt = lastSale.get(`${s.branchId}:${s.variantId}`) || null;
+      const unitCost = Math.round(costOf(s.branchId, s.variantId));
+      return {
+        branchId: s.branchId,
+        ...meta.branch(s.branchId),
+        variantId: s.variantId,
+        ...meta.variant(s.variantId),
+        qty: toNum(s.qty),
+        unitCost,
+        value: Math.round(unitCost * toNum(s.qty)),
+        lastSaleAt,
+        daysSinceLastSale: lastSaleAt ? Math.floor((now - new Date(lastSaleAt)) / DAY_MS) : null,
+      };
+    })
+    .filter((r) => r.daysSinceLastSale == null || r.daysSinceLastSale >= minDays)
+    .sort((a, b) => (b.daysSinceLastSale ?? Infinity) - (a.daysSinceLastSale ?? Infinity) || b.value - a.value);
+}
+
+/**
+ * Tuổi tồn: phân bổ tồn hiện tại vào các phiếu nhập gần nhất (FIFO - hàng còn lại là hàng nhập sau cùng)
+ * - phần tồn không khớp phiếu nhập nào (tồn đầu kỳ, nhận chuyển kho...) -> nhóm "UNKNOWN"
+ */
+async function stockAgingReport({ branchId = null, variantIds = null, now = new Date() }) {
+  const scope = { branchId, variantIds };
+  const stocks = await loadOnHand(scope);
+
+  const grMatch = { status: "CONFIRMED" };
+  if (branchId) grMatch.branchId = toObjId(branchId);
+  const receipts = await GoodsReceipt.aggregate([
+    { $match: grMatch },
+    { $unwind: "$items" },
+    { $match: { "items.variantId": variantIds ? { $in: variantIds } : { $ne: null } } },
+    {
+      $project: {
+        branchId: 1,
+        variantId: "$items.variantId",
+        qty: "$items.qty",
+        at: { $ifNull: ["$confirmedAt", "$createdAt"] },
+      },
+    },
+    { $sort: { at: -1 } },
+  ]);
+  const rMap = new Map();
+  for (const r of receipts) {
+    const key = `${r.branchId}:${r.variantId}`;
+    if (!rMap.has(key)) rMap.set(key, []);
+    rMap.get(key).push(r);
+  }
+
+  const meta = await loadMeta(
+    stocks.map((s) => s.variantId),
+    [...new Set(stocks.map((s) => String(s.branchId)))]
+  );
+  const costOf = await loadCostLookup(stocks);
+
+  const rows = stocks.map((s) => {
+    const buckets = Object.fromEntries([...AGE_BUCKETS.map((b) => [b.key, 0]), ["UNKNOWN", 0]]);
+    let left = toNum(s.qty);
+    let oldestAt = null;
+
+    for (const r of rMap.get(`${s.branchId}:${s.variantId}`) || []) {
+      if (left <= 0) break;
+      const take = Math.min(left, toNum(r.qty));
+      const days = Math.floor((now - new Date(r.at)) / DAY_MS);
+      buckets[AGE_BUCKETS.find((b) => days <= b.max).key] += take;
+      oldestAt = r.at;
+      left -= take;
+    }
+    buckets.UNKNOWN += left;
+
+    const unitCost = Math.round(costOf(s.branchId, s.variantId));
+    return {
+      branchId: s.branchId,
+      ...meta.branch(s.branchId),
+      variantId: s.variantId,
+      ...meta.variant(s.variantId),
+      qty: toNum(s.qty),
+      unitCost,
+      value: Math.round(unitCost * toNum(s.qty)),
+      oldestReceiptAt: oldestAt,
+      buckets,
+    };
+  });
+
+  const totals = Object.fromEntries(
+    [...AGE_BUCKETS.map((b) => b.key), "UNKNOWN"].map((k) => [
+      k,
+      {
+        qty: rows.reduce((s, r) => s + r.buckets[k], 0),
+        value: rows.reduce((s, r) => s + Math.round(r.buckets[k] * r.unitCost), 0),
+      },
+    ])
+  );
+
+  return { buckets: [...AGE_BUCKETS.map((b) => b.key), "UNKNOWN"], rows, totals };
+}
+
+/**
+ * Tỉ lệ bán hết (sell-through) trong kỳ = SL bán / (SL bán + tồn cuối kỳ)
+ * - SL bán = xuất bán (SALE) - hàng đơn trả / huỷ nhập lại (RETURN của Order) theo sổ kho
+ * - tồn cuối kỳ dựng lại từ sổ kho tại `to`
+ */
+async function sellThroughReport({ branchId = null, variantIds = null, from, to }) {
+  const scope = { branchId, variantIds };
+
+  const moves = await VariantStockTxn.aggregate([
+    {
+      $match: {
+        ...baseMatch(scope),
+        createdAt: { $gte: from, $lte: to },
+        $or: [{ type: "SALE" }, { type: "RETURN", refType: "Order" }],
+      },
+    },
+    {
+      $group: {
+        _id: { branchId: "$branchId", variantId: "$variantId" },
+        sold: { $sum: { $subtract: [{ $ifNull: ["$before", 0] }, { $ifNull: ["$after", 0] }] } },
+      },
+    },
+  ]);
+
+  const ending = await getStockAt({ asOf: to, branchId });
+  const allowed = variantIds ? new Set(variantIds.map(String)) : null;
+
+  const map = new Map();
+  for (const m of moves) {
+    map.set(`${m._id.branchId}:${m._id.variantId}`, {
+      branchId: m._id.branchId,
+      variantId: m._id.variantId,
+      soldQty: toNum(m.sold),
+      endingQty: 0,
+    });
+  }
+  for (const e of ending) {
+    if (allowed && !allowed.has(String(e.variantId))) continue;
+    const key = `${e.branchId}:${e.variantId}`;
+    const row = map.get(key) || { branchId: e.branchId, variantId: e.variantId, soldQty: 0, endingQty: 0 };
+    row.endingQty = Math.max(0, toNum(e.qty));
+    map.set(key, row);
+  }
+
+  const list = [...map.values()].filter((r) => r.soldQty > 0 || r.endingQty > 0);
+  const meta = await loadMeta(
+    list.map((r) => r.variantId),
+    [...new Set(list.map((r) => String(r.branchId)))]
+  );
+
+  return list
+    .map((r) => {
+      const sold = Math.max(0, r.soldQty);
+      const base = sold + r.endingQty;
+      return {
+        branchId: r.branchId,
+        ...meta.branch(r.branchId),
+        variantId: r.variantId,
+        ...meta.variant(r.variantId),
+        soldQty: sold,
+        endingQty: r.endingQty,
+        sellThroughPercent: base > 0 ? Math.round((sold / base) * 10000) / 100 : 0,
+      };
+    })
+    .sort((a, b) => a.sellThroughPercent - b.sellThroughPercent || b.endingQty - a.endingQty);
+}
+
+/**
+ * Phân loại ABC theo đóng góp doanh thu (Order.items, trừ phần đã trả)
+ * - A: nhóm đầu chiếm tới aPercent doanh thu, B: tới bPercent, C: còn lại
+ * - branchId: đơn POS của chi nhánh / đơn online xuất từ chi nhánh
+ */
+async function abcReport({ branchId = null, variantIds = null, from, to, aPercent = 80, bPercent = 95 }) {
+  const match = { status: { $in: SOLD_STATUSES }, confirmedAt: { $gte: from, $lte: to } };
+  if (branchId) {
+    const bId = toObjId(branchId);
+    match.$or = [{ branchId: bId }, { "stockAllocations.branchId": bId }];
+  }
+
+  const rows = await Order.aggregate([
+    { $match: match },
+    { $unwind: "$items" },
+    ...(variantIds ? [{ $match: { "items.variantId": { $in: variantIds } } }] : []),
+    {
+      $project: {
+        variantId: "$items.variantId",
+        qty: { $subtract: ["$items.qty", { $ifNull: ["$items.returnedQty", 0] }] },
+        revenue: {
+          $cond: [
+            { $gt: ["$items.qty", 0] },
+            {
+              $multiply: [
+                "$items.total",
+                {
+                  $divide: [
+                    { $subtract: ["$items.qty", { $ifNull: ["$items.returnedQty", 0] }] },
+                    "$items.qty",
+                  ],
+                },
+              ],
+            },
+            0,
+          ],
+        },
+      },
+    },
+    { $group: { _id: "$variantId", qty: { $sum: "$qty" }, revenue: { $sum: "$revenue" }, orders: { $sum: 1 } } },
+    { $match: { revenue: { $gt: 0 } } },
+    { $sort: { revenue: -1 } },
+  ]);
+
+  const total = rows.reduce((s, r) => s + toNum(r.revenue), 0);
+  const meta = await loadMeta(rows.map((r) => r._id), []);
+
+  let cum = 0;
+  const items = rows.map((r, i) => {
+    const revenue = Math.round(toNum(r.revenue));
+    // đóng góp tích luỹ tính cả dòng trước -> dòng đầu luôn là A
+    const before = total > 0 ? (cum / total) * 100 : 0;
+    cum += toNum(r.revenue);
+    const cumulativePercent = total > 0 ? Math.round((cum / total) * 10000) / 100 : 0;
+    return {
+      rank: i + 1,
+      variantId: r._id,
+      ...meta.variant(r._id),
+      qty: toNum(r.qty),
+      orders: r.orders,
+      revenue,
+      sharePercent: total > 0 ? Math.round((toNum(r.revenue) / total) * 10000) / 100 : 0,
+      cumulativePercent,
+      abcClass: before < aPercent ? "A" : before < bPercent ? "B" : "C",
+    };
+  });
+
+  const summary = ["A", "B", "C"].map((c) => {
+    const list = items.filter((x) => x.abcClass === c);
+    const revenue = list.reduce((s, x) => s + x.revenue, 0);
+    return {
+      abcClass: c,
+      variants: list.length,
+      revenue,
+      sharePercent: total > 0 ? Math.round((revenue / total) * 10000) / 100 : 0,
+    };
+  });
+
+  return { totalRevenue: Math.round(total), summary, items };
+}
+
+module.exports = {
+  AGE_BUCKETS,
+  resolveVariantScope,
+  deadStockReport,
+  stockAgingReport,
+  sellThroughReport,
+  abcReport,
+};
@@ -0,0 +1,370 @@
+// src/services/label.service.js
+const bwipjs = require("bwip-js");
+const QRCode = require("qrcode");
+
+const Product = require("../models/Product");
+const ProductVariant = require("../models/ProductVariant");
+const FlashSale = require("../models/FlashSale");
+const GoodsReceipt = require("../models/GoodsReceipt");
+const { ean13CheckDigit, isValidEan13 } = require("../utils/barcode");
+
+const SYMBOLOGIES = ["CODE128", "EAN13", "QR"];
+
+// Khổ tem (mm): cuộn tem nhiệt -> mỗi trang 1 hàng tem | A4 -> lưới cols x rows theo giấy decal cắt sẵn
+const LABEL_TEMPLATES = {
+  THERMAL_50x30: { name: "Tem nhiệt 50x30mm", paper: "ROLL", labelWidth: 50, labelHeight: 30, cols: 1, rows: 1 },
+  THERMAL_40x30: { name: "Tem nhiệt 40x30mm", paper: "ROLL", labelWidth: 40, labelHeight: 30, cols: 1, rows: 1 },
+  THERMAL_40x25: { name: "Tem nhiệt 40x25mm", paper: "ROLL", labelWidth: 40, labelHeight: 25, cols: 1, rows: 1 },
+  THERMAL_35x22_2UP: {
+    name: "Tem nhiệt 2 tem/hàng 35x22mm (cuộn 72mm)",
+    paper: "ROLL",
+    labelWidth: 35,
+    labelHeight: 22,
+    cols: 2,
+    rows: 1,
+    colGap: 2,
+  },
+  A4_24: { name: "A4 24 tem 70x37mm", paper: "A4", labelWidth: 70, labelHeight: 37, cols: 3, rows: 8, marginTop: 4.5 },
+  A4_40: { name: "A4 40 tem 52.5x29.7mm", paper: "A4", labelWidth: 52.5, labelHeight: 29.7, cols: 4, rows: 10 },
+  A4_65: {
+    name: "A4 65 tem 38.1x21.2mm",
+    paper: "A4",
+    labelWidth: 38.1,
+    labelHeight: 21.2,
+    cols: 5,
+    rows: 13,
+    marginTop: 10.7,
+    marginLeft: 4.7,
+    colGap: 2.5,
+  },
+};
+
+// EAN-13 nội bộ: đầu 20-29 là vùng GS1 dành cho lưu hành nội bộ (không trùng mã nhà sản xuất)
+const INTERNAL_EAN_PREFIX = /^2\d{1,5}$/.test(String(process.env.INTERNAL_EAN_PREFIX || ""))
+  ? String(process.env.INTERNAL_EAN_PREFIX)
+  : "20";
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function labelError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+const money = (n) => Number(n || 0).toLocaleString("vi-VN");
+
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function getLabelTemplate(code) {
+  const t = LABEL_TEMPLATES[String(code || "")];
+  if (!t) return null;
+
+  const colGap = t.colGap || 0;
+  const rowGap = t.rowGap || 0;
+  const marginTop = t.marginTop || 0;
+  const marginLeft = t.marginLeft || 0;
+  return {
+    code: String(code),
+    ...t,
+    colGap,
+    rowGap,
+    marginTop,
+    marginLeft,
+    pageWidth: t.paper === "A4" ? 210 : marginLeft * 2 + t.cols * t.labelWidth + (t.cols - 1) * colGap,
+    pageHeight: t.paper === "A4" ? 297 : t.labelHeight,
+  };
+}
+
+function listLabelTemplates() {
+  return Object.keys(LABEL_TEMPLATES).map(getLabelTemplate);
+}
+
+/**
+ * Giá flash sale đang chạy của variant (cùng điều kiện với lúc bán) | null
+ */
+async function getActiveFlashPrices(variants, now = new Date()) {
+  const candidates = variants.filter(
+    (v) =>
+      v.activeFlashSaleId &&
+      v.flashSalePrice &&
+      v.flashSaleEndDate &&
+      new Date(v.flashSaleEndDate) >= now &&
+      (!v.flashSaleStartDate || new Date(v.flashSaleStartDate) <= now)
+  );
+  if (!candidates.length) return new Map();
+
+  const sales = await FlashSale.find({
+    _id: { $in: [...new Set(candidates.map((v) => String(v.activeFlashSaleId)))] },
+    isActive: true,
+    status: "ACTIVE",
+  })
+    .select("_id")
+    .lean();
+  const activeIds = new Set(sales.map((s) => String(s._id)));
+
+  return new Map(
+    candidates
+      .filter((v) => activeIds.has(String(v.activeFlashSaleId)))
+      .map((v) => [String(v._id), Math.round(toNum(v.flashSalePrice))])
+  );
+}
+
+/**
+ * Dòng in tem từ phiếu nhập: mỗi dòng hàng 1 tem / SL nhập tem
+ * copies: "QTY" | "ONE"
+ */
+async function goodsReceiptLabelLines(receiptId, copies = "QTY") {
+  const gr = await GoodsReceipt.findById(receiptId).select("code items").lean();
+  if (!gr) throw labelError("GOODS_RECEIPT_NOT_FOUND", String(receiptId));
+
+  const map = new Map();
+  for (const it of gr.items || []) {
+    if (!it.variantId) continue;
+    const key = String(it.variantId);
+    const n = copies === "ONE" ? 1 : Math.max(1, Math.trunc(toNum(it.qty)));
+    map.set(key, copies === "ONE" ? 1 : (map.get(key) || 0) + n);
+  }
+  return [...map.entries()].map(([variantId, n]) => ({ variantId, copies: n }));
+}
+
+/**
+ * Dữ liệu tem theo variant
+ * lines: [{ variantId, copies }]
+ * @returns { items: [{ variantId, sku, name, attributes, price, flashSalePrice, barcode, copies }], missing: variantId[] }
+ */
+async function buildLabelItems(lines) {
+  const ids = [...new Set((lines || []).map((l) => String(l.variantId)))];
+  const variants = await ProductVariant.find({ _id: { $in: ids } })
+    .select(
+      "_id productId sku barcode name attributes price baseUnit activeFlashSaleId flashSalePrice flashSaleStartDate flashSaleEndDate"
+    )
+    .lean();
+  const products = await Product.find({ _id: { $in: variants.map((v) => v.productId) } })
+    .select("_id name")
+    .lean();
+
+  const vMap = new Map(variants.map((v) => [String(v._id), v]));
+  const pMap = new Map(products.map((p) => [String(p._id), p]));
+  const flash = await getActiveFlashPrices(variants);
+
+  const items = [];
+  const missing = [];
+  for (const l of lines || []) {
+    const v = vMap.get(String(l.variantId));
+    if (!v) {
+      missing.push(String(l.variantId));
+      continue;
+    }
+    items.push({
+      variantId: v._id,
+      sku: v.sku,
+      // tên in tem: tên sản phẩm gốc, thuộc tính in dòng riêng
+      name: pMap.get(String(v.productId))?.name || v.name || v.sku,
+      attributes: (v.attributes || []).map((a) => a.v).join(" / "),
+      price: Math.round(toNum(v.price)),
+      flashSalePrice: flash.get(String(v._id)) ?? null,
+      baseUnit: v.baseUnit || "",
+      barcode: v.barcode || "",
+      copies: Math.max(1, Math.trunc(toNum(l.copies) || 1)),
+    });
+  }
+  return { items, missing };
+}
+
+async function barcodeDataUrl(symbology, text) {
+  if (symbology === "QR") return QRCode.toDataURL(String(text), { margin: 0, width: 160 });
+
+  const png = await bwipjs.toBuffer({
+    bcid: symbology === "EAN13" ? "ean13" : "code128",
+    text: String(text),
+    scale: 3,
+    height: 10,
+    includetext: true,
+    textxalign: "center",
+    textsize: 9,
+  });
+  return `data:image/png;base64,${png.toString("base64")}`;
+}
+
+/**
+ * Render trang in tem (HTML, khổ giấy đặt bằng @page -> in thẳng hoặc "Lưu thành PDF" đúng kích thước)
+ * - EAN13 nhưng barcode không phải EAN-13 hợp lệ -> in Code128
+ * - variant chưa có barcode -> mã hoá SKU (Code128 / QR)
+ * @returns { html, labelCount, warnings }
+ */
+async function renderLabelSheet({
+  items,
+  template,
+  symbology = "CODE128",
+  showPrice = true,
+  showFlashSalePrice = true,
+  showAttributes = true,
+  title = "In tem",
+}) {
+  const warnings = [];
+  const cache = new Map();
+  const labels = [];
+
+  for (const it of items) {
+    let sym = symbology;
+    const code = it.barcode || it.sku;
+    if (!it.barcode) warnings.push({ variantId: it.variantId, sku: it.sku, code: "NO_BARCODE_USING_SKU" });
+    if (sym === "EAN13" && !isValidEan13(code)) {
+      if (it.barcode) warnings.push({ variantId: it.variantId, sku: it.sku, code: "NOT_EAN13_USING_CODE128" });
+      sym = "CODE128";
+    }
+
+    const key = `${sym}:${code}`;
+    if (!cache.has(key)) cache.set(key, await barcodeDataUrl(sym, code));
+
+    const flash = showFlashSalePrice && it.flashSalePrice != null && it.flashSalePrice < it.price;
+    const html = `
+      <div class="label">
+        <div class="name">${escapeHtml(it.name)}</div>
+        ${showAttributes && it.attributes ? `<div class="attrs">${escapeHtml(it.attributes)}</div>` : ""}
+        <div class="code ${sym === "QR" ? "qr" : ""}">
+          <img src="${cache.get(key)}" alt="${escapeHtml(code)}" />
+          ${sym === "QR" ? `<span>${escapeHtml(it.sku)}</span>` : ""}
+        </div>
+        ${
+          showPrice
+            ? `<div class="price">${
+                flash
+                  ? `<s>${money(it.price)}</s> <b>${money(it.flashSalePrice)}đ</b>`
+                  : `<b>${money(it.price)}đ</b>`
+              }${it.baseUnit ? `<small>/${escapeHtml(it.baseUnit)}</small>` : ""}</div>`
+            : ""
+        }
+      </div>`;
+    for (let i = 0; i < it.copies; i++) labels.push(html);
+  }
+
+  const t = template;
+  const perPage = t.cols * t.rows;
+  const pages = [];
+  for (let i = 0; i < labels.length; i += perPage) pages.push(labels.slice(i, i + perPage).join(""));
+
+  // cỡ chữ theo chiều cao tem
+  const fs = t.labelHeight <= 22 ? 6.5 : t.labelHeight <= 30 ? 7.5 : 9;
+
+  const html = `<!doctype html>
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <title>${escapeHtml(title)}</title>
+        <style>
+          @page { size: ${t.pageWidth}mm ${t.pageHeight}mm; margin: 0; }
+          * { box-sizing: border-box; }
+          body { margin: 0; font-family: Arial, sans-serif; font-size: ${fs}pt; color: #000; }
+          .page {
+            width: ${t.pageWidth}mm; height: ${t.pageHeight}mm; overflow: hidden;
+            padding: ${t.marginTop}mm 0 0 ${t.marginLeft}mm;
+            display: grid;
+            grid-template-columns: repeat(${t.cols}, ${t.labelWidth}mm);
+            grid-auto-rows: ${t.labelHeight}mm;
+            column-gap: ${t.colGap}mm; row-gap: ${t.rowGap}mm;
+            page-break-after: always; break-after: page;
+          }
+          .page:last-child { page-break-after: auto; break-after: auto; }
+          .label {
+            width: ${t.labelWidth}mm; height: ${t.labelHeight}mm; overflow: hidden;
+            padding: 1mm 1.5mm; display: flex; flex-direction: column; align-items: center; text-align: center;
+          }
+          .name { font-weight: bold; line-height: 1.15; max-height: 2.3em; overflow: hidden; }
+          .attrs { line-height: 1.15; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; max-width: 100%; }
+          .code { flex: 1; min-height: 0; display: flex; align-items: center; justify-content: center; width: 100%; }
+          .code img { max-width: 100%; max-height: 100%; }
+          .code.qr { gap: 1mm; }
+          .code.qr img { height: 100%; }
+          .price { line-height: 1.2; }
+          .price s { font-size: 0.85em; }
+          .price b { font-size: 1.2em; }
+          @media screen { body { background: #eee; } .page { background: #fff; margin: 4mm auto; } .label { outline: 1px dashed #ccc; } }
+        </style>
+      </head>
+      <body>
+        ${pages.map((p) => `<div class="page">${p}</div>`).join("")}
+      </body>
+    </html>`;
+
+  return { html, labelCount: labels.length, warnings };
+}
+
+/**
+ * Cấp EAN-13 nội bộ (đầu mã INTERNAL_EAN_PREFIX, số tăng dần + số kiểm tra) cho variant chưa có barcode
+ * @returns [{ variantId, sku, barcode }]
+ */
+async function assignInternalEan13(variantIds) {
+  const prefix = INTERNAL_EAN_PREFIX;
+  const bodyLen = 12 - prefix.length;
+  const pattern = new RegExp(`^${prefix}\\d{${bodyLen + 1}}$`);
+
+  // số thứ tự lớn nhất đã cấp (barcode variant + barcode đơn vị quy đổi)
+  const [topVariant, topUnit] = await Promise.all([
+    ProductVariant.findOne({ barcode: pattern }).sort({ barcode: -1 }).select("barcode").lean(),
+    ProductVariant.aggregate([
+      { $match: { "units.barcode": pattern } },
+      { $unwind: "$units" },
+      { $match: { "units.barcode": pattern } },
+      { $sort: { "units.barcode": -1 } },
+      { $limit: 1 },
+      { $project: { barcode: "$units.barcode" } },
+    ]),
+  ]);
+  let seq = Math.max(
+    ...[topVariant?.barcode, topUnit[0]?.barcode].filter(Boolean).map((b) => Number(b.slice(prefix.length, 12))),
+    0
+  );
+
+  const variants = await ProductVariant.find({
+    _id: { $in: variantIds },
+    $or: [{ barcode: "" }, { barcode: null }, { barcode: { $exists: false } }],
+  })
+    .select("_id sku")
+    .lean();
+
+  const out = [];
+  for (const v of variants) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      seq++;
+      if (String(seq).length > bodyLen) throw labelError("INTERNAL_EAN_EXHAUSTED", prefix);
+      const first12 = `${prefix}${String(seq).padStart(bodyLen, "0")}`;
+      const barcode = `${first12}${ean13CheckDigit(first12)}`;
+
+      try {
+        const r = await ProductVariant.updateOne(
+          { _id: v._id, $or: [{ barcode: "" }, { barcode: null }, { barcode: { $exists: false } }] },
+          { $set: { barcode } }
+        );
+        if (r.modifiedCount) out.push({ variantId: v._id, sku: v.sku, barcode });
+        break;
+      } catch (e) {
+        // trùng barcode (cấp đồng thời) -> lấy số tiếp theo
+        if (e?.code !== 11000) throw e;
+      }
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  SYMBOLOGIES,
+  LABEL_TEMPLATES,
+  getLabelTemplate,
+  listLabelTemplates,
+  goodsReceiptLabelLines,
+  buildLabelItems,
+  renderLabelSheet,
+  assignInternalEan13,
+};
@@ -0,0 +1,199 @@
+// src/services/lot.service.js
+const StockLot = require("../models/StockLot");
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function lotError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+/**
+ * "2026-12-31" | Date -> Date 00:00 (null nếu rỗng / sai)
+ */
+function normalizeExpiry(v) {
+  if (!v) return null;
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return null;
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// FEFO: HSD gần nhất trước, không HSD sau cùng, cùng HSD -> nhập trước xuất trước
+function fefoCompare(a, b) {
+  const ea = a.expiryDate ? new Date(a.expiryDate).getTime() : Infinity;
+  const eb = b.expiryDate ? new Date(b.expiryDate).getTime() : Infinity;
+  if (ea !== eb) return ea - eb;
+  return new Date(a.receivedAt || 0).getTime() - new Date(b.receivedAt || 0).getTime();
+}
+
+function toLotRef(lot, qty) {
+  return {
+    lotId: lot._id,
+    lotNo: lot.lotNo || "",
+    expiryDate: lot.expiryDate || null,
+    qty,
+  };
+}
+
+/**
+ * Cộng hàng vào lô (tạo lô nếu chưa có)
+ * - received=true: tính vào receivedQty (nhập mới / nhận chuyển kho)
+ * - received=false: hoàn lại (huỷ đơn, trả hàng)
+ */
+async function addLot({ branchId, variantId, lotNo = "", expiryDate = null, qty, cost = 0, source = {}, received = true }) {
+  const n = toNum(qty);
+  if (n <= 0) return null;
+
+  const inc = { qty: n };
+  if (received) inc.receivedQty = n;
+
+  return StockLot.findOneAndUpdate(
+    {
+      branchId,
+      variantId,
+      lotNo: String(lotNo || "").trim(),
+      expiryDate: normalizeExpiry(expiryDate),
+    },
+    {
+      $inc: inc,
+      $setOnInsert: { receivedAt: new Date(), cost: toNum(cost) },
+      $set: {
+        sourceType: source.type || "",
+        sourceId: source.id || null,
+        sourceCode: source.code || "",
+      },
+    },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Trừ lô theo FEFO
+ * - Thiếu lô (tồn cũ chưa theo lô) -> phần thiếu không gắn lô
+ * @returns [{ lotId, lotNo, expiryDate, qty }]
+ */
+async function consumeLotsFEFO({ branchId, variantId, qty }) {
+  let left = toNum(qty);
+  const used = [];
+  if (left <= 0) return used;
+
+  const lots = await StockLot.find({ branchId, variantId, qty: { $gt: 0 } }).lean();
+  lots.sort(fefoCompare);
+
+  for (const lot of lots) {
+    if (left <= 0) break;
+    const take = Math.min(left, toNum(lot.qty));
+    if (take <= 0) continue;
+
+    // guard qty để không âm khi nhiều request cùng lúc
+    const updated = await StockLot.findOneAndUpdate(
+      { _id: lot._id, qty: { $gte: take } },
+      { $inc: { qty: -take } },
+      { new: true }
+    );
+    if (!updated) continue;
+
+    used.push(toLotRef(lot, take));
+    left -= take;
+  }
+
+  return used;
+}
+
+/**
+ * Trừ đúng các lô chỉ định (chuyển kho theo lô)
+ * lots: [{ lotId, qty }]
+ */
+async function consumeSpecificLots({ branchId, variantId, lots }) {
+  const used = [];
+
+  for (const x of lots || []) {
+    const take = toNum(x.qty);
+    if (take <= 0) continue;
+
+    const lot = await StockLot.findOneAndUpdate(
+      { _id: x.lotId, branchId, variantId, qty: { $gte: take } },
+      { $inc: { qty: -take } },
+      { new: true }
+    ).lean();
+
+    if (!lot) {
+      // rollback các lô đã trừ
+      for (const u of used) await StockLot.updateOne({ _id: u.lotId }, { $inc: { qty: u.qty } });
+      throw lotError("LOT_NOT_ENOUGH", `lotId=${x.lotId} không đủ ${take} hoặc không thuộc chi nhánh/variant`);
+    }
+
+    used.push(toLotRef(lot, take));
+  }
+
+  return used;
+}
+
+/**
+ * Hoàn lại lô đã trừ (huỷ đơn / trả hàng)
+ * lots: [{ lotNo, expiryDate, qty }]
+ * @returns lô đã cộng [{ lotId, lotNo, expiryDate, qty }]
+ */
+async function restoreLots({ branchId, variantId, lots, source = {} }) {
+  const restored = [];
+  for (const l of lots || []) {
+    const lot = await addLot({
+      branchId,
+      variantId,
+      lotNo: l.lotNo,
+      expiryDate: l.expiryDate,
+      qty: l.qty,
+      source,
+      received: false,
+    });
+    if (lot) restored.push(toLotRef(lot, toNum(l.qty)));
+  }
+  return restored;
+}
+
+/**
+ * Chuyển lô giữa 2 chi nhánh (giữ lotNo + HSD + giá vốn)
+ * - lots: chỉ định lô, không truyền -> FEFO
+ * @returns lô đã chuyển
+ */
+async function moveLots({ fromBranchId, toBranchId, variantId, qty, lots = null, source = {} }) {
+  const moved = Array.isArray(lots) && lots.length
+    ? await consumeSpecificLots({ branchId: fromBranchId, variantId, lots })
+    : await consumeLotsFEFO({ branchId: fromBranchId, variantId, qty });
+
+  const costs = new Map(
+    (await StockLot.find({ _id: { $in: moved.map((m) => m.lotId) } }).select("_id cost").lean()).map((l) => [
+      String(l._id),
+      toNum(l.cost),
+    ])
+  );
+
+  for (const m of moved) {
+    await addLot({
+      branchId: toBranchId,
+      variantId,
+      lotNo: m.lotNo,
+      expiryDate: m.expiryDate,
+      qty: m.qty,
+      cost: costs.get(String(m.lotId)) || 0,
+      source,
+    });
+  }
+
+  return moved;
+}
+
+module.exports = {
+  normalizeExpiry,
+  addLot,
+  consumeLotsFEFO,
+  consumeSpecificLots,
+  restoreLots,
+  moveLots,
+};
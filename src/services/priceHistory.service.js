@@ -0,0 +1,377 @@
+// src/services/priceHistory.service.js
+// Lịch sử giá bán (giá lẻ + giá sỉ theo tier) + lịch đổi giá theo thời gian
+const mongoose = require("mongoose");
+
+const PriceHistory = require("../models/PriceHistory");
+const PriceSchedule = require("../models/PriceSchedule");
+const ProductVariant = require("../models/ProductVariant");
+const TierAgency = require("../models/TierAgency");
+const ChangeLog = require("../models/ChangeLog");
+const { genReceiptCode } = require("../utils/code");
+
+const MAX_SCHEDULE_ITEMS = 500;
+
+function priceError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+async function nextVersion() {
+  const last = await ChangeLog.findOne().sort({ version: -1 }).lean();
+  return (last?.version || 0) + 1;
+}
+
+function tierMap(tiers) {
+  return new Map((tiers || []).map((t) => [String(t.tierId), Number(t.price)]));
+}
+
+// ===============================
+// LỊCH SỬ GIÁ
+// ===============================
+
+/**
+ * So giá trước / sau -> các dòng lịch sử
+ * - after.price / after.price_tier = undefined -> không đổi trường đó
+ */
+function diffPriceEntries(before = {}, after = {}) {
+  const rows = [];
+
+  if (after.price !== undefined) {
+    const oldPrice = before.price ?? null;
+    const newPrice = after.price ?? null;
+    if (oldPrice !== newPrice) rows.push({ field: "PRICE", tierId: null, oldPrice, newPrice });
+  }
+
+  if (after.price_tier !== undefined) {
+    const prev = tierMap(before.price_tier);
+    const next = tierMap(after.price_tier);
+    for (const tierId of new Set([...prev.keys(), ...next.keys()])) {
+      const oldPrice = prev.has(tierId) ? prev.get(tierId) : null;
+      const newPrice = next.has(tierId) ? next.get(tierId) : null;
+      if (oldPrice !== newPrice) rows.push({ field: "TIER", tierId, oldPrice, newPrice });
+    }
+  }
+  return rows;
+}
+
+/**
+ * Ghi lịch sử nếu giá thực sự đổi
+ * @param before { price, price_tier } trước khi sửa
+ * @param after  { price?, price_tier? } sau khi sửa (chỉ các trường có sửa)
+ * @returns số dòng đã ghi
+ */
+async function recordPriceChanges({
+  productId = null,
+  variantId = null,
+  before,
+  after,
+  source = "MANUAL",
+  reason = "",
+  scheduleId = null,
+  userId = null,
+}) {
+  const rows = diffPriceEntries(before || {}, after || {});
+  if (!rows.length) return 0;
+
+  await PriceHistory.insertMany(
+    rows.map((r) => ({ ...r, productId, variantId, source, reason, scheduleId, changedBy: userId || null }))
+  );
+  return rows.length;
+}
+
+/**
+ * Lịch sử giá theo variant / product (mới nhất trước)
+ * - productId: gồm giá cấp product + mọi variant của product
+ */
+async function getPriceHistory({ variantId = null, productId = null, from = null, to = null, page = 1, limit = 50 }) {
+  const filter = {};
+  if (variantId) filter.variantId = variantId;
+  if (productId) filter.productId = productId;
+  if (from || to) {
+    filter.changedAt = {};
+    if (from) filter.changedAt.$gte = from;
+    if (to) filter.changedAt.$lte = to;
+  }
+
+  const [items, total] = await Promise.all([
+    PriceHistory.find(filter)
+      .sort({ changedAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("changedBy", "name username")
+      .populate("tierId", "code name")
+      .lean(),
+    PriceHistory.countDocuments(filter),
+  ]);
+  return { items, total };
+}
+
+// ===============================
+// LỊCH ĐỔI GIÁ
+// ===============================
+
+// lịch có endAt chiếm cả khoảng [startAt, endAt); lịch đổi vĩnh viễn chỉ là 1 thời điểm
+function windowsOverlap(a, b) {
+  const aEnd = a.endAt || a.startAt;
+  const bEnd = b.endAt || b.startAt;
+  return +a.startAt === +b.startAt || (a.startAt < bEnd && b.startAt < aEnd);
+}
+
+/**
+ * Tạo lịch đổi giá
+ * - mỗi item: variantId + price và/hoặc price_tier (chỉ đổi tier được liệt kê)
+ * - 1 variant không nằm trong 2 lịch SCHEDULED / ACTIVE có thời gian chồng nhau
+ */
+async function createPriceSchedule({ reason = "", startAt, endAt = null, items = [] }, { userId = null } = {}) {
+  if (endAt && endAt <= startAt) throw priceError("INVALID_SCHEDULE_WINDOW", "endAt must be after startAt");
+  if (endAt && endAt <= new Date()) throw priceError("INVALID_SCHEDULE_WINDOW", "endAt is in the past");
+  if (!items.length || items.length > MAX_SCHEDULE_ITEMS) {
+    throw priceError("INVALID_SCHEDULE_ITEMS", `1..${MAX_SCHEDULE_ITEMS} items`);
+  }
+
+  const ids = items.map((it) => String(it.variantId));
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) throw priceError("INVALID_VARIANT_ID");
+  if (new Set(ids).size !== ids.length) throw priceError("DUPLICATE_VARIANT");
+
+  const emptyItem = items.find((it) => it.price == null && !(it.price_tier || []).length);
+  if (emptyItem) throw priceError("NO_PRICE_CHANGE", String(emptyItem.variantId));
+
+  const variants = await ProductVariant.find({ _id: { $in: ids } }).select("_id productId sku name").lean();
+  const vMap = new Map(variants.map((v) => [String(v._id), v]));
+  const missing = ids.filter((id) => !vMap.has(id));
+  if (missing.length) throw priceError("VARIANT_NOT_FOUND", missing.join(", "));
+
+  const tierIds = [...new Set(items.flatMap((it) => (it.price_tier || []).map((t) => String(t.tierId))))];
+  if (tierIds.some((id) => !mongoose.isValidObjectId(id))) throw priceError("INVALID_TIER_ID");
+  if (tierIds.length) {
+    const found = await TierAgency.countDocuments({ _id: { $in: tierIds } });
+    if (found !== tierIds.length) throw priceError("TIER_NOT_FOUND");
+  }
+
+  const candidates = await PriceSchedule.find({
+    status: { $in: ["SCHEDULED", "ACTIVE"] },
+    "items.variantId": { $in: ids },
+  })
+    .select("code startAt endAt items.variantId items.sku")
+    .lean();
+  const conflict = candidates.find((s) => windowsOverlap(s, { startAt, endAt }));
+  if (conflict) {
+    const skus = conflict.items.filter((it) => ids.includes(String(it.variantId))).map((it) => it.sku);
+    throw priceError("SCHEDULE_CONFLICT", `${conflict.code}: ${skus.join(", ")}`);
+  }
+
+  return PriceSchedule.create({
+    code: genReceiptCode("PS"),
+    reason,
+    status: "SCHEDULED",
+    startAt,
+    endAt: endAt || null,
+    items: items.map((it) => {
+      const v = vMap.get(String(it.variantId));
+      return {
+        variantId: v._id,
+        productId: v.productId || null,
+        sku: v.sku || "",
+        name: v.name || "",
+        price: it.price == null ? null : Math.round(Number(it.price)),
+        price_tier: (it.price_tier || []).map((t) => ({ tierId: t.tierId, price: Math.round(Number(t.price)) })),
+      };
+    }),
+    createdById: userId || null,
+  });
+}
+
+async function logVariantChange(variantId) {
+  const version = await nextVersion();
+  await ChangeLog.create({ branchId: null, collection: "productvariants", docId: variantId, action: "UPSERT", version });
+}
+
+/**
+ * Áp giá của lịch (đã giành được trạng thái ACTIVE)
+ * - chụp giá hiện tại vào prevPrice / prevTier để trả lại khi hết hạn
+ */
+async function applyScheduleItems(schedule, now) {
+  let applied = 0;
+
+  for (const item of schedule.items) {
+    if (item.appliedAt) continue;
+
+    const v = await ProductVariant.findById(item.variantId).select("_id productId price price_tier").lean();
+    if (!v) continue;
+
+    const set = {};
+    if (item.price != null) set.price = item.price;
+    if (item.price_tier?.length) {
+      const next = tierMap(v.price_tier);
+      for (const t of item.price_tier) next.set(String(t.tierId), t.price);
+      set.price_tier = [...next].map(([tierId, price]) => ({ tierId, price }));
+    }
+
+    await ProductVariant.updateOne({ _id: v._id }, { $set: set });
+    await recordPriceChanges({
+      productId: v.productId,
+      variantId: v._id,
+      before: v,
+      after: set,
+      source: "SCHEDULE",
+      reason: schedule.reason || schedule.code,
+      scheduleId: schedule._id,
+    });
+    await logVariantChange(v._id);
+
+    item.prevPrice = v.price;
+    item.prevTier = v.price_tier || [];
+    item.appliedAt = now;
+    applied++;
+  }
+  return applied;
+}
+
+/**
+ * Trả giá cũ cho các item đã áp
+ * - chỉ trả trường nào còn đúng giá lịch đã đặt; đã bị sửa tay -> giữ nguyên, ghi revertSkipped
+ */
+async function revertScheduleItems(schedule, now, { userId = null } = {}) {
+  let reverted = 0;
+
+  for (const item of schedule.items) {
+    if (!item.appliedAt || item.revertedAt) continue;
+
+    const v = await ProductVariant.findById(item.variantId).select("_id productId price price_tier").lean();
+    if (!v) continue;
+
+    const set = {};
+    const skipped = [];
+
+    if (item.price != null) {
+      if (v.price === item.price) set.price = item.prevPrice;
+      else skipped.push("PRICE");
+    }
+
+    if (item.price_tier?.length) {
+      const cur = tierMap(v.price_tier);
+      const prev = tierMap(item.prevTier);
+      let changed = false;
+      for (const t of item.price_tier) {
+        const id = String(t.tierId);
+        if (cur.get(id) !== t.price) {
+          skipped.push(`TIER:${id}`);
+          continue;
+        }
+        if (prev.has(id)) cur.set(id, prev.get(id));
+        else cur.delete(id);
+        changed = true;
+      }
+      if (changed) set.price_tier = [...cur].map(([tierId, price]) => ({ tierId, price }));
+    }
+
+    if (Object.keys(set).length) {
+      await ProductVariant.updateOne({ _id: v._id }, { $set: set });
+      await recordPriceChanges({
+        productId: v.productId,
+        variantId: v._id,
+        before: v,
+        after: set,
+        source: "SCHEDULE_REVERT",
+        reason: schedule.reason || schedule.code,
+        scheduleId: schedule._id,
+        userId,
+      });
+      await logVariantChange(v._id);
+    }
+
+    item.revertedAt = now;
+    item.revertSkipped = skipped.length ? `CHANGED_MANUALLY: ${skipped.join(", ")}` : "";
+    reverted++;
+  }
+  return reverted;
+}
+
+async function applyPriceSchedule(scheduleId, now = new Date()) {
+  // giành lịch: 2 tiến trình chạy job cùng lúc -> chỉ 1 bên áp
+  const schedule = await PriceSchedule.findOneAndUpdate(
+    { _id: scheduleId, status: "SCHEDULED" },
+    { $set: { status: "ACTIVE", appliedAt: now } },
+    { new: true }
+  );
+  if (!schedule) return null;
+
+  await applyScheduleItems(schedule, now);
+  if (!schedule.endAt) schedule.status = "COMPLETED";
+  await schedule.save();
+  return schedule;
+}
+
+async function revertPriceSchedule(scheduleId, now = new Date(), { status = "COMPLETED", userId = null } = {}) {
+  const set = { status, revertedAt: now };
+  if (status === "CANCELLED") Object.assign(set, { cancelledAt: now, cancelledById: userId || null });
+
+  const schedule = await PriceSchedule.findOneAndUpdate({ _id: scheduleId, status: "ACTIVE" }, { $set: set }, { new: true });
+  if (!schedule) return null;
+
+  await revertScheduleItems(schedule, now, { userId });
+  await schedule.save();
+  return schedule;
+}
+
+/**
+ * Huỷ lịch: SCHEDULED -> CANCELLED | ACTIVE -> trả giá cũ ngay rồi CANCELLED
+ */
+async function cancelPriceSchedule(scheduleId, { userId = null } = {}) {
+  const now = new Date();
+  const cur = await PriceSchedule.findById(scheduleId).select("status").lean();
+  if (!cur) throw priceError("PRICE_SCHEDULE_NOT_FOUND");
+
+  if (cur.status === "SCHEDULED") {
+    const doc = await PriceSchedule.findOneAndUpdate(
+      { _id: scheduleId, status: "SCHEDULED" },
+      { $set: { status: "CANCELLED", cancelledAt: now, cancelledById: userId || null } },
+      { new: true }
+    );
+    if (doc) return doc;
+  } else if (cur.status === "ACTIVE") {
+    const doc = await revertPriceSchedule(scheduleId, now, { status: "CANCELLED", userId });
+    if (doc) return doc;
+  }
+  throw priceError("SCHEDULE_NOT_CANCELLABLE", cur.status);
+}
+
+async function revertDue(now) {
+  const due = await PriceSchedule.find({ status: "ACTIVE", endAt: { $ne: null, $lte: now } })
+    .select("_id")
+    .sort({ endAt: 1 })
+    .lean();
+  let n = 0;
+  for (const s of due) if (await revertPriceSchedule(s._id, now)) n++;
+  return n;
+}
+
+/**
+ * Chạy lịch đến hạn (job gọi định kỳ)
+ * - trả giá lịch hết hạn trước, rồi mới áp lịch mới (lịch nối tiếp chụp đúng giá gốc)
+ * - lịch áp trễ mà đã quá endAt -> trả lại ngay trong lượt
+ */
+async function runDuePriceSchedules(now = new Date()) {
+  let reverted = await revertDue(now);
+
+  const due = await PriceSchedule.find({ status: "SCHEDULED", startAt: { $lte: now } })
+    .select("_id")
+    .sort({ startAt: 1 })
+    .lean();
+  let applied = 0;
+  for (const s of due) if (await applyPriceSchedule(s._id, now)) applied++;
+
+  if (applied) reverted += await revertDue(now);
+  return { applied, reverted };
+}
+
+module.exports = {
+  diffPriceEntries,
+  recordPriceChanges,
+  getPriceHistory,
+  createPriceSchedule,
+  cancelPriceSchedule,
+  runDuePriceSchedules,
+};
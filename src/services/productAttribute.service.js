@@ -0,0 +1,241 @@
+// src/services/productAttribute.service.js
+// Thuộc tính sản phẩm theo danh mục: định nghĩa (Category.attributeDefs) + validate giá trị khi tạo / sửa sản phẩm
+const mongoose = require("mongoose");
+const sanitizeHtml = require("sanitize-html");
+
+const Category = require("../models/Category");
+const Product = require("../models/Product");
+const { getDescendantCategoryIds } = require("../utils/categoryTree");
+
+const ATTRIBUTE_TYPES = ["TEXT", "NUMBER", "ENUM", "MULTI_ENUM", "RICH_TEXT"];
+const KEY_RE = /^[a-z][a-z0-9_]{0,39}$/;
+const MAX_TEXT_LENGTH = 500;
+const MAX_RICH_TEXT_LENGTH = 20000;
+
+// HDSD / thành phần: chỉ giữ định dạng cơ bản, bỏ script / style / link / ảnh
+const RICH_TEXT_OPTIONS = {
+  allowedTags: ["p", "br", "b", "strong", "i", "em", "u", "ul", "ol", "li", "h3", "h4", "blockquote", "table", "thead", "tbody", "tr", "th", "td"],
+  allowedAttributes: {},
+};
+
+function attrError(code, detail) {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+function isEmpty(v) {
+  return v == null || (typeof v === "string" && !v.trim()) || (Array.isArray(v) && !v.length);
+}
+
+function sanitizeRichText(html) {
+  return sanitizeHtml(String(html || ""), RICH_TEXT_OPTIONS).trim();
+}
+
+/**
+ * Chuẩn hoá + kiểm tra danh sách định nghĩa trước khi lưu vào Category
+ * - key duy nhất, dạng snake_case
+ * - ENUM / MULTI_ENUM phải có options
+ */
+function normalizeAttributeDefs(defs) {
+  const errors = [];
+  const seen = new Set();
+
+  const out = (defs || []).map((d, i) => {
+    const key = String(d.key || "").trim().toLowerCase();
+    const type = String(d.type || "").toUpperCase();
+    const options = [...new Set((d.options || []).map((o) => String(o).trim()).filter(Boolean))];
+
+    if (!KEY_RE.test(key)) errors.push({ index: i, key, code: "INVALID_KEY" });
+    else if (seen.has(key)) errors.push({ index: i, key, code: "DUPLICATE_KEY" });
+    seen.add(key);
+
+    if (!ATTRIBUTE_TYPES.includes(type)) errors.push({ index: i, key, code: "INVALID_TYPE" });
+    if ((type === "ENUM" || type === "MULTI_ENUM") && !options.length) errors.push({ index: i, key, code: "OPTIONS_REQUIRED" });
+
+    return {
+      key,
+      label: String(d.label || "").trim() || key,
+      type,
+      unit: type === "NUMBER" ? String(d.unit || "").trim() : "",
+      options: type === "ENUM" || type === "MULTI_ENUM" ? options : [],
+      required: !!d.required,
+      filterable: type !== "RICH_TEXT" && !!d.filterable,
+      order: Number(d.order ?? i) || 0,
+    };
+  });
+
+  if (errors.length) throw attrError("INVALID_ATTRIBUTE_DEFS", errors);
+  return out;
+}
+
+/**
+ * Định nghĩa hiệu lực của 1 category = của các category cha (theo path, gốc -> lá) + của chính nó
+ * - trùng key: category gần hơn ghi đè
+ */
+async function getEffectiveAttributeDefs(categoryId) {
+  if (!categoryId || !mongoose.isValidObjectId(String(categoryId))) return [];
+
+  const cat = await Category.findById(categoryId).select("path attributeDefs").lean();
+  if (!cat) return [];
+
+  const ancestors = await Category.find({ _id: { $in: cat.path || [] } })
+    .select("level attributeDefs")
+    .sort({ level: 1 })
+    .lean();
+
+  const byKey = new Map();
+  for (const c of [...ancestors, cat]) {
+    for (const d of c.attributeDefs || []) byKey.set(d.key, { ...d, categoryId: c._id });
+  }
+  return [...byKey.values()].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+// 1 giá trị theo kiểu định nghĩa -> { value } | { error }
+function coerceValue(def, raw) {
+  switch (def.type) {
+    case "TEXT": {
+      if (typeof raw !== "string" && typeof raw !== "number") return { error: "INVALID_TEXT" };
+      const s = String(raw).trim();
+      return s.length > MAX_TEXT_LENGTH ? { error: "TOO_LONG" } : { value: s };
+    }
+    case "NUMBER": {
+      const n = typeof raw === "number" ? raw : typeof raw === "string" ? Number(raw.trim().replace(",", ".")) : NaN;
+      return Number.isFinite(n) ? { value: n } : { error: "INVALID_NUMBER" };
+    }
+    case "ENUM": {
+      const opt = def.options.find((o) => o.toLowerCase() === String(raw).trim().toLowerCase());
+      return typeof raw === "string" && opt ? { value: opt } : { error: "INVALID_OPTION" };
+    }
+    case "MULTI_ENUM": {
+      const list = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : null;
+      if (!list) return { error: "INVALID_OPTION" };
+      const values = [];
+      for (const x of list.map((y) => String(y).trim()).filter(Boolean)) {
+        const opt = def.options.find((o) => o.toLowerCase() === x.toLowerCase());
+        if (!opt) return { error: "INVALID_OPTION" };
+        if (!values.includes(opt)) values.push(opt);
+      }
+      return { value: values };
+    }
+    case "RICH_TEXT": {
+      if (typeof raw !== "string") return { error: "INVALID_TEXT" };
+      const html = sanitizeRichText(raw);
+      return html.length > MAX_RICH_TEXT_LENGTH ? { error: "TOO_LONG" } : { value: html };
+    }
+    default:
+      return { error: "INVALID_TYPE" };
+  }
+}
+
+// thuộc tính filterable -> [{ k, v: string }] (MULTI_ENUM tách từng giá trị)
+function buildAttributeFacets(defs, attributes) {
+  const defMap = new Map(defs.map((d) => [d.key, d]));
+  const out = [];
+  for (const a of attributes || []) {
+    const def = defMap.get(a.k);
+    if (!def?.filterable || def.type === "RICH_TEXT") continue;
+    for (const v of [].concat(a.v)) if (!isEmpty(v)) out.push({ k: a.k, v: String(v) });
+  }
+  return out;
+}
+
+/**
+ * Validate giá trị nhập { key: value } theo định nghĩa hiệu lực của category
+ * @returns { attributes: [{ k, v }], attributeFacets: [{ k, v }] }
+ * @throws INVALID_PRODUCT_ATTRIBUTES, detail = [{ key, code: UNKNOWN_ATTRIBUTE|REQUIRED|INVALID_*|TOO_LONG }]
+ */
+function validateProductAttributes(defs, input = {}) {
+  const errors = [];
+  const defMap = new Map(defs.map((d) => [d.key, d]));
+
+  const values = new Map();
+  for (const [k, v] of Object.entries(input || {})) {
+    const key = String(k).trim().toLowerCase();
+    if (!defMap.has(key)) errors.push({ key, code: "UNKNOWN_ATTRIBUTE" });
+    else values.set(key, v);
+  }
+
+  const attributes = [];
+  for (const def of defs) {
+    const raw = values.get(def.key);
+    if (isEmpty(raw)) {
+      if (def.required) errors.push({ key: def.key, code: "REQUIRED" });
+      continue;
+    }
+    const r = coerceValue(def, raw);
+    if (r.error) errors.push({ key: def.key, code: r.error });
+    else if (isEmpty(r.value)) {
+      if (def.required) errors.push({ key: def.key, code: "REQUIRED" });
+    } else attributes.push({ k: def.key, v: r.value });
+  }
+
+  if (errors.length) throw attrError("INVALID_PRODUCT_ATTRIBUTES", errors);
+  return { attributes, attributeFacets: buildAttributeFacets(defs, attributes) };
+}
+
+// [{ k, v }] đã lưu -> { k: v } (để validate lại khi đổi category)
+function attributesToObject(attributes) {
+  const out = {};
+  for (const a of attributes || []) out[a.k] = a.v;
+  return out;
+}
+
+/**
+ * Thuộc tính cho trang chi tiết web: theo thứ tự định nghĩa, kèm nhãn + đơn vị
+ */
+function formatProductAttributes(defs, attributes) {
+  const valueMap = new Map((attributes || []).map((a) => [a.k, a.v]));
+  return defs
+    .filter((d) => valueMap.has(d.key))
+    .map((d) => {
+      const value = valueMap.get(d.key);
+      let display = String(value);
+      if (d.type === "NUMBER") display = d.unit ? `${value} ${d.unit}` : String(value);
+      else if (d.type === "MULTI_ENUM") display = [].concat(value).join(", ");
+      return { key: d.key, label: d.label, type: d.type, unit: d.unit || "", value, display };
+    });
+}
+
+/**
+ * Định nghĩa của category đổi (filterable / options) -> build lại attributeFacets
+ * cho sản phẩm thuộc category đó và các category con
+ */
+async function refreshCategoryAttributeFacets(categoryId) {
+  const ids = await getDescendantCategoryIds(categoryId);
+  let updated = 0;
+
+  for (const id of ids) {
+    const defs = await getEffectiveAttributeDefs(id);
+    const products = await Product.find({
+      categoryId: { $in: [id, new mongoose.Types.ObjectId(id)] },
+      $or: [{ "attributes.0": { $exists: true } }, { "attributeFacets.0": { $exists: true } }],
+    })
+      .select("_id attributes")
+      .lean();
+    if (!products.length) continue;
+
+    await Product.bulkWrite(
+      products.map((p) => ({
+        updateOne: {
+          filter: { _id: p._id },
+          update: { $set: { attributeFacets: buildAttributeFacets(defs, p.attributes) } },
+        },
+      }))
+    );
+    updated += products.length;
+  }
+  return { updated };
+}
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  sanitizeRichText,
+  normalizeAttributeDefs,
+  getEffectiveAttributeDefs,
+  validateProductAttributes,
+  attributesToObject,
+  formatProductAttributes,
+  refreshCategoryAttributeFacets,
+};
@@ -0,0 +1,676 @@
+// src/services/productImport.service.js
+const mongoose = require("mongoose");
+
+const Product = require("../models/Product");
+const ProductVariant = require("../models/ProductVariant");
+const VariantStock = require("../models/VariantStock");
+const Category = require("../models/Category");
+const TierAgency = require("../models/TierAgency");
+const Branch = require("../models/Branch");
+const ChangeLog = require("../models/ChangeLog");
+const { setStockQty } = require("./stock.service");
+const { reindexProducts } = require("./search.service");
+const { recordPriceChanges } = require("./priceHistory.service");
+const {
+  getEffectiveAttributeDefs,
+  validateProductAttributes,
+  attributesToObject,
+} = require("./productAttribute.service");
+const { readXlsx } = require("../utils/xlsx");
+const { parseCsv } = require("../utils/csv");
+const { buildProductScopeFilter } = require("../utils/categoryTree");
+
+// 1 dòng = 1 variant; cột sản phẩm lặp lại trên các dòng cùng product_sku
+const BASE_COLUMNS = [
+  "product_sku",
+  "product_name",
+  "brand",
+  "category_code",
+  "variant_sku",
+  "variant_name",
+  "attributes", // "size=50ml; color=Đỏ"
+  "barcode",
+  "base_unit",
+  "price",
+  "cost",
+  "is_active",
+];
+const TIER_PREFIX = "tier:"; // tier:<TierAgency.code> = giá sỉ
+const STOCK_PREFIX = "stock:"; // stock:<Branch.code> = tồn đầu kỳ
+const MAX_IMPORT_ROWS = 5000;
+
+function importError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+async function nextVersion() {
+  const last = await ChangeLog.findOne().sort({ version: -1 }).lean();
+  return (last?.version || 0) + 1;
+}
+
+// header: cột cố định viết thường, mã tier / chi nhánh viết hoa
+function normalizeHeader(h) {
+  const s = String(h || "").trim();
+  const m = /^(tier|stock)\s*:\s*(.+)$/i.exec(s);
+  if (m) return `${m[1].toLowerCase()}:${m[2].trim().toUpperCase()}`;
+  return s.toLowerCase().replace(/\s+/g, "_");
+}
+
+// "" -> undefined | không phải số >= 0 -> NaN
+function parseAmount(s) {
+  if (s === "") return undefined;
+  const n = Number(String(s).replace(/\s/g, ""));
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+function parseBool(s) {
+  if (s === "") return undefined;
+  const v = String(s).trim().toLowerCase();
+  if (["1", "true", "yes", "y", "x", "có"].includes(v)) return true;
+  if (["0", "false", "no", "n", "không"].includes(v)) return false;
+  return null;
+}
+
+// "size=50ml; color=Đỏ" -> [{ k, v }] | null (sai định dạng)
+function parseAttributes(s) {
+  if (!s) return [];
+  const out = [];
+  for (const part of String(s).split(";")) {
+    if (!part.trim()) continue;
+    const i = part.indexOf("=");
+    const k = i > 0 ? part.slice(0, i).trim().toLowerCase() : "";
+    const v = i > 0 ? part.slice(i + 1).trim() : "";
+    if (!k || !v || out.some((a) => a.k === k)) return null;
+    out.push({ k, v });
+  }
+  return out;
+}
+
+function formatAttributes(attrs) {
+  return (attrs || []).map((a) => `${a.k}=${a.v}`).join("; ");
+}
+
+function buildVariantName(masterName, attrs) {
+  return [String(masterName || ""), ...(attrs || []).map((a) => `${a.k.toUpperCase()}: ${a.v}`)]
+    .filter(Boolean)
+    .join(" - ");
+}
+
+// thêm giá trị thuộc tính mới vào options của product (giữ thứ tự cũ)
+function mergeOptions(options, attrsList) {
+  const out = (options || []).map((o) => ({
+    key: o.key,
+    label: o.label || "",
+    values: [...(o.values || [])],
+    order: Number(o.order || 0),
+  }));
+  for (const attrs of attrsList) {
+    for (const a of attrs) {
+      let o = out.find((x) => x.key === a.k);
+      if (!o) {
+        o = { key: a.k, label: "", values: [], order: out.length };
+        out.push(o);
+      }
+      if (!o.values.includes(a.v)) o.values.push(a.v);
+    }
+  }
+  return out;
+}
+
+function sameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Đọc file import (.csv / .xlsx) -> { header, rows: [{ row (số dòng trên sheet), values }] }
+ */
+function parseImportFile(buffer, filename) {
+  const ext = String(filename || "").toLowerCase().split(".").pop();
+  let table;
+  if (ext === "xlsx") table = readXlsx(buffer);
+  else if (ext === "csv") table = parseCsv(buffer.toString("utf8"));
+  else throw importError("UNSUPPORTED_FILE_TYPE", ext);
+
+  const header = (table[0] || []).map(normalizeHeader);
+  if (!header.includes("product_sku")) throw importError("MISSING_COLUMNS", "product_sku");
+
+  const rows = [];
+  for (let i = 1; i < table.length; i++) {
+    const values = (table[i] || []).map((v) => String(v ?? "").trim());
+    if (values.every((v) => !v)) continue;
+    rows.push({ row: i + 1, values });
+  }
+  if (!rows.length) throw importError("EMPTY_FILE");
+  if (rows.length > MAX_IMPORT_ROWS) throw importError("TOO_MANY_ROWS", `${rows.length} > ${MAX_IMPORT_ROWS}`);
+
+  return { header, rows };
+}
+
+/**
+ * Kiểm tra + lập phương án import (upsert theo SKU), không ghi DB
+ * - product theo product_sku, variant theo variant_sku (trống = variant mặc định của product)
+ * - ô trống = giữ nguyên giá trị hiện có (variant / product mới thì dùng mặc định)
+ * - tồn đầu kỳ chỉ ghi cho chi nhánh chưa có dòng tồn của variant (đã có -> cảnh báo, dùng kiểm kê để chỉnh)
+ * - product mới / đổi category: thuộc tính sản phẩm validate theo định nghĩa của category như PUT /api/products/:id
+ * @returns { valid, summary, errors, warnings, products: [{ sku, action, changes, variants: [...] }] }
+ */
+async function buildImportPlan({ header, rows }) {
+  const errors = [];
+  const warnings = [];
+  const col = new Map(header.map((h, i) => [h, i]));
+  const cell = (r, key) => (col.has(key) ? r.values[col.get(key)] || "" : "");
+  const fail = (row, field, code, detail = "") => errors.push({ row, field, code, detail });
+
+  // ---- cột động: giá sỉ theo tier + tồn đầu theo chi nhánh
+  const tierCodes = header.filter((h) => h.startsWith(TIER_PREFIX)).map((h) => h.slice(TIER_PREFIX.length));
+  const branchCodes = header.filter((h) => h.startsWith(STOCK_PREFIX)).map((h) => h.slice(STOCK_PREFIX.length));
+
+  const tiers = await TierAgency.find({ code: { $in: tierCodes } }).select("_id code").lean();
+  const tierByCode = new Map(tiers.map((t) => [t.code, t]));
+  for (const c of tierCodes) if (!tierByCode.has(c)) fail(1, `${TIER_PREFIX}${c}`, "TIER_NOT_FOUND", c);
+
+  const branches = await Branch.find({ code: { $in: branchCodes } }).select("_id code").lean();
+  const branchByCode = new Map(branches.map((b) => [String(b.code).toUpperCase(), b]));
+  for (const c of branchCodes) if (!branchByCode.has(c)) fail(1, `${STOCK_PREFIX}${c}`, "BRANCH_NOT_FOUND", c);
+
+  // ---- dữ liệu hiện có
+  const productSkus = [...new Set(rows.map((r) => cell(r, "product_sku").toUpperCase()).filter(Boolean))];
+  const products = await Product.find({ sku: { $in: productSkus } }).lean();
+  const productBySku = new Map(products.map((p) => [p.sku, p]));
+
+  const categoryCodes = [...new Set(rows.map((r) => cell(r, "category_code").toUpperCase()).filter(Boolean))];
+  const categories = await Category.find({ code: { $in: categoryCodes } }).select("_id code name").lean();
+  const categoryByCode = new Map(categories.map((c) => [c.code, c]));
+
+  const attributeDefsCache = new Map();
+  const attributeDefsOf = async (categoryId) => {
+    const key = String(categoryId || "");
+    if (!attributeDefsCache.has(key)) attributeDefsCache.set(key, await getEffectiveAttributeDefs(categoryId));
+    return attributeDefsCache.get(key);
+  };
+
+  const defaultIds = products.map((p) => p.defaultVariantId).filter(Boolean);
+  const defaults = await ProductVariant.find({ _id: { $in: defaultIds } }).select("_id sku").lean();
+  const defaultSkuById = new Map(defaults.map((v) => [String(v._id), v.sku]));
+
+  const variantSkuOf = (r, p, psku) =>
+    cell(r, "variant_sku").toUpperCase() ||
+    (p?.defaultVariantId && defaultSkuById.get(String(p.defaultVariantId))) ||
+    `${psku}-DEFAULT`;
+
+  const allVariantSkus = rows
+    .map((r) => {
+      const psku = cell(r, "product_sku").toUpperCase();
+      return psku ? variantSkuOf(r, productBySku.get(psku), psku) : "";
+    })
+    .filter(Boolean);
+  const variants = await ProductVariant.find({ sku: { $in: allVariantSkus } }).lean();
+  const variantsBySku = new Map();
+  for (const v of variants) {
+    if (!variantsBySku.has(v.sku)) variantsBySku.set(v.sku, []);
+    variantsBySku.get(v.sku).push(v);
+  }
+
+  const barcodes = [...new Set(rows.map((r) => cell(r, "barcode")).filter(Boolean))];
+  const barcodeOwners = await ProductVariant.find({
+    $or: [{ barcode: { $in: barcodes } }, { "units.barcode": { $in: barcodes } }],
+  })
+    .select("_id sku barcode units.barcode")
+    .lean();
+  const ownerOfBarcode = (code) =>
+    barcodeOwners.filter((v) => v.barcode === code || (v.units || []).some((u) => u.barcode === code));
+
+  const stocks = await VariantStock.find({
+    variantId: { $in: variants.map((v) => v._id) },
+    branchId: { $in: branches.map((b) => b._id) },
+  })
+    .select("branchId variantId qty")
+    .lean();
+  const stockOf = new Map(stocks.map((s) => [`${s.branchId}:${s.variantId}`, s]));
+
+  // ---- gom dòng theo product
+  const groups = new Map();
+  for (const r of rows) {
+    const psku = cell(r, "product_sku").toUpperCase();
+    if (!psku) {
+      fail(r.row, "product_sku", "PRODUCT_SKU_REQUIRED");
+      continue;
+    }
+    if (!groups.has(psku)) groups.set(psku, []);
+    groups.get(psku).push(r);
+  }
+
+  const seenVariantSkus = new Map();
+  const seenBarcodes = new Map();
+  const plan = [];
+
+  for (const [psku, list] of groups) {
+    const existing = productBySku.get(psku) || null;
+    if (existing?.productType === "BUNDLE") {
+      fail(list[0].row, "product_sku", "PRODUCT_IS_BUNDLE", psku);
+      continue;
+    }
+
+    // cột sản phẩm: lấy ô đầu tiên có giá trị, các dòng khác ghi khác -> lỗi
+    const pick = (key) => {
+      let val = "";
+      for (const r of list) {
+        const v = cell(r, key);
+        if (!v) continue;
+        if (!val) val = v;
+        else if (v !== val) fail(r.row, key, "PRODUCT_FIELD_CONFLICT", `${val} <> ${v}`);
+      }
+      return val;
+    };
+    const name = pick("product_name");
+    const brand = pick("brand");
+    const categoryCode = pick("category_code").toUpperCase();
+
+    if (!existing && !name) fail(list[0].row, "product_name", "PRODUCT_NAME_REQUIRED", psku);
+
+    let category;
+    if (categoryCode) {
+      category = categoryByCode.get(categoryCode);
+      if (!category) fail(list[0].row, "category_code", "CATEGORY_NOT_FOUND", categoryCode);
+    }
+
+    // ---- variants
+    const variantPlans = [];
+    for (const r of list) {
+      const vsku = variantSkuOf(r, existing, psku);
+      if (seenVariantSkus.has(vsku)) {
+        fail(r.row, "variant_sku", "DUPLICATE_VARIANT_SKU", `${vsku} (dòng ${seenVariantSkus.get(vsku)})`);
+        continue;
+      }
+      seenVariantSkus.set(vsku, r.row);
+
+      const sameSku = variantsBySku.get(vsku) || [];
+      const current = existing ? sameSku.find((v) => String(v.productId) === String(existing._id)) || null : null;
+      if (!current && sameSku.length) {
+        fail(r.row, "variant_sku", "VARIANT_SKU_TAKEN", vsku);
+        continue;
+      }
+
+      const attributes = parseAttributes(cell(r, "attributes"));
+      if (attributes === null) fail(r.row, "attributes", "INVALID_ATTRIBUTES", cell(r, "attributes"));
+
+      const price = parseAmount(cell(r, "price"));
+      const cost = parseAmount(cell(r, "cost"));
+      const isActive = parseBool(cell(r, "is_active"));
+      if (Number.isNaN(price)) fail(r.row, "price", "INVALID_NUMBER", cell(r, "price"));
+      if (Number.isNaN(cost)) fail(r.row, "cost", "INVALID_NUMBER", cell(r, "cost"));
+      if (isActive === null) fail(r.row, "is_active", "INVALID_BOOLEAN", cell(r, "is_active"));
+      if (!current && price === undefined) fail(r.row, "price", "PRICE_REQUIRED", vsku);
+
+      const barcode = cell(r, "barcode");
+      if (barcode) {
+        if (seenBarcodes.has(barcode)) {
+          fail(r.row, "barcode", "DUPLICATE_BARCODE", `${barcode} (dòng ${seenBarcodes.get(barcode)})`);
+        }
+        seenBarcodes.set(barcode, r.row);
+        const owner = ownerOfBarcode(barcode).find((v) => !current || String(v._id) !== String(current._id));
+        if (owner) fail(r.row, "barcode", "DUPLICATE_BARCODE", `${barcode} (${owner.sku})`);
+      }
+
+      // giá sỉ: ô có giá trị ghi đè tier đó, tier không có cột giữ nguyên
+      const tierPrices = [];
+      for (const code of tierCodes) {
+        const tier = tierByCode.get(code);
+        const raw = cell(r, `${TIER_PREFIX}${code}`);
+        const p = parseAmount(raw);
+        if (Number.isNaN(p)) fail(r.row, `${TIER_PREFIX}${code}`, "INVALID_NUMBER", raw);
+        else if (p !== undefined && tier) tierPrices.push({ tierId: tier._id, price: Math.round(p) });
+      }
+
+      const openingStock = [];
+      for (const code of branchCodes) {
+        const branch = branchByCode.get(code);
+        const raw = cell(r, `${STOCK_PREFIX}${code}`);
+        const qty = parseAmount(raw);
+        if (Number.isNaN(qty) || (qty !== undefined && !Number.isInteger(qty))) {
+          fail(r.row, `${STOCK_PREFIX}${code}`, "INVALID_STOCK_QTY", raw);
+          continue;
+        }
+        if (qty === undefined || !branch) continue;
+
+        const st = current ? stockOf.get(`${branch._id}:${current._id}`) : null;
+        if (st) {
+          if (Number(st.qty || 0) !== qty) {
+            warnings.push({
+              row: r.row,
+              field: `${STOCK_PREFIX}${code}`,
+              code: "OPENING_STOCK_SKIPPED",
+              detail: `${vsku}: tồn hiện tại ${st.qty}, file ${qty}`,
+            });
+          }
+          continue;
+        }
+        if (qty > 0) openingStock.push({ branchId: branch._id, branchCode: code, qty });
+      }
+
+      const attrs = attributes || [];
+      const set = {};
+      const changes = {};
+      const diff = (field, next, prev) => {
+        if (next === undefined) return;
+        if (current && sameJson(next, prev)) return;
+        set[field] = next;
+        if (current) changes[field] = { from: prev, to: next };
+      };
+
+      const vName = cell(r, "variant_name");
+      diff("name", vName || (current ? undefined : buildVariantName(name || existing?.name, attrs)), current?.name);
+      if (cell(r, "attributes") || !current) {
+        diff("attributes", attrs, (current?.attributes || []).map(({ k, v }) => ({ k, v })));
+      }
+      diff("barcode", barcode || (current ? undefined : ""), current?.barcode || "");
+      diff("baseUnit", cell(r, "base_unit") || (current ? undefined : ""), current?.baseUnit || "");
+      diff("price", price === undefined || Number.isNaN(price) ? undefined : Math.round(price), current?.price);
+      diff("cost", cost === undefined || Number.isNaN(cost) ? undefined : Math.round(cost), current?.cost ?? 0);
+      diff("isActive", isActive ?? (current ? undefined : true), current?.isActive);
+
+      if (tierPrices.length || !current) {
+        const prevTiers = (current?.price_tier || []).map((t) => ({ tierId: String(t.tierId), price: t.price }));
+        const nextTiers = [
+          ...prevTiers.filter((t) => !tierPrices.some((x) => String(x.tierId) === t.tierId)),
+          ...tierPrices.map((t) => ({ tierId: String(t.tierId), price: t.price })),
+        ];
+        if (!current || !sameJson(nextTiers, prevTiers)) {
+          set.price_tier = nextTiers.map((t) => ({ tierId: new mongoose.Types.ObjectId(t.tierId), price: t.price }));
+          if (current) changes.price_tier = { from: prevTiers, to: nextTiers };
+        }
+      }
+
+      variantPlans.push({
+        row: r.row,
+        sku: vsku,
+        variantId: current?._id || null,
+        action: !current ? "CREATE" : Object.keys(set).length ? "UPDATE" : "UNCHANGED",
+        changes,
+        openingStock,
+        attributes: attrs,
+        set,
+      });
+    }
+
+    // ---- product
+    const pSet = {};
+    const pChanges = {};
+    const pDiff = (field, next, prev) => {
+      if (next === undefined) return;
+      if (existing && sameJson(next, prev)) return;
+      pSet[field] = next;
+      if (existing) pChanges[field] = { from: prev, to: next };
+    };
+    pDiff("name", name || undefined, existing?.name);
+    pDiff("brand", brand || (existing ? undefined : ""), existing?.brand || "");
+    if (category) {
+      pDiff("categoryId", String(category._id), existing?.categoryId ? String(existing.categoryId) : null);
+      pDiff("categoryName", category.name, existing?.categoryName || "");
+    }
+    // thuộc tính sản phẩm (file không có cột): product mới thiếu thuộc tính required -> lỗi,
+    // đổi category giữ giá trị có key trong định nghĩa mới
+    if (!existing || "categoryId" in pSet) {
+      const defs = await attributeDefsOf(existing ? pSet.categoryId : category?._id || null);
+      const keys = new Set(defs.map((d) => d.key));
+      const input = Object.fromEntries(
+        Object.entries(attributesToObject(existing?.attributes)).filter(([k]) => keys.has(k))
+      );
+      try {
+        const attrs = validateProductAttributes(defs, input);
+        const plain = (list) => (list || []).map(({ k, v }) => ({ k, v }));
+        pDiff("attributes", attrs.attributes, plain(existing?.attributes));
+        pDiff("attributeFacets", attrs.attributeFacets, plain(existing?.attributeFacets));
+      } catch (e) {
+        if (e?.code !== "INVALID_PRODUCT_ATTRIBUTES") throw e;
+        for (const d of e.detail) fail(list[0].row, "category_code", e.code, `${d.key}: ${d.code}`);
+      }
+    }
+
+    const options = mergeOptions(existing?.options, variantPlans.map((v) => v.attributes));
+    pDiff("options", options, mergeOptions(existing?.options, []));
+
+    plan.push({
+      row: list[0].row,
+      sku: psku,
+      productId: existing?._id || null,
+      action: !existing ? "CREATE" : Object.keys(pSet).length ? "UPDATE" : "UNCHANGED",
+      changes: pChanges,
+      set: pSet,
+      defaultVariantId: existing?.defaultVariantId || null,
+      variants: variantPlans,
+    });
+  }
+
+  const count = (list, action) => list.filter((x) => x.action === action).length;
+  const allVariants = plan.flatMap((p) => p.variants);
+  return {
+    valid: errors.length === 0,
+    summary: {
+      rows: rows.length,
+      products: { create: count(plan, "CREATE"), update: count(plan, "UPDATE"), unchanged: count(plan, "UNCHANGED") },
+      variants: {
+        create: count(allVariants, "CREATE"),
+        update: count(allVariants, "UPDATE"),
+        unchanged: count(allVariants, "UNCHANGED"),
+      },
+      openingStocks: allVariants.reduce((s, v) => s + v.openingStock.length, 0),
+      errors: errors.length,
+      warnings: warnings.length,
+    },
+    errors: errors.sort((a, b) => a.row - b.row),
+    warnings,
+    products: plan,
+  };
+}
+
+/**
+ * Bỏ phần dữ liệu ghi DB nội bộ khi trả về client
+ */
+function toPlanReport(plan) {
+  return {
+    ...plan,
+    products: plan.products.map(({ set, variants, ...p }) => ({
+      ...p,
+      variants: variants.map(({ set: _set, attributes, ...v }) => v),
+    })),
+  };
+}
+
+/**
+ * Ghi phương án import (đã kiểm tra, không còn lỗi)
+ * - product mới: như POST /api/products (giá / giá sỉ cơ bản lấy theo variant đầu tiên)
+ * - tồn đầu kỳ ghi sổ kho ADJUST (refType = ProductImport)
+ * - đổi giá variant có sẵn ghi lịch sử giá (source = IMPORT)
+ */
+async function commitImportPlan(plan, { userId = null } = {}) {
+  if (!plan.valid) throw importError("IMPORT_HAS_ERRORS", `${plan.errors.length} lỗi`);
+
+  const result = { products: { created: 0, updated: 0 }, variants: { created: 0, updated: 0 }, openingStocks: 0 };
+  const touchedProducts = [];
+  const touchedVariantProducts = [];
+
+  for (const p of plan.products) {
+    let productId = p.productId;
+    let defaultVariantId = p.defaultVariantId;
+
+    if (p.action === "CREATE") {
+      const first = p.variants[0]?.set || {};
+      const categoryId = p.set.categoryId ? new mongoose.Types.ObjectId(p.set.categoryId) : null;
+      const doc = await Product.create({
+        sku: p.sku,
+        name: p.set.name,
+        price: first.price || 0,
+        cost: first.cost || 0,
+        barcode: "",
+        brand: p.set.brand || "",
+        categoryId,
+        categoryName: p.set.categoryName || "",
+        attributes: p.set.attributes || [],
+        attributeFacets: p.set.attributeFacets || [],
+        price_tier: first.price_tier || [],
+        hasVariants: true,
+        options: p.set.options || [],
+        basePrice: first.price || 0,
+        baseTier: first.price_tier || [],
+        productType: "SINGLE",
+        isActive: true,
+        defaultVariantId: null,
+      });
+      productId = doc._id;
+      result.products.created++;
+      touchedProducts.push(productId);
+    } else if (p.action === "UPDATE") {
+      const set = { ...p.set };
+      if (set.categoryId) set.categoryId = new mongoose.Types.ObjectId(set.categoryId);
+      await Product.updateOne({ _id: productId }, { $set: set });
+      result.products.updated++;
+      touchedProducts.push(productId);
+    }
+
+    for (const v of p.variants) {
+      let variantId = v.variantId;
+
+      if (v.action === "CREATE") {
+        const isDefault = !defaultVariantId;
+        const doc = await ProductVariant.create({ productId, sku: v.sku, isDefault, ...v.set });
+        variantId = doc._id;
+        if (isDefault) {
+          defaultVariantId = doc._id;
+          await Product.updateOne({ _id: productId }, { $set: { defaultVariantId: doc._id, hasVariants: true } });
+        }
+        result.variants.created++;
+      } else if (v.action === "UPDATE") {
+        const priceBefore =
+          "price" in v.set || "price_tier" in v.set
+            ? await ProductVariant.findById(variantId).select("price price_tier").lean()
+            : null;
+        await ProductVariant.updateOne({ _id: variantId }, { $set: v.set });
+        if (priceBefore) {
+          await recordPriceChanges({
+            productId,
+            variantId,
+            before: priceBefore,
+            after: { price: v.set.price, price_tier: v.set.price_tier },
+            source: "IMPORT",
+            userId,
+          });
+        }
+        result.variants.updated++;
+      }
+      if (v.action !== "UNCHANGED" && !touchedVariantProducts.some((id) => String(id) === String(productId))) {
+        touchedVariantProducts.push(productId);
+      }
+
+      for (const s of v.openingStock) {
+        await setStockQty({
+          branchId: s.branchId,
+          variantId,
+          qty: s.qty,
+          type: "ADJUST",
+          note: "IMPORT: tồn đầu kỳ",
+          refType: "ProductImport",
+          userId,
+        });
+        result.openingStocks++;
+      }
+    }
+  }
+
+  await reindexProducts([...touchedProducts, ...touchedVariantProducts]);
+
+  for (const docId of touchedProducts) {
+    await ChangeLog.create({ branchId: null, collection: "products", docId, action: "UPSERT", version: await nextVersion() });
+  }
+  for (const docId of touchedVariantProducts) {
+    await ChangeLog.create({
+      branchId: null,
+      collection: "productvariants",
+      docId,
+      action: "UPSERT",
+      version: await nextVersion(),
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Xuất danh mục hàng đúng định dạng import (1 dòng / variant, bỏ combo)
+ * - cột tier:<code> theo TierAgency đang dùng, stock:<code> = tồn hiện tại theo chi nhánh
+ * @returns { header, rows: string|number[][] }
+ */
+async function exportProducts({ categoryId = null, brand = "" } = {}) {
+  const filter = { ...(await buildProductScopeFilter({ categoryId, brand })), productType: { $ne: "BUNDLE" } };
+  const products = await Product.find(filter).select("_id sku name brand categoryId").sort({ sku: 1 }).lean();
+
+  const [variants, tiers, branches] = await Promise.all([
+    ProductVariant.find({ productId: { $in: products.map((p) => p._id) } })
+      .sort({ isDefault: -1, sku: 1 })
+      .lean(),
+    TierAgency.find({ isActive: true }).select("_id code").sort({ level: 1, code: 1 }).lean(),
+    Branch.find({ isActive: true }).select("_id code").sort({ code: 1 }).lean(),
+  ]);
+
+  const categoryIds = products.map((p) => String(p.categoryId || "")).filter((id) => mongoose.isValidObjectId(id));
+  const categories = await Category.find({ _id: { $in: categoryIds } }).select("_id code").lean();
+  const categoryCode = new Map(categories.map((c) => [String(c._id), c.code]));
+
+  const stocks = await VariantStock.find({
+    variantId: { $in: variants.map((v) => v._id) },
+    branchId: { $in: branches.map((b) => b._id) },
+  })
+    .select("branchId variantId qty")
+    .lean();
+  const stockOf = new Map(stocks.map((s) => [`${s.branchId}:${s.variantId}`, Number(s.qty || 0)]));
+
+  const byProduct = new Map();
+  for (const v of variants) {
+    const key = String(v.productId);
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(v);
+  }
+
+  const header = [
+    ...BASE_COLUMNS,
+    ...tiers.map((t) => `${TIER_PREFIX}${t.code}`),
+    ...branches.map((b) => `${STOCK_PREFIX}${String(b.code).toUpperCase()}`),
+  ];
+
+  const rows = [];
+  for (const p of products) {
+    for (const v of byProduct.get(String(p._id)) || []) {
+      const tierPrice = new Map((v.price_tier || []).map((t) => [String(t.tierId), t.price]));
+      rows.push([
+        p.sku,
+        p.name,
+        p.brand || "",
+        categoryCode.get(String(p.categoryId || "")) || "",
+        v.sku,
+        v.name || "",
+        formatAttributes(v.attributes),
+        v.barcode || "",
+        v.baseUnit || "",
+        Number(v.price || 0),
+        Number(v.cost || 0),
+        v.isActive === false ? 0 : 1,
+        ...tiers.map((t) => (tierPrice.has(String(t._id)) ? Number(tierPrice.get(String(t._id))) : "")),
+        ...branches.map((b) => stockOf.get(`${b._id}:${v._id}`) ?? ""),
+      ]);
+    }
+  }
+
+  return { header, rows };
+}
+
+module.exports = {
+  BASE_COLUMNS,
+  parseImportFile,
+  buildImportPlan,
+  toPlanReport,
+  commitImportPlan,
+  exportProducts,
+};
@@ -0,0 +1,371 @@
+// src/services/promotion.service.js
+const mongoose = require("mongoose");
+
+const Promotion = require("../models/Promotion");
+const Product = require("../models/Product");
+const ProductVariant = require("../models/ProductVariant");
+const { getDescendantCategoryIds } = require("../utils/categoryTree");
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function moneyInt(n) {
+  return Math.round(toNum(n));
+}
+
+/**
+ * Khuyến mãi đang chạy theo kênh + chi nhánh, sắp theo priority
+ */
+async function loadActivePromotions({ channel, branchId = null, now = new Date() } = {}) {
+  const list = await Promotion.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: now } }] },
+    ],
+  })
+    .sort({ priority: 1, createdAt: 1 })
+    .lean();
+
+  return list.filter((p) => {
+    const channels = Array.isArray(p.channels) ? p.channels : [];
+    if (channels.length && channel && !channels.includes(channel)) return false;
+
+    const branchIds = (p.branchIds || []).map(String);
+    if (branchIds.length && branchId && !branchIds.includes(String(branchId))) return false;
+
+    return true;
+  });
+}
+
+/**
+ * Chuẩn hoá scope -> Set để so khớp nhanh
+ */
+async function compileScope(scope, categoryCache) {
+  const s = scope || {};
+  const compiled = {
+    variantIds: new Set((s.variantIds || []).map(String)),
+    productIds: new Set((s.productIds || []).map(String)),
+    categoryIds: new Set(await getDescendantCategoryIds(s.categoryIds || [], { cache: categoryCache })),
+    brands: new Set((s.brands || []).map((b) => String(b).trim().toLowerCase()).filter(Boolean)),
+  };
+  compiled.isAll =
+    !compiled.variantIds.size && !compiled.productIds.size && !compiled.categoryIds.size && !compiled.brands.size;
+  return compiled;
+}
+
+function lineInScope(line, scope, productMap) {
+  if (scope.isAll) return true;
+  if (scope.variantIds.has(String(line.variantId))) return true;
+  if (scope.productIds.has(String(line.productId))) return true;
+
+  const p = productMap.get(String(line.productId));
+  if (!p) return false;
+  if (p.categoryId && scope.categoryIds.has(String(p.categoryId))) return true;
+  if (p.brand && scope.brands.has(String(p.brand).trim().toLowerCase())) return true;
+  return false;
+}
+
+/**
+ * Ghi nhận 1 khoản giảm lên dòng hàng
+ */
+function addLineDiscount(line, promo, qty, amount) {
+  const amt = moneyInt(amount);
+  if (amt <= 0 && !line.isGift) return;
+
+  line.promotions.push({
+    promotionId: promo._id,
+    code: promo.code,
+    name: promo.name,
+    type: promo.type,
+    qty,
+    amount: amt,
+  });
+  line.promotionDiscount = moneyInt(line.promotionDiscount + amt);
+}
+
+/**
+ * Chia amount theo tỉ lệ weights (dòng cuối nhận phần dư)
+ */
+function splitByWeight(amount, weights) {
+  const total = weights.reduce((s, w) => s + w, 0);
+  if (total <= 0) return weights.map(() => 0);
+
+  let used = 0;
+  return weights.map((w, i) => {
+    if (i === weights.length - 1) return amount - used;
+    const part = Math.floor((amount * w) / total);
+    used += part;
+    return part;
+  });
+}
+
+// ===============================
+// Rule handlers: trả về { amount, giftQty, consumed: Map<lineIdx, qty> }
+// ===============================
+
+function applyBuyXGetY({ promo, lines, avail, eligible }) {
+  const buyQty = Math.max(1, toNum(promo.buyQty));
+  const getQty = Math.max(1, toNum(promo.getQty));
+  const maxApps = promo.maxApplications != null ? toNum(promo.maxApplications) : Infinity;
+
+  // các đơn vị hàng còn trống trong scope, đắt -> rẻ
+  const units = [];
+  for (const i of eligible) {
+    for (let k = 0; k < avail[i]; k++) units.push({ i, price: toNum(lines[i].price) });
+  }
+  units.sort((a, b) => b.price - a.price);
+
+  // Quà là sp khác -> chỉ cần đủ buyQty
+  if (promo.giftVariantId) {
+    const groups = Math.min(Math.floor(units.length / buyQty), maxApps);
+    if (groups <= 0) return null;
+
+    const consumed = new Map();
+    for (const u of units.slice(0, groups * buyQty)) consumed.set(u.i, (consumed.get(u.i) || 0) + 1);
+    return { amount: 0, giftQty: groups * getQty, consumed, discounts: [] };
+  }
+
+  // Tặng chính sp trong scope: sp rẻ nhất được giảm
+  const groups = Math.min(Math.floor(units.length / (buyQty + getQty)), maxApps);
+  if (groups <= 0) return null;
+
+  const paid = units.slice(0, groups * buyQty);
+  const free = units.slice(units.length - groups * getQty);
+  const pct = Math.min(100, toNum(promo.getDiscountPercent));
+
+  const consumed = new Map();
+  const perLine = new Map();
+  for (const u of paid) consumed.set(u.i, (consumed.get(u.i) || 0) + 1);
+  for (const u of free) {
+    consumed.set(u.i, (consumed.get(u.i) || 0) + 1);
+    const cur = perLine.get(u.i) || { qty: 0, amount: 0 };
+    cur.qty += 1;
+    cur.amount += (u.price * pct) / 100;
+    perLine.set(u.i, cur);
+  }
+
+  const discounts = [...perLine.entries()].map(([i, x]) => ({ i, qty: x.qty, amount: moneyInt(x.amount) }));
+  return { amount: discounts.reduce((s, d) => s + d.amount, 0), giftQty: 0, consumed, discounts };
+}
+
+function applyBundle({ promo, lines, avail }) {
+  const comps = (promo.bundleItems || []).filter((b) => b.variantId && toNum(b.qty) > 0);
+  if (!comps.length) return null;
+
+  const maxApps = promo.maxApplications != null ? toNum(promo.maxApplications) : Infinity;
+
+  // số combo = min(SL còn trống / SL cần) của từng thành phần
+  const compLines = comps.map((b) => ({
+    need: toNum(b.qty),
+    idx: lines
+      .map((l, i) => i)
+      .filter((i) => String(lines[i].variantId) === String(b.variantId) && avail[i] > 0),
+  }));
+
+  let sets = maxApps;
+  for (const c of compLines) {
+    const have = c.idx.reduce((s, i) => s + avail[i], 0);
+    sets = Math.min(sets, Math.floor(have / c.need));
+  }
+  if (!Number.isFinite(sets) || sets <= 0) return null;
+
+  const consumed = new Map();
+  const picked = []; // { i, qty, value }
+  for (const c of compLines) {
+    let left = c.need * sets;
+    for (const i of c.idx) {
+      if (left <= 0) break;
+      const take = Math.min(left, avail[i] - (consumed.get(i) || 0));
+      if (take <= 0) continue;
+      consumed.set(i, (consumed.get(i) || 0) + take);
+      picked.push({ i, qty: take, value: take * toNum(lines[i].price) });
+      left -= take;
+    }
+  }
+
+  const normal = picked.reduce((s, p) => s + p.value, 0);
+  const amount = Math.max(0, moneyInt(normal - toNum(promo.bundlePrice) * sets));
+  if (amount <= 0) return null;
+
+  const parts = splitByWeight(amount, picked.map((p) => p.value));
+  const discounts = picked.map((p, k) => ({ i: p.i, qty: p.qty, amount: parts[k] }));
+  return { amount, giftQty: 0, consumed, discounts };
+}
+
+function applyQtyBreak({ promo, lines, avail, eligible }) {
+  const totalQty = eligible.reduce((s, i) => s + avail[i], 0);
+  const tier = [...(promo.qtyBreaks || [])]
+    .sort((a, b) => toNum(b.minQty) - toNum(a.minQty))
+    .find((t) => totalQty >= toNum(t.minQty));
+  if (!tier) return null;
+
+  const pct = Math.min(100, toNum(tier.discountPercent));
+  const consumed = new Map();
+  const discounts = [];
+  for (const i of eligible) {
+    if (avail[i] <= 0) continue;
+    consumed.set(i, avail[i]);
+    discounts.push({ i, qty: avail[i], amount: moneyInt((avail[i] * toNum(lines[i].price) * pct) / 100) });
+  }
+
+  return { amount: discounts.reduce((s, d) => s + d.amount, 0), giftQty: 0, consumed, discounts };
+}
+
+async function buildGiftLine(promo, qty) {
+  const v = await ProductVariant.findById(promo.giftVariantId)
+    .select("_id productId sku name price attributes isActive")
+    .lean();
+  if (!v || !v.isActive) return null;
+
+  const originalPrice = moneyInt(v.price);
+  return {
+    variantId: v._id,
+    productId: v.productId,
+    sku: v.sku || "",
+    name: v.name || "",
+    attributes: v.attributes || [],
+    qty,
+    price: 0,
+    total: 0,
+
+    flashSaleId: null,
+    isFlashSale: false,
+
+    originalPrice,
+    discountPercent: 100,
+    discountAmount: originalPrice,
+
+    isGift: true,
+    promotionDiscount: 0,
+    promotions: [
+      {
+        promotionId: promo._id,
+        code: promo.code,
+        name: promo.name,
+        type: promo.type,
+        qty,
+        amount: 0,
+      },
+    ],
+  };
+}
+
+/**
+ * ===============================
+ * Chạy khuyến mãi trên các dòng hàng (sau khi đã có giá flash sale / giá sỉ)
+ * ===============================
+ * - Mutate items: promotionDiscount, promotions[], total = qty*price - promotionDiscount
+ * - Thêm dòng quà tặng (isGift, price 0) vào cuối
+ * @returns { items, promotionDiscount, applied: [{ promotionId, code, name, type, amount, giftQty }] }
+ */
+async function applyPromotions(items, { channel, branchId = null, promotions = null } = {}) {
+  const lines = (items || []).filter((it) => !it.isGift);
+  for (const l of lines) {
+    l.promotionDiscount = 0;
+    l.promotions = [];
+    l.total = moneyInt(toNum(l.qty) * toNum(l.price));
+  }
+
+  const promos = promotions || (await loadActivePromotions({ channel, branchId }));
+  if (!lines.length || !promos.length) return { items: lines, promotionDiscount: 0, applied: [] };
+
+  const productIds = [...new Set(lines.map((l) => String(l.productId || "")).filter((id) => mongoose.isValidObjectId(id)))];
+  const products = await Product.find({ _id: { $in: productIds } }).select("_id brand categoryId").lean();
+  const productMap = new Map(products.map((p) => [String(p._id), p]));
+
+  const categoryCache = new Map();
+  const avail = lines.map((l) => toNum(l.qty));
+  const applied = [];
+  const gifts = [];
+
+  for (const promo of promos) {
+    const scope = await compileScope(promo.scope, categoryCache);
+    const eligible = lines
+      .map((l, i) => i)
+      .filter((i) => avail[i] > 0)
+      .filter((i) => promo.applyToFlashSale || !lines[i].isFlashSale)
+      .filter((i) => lineInScope(lines[i], scope, productMap));
+
+    let r = null;
+    if (promo.type === "BUY_X_GET_Y") r = applyBuyXGetY({ promo, lines, avail, eligible });
+    if (promo.type === "BUNDLE") {
+      const allowed = new Set(eligible);
+      const masked = avail.map((q, i) => (allowed.has(i) ? q : 0));
+      r = applyBundle({ promo, lines, avail: masked });
+    }
+    if (promo.type === "QTY_BREAK") r = applyQtyBreak({ promo, lines, avail, eligible });
+    if (!r) continue;
+
+    let giftLine = null;
+    if (r.giftQty > 0) {
+      giftLine = await buildGiftLine(promo, r.giftQty);
+      if (!giftLine) continue; // quà hết bán -> bỏ qua khuyến mãi
+    }
+
+    if (r.amount <= 0 && !giftLine) continue;
+
+    for (const [i, q] of r.consumed.entries()) avail[i] = Math.max(0, avail[i] - q);
+    for (const d of r.discounts) addLineDiscount(lines[d.i], promo, d.qty, d.amount);
+    if (giftLine) gifts.push(giftLine);
+
+    applied.push({
+      promotionId: promo._id,
+      code: promo.code,
+      name: promo.name,
+      type: promo.type,
+      amount: r.amount,
+      giftQty: r.giftQty,
+    });
+  }
+
+  for (const l of lines) {
+    l.total = Math.max(0, moneyInt(toNum(l.qty) * toNum(l.price) - l.promotionDiscount));
+  }
+
+  const out = [...lines, ...gifts];
+  if (Array.isArray(items)) items.splice(0, items.length, ...out);
+
+  return {
+    items: items || out,
+    promotionDiscount: applied.reduce((s, a) => s + a.amount, 0),
+    applied,
+  };
+}
+
+/**
+ * Gom khuyến mãi từ các dòng hàng -> summary cấp đơn (appliedPromotions)
+ */
+function summarizePromotions(items) {
+  const map = new Map();
+  for (const it of items || []) {
+    for (const p of it.promotions || []) {
+      const key = String(p.promotionId || p.code);
+      const cur = map.get(key) || {
+        promotionId: p.promotionId,
+        code: p.code,
+        name: p.name,
+        type: p.type,
+        amount: 0,
+        giftQty: 0,
+      };
+      cur.amount += toNum(p.amount);
+      if (it.isGift) cur.giftQty += toNum(p.qty);
+      map.set(key, cur);
+    }
+  }
+
+  const appliedPromotions = [...map.values()];
+  return {
+    promotionDiscount: appliedPromotions.reduce((s, a) => s + a.amount, 0),
+    appliedPromotions,
+  };
+}
+
+module.exports = {
+  loadActivePromotions,
+  applyPromotions,
+  summarizePromotions,
+};
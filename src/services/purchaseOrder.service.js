@@ -0,0 +1,219 @@
+// src/services/purchaseOrder.service.js
+const mongoose = require("mongoose");
+
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Supplier = require("../models/Supplier");
+const Branch = require("../models/Branch");
+const Product = require("../models/Product");
+const ProductVariant = require("../models/ProductVariant");
+const { genReceiptCode } = require("../utils/code");
+
+const RECEIVABLE_STATUSES = ["ORDERED", "PARTIALLY_RECEIVED"];
+
+function moneyInt(n) {
+  const x = Number(n || 0);
+  if (!Number.isFinite(x)) return 0;
+  return Math.round(x);
+}
+
+function poError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+/**
+ * Snapshot dòng PO: [{ variantId, qty, cost? }] (cost rỗng -> giá vốn variant)
+ * Dòng trùng variant được gộp
+ */
+async function buildPurchaseOrderItems(itemsIn) {
+  const merged = new Map();
+  for (const it of itemsIn || []) {
+    if (!mongoose.isValidObjectId(String(it.variantId || ""))) {
+      throw poError("INVALID_VARIANT_ID", `variantId=${it.variantId}`);
+    }
+    const key = String(it.variantId);
+    const cur = merged.get(key) || { variantId: key, qty: 0, cost: undefined };
+    cur.qty += moneyInt(it.qty);
+    if (it.cost !== undefined && it.cost !== null) cur.cost = moneyInt(it.cost);
+    merged.set(key, cur);
+  }
+
+  const variants = await ProductVariant.find({ _id: { $in: [...merged.keys()] } })
+    .select("_id productId sku name attributes cost")
+    .lean();
+  const vMap = new Map(variants.map((v) => [String(v._id), v]));
+
+  const products = await Product.find({ _id: { $in: variants.map((v) => v.productId) } })
+    .select("_id sku name cost")
+    .lean();
+  const pMap = new Map(products.map((p) => [String(p._id), p]));
+
+  const items = [];
+  for (const m of merged.values()) {
+    const v = vMap.get(m.variantId);
+    if (!v) throw poError("VARIANT_NOT_FOUND", `variantId=${m.variantId}`);
+    if (m.qty <= 0) throw poError("INVALID_QTY", `variantId=${m.variantId}`);
+
+    const p = pMap.get(String(v.productId));
+    const cost = m.cost !== undefined ? m.cost : moneyInt(v.cost || p?.cost || 0);
+
+    items.push({
+      productId: v.productId,
+      variantId: v._id,
+      sku: String(p?.sku || ""),
+      name: String(p?.name || v.name || ""),
+      variantSku: String(v.sku || ""),
+      variantName: String(v.name || ""),
+      attributes: Array.isArray(v.attributes) ? v.attributes : [],
+      qty: m.qty,
+      cost,
+      total: moneyInt(m.qty * cost),
+      receivedQty: 0,
+    });
+  }
+
+  return items;
+}
+
+function calcSubtotal(items) {
+  return moneyInt((items || []).reduce((s, it) => s + Number(it.total || 0), 0));
+}
+
+/**
+ * SL còn phải nhận theo variant (chỉ dòng còn thiếu)
+ * @returns Map<variantId, { line, outstanding }>
+ */
+function getOutstandingMap(po) {
+  const map = new Map();
+  for (const line of po.items || []) {
+    const outstanding = Math.max(0, Number(line.qty || 0) - Number(line.receivedQty || 0));
+    if (outstanding > 0) map.set(String(line.variantId), { line, outstanding });
+  }
+  return map;
+}
+
+function recalcPurchaseOrderStatus(po) {
+  if (!RECEIVABLE_STATUSES.includes(po.status)) return po.status;
+
+  const anyReceived = (po.items || []).some((l) => Number(l.receivedQty || 0) > 0);
+  const allReceived = (po.items || []).every((l) => Number(l.receivedQty || 0) >= Number(l.qty || 0));
+
+  po.status = allReceived ? "RECEIVED" : anyReceived ? "PARTIALLY_RECEIVED" : "ORDERED";
+  return po.status;
+}
+
+/**
+ * Tạo PO nháp (dùng chung cho API và gợi ý đặt hàng)
+ */
+async function createPurchaseOrderDraft({ supplierId, branchId, items, expectedDate = null, note = "", source = "", userId = null }) {
+  if (!mongoose.isValidObjectId(String(supplierId || ""))) throw poError("INVALID_SUPPLIER_ID");
+  if (!mongoose.isValidObjectId(String(branchId || ""))) throw poError("INVALID_BRANCH_ID");
+
+  const [supplier, branch] = await Promise.all([
+    Supplier.findById(supplierId).lean(),
+    Branch.findById(branchId).select("_id").lean(),
+  ]);
+  if (!supplier) throw poError("SUPPLIER_NOT_FOUND");
+  if (supplier.isActive === false) throw poError("SUPPLIER_INACTIVE");
+  if (!branch) throw poError("BRANCH_NOT_FOUND");
+
+  const poItems = await buildPurchaseOrderItems(items);
+  if (!poItems.length) throw poError("ITEMS_REQUIRED");
+
+  return PurchaseOrder.create({
+    code: genReceiptCode("PO"),
+    supplierId: supplier._id,
+    supplier: { code: supplier.code, name: supplier.name, phone: supplier.phone || "" },
+    branchId,
+    status: "DRAFT",
+    items: poItems,
+    subtotal: calcSubtotal(poItems),
+    expectedDate,
+    note,
+    source,
+    createdById: userId,
+  });
+}
+
+/**
+ * Dòng phiếu nhập lập theo PO
+ * - itemsIn rỗng -> nhận toàn bộ phần còn thiếu
+ * - itemsIn: [{ variantId, qty, cost?, lotNo?, expiryDate? }] (cost rỗng -> giá PO)
+ * @returns [{ productId, variantId, qty, cost, lotNo, expiryDate }]
+ */
+function buildReceiptLinesFromPurchaseOrder(po, itemsIn) {
+  if (!RECEIVABLE_STATUSES.includes(po.status)) {
+    throw poError("PO_NOT_RECEIVABLE", `PO ${po.code} status=${po.status}`);
+  }
+
+  const outstanding = getOutstandingMap(po);
+
+  if (!(itemsIn || []).length) {
+    return [...outstanding.values()].map(({ line, outstanding: qty }) => ({
+      productId: String(line.productId),
+      variantId: String(line.variantId),
+      qty,
+      cost: line.cost,
+    }));
+  }
+
+  const want = new Map();
+  for (const it of itemsIn) {
+    const key = String(it.variantId || "");
+    const o = outstanding.get(key);
+    if (!o) throw poError("PO_LINE_NOT_FOUND", `variantId=${key} không có / đã nhận đủ trong PO ${po.code}`);
+
+    want.set(key, (want.get(key) || 0) + Number(it.qty || 0));
+    if (want.get(key) > o.outstanding) {
+      throw poError("PO_OVER_RECEIVE", `${o.line.variantSku || o.line.sku}: còn ${o.outstanding}, nhận ${want.get(key)}`);
+    }
+  }
+
+  return itemsIn.map((it) => {
+    const { line } = outstanding.get(String(it.variantId));
+    return {
+      ...it,
+      productId: String(line.productId),
+      variantId: String(line.variantId),
+      cost: it.cost !== undefined && it.cost !== null ? it.cost : line.cost,
+    };
+  });
+}
+
+/**
+ * Phiếu nhập CONFIRMED -> cộng receivedQty vào PO + cập nhật trạng thái
+ * Kiểm tra trước khi cộng kho: PO phải còn nhận được và không vượt SL còn thiếu
+ */
+async function applyReceiptToPurchaseOrder(receipt) {
+  if (!receipt.purchaseOrderId) return null;
+
+  const po = await PurchaseOrder.findById(receipt.purchaseOrderId);
+  if (!po) throw poError("PO_NOT_FOUND");
+
+  buildReceiptLinesFromPurchaseOrder(
+    po,
+    (receipt.items || []).map((it) => ({ variantId: it.variantId, qty: it.qty }))
+  );
+
+  for (const it of receipt.items || []) {
+    const line = po.items.find((l) => String(l.variantId) === String(it.variantId));
+    line.receivedQty = Number(line.receivedQty || 0) + Number(it.qty || 0);
+  }
+
+  recalcPurchaseOrderStatus(po);
+  await po.save();
+  return po;
+}
+
+module.exports = {
+  RECEIVABLE_STATUSES,
+  buildPurchaseOrderItems,
+  calcSubtotal,
+  getOutstandingMap,
+  recalcPurchaseOrderStatus,
+  createPurchaseOrderDraft,
+  buildReceiptLinesFromPurchaseOrder,
+  applyReceiptToPurchaseOrder,
+};
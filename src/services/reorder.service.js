@@ -0,0 +1,252 @@
+// src/services/reorder.service.js
+const mongoose = require("mongoose");
+
+const VariantStock = require("../models/VariantStock");
+const ProductVariant = require("../models/ProductVariant");
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const PurchaseOrder = require("../models/PurchaseOrder");
+const Supplier = require("../models/Supplier");
+const { getUnitCostMap } = require("./costing.service");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SOLD_STATUSES = ["CONFIRM", "DEBT", "SHIPPED"];
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function toObjId(v) {
+  return new mongoose.Types.ObjectId(String(v));
+}
+
+/**
+ * Báo thiếu hàng khi khả dụng (qty - reserved) vượt xuống reorderPoint
+ * - chỉ emit 1 lần / lần vượt ngưỡng (lowStockAlertedAt), tồn lên lại -> reset
+ * - pairs: [{ branchId, variantId }] (VD: stockAllocations)
+ */
+async function notifyLowStock(io, pairs) {
+  const seen = new Set();
+  const alerts = [];
+
+  for (const p of pairs || []) {
+    if (!p?.branchId || !p?.variantId) continue;
+    const key = `${p.branchId}:${p.variantId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const st = await VariantStock.findOne({ branchId: p.branchId, variantId: p.variantId })
+      .select("qty reserved reorderPoint reorderTarget lowStockAlertedAt")
+      .lean();
+    if (!st || st.reorderPoint == null) continue;
+
+    const available = toNum(st.qty) - toNum(st.reserved);
+
+    if (available > toNum(st.reorderPoint)) {
+      if (st.lowStockAlertedAt) {
+        await VariantStock.updateOne({ _id: st._id }, { $set: { lowStockAlertedAt: null } });
+      }
+      continue;
+    }
+
+    // chỉ 1 request set được cờ -> không báo trùng
+    const flagged = await VariantStock.updateOne(
+      { _id: st._id, lowStockAlertedAt: null },
+      { $set: { lowStockAlertedAt: new Date() } }
+    );
+    if (!flagged.modifiedCount) continue;
+
+    alerts.push({ branchId: String(p.branchId), variantId: String(p.variantId), available, st });
+  }
+
+  if (!alerts.length) return [];
+
+  const variants = await ProductVariant.find({ _id: { $in: alerts.map((a) => a.variantId) } })
+    .select("_id sku name")
+    .lean();
+  const vMap = new Map(variants.map((v) => [String(v._id), v]));
+
+  for (const a of alerts) {
+    const v = vMap.get(a.variantId);
+    io?.to(`branch:${a.branchId}`).emit("lowStock", {
+      branchId: a.branchId,
+      variantId: a.variantId,
+      sku: v?.sku || "",
+      name: v?.name || "",
+      qty: toNum(a.st.qty),
+      reserved: toNum(a.st.reserved),
+      available: a.available,
+      reorderPoint: a.st.reorderPoint,
+      reorderTarget: a.st.reorderTarget,
+    });
+  }
+
+  return alerts.map(({ st, ...a }) => a);
+}
+
+/**
+ * SL bán theo variant tại chi nhánh trong N ngày (theo stockAllocations - kho thực xuất)
+ */
+async function getSalesVelocityMap(branchId, days, now = new Date()) {
+  const since = new Date(now.getTime() - days * DAY_MS);
+  const rows = await Order.aggregate([
+    {
+      $match: {
+        status: { $in: SOLD_STATUSES },
+        confirmedAt: { $gte: since },
+        "stockAllocations.branchId": toObjId(branchId),
+      },
+    },
+    { $unwind: "$stockAllocations" },
+    { $match: { "stockAllocations.branchId": toObjId(branchId) } },
+    { $group: { _id: "$stockAllocations.variantId", soldQty: { $sum: "$stockAllocations.qty" } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), toNum(r.soldQty)]));
+}
+
+/**
+ * Hàng đang về: phần còn thiếu của PO đã đặt cho chi nhánh
+ */
+async function getIncomingMap(branchId) {
+  const pos = await PurchaseOrder.find({ branchId, status: { $in: ["ORDERED", "PARTIALLY_RECEIVED"] } })
+    .select("items.variantId items.qty items.receivedQty")
+    .lean();
+
+  const map = new Map();
+  for (const po of pos) {
+    for (const l of po.items || []) {
+      const out = Math.max(0, toNum(l.qty) - toNum(l.receivedQty));
+      if (out > 0) map.set(String(l.variantId), (map.get(String(l.variantId)) || 0) + out);
+    }
+  }
+  return map;
+}
+
+/**
+ * NCC ưu tiên theo variant = NCC của PO gần nhất có variant đó
+ */
+async function getPreferredSupplierMap(variantIds) {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { "items.variantId": { $in: variantIds.map(toObjId) }, status: { $ne: "CANCELLED" } } },
+    { $sort: { createdAt: -1 } },
+    { $unwind: "$items" },
+    { $match: { "items.variantId": { $in: variantIds.map(toObjId) } } },
+    { $group: { _id: "$items.variantId", supplierId: { $first: "$supplierId" }, lastCost: { $first: "$items.cost" } } },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), { supplierId: String(r.supplierId), lastCost: toNum(r.lastCost) }]));
+}
+
+/**
+ * Gợi ý đặt hàng cho 1 chi nhánh
+ * - velocity: SL bán / ngày trong `days` ngày gần nhất
+ * - định mức: reorderPoint/reorderTarget đã cài, chưa cài -> suy ra từ velocity:
+ *     point  = velocity * (leadTime + safetyDays)
+ *     target = point + velocity * coverDays
+ * - gợi ý khi (khả dụng + đang về) <= point, SL = target - (khả dụng + đang về)
+ */
+async function computeReorderSuggestions({
+  branchId,
+  days = 30,
+  safetyDays = 7,
+  coverDays = 30,
+  supplierId = null,
+  variantIds = null,
+  onlyBelow = true,
+}) {
+  const [velocity, incoming] = await Promise.all([getSalesVelocityMap(branchId, days), getIncomingMap(branchId)]);
+
+  const stFilter = { branchId };
+  if (variantIds) stFilter.variantId = { $in: variantIds };
+  const stocks = await VariantStock.find(stFilter)
+    .select("variantId qty reserved reorderPoint reorderTarget")
+    .lean();
+  const stMap = new Map(stocks.map((s) => [String(s.variantId), s]));
+
+  // ứng viên: có định mức hoặc có bán trong kỳ
+  let ids = [
+    ...new Set([
+      ...stocks.filter((s) => s.reorderPoint != null).map((s) => String(s.variantId)),
+      ...velocity.keys(),
+    ]),
+  ];
+  if (variantIds) {
+    const allow = new Set(variantIds.map(String));
+    ids = ids.filter((id) => allow.has(id));
+  }
+  if (!ids.length) return [];
+
+  const preferred = await getPreferredSupplierMap(ids);
+  if (supplierId) ids = ids.filter((id) => preferred.get(id)?.supplierId === String(supplierId));
+  if (!ids.length) return [];
+
+  const supplierIds = [...new Set(ids.map((id) => preferred.get(id)?.supplierId).filter(Boolean))];
+  const [suppliers, variants, costMap] = await Promise.all([
+    Supplier.find({ _id: { $in: supplierIds } }).select("_id code name leadTimeDays").lean(),
+    ProductVariant.find({ _id: { $in: ids }, isActive: { $ne: false } }).select("_id productId sku name").lean(),
+    getUnitCostMap(ids, branchId),
+  ]);
+  const sMap = new Map(suppliers.map((s) => [String(s._id), s]));
+
+  const products = await Product.find({ _id: { $in: variants.map((v) => v.productId) } }).select("_id name").lean();
+  const pMap = new Map(products.map((p) => [String(p._id), p]));
+
+  const out = [];
+  for (const v of variants) {
+    const id = String(v._id);
+    const st = stMap.get(id);
+    const pref = preferred.get(id);
+    const supplier = pref ? sMap.get(pref.supplierId) : null;
+
+    const leadTimeDays = supplier ? toNum(supplier.leadTimeDays) : DEFAULT_LEAD_TIME_DAYS;
+    const soldQty = velocity.get(id) || 0;
+    const dailyVelocity = soldQty / Math.max(1, days);
+
+    const configured = st?.reorderPoint != null;
+    const reorderPoint = configured
+      ? toNum(st.reorderPoint)
+      : Math.ceil(dailyVelocity * (leadTimeDays + safetyDays));
+    const reorderTarget = configured
+      ? Math.max(toNum(st.reorderTarget), reorderPoint)
+      : Math.ceil(reorderPoint + dailyVelocity * coverDays);
+
+    const available = toNum(st?.qty) - toNum(st?.reserved);
+    const incomingQty = incoming.get(id) || 0;
+    const position = available + incomingQty;
+    const below = position <= reorderPoint;
+    const suggestQty = below ? Math.max(0, reorderTarget - position) : 0;
+
+    if (onlyBelow && suggestQty <= 0) continue;
+
+    out.push({
+      variantId: v._id,
+      productId: v.productId,
+      sku: v.sku || "",
+      name: v.name || pMap.get(String(v.productId))?.name || "",
+      qty: toNum(st?.qty),
+      reserved: toNum(st?.reserved),
+      available,
+      incomingQty,
+      soldQty,
+      dailyVelocity: Math.round(dailyVelocity * 100) / 100,
+      daysOfCover: dailyVelocity > 0 ? Math.floor(Math.max(0, available) / dailyVelocity) : null,
+      leadTimeDays,
+      reorderPoint,
+      reorderTarget,
+      configured,
+      suggestQty,
+      unitCost: Math.round(pref?.lastCost || costMap.get(id) || 0),
+      supplierId: supplier?._id || null,
+      supplier: supplier ? { code: supplier.code, name: supplier.name } : null,
+    });
+  }
+
+  return out.sort((a, b) => (a.daysOfCover ?? Infinity) - (b.daysOfCover ?? Infinity));
+}
+
+module.exports = {
+  notifyLowStock,
+  getSalesVelocityMap,
+  computeReorderSuggestions,
+};
@@ -0,0 +1,209 @@
+// src/services/reservation.service.js
+const VariantStock = require("../models/VariantStock");
+const Branch = require("../models/Branch");
+const Order = require("../models/Order");
+const { getFulfillmentConfig, planFulfillment } = require("./fulfillment.service");
+const { getBundleMap, expandBundleLines, bundleAvailability } = require("./bundle.service");
+
+const DEFAULT_TTL_MINUTES = 60;
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+/**
+ * Gộp SL theo variant (1 variant có thể có nhiều dòng, vd dòng quà tặng)
+ */
+function groupQtyByVariant(items) {
+  const map = new Map();
+  for (const it of items || []) {
+    const vid = String(it.variantId || "");
+    if (!vid) continue;
+    map.set(vid, (map.get(vid) || 0) + toNum(it.qty));
+  }
+  return [...map.entries()].filter(([, qty]) => qty > 0).map(([variantId, qty]) => ({ variantId, qty }));
+}
+
+async function getReservationTtlMinutes(branchId) {
+  const b = await Branch.findById(branchId).select("onlineConfig").lean();
+  const ttl = b?.onlineConfig?.reservationTtlMinutes;
+  return ttl == null ? DEFAULT_TTL_MINUTES : Math.max(0, toNum(ttl));
+}
+
+/**
+ * Nhả reserved (không để âm)
+ */
+async function decReserved(branchId, variantId, qty) {
+  await VariantStock.updateOne({ branchId, variantId }, [
+    { $set: { reserved: { $max: [0, { $subtract: [{ $ifNull: ["$reserved", 0] }, qty] }] } } },
+  ]);
+}
+
+/**
+ * Giữ hàng cho đơn online: reserved += qty nếu (qty - reserved) đủ
+ * - branchId chỉ định -> giữ tại 1 chi nhánh; không -> theo phương án xuất kho online (fulfillment.service)
+ * - Combo -> giữ các variant thành phần
+ * - Thiếu hàng -> rollback phần đã giữ, throw OUT_OF_STOCK kèm shortages
+ * @returns reservation snapshot (gán vào order.reservation)
+ */
+async function reserveStock({ items: itemsIn, branchId = null }) {
+  const items = await expandBundleLines(itemsIn);
+  const plan = branchId
+    ? {
+        mainBranchId: String(branchId),
+        allocations: groupQtyByVariant(items).map((l) => ({ branchId: String(branchId), ...l })),
+        shortages: [],
+      }
+    : await planFulfillment({ items });
+
+  if (plan.shortages.length) {
+    const err = new Error("OUT_OF_STOCK");
+    err.code = "OUT_OF_STOCK";
+    err.shortages = plan.shortages.map(({ variantId, requested, available }) => ({ variantId, requested, available }));
+    throw err;
+  }
+
+  const done = [];
+  const shortages = [];
+
+  for (const l of plan.allocations) {
+    const st = await VariantStock.findOneAndUpdate(
+      {
+        branchId: l.branchId,
+        variantId: l.variantId,
+        $expr: { $gte: [{ $subtract: ["$qty", { $ifNull: ["$reserved", 0] }] }, l.qty] },
+      },
+      { $inc: { reserved: l.qty } },
+      { new: true }
+    ).lean();
+
+    if (!st) {
+      const cur = await VariantStock.findOne({ branchId: l.branchId, variantId: l.variantId }).select("qty reserved").lean();
+      shortages.push({
+        variantId: l.variantId,
+        requested: l.qty,
+        available: Math.max(0, toNum(cur?.qty) - toNum(cur?.reserved)),
+      });
+      continue;
+    }
+
+    done.push(l);
+  }
+
+  if (shortages.length) {
+    for (const l of done) await decReserved(l.branchId, l.variantId, l.qty);
+
+    const err = new Error("OUT_OF_STOCK");
+    err.code = "OUT_OF_STOCK";
+    err.shortages = shortages;
+    throw err;
+  }
+
+  const ttl = await getReservationTtlMinutes(plan.mainBranchId);
+  const now = new Date();
+
+  return {
+    branchId: plan.allocations[0]?.branchId || plan.mainBranchId,
+    items: plan.allocations.map((l) => ({ variantId: l.variantId, qty: l.qty, branchId: l.branchId })),
+    status: "ACTIVE",
+    reservedAt: now,
+    expiresAt: ttl > 0 ? new Date(now.getTime() + ttl * 60 * 1000) : null,
+    releasedAt: null,
+    releaseReason: "",
+    convertedAt: null,
+  };
+}
+
+/**
+ * Nhả giữ hàng (huỷ đơn / hết hạn). Caller save order.
+ */
+async function releaseReservation(order, reason = "CANCELLED") {
+  const r = order?.reservation;
+  if (!r || r.status !== "ACTIVE") return false;
+
+  for (const it of r.items || []) await decReserved(it.branchId || r.branchId, it.variantId, toNum(it.qty));
+
+  r.status = "RELEASED";
+  r.releasedAt = new Date();
+  r.releaseReason = reason;
+  return true;
+}
+
+/**
+ * Confirm đơn: bỏ reserved, phần trừ qty do luồng confirm thực hiện. Caller save order.
+ */
+async function convertReservation(order) {
+  const r = order?.reservation;
+  if (!r || r.status !== "ACTIVE") return false;
+
+  for (const it of r.items || []) await decReserved(it.branchId || r.branchId, it.variantId, toNum(it.qty));
+
+  r.status = "CONVERTED";
+  r.convertedAt = new Date();
+  return true;
+}
+
+/**
+ * Job: nhả giữ hàng quá hạn (đơn vẫn PENDING, staff vẫn confirm được nếu còn hàng)
+ */
+async function releaseExpiredReservations(now = new Date()) {
+  const orders = await Order.find({
+    "reservation.status": "ACTIVE",
+    "reservation.expiresAt": { $ne: null, $lte: now },
+  }).limit(200);
+
+  for (const order of orders) {
+    if (await releaseReservation(order, "EXPIRED")) await order.save();
+  }
+
+  return orders.length;
+}
+
+/**
+ * available = qty - reserved theo variant
+ * - branchId chỉ định -> 1 chi nhánh; không -> cộng các chi nhánh xuất kho online (theo cấu hình fulfillment)
+ * - combo: suy ra từ khả dụng thành phần (reserved = 0)
+ * @returns Map<variantId, { qty, reserved, available }>
+ */
+async function getAvailabilityMap(variantIds, branchId = null) {
+  const map = new Map();
+  if (!(variantIds || []).length) return map;
+
+  const branchIds = branchId ? [String(branchId)] : (await getFulfillmentConfig()).branchIds;
+  if (!branchIds.length) return map;
+
+  const bundleMap = await getBundleMap(variantIds);
+  const compIds = [...bundleMap.values()].flatMap((comps) => comps.map((c) => String(c.variantId)));
+  const ids = [...new Set([...variantIds.map(String), ...compIds])];
+
+  const stocks = await VariantStock.find({ branchId: { $in: branchIds }, variantId: { $in: ids } })
+    .select("variantId qty reserved")
+    .lean();
+
+  for (const s of stocks) {
+    const qty = toNum(s.qty);
+    const reserved = toNum(s.reserved);
+    const cur = map.get(String(s.variantId)) || { qty: 0, reserved: 0, available: 0 };
+    cur.qty += qty;
+    cur.reserved += reserved;
+    cur.available += Math.max(0, qty - reserved);
+    map.set(String(s.variantId), cur);
+  }
+
+  for (const [bundleId, comps] of bundleMap) {
+    // tổng các chi nhánh (đơn online được chia nhiều chi nhánh theo fulfillment)
+    const qty = bundleAvailability(comps, (vid) => map.get(vid)?.available);
+    map.set(bundleId, { qty, reserved: 0, available: qty });
+  }
+
+  return map;
+}
+
+module.exports = {
+  reserveStock,
+  releaseReservation,
+  convertReservation,
+  releaseExpiredReservations,
+  getAvailabilityMap,
+};
@@ -0,0 +1,305 @@
+// src/services/search.service.js
+const Product = require("../models/Product");
+const ProductVariant = require("../models/ProductVariant");
+const { foldVietnamese, tokenize, escapeRegex, editDistance } = require("../utils/vnText");
+
+const VOCAB_TTL_MS = 10 * 60 * 1000;
+const MAX_CANDIDATES = 300;
+
+// điểm xếp hạng: trùng SKU / barcode > bắt đầu bằng > chứa cụm > khớp token
+const SCORE = { EXACT: 1000, CODE_PREFIX: 600, NAME_PREFIX: 400, PHRASE: 250, TOKEN_EXACT: 40, TOKEN_PREFIX: 20 };
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+// SKU "SON-01" -> token "son", "01" + dạng liền "son01" (gõ liền vẫn ra)
+function codeTokens(code) {
+  const folded = foldVietnamese(code);
+  return folded ? [...folded.split(" "), folded.replace(/ /g, "")] : [];
+}
+
+function buildSearchFields(textParts, codes) {
+  const searchText = foldVietnamese(textParts.filter(Boolean).join(" "));
+  const tokens = new Set([...searchText.split(" ").filter(Boolean), ...codes.flatMap(codeTokens)]);
+  return { searchText, searchTokens: [...tokens] };
+}
+
+function variantSearchFields(v, p) {
+  const codes = [v.sku, v.barcode, ...(v.units || []).map((u) => u.barcode)];
+  return buildSearchFields(
+    [
+      p?.name,
+      v.name,
+      p?.brand,
+      p?.categoryName,
+      ...(v.attributes || []).map((a) => a.v),
+      ...(v.units || []).map((u) => u.name),
+      ...codes,
+    ],
+    codes
+  );
+}
+
+function productSearchFields(p, variants) {
+  const codes = [p.sku, p.barcode, ...variants.flatMap((v) => [v.sku, v.barcode, ...(v.units || []).map((u) => u.barcode)])];
+  return buildSearchFields(
+    [
+      p.name,
+      p.brand,
+      p.categoryName,
+      ...(p.attributeFacets || []).map((a) => a.v),
+      ...variants.flatMap((v) => [v.name, ...(v.attributes || []).map((a) => a.v)]),
+      ...codes,
+    ],
+    codes
+  );
+}
+
+/**
+ * Build lại trường tìm kiếm cho product + toàn bộ variant của product
+ * (không đụng updatedAt -> không tự kích hoạt build lại)
+ */
+async function reindexProducts(productIds) {
+  const ids = [...new Set((productIds || []).map(String))];
+  if (!ids.length) return 0;
+
+  const [products, variants] = await Promise.all([
+    Product.find({ _id: { $in: ids } }).select("_id name sku barcode brand categoryName attributeFacets").lean(),
+    ProductVariant.find({ productId: { $in: ids } }).select("_id productId name sku barcode attributes units").lean(),
+  ]);
+  const pMap = new Map(products.map((p) => [String(p._id), p]));
+  const byProduct = new Map();
+  for (const v of variants) {
+    const key = String(v.productId);
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(v);
+  }
+
+  const now = new Date();
+  const pOps = products.map((p) => ({
+    updateOne: {
+      filter: { _id: p._id },
+      update: { $set: { ...productSearchFields(p, byProduct.get(String(p._id)) || []), searchIndexedAt: now } },
+      timestamps: false,
+    },
+  }));
+  const vOps = variants.map((v) => ({
+    updateOne: {
+      filter: { _id: v._id },
+      update: { $set: { ...variantSearchFields(v, pMap.get(String(v.productId))), searchIndexedAt: now } },
+      timestamps: false,
+    },
+  }));
+
+  if (pOps.length) await Product.bulkWrite(pOps);
+  if (vOps.length) await ProductVariant.bulkWrite(vOps);
+  return products.length;
+}
+
+/**
+ * Build lại product / variant sửa sau lần build gần nhất (bắt mọi đường ghi: import, sửa giá, sync...)
+ */
+async function reindexStale(limit = 500) {
+  const stale = { $expr: { $gt: ["$updatedAt", { $ifNull: ["$searchIndexedAt", new Date(0)] }] } };
+  const [products, variants] = await Promise.all([
+    Product.find(stale).select("_id").limit(limit).lean(),
+    ProductVariant.find(stale).select("productId").limit(limit).lean(),
+  ]);
+  return reindexProducts([...products.map((p) => p._id), ...variants.map((v) => v.productId)]);
+}
+
+async function reindexAll(batchSize = 200) {
+  let n = 0;
+  let lastId = null;
+  for (;;) {
+    const batch = await Product.find(lastId ? { _id: { $gt: lastId } } : {})
+      .select("_id")
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .lean();
+    if (!batch.length) break;
+    n += await reindexProducts(batch.map((p) => p._id));
+    lastId = batch[batch.length - 1]._id;
+  }
+  return n;
+}
+
+/**
+ * Điều kiện tìm cho các API danh sách cũ ($or): regex tên / SKU / barcode + mọi token (không dấu) khớp đầu token
+ */
+function textSearchConditions(q) {
+  const raw = String(q || "").trim();
+  const re = { $regex: escapeRegex(raw), $options: "i" };
+  const tokens = tokenize(raw);
+  return [
+    { name: re },
+    { sku: re },
+    { barcode: re },
+    ...(tokens.length ? [{ $and: tokens.map((t) => ({ searchTokens: { $regex: `^${escapeRegex(t)}` } })) }] : []),
+  ];
+}
+
+function scoreVariant(v, p, { raw, upper, folded, tokens }) {
+  const codes = [v.barcode, ...(v.units || []).map((u) => u.barcode)].filter(Boolean);
+  if (v.sku === upper || codes.includes(raw)) return { score: SCORE.EXACT, matchType: "EXACT" };
+  if (upper && (v.sku.startsWith(upper) || codes.some((c) => c.startsWith(raw)))) {
+    return { score: SCORE.CODE_PREFIX, matchType: "PREFIX" };
+  }
+
+  const name = foldVietnamese([p?.name, v.name && v.name !== p?.name ? v.name : ""].join(" "));
+  const penalty = Math.min(name.length, 200) / 100; // cùng điểm -> tên ngắn hơn lên trước
+  if (folded && name.startsWith(folded)) return { score: SCORE.NAME_PREFIX - penalty, matchType: "PREFIX" };
+  if (folded && ` ${v.searchText || name} `.includes(` ${folded}`)) {
+    return { score: SCORE.PHRASE - penalty, matchType: "PHRASE" };
+  }
+
+  const own = new Set(v.searchTokens || []);
+  let score = 0;
+  for (const t of tokens) {
+    if (own.has(t)) score += SCORE.TOKEN_EXACT;
+    else if ((v.searchTokens || []).some((x) => x.startsWith(t))) score += SCORE.TOKEN_PREFIX;
+  }
+  return { score: score - penalty, matchType: "TOKEN" };
+}
+
+async function findCandidates({ raw, upper, tokens, activeOnly }) {
+  const or = [{ sku: upper }, { barcode: raw }, { "units.barcode": raw }, { sku: { $regex: `^${escapeRegex(upper)}` } }];
+  if (tokens.length) or.push({ $and: tokens.map((t) => ({ searchTokens: { $regex: `^${escapeRegex(t)}` } })) });
+
+  const filter = { $or: or };
+  if (activeOnly) filter.isActive = true;
+  const variants = await ProductVariant.find(filter)
+    .select("_id productId sku barcode name attributes price thumbnail baseUnit units searchText searchTokens isActive")
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const pFilter = { _id: { $in: [...new Set(variants.map((v) => String(v.productId)))] } };
+  if (activeOnly) pFilter.isActive = true;
+  const products = await Product.find(pFilter)
+    .select("_id sku name brand categoryId categoryName thumbnail productType isActive")
+    .lean();
+  const pMap = new Map(products.map((p) => [String(p._id), p]));
+
+  return variants.filter((v) => pMap.has(String(v.productId))).map((v) => ({ v, p: pMap.get(String(v.productId)) }));
+}
+
+let vocabCache = { at: 0, tokens: [] };
+
+async function getVocabulary() {
+  if (Date.now() - vocabCache.at < VOCAB_TTL_MS) return vocabCache.tokens;
+  const tokens = await ProductVariant.distinct("searchTokens", { isActive: true });
+  vocabCache = { at: Date.now(), tokens: tokens.filter((t) => t.length >= 2 && !/^\d+$/.test(t)) };
+  return vocabCache.tokens;
+}
+
+/**
+ * Gợi ý sửa lỗi gõ: token không có trong từ điển (kể cả dạng đầu từ) -> token gần nhất (Levenshtein 1-2)
+ * @returns string[] (tối đa 5 câu gợi ý, câu đầu = sửa tốt nhất)
+ */
+async function suggestQueries(q, max = 5) {
+  const tokens = tokenize(q);
+  if (!tokens.length) return [];
+  const vocab = await getVocabulary();
+
+  const options = tokens.map((t) => {
+    if (/^\d+$/.test(t) || t.length < 3 || vocab.some((x) => x.startsWith(t))) return [t];
+    const maxDist = t.length <= 4 ? 1 : 2;
+    const near = vocab
+      .map((x) => ({ x, d: editDistance(t, x, maxDist) }))
+      .filter((c) => c.d <= maxDist)
+      .sort((a, b) => a.d - b.d || Math.abs(a.x.length - t.length) - Math.abs(b.x.length - t.length))
+      .slice(0, 3)
+      .map((c) => c.x);
+    return near.length ? near : [t];
+  });
+  if (options.every((o, i) => o.length === 1 && o[0] === tokens[i])) return [];
+
+  // câu tốt nhất + đổi lần lượt từng token sang lựa chọn kế tiếp
+  const best = options.map((o) => o[0]);
+  const out = [best.join(" ")];
+  options.forEach((o, i) => {
+    for (const alt of o.slice(1)) out.push(best.map((t, j) => (j === i ? alt : t)).join(" "));
+  });
+  return [...new Set(out)].slice(0, max);
+}
+
+/**
+ * Tìm hàng không dấu + xếp hạng (POS quét / tìm, storefront)
+ * - level "variant": từng variant (POS) | "product": gộp theo product, lấy điểm variant cao nhất
+ * - không có kết quả -> tìm lại theo câu gợi ý sửa lỗi gõ (corrected)
+ * @returns { items, total, corrected, suggestions }
+ */
+async function searchCatalog({ q, limit = 20, level = "variant", activeOnly = true, fuzzy = true }) {
+  const raw = String(q || "").trim();
+  if (!raw) return { items: [], total: 0, corrected: null, suggestions: [] };
+
+  const ctx = { raw, upper: raw.toUpperCase(), folded: foldVietnamese(raw), tokens: tokenize(raw) };
+  const candidates = await findCandidates({ ...ctx, activeOnly });
+
+  let rows = candidates
+    .map(({ v, p }) => ({ v, p, ...scoreVariant(v, p, ctx) }))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (level === "product") {
+    const seen = new Set();
+    rows = rows.filter((r) => !seen.has(String(r.p._id)) && seen.add(String(r.p._id)));
+  }
+
+  if (!rows.length && fuzzy) {
+    const suggestions = await suggestQueries(raw);
+    if (suggestions.length) {
+      const retry = await searchCatalog({ q: suggestions[0], limit, level, activeOnly, fuzzy: false });
+      return { ...retry, corrected: retry.items.length ? suggestions[0] : null, suggestions };
+    }
+    return { items: [], total: 0, corrected: null, suggestions: [] };
+  }
+
+  const items = rows.slice(0, limit).map(({ v, p, score, matchType }) =>
+    level === "product"
+      ? {
+          _id: p._id,
+          sku: p.sku,
+          name: p.name,
+          brand: p.brand || "",
+          categoryId: p.categoryId || null,
+          categoryName: p.categoryName || "",
+          thumbnail: p.thumbnail || v.thumbnail || "",
+          productType: p.productType || "SINGLE",
+          price: toNum(v.price),
+          matchedVariantId: v._id,
+          score: Math.round(score * 100) / 100,
+          matchType,
+        }
+      : {
+          _id: v._id,
+          productId: p._id,
+          sku: v.sku,
+          barcode: v.barcode || "",
+          name: v.name || p.name,
+          productName: p.name,
+          brand: p.brand || "",
+          categoryName: p.categoryName || "",
+          attributes: v.attributes || [],
+          price: toNum(v.price),
+          thumbnail: v.thumbnail || p.thumbnail || "",
+          baseUnit: v.baseUnit || "",
+          productType: p.productType || "SINGLE",
+          score: Math.round(score * 100) / 100,
+          matchType,
+        }
+  );
+
+  return { items, total: rows.length, corrected: null, suggestions: [] };
+}
+
+module.exports = {
+  reindexProducts,
+  reindexStale,
+  reindexAll,
+  textSearchConditions,
+  suggestQueries,
+  searchCatalog,
+};
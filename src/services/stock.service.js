@@ -0,0 +1,293 @@
+// src/services/stock.service.js
+const mongoose = require("mongoose");
+
+const VariantStock = require("../models/VariantStock");
+const VariantStockTxn = require("../models/VariantStockTxn");
+const Branch = require("../models/Branch");
+
+// Loại giao dịch sổ kho (qty = chênh lệch có dấu: after - before)
+const STOCK_TXN_TYPES = ["SALE", "RETURN", "INBOUND", "ADJUST", "TRANSFER"];
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function stockError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+function toRefId(v) {
+  return v && mongoose.isValidObjectId(String(v)) ? v : undefined;
+}
+
+function buildTxn(line, opts) {
+  return {
+    variantId: line.variantId,
+    branchId: line.branchId,
+    type: opts.type,
+    qty: line.after - line.before,
+    before: line.before,
+    after: line.after,
+    note: String(line.note ?? opts.note ?? ""),
+    reason: String(line.reason ?? opts.reason ?? ""),
+    refType: String(opts.refType || ""),
+    refId: toRefId(opts.refId),
+    createdBy: toRefId(opts.userId),
+  };
+}
+
+/**
+ * Cộng / trừ tồn kho + ghi sổ kho (VariantStockTxn)
+ * ⚠️ mọi thay đổi VariantStock.qty phải đi qua đây (hoặc setStockQty) để sổ kho khớp tồn
+ *
+ * lines: [{ branchId, variantId, qty (+ nhập / - xuất), note?, reason?, sku?, name? }]
+ * opts:
+ *  - type: SALE | RETURN | INBOUND | ADJUST | TRANSFER
+ *  - refType, refId: chứng từ gốc (Order, GoodsReceipt, StockTransfer...)
+ *  - userId: req.user.sub
+ *  - guard=true: dòng xuất chỉ trừ khi khả dụng (qty - reserved) đủ,
+ *      thiếu -> hoàn các dòng đã trừ, throw NOT_ENOUGH_STOCK (err.shortages)
+ *  - clamp=true: xuất quá tồn -> về 0 (không âm)
+ *
+ * return: [{ ...line, before, after, reserved }] (after - before = SL thực thay đổi)
+ */
+async function applyStockChanges(lines, opts = {}) {
+  if (!STOCK_TXN_TYPES.includes(opts.type)) throw stockError("INVALID_STOCK_TXN_TYPE", opts.type);
+
+  const done = [];
+  const shortages = [];
+
+  for (const l of lines || []) {
+    const delta = Math.trunc(toNum(l.qty));
+    if (!l.branchId || !l.variantId || !delta) continue;
+
+    const key = { branchId: l.branchId, variantId: l.variantId };
+    let st;
+
+    if (delta < 0 && opts.guard) {
+      st = await VariantStock.findOneAndUpdate(
+        { ...key, $expr: { $gte: [{ $subtract: ["$qty", { $ifNull: ["$reserved", 0] }] }, -delta] } },
+        { $inc: { qty: delta } },
+        { new: false }
+      ).lean();
+
+      if (!st) {
+        const cur = await VariantStock.findOne(key).select("qty reserved").lean();
+        shortages.push({
+          branchId: l.branchId,
+          variantId: l.variantId,
+          sku: l.sku || "",
+          name: l.name || "",
+          requested: -delta,
+          available: Math.max(0, toNum(cur?.qty) - toNum(cur?.reserved)),
+        });
+        continue;
+      }
+    } else if (delta < 0 && opts.clamp) {
+      st = await VariantStock.findOneAndUpdate(
+        key,
+        [{ $set: { qty: { $max: [0, { $add: [{ $ifNull: ["$qty", 0] }, delta] }] } } }],
+        { upsert: true, new: false }
+      ).lean();
+    } else {
+      st = await VariantStock.findOneAndUpdate(key, { $inc: { qty: delta } }, { upsert: true, new: false }).lean();
+    }
+
+    const before = toNum(st?.qty);
+    const after = delta < 0 && opts.clamp ? Math.max(0, before + delta) : before + delta;
+    done.push({ ...l, qty: delta, before, after, reserved: toNum(st?.reserved) });
+  }
+
+  if (shortages.length) {
+    // hoàn lại các dòng đã trừ (chưa ghi sổ)
+    for (const d of done) {
+      await VariantStock.updateOne(
+        { branchId: d.branchId, variantId: d.variantId },
+        { $inc: { qty: d.before - d.after } }
+      );
+    }
+    const err = stockError("NOT_ENOUGH_STOCK");
+    err.shortages = shortages;
+    throw err;
+  }
+
+  const txns = done.filter((d) => d.after !== d.before).map((d) => buildTxn(d, opts));
+  if (txns.length) await VariantStockTxn.insertMany(txns);
+
+  return done;
+}
+
+/**
+ * Chi nhánh cho phép bán âm kho? (Branch.posConfig.allowNegativeStock)
+ */
+async function allowsNegativeStock(branchId) {
+  if (!branchId) return false;
+  const b = await Branch.findById(branchId).select("posConfig.allowNegativeStock").lean();
+  return b?.posConfig?.allowNegativeStock === true;
+}
+
+/**
+ * Kiểm tra khả dụng (qty - reserved) trước khi xuất, không đổi tồn
+ * lines: [{ variantId, qty, sku?, name? }] (gộp theo variant)
+ * extraAvailable: Map<variantId, qty> cộng thêm vào khả dụng (hàng đang giữ cho chính chứng từ này / hàng trả nhập lại)
+ * return: shortages [{ branchId, variantId, sku, name, requested, available }]
+ */
+async function findShortages(branchId, lines, extraAvailable = null) {
+  const need = new Map();
+  for (const l of lines || []) {
+    const qty = toNum(l.qty);
+    if (!l.variantId || qty <= 0) continue;
+    const key = String(l.variantId);
+    const cur = need.get(key) || { variantId: l.variantId, sku: l.sku || "", name: l.name || "", requested: 0 };
+    cur.requested += qty;
+    need.set(key, cur);
+  }
+  if (!need.size) return [];
+
+  const stocks = await VariantStock.find({ branchId, variantId: { $in: [...need.keys()] } })
+    .select("variantId qty reserved")
+    .lean();
+  const stMap = new Map(stocks.map((s) => [String(s.variantId), s]));
+
+  const shortages = [];
+  for (const [key, n] of need) {
+    const st = stMap.get(key);
+    const own = toNum(extraAvailable?.get(key));
+    const available = Math.max(0, toNum(st?.qty) - toNum(st?.reserved) + own);
+    if (available < n.requested) shortages.push({ branchId, ...n, available });
+  }
+  return shortages;
+}
+
+/**
+ * Đặt tồn = qty (kiểm kê tay / sửa số liệu) + ghi sổ kho chênh lệch
+ * return: { before, after }
+ */
+async function setStockQty({ branchId, variantId, qty, type = "ADJUST", note = "", refType = "", refId, userId }) {
+  const after = Math.max(0, Math.trunc(toNum(qty)));
+
+  const st = await VariantStock.findOneAndUpdate(
+    { branchId, variantId },
+    { $set: { qty: after } },
+    { upsert: true, new: false }
+  ).lean();
+
+  const before = toNum(st?.qty);
+  if (after !== before) {
+    await VariantStockTxn.create(
+      buildTxn({ branchId, variantId, before, after }, { type, note, refType, refId, userId })
+    );
+  }
+
+  return { before, after };
+}
+
+/**
+ * Đối soát sổ kho: cộng dồn (after - before) mọi giao dịch theo chi nhánh + variant,
+ * so với VariantStock.qty hiện tại. Lệch = có thay đổi tồn không ghi sổ (hoặc tồn trước khi có sổ kho).
+ * filter: { branchId?, variantId? }
+ */
+async function reconcileLedger({ branchId = null, variantId = null } = {}) {
+  const match = {};
+  if (branchId) match.branchId = new mongoose.Types.ObjectId(String(branchId));
+  if (variantId) match.variantId = new mongoose.Types.ObjectId(String(variantId));
+
+  const [rows, stocks] = await Promise.all([
+    VariantStockTxn.aggregate([
+      { $match: match },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { branchId: "$branchId", variantId: "$variantId" },
+          ledgerQty: { $sum: { $subtract: [{ $ifNull: ["$after", 0] }, { $ifNull: ["$before", 0] }] } },
+          txnCount: { $sum: 1 },
+          lastAfter: { $last: "$after" },
+          lastTxnAt: { $last: "$createdAt" },
+        },
+      },
+    ]),
+    VariantStock.find(match).select("branchId variantId qty").lean(),
+  ]);
+
+  const map = new Map();
+  for (const r of rows) {
+    map.set(`${r._id.branchId}:${r._id.variantId}`, {
+      branchId: r._id.branchId,
+      variantId: r._id.variantId,
+      qty: 0,
+      ledgerQty: toNum(r.ledgerQty),
+      lastAfter: r.lastAfter ?? null,
+      txnCount: r.txnCount,
+      lastTxnAt: r.lastTxnAt,
+    });
+  }
+  for (const s of stocks) {
+    const key = `${s.branchId}:${s.variantId}`;
+    const row = map.get(key) || {
+      branchId: s.branchId,
+      variantId: s.variantId,
+      ledgerQty: 0,
+      lastAfter: null,
+      txnCount: 0,
+      lastTxnAt: null,
+    };
+    row.qty = toNum(s.qty);
+    map.set(key, row);
+  }
+
+  return [...map.values()].map((r) => ({
+    ...r,
+    qty: toNum(r.qty),
+    diff: toNum(r.qty) - r.ledgerQty,
+    // giao dịch cuối không khớp tồn hiện tại -> có thay đổi sau đó không ghi sổ
+    lastAfterMismatch: r.lastAfter != null && toNum(r.lastAfter) !== toNum(r.qty),
+  }));
+}
+
+/**
+ * Chuỗi giao dịch 1 variant tại 1 chi nhánh: điểm đứt (before != after của giao dịch trước)
+ */
+async function findLedgerBreaks({ branchId, variantId, limit = 50 }) {
+  const txns = await VariantStockTxn.find({ branchId, variantId })
+    .sort({ createdAt: 1, _id: 1 })
+    .select("type qty before after note refType refId createdAt")
+    .lean();
+
+  const breaks = [];
+  let prevAfter = 0;
+  for (const t of txns) {
+    if (toNum(t.before) !== prevAfter) {
+      breaks.push({ txnId: t._id, at: t.createdAt, expectedBefore: prevAfter, before: toNum(t.before), gap: toNum(t.before) - prevAfter });
+      if (breaks.length >= limit) break;
+    }
+    prevAfter = toNum(t.after);
+  }
+  return breaks;
+}
+
+/**
+ * Ghi giao dịch mở sổ (chỉ sổ kho, không đổi tồn) để bù phần lệch khi đối soát
+ */
+async function writeOpeningBalance({ branchId, variantId, ledgerQty, qty, userId, note = "" }) {
+  return VariantStockTxn.create(
+    buildTxn(
+      { branchId, variantId, before: ledgerQty, after: qty },
+      { type: "ADJUST", refType: "Reconcile", note: note || `RECONCILE: sổ ${ledgerQty} -> tồn ${qty}`, userId }
+    )
+  );
+}
+
+module.exports = {
+  STOCK_TXN_TYPES,
+  applyStockChanges,
+  allowsNegativeStock,
+  findShortages,
+  setStockQty,
+  reconcileLedger,
+  findLedgerBreaks,
+  writeOpeningBalance,
+};
@@ -0,0 +1,104 @@
+// src/services/unit.service.js
+const mongoose = require("mongoose");
+
+const ProductVariant = require("../models/ProductVariant");
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function moneyInt(n) {
+  return Math.round(toNum(n));
+}
+
+function unitError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+/**
+ * Đơn vị bán theo code ("" / đơn vị gốc -> null)
+ * - code không có / đã tắt -> throw UNIT_NOT_FOUND
+ */
+function findUnit(variant, unitCode) {
+  const code = String(unitCode || "").trim().toUpperCase();
+  if (!code || code === "BASE") return null;
+
+  const unit = (variant?.units || []).find((u) => u.code === code && u.isActive !== false);
+  if (!unit) throw unitError("UNIT_NOT_FOUND", `${variant?.sku || variant?._id}: ${code}`);
+  return unit;
+}
+
+/**
+ * Giá 1 đơn vị bán: giá sỉ theo tier của unit > giá unit > giá đơn vị gốc x factor
+ * basePrice: giá đơn vị gốc đã resolve (tier / pricing rules)
+ */
+function unitSellPrice(unit, basePrice, tierAgencyId = "") {
+  const tid = String(tierAgencyId || "").trim();
+  if (tid && mongoose.isValidObjectId(tid)) {
+    const t = (unit.price_tier || []).find((x) => String(x.tierId) === tid);
+    if (t) return moneyInt(t.price);
+  }
+  if (toNum(unit.price) > 0) return moneyInt(unit.price);
+  return moneyInt(toNum(basePrice) * toNum(unit.factor));
+}
+
+/**
+ * Snapshot đơn vị cho dòng hàng
+ * @returns { qty (đơn vị gốc), price (/ đơn vị gốc), total, unit }
+ */
+function applyUnitToLine({ unit, unitQty, unitPrice }) {
+  const factor = toNum(unit.factor);
+  return {
+    qty: unitQty * factor,
+    price: unitPrice / factor,
+    total: moneyInt(unitQty * unitPrice),
+    unit: { code: unit.code, name: unit.name, factor, qty: unitQty, price: unitPrice },
+  };
+}
+
+/**
+ * Hiển thị dòng hàng trên hoá đơn: bán theo unit -> "2 Hộp" x giá hộp, kèm SL đơn vị gốc
+ * @returns { qty, price, unitNote }
+ */
+function describeItemUnit(it) {
+  const qty = toNum(it?.qty ?? it?.quantity);
+  const price = toNum(it?.price);
+  if (!it?.unit?.code) return { qty, price, unitNote: "" };
+
+  const base = it.baseUnit || "đơn vị gốc";
+  return {
+    qty: `${toNum(it.unit.qty)} ${it.unit.name || it.unit.code}`,
+    price: toNum(it.unit.price),
+    unitNote: `= ${qty} ${base} (${it.unit.factor}/${it.unit.name || it.unit.code})`,
+  };
+}
+
+/**
+ * Quét mã vạch: barcode variant (đơn vị gốc) hoặc barcode đơn vị quy đổi
+ * @returns { variant, unit } | null
+ */
+async function findByBarcode(barcode) {
+  const code = String(barcode || "").trim();
+  if (!code) return null;
+
+  const variant = await ProductVariant.findOne({
+    isActive: true,
+    $or: [{ barcode: code }, { units: { $elemMatch: { barcode: code, isActive: { $ne: false } } } }],
+  }).lean();
+  if (!variant) return null;
+
+  const unit = variant.barcode === code ? null : (variant.units || []).find((u) => u.barcode === code) || null;
+  return { variant, unit };
+}
+
+module.exports = {
+  findUnit,
+  unitSellPrice,
+  applyUnitToLine,
+  describeItemUnit,
+  findByBarcode,
+};
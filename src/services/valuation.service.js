@@ -0,0 +1,204 @@
+// src/services/valuation.service.js
+const mongoose = require("mongoose");
+
+const VariantStock = require("../models/VariantStock");
+const VariantStockTxn = require("../models/VariantStockTxn");
+const ProductVariant = require("../models/ProductVariant");
+const Branch = require("../models/Branch");
+const InventorySnapshot = require("../models/InventorySnapshot");
+const { getCostingScope, getUnitCostMapAt } = require("./costing.service");
+
+// giờ VN cố định UTC+7 (không có DST)
+const TZ_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+function toNum(v) {
+  const x = Number(v || 0);
+  return Number.isFinite(x) ? x : 0;
+}
+
+function moneyInt(n) {
+  return Math.round(toNum(n));
+}
+
+/**
+ * "YYYY-MM" -> thời điểm cuối tháng theo giờ VN (23:59:59.999)
+ */
+function periodEnd(period) {
+  const m = /^(\d{4})-(\d{2})$/.exec(String(period || ""));
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) return null;
+  return new Date(Date.UTC(Number(m[1]), Number(m[2]), 1) - TZ_OFFSET_MS - 1);
+}
+
+/**
+ * Kỳ (YYYY-MM) của 1 thời điểm theo giờ VN
+ */
+function periodOf(date) {
+  const d = new Date(new Date(date).getTime() + TZ_OFFSET_MS);
+  return `${d.getUTCFullYear()}-${String(d.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+function previousPeriod(date = new Date()) {
+  const d = new Date(new Date(date).getTime() + TZ_OFFSET_MS);
+  return periodOf(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1) - TZ_OFFSET_MS - 1);
+}
+
+/**
+ * Dựng lại tồn tại thời điểm asOf từ sổ kho:
+ *   qty(asOf) = tồn hiện tại - Σ(after - before) các giao dịch sau asOf
+ * (đi lùi từ tồn hiện tại -> không phụ thuộc sổ kho có đủ từ đầu hay không)
+ * @returns [{ branchId, variantId, qty }] (bỏ dòng = 0)
+ */
+async function getStockAt({ asOf, branchId = null }) {
+  const match = {};
+  if (branchId) match.branchId = new mongoose.Types.ObjectId(String(branchId));
+
+  const [stocks, later] = await Promise.all([
+    VariantStock.find(match).select("branchId variantId qty").lean(),
+    VariantStockTxn.aggregate([
+      { $match: { ...match, createdAt: { $gt: asOf } } },
+      {
+        $group: {
+          _id: { branchId: "$branchId", variantId: "$variantId" },
+          delta: { $sum: { $subtract: [{ $ifNull: ["$after", 0] }, { $ifNull: ["$before", 0] }] } },
+        },
+      },
+    ]),
+  ]);
+
+  const map = new Map();
+  for (const s of stocks) {
+    map.set(`${s.branchId}:${s.variantId}`, { branchId: s.branchId, variantId: s.variantId, qty: toNum(s.qty) });
+  }
+  for (const r of later) {
+    const key = `${r._id.branchId}:${r._id.variantId}`;
+    const row = map.get(key) || { branchId: r._id.branchId, variantId: r._id.variantId, qty: 0 };
+    row.qty -= toNum(r.delta);
+    map.set(key, row);
+  }
+
+  return [...map.values()].filter((r) => r.qty !== 0);
+}
+
+/**
+ * Tồn + giá trị tồn (giá vốn tại asOf) theo chi nhánh
+ * @returns { asOf, costingScope, branches: [{ branchId, code, name, lines, totalQty, totalValue }], totalQty, totalValue }
+ */
+async function valueStockAt({ asOf, branchId = null }) {
+  const rows = await getStockAt({ asOf, branchId });
+  const scope = await getCostingScope();
+
+  const variantIds = [...new Set(rows.map((r) => String(r.variantId)))];
+  const variants = await ProductVariant.find({ _id: { $in: variantIds } }).select("_id productId sku name").lean();
+  const vMap = new Map(variants.map((v) => [String(v._id), v]));
+
+  const byBranch = new Map();
+  for (const r of rows) {
+    const key = String(r.branchId);
+    if (!byBranch.has(key)) byBranch.set(key, []);
+    byBranch.get(key).push(r);
+  }
+
+  // GLOBAL: 1 bảng giá vốn chung | BRANCH: theo từng chi nhánh
+  const globalCost = scope === "GLOBAL" ? await getUnitCostMapAt(variantIds, null, asOf) : null;
+
+  const branchDocs = await Branch.find({ _id: { $in: [...byBranch.keys()] } }).select("_id code name").lean();
+  const bMap = new Map(branchDocs.map((b) => [String(b._id), b]));
+
+  const branches = [];
+  for (const [bId, list] of byBranch) {
+    const costMap = globalCost || (await getUnitCostMapAt(list.map((r) => r.variantId), bId, asOf));
+
+    const lines = list
+      .map((r) => {
+        const v = vMap.get(String(r.variantId));
+        const unitCost = moneyInt(costMap.get(String(r.variantId)) || 0);
+        return {
+          variantId: r.variantId,
+          productId: v?.productId || null,
+          sku: v?.sku || "",
+          name: v?.name || "",
+          qty: r.qty,
+          unitCost,
+          value: moneyInt(unitCost * r.qty),
+        };
+      })
+      .sort((a, b) => a.sku.localeCompare(b.sku));
+
+    branches.push({
+      branchId: bId,
+      code: bMap.get(bId)?.code || "",
+      name: bMap.get(bId)?.name || "",
+      lines,
+      totalQty: lines.reduce((s, l) => s + l.qty, 0),
+      totalValue: lines.reduce((s, l) => s + l.value, 0),
+    });
+  }
+  branches.sort((a, b) => a.code.localeCompare(b.code));
+
+  return {
+    asOf,
+    costingScope: scope,
+    branches,
+    totalQty: branches.reduce((s, b) => s + b.totalQty, 0),
+    totalValue: branches.reduce((s, b) => s + b.totalValue, 0),
+  };
+}
+
+/**
+ * Chốt tồn cuối kỳ cho mọi chi nhánh (đã có thì bỏ qua, trừ khi force)
+ * @returns số chi nhánh đã ghi snapshot
+ */
+async function createMonthlySnapshots(period, { force = false, userId = null, source = "JOB" } = {}) {
+  const asOf = periodEnd(period);
+  if (!asOf) {
+    const err = new Error("INVALID_PERIOD");
+    err.code = "INVALID_PERIOD";
+    throw err;
+  }
+  if (asOf > new Date()) {
+    const err = new Error("PERIOD_NOT_ENDED");
+    err.code = "PERIOD_NOT_ENDED";
+    err.detail = `${period} kết thúc lúc ${asOf.toISOString()}`;
+    throw err;
+  }
+
+  const branches = await Branch.find({}).select("_id").lean();
+  const existing = force
+    ? new Set()
+    : new Set((await InventorySnapshot.find({ period }).select("branchId").lean()).map((s) => String(s.branchId)));
+
+  let n = 0;
+  for (const b of branches) {
+    if (existing.has(String(b._id))) continue;
+
+    const val = await valueStockAt({ asOf, branchId: b._id });
+    const row = val.branches[0] || { lines: [], totalQty: 0, totalValue: 0 };
+
+    await InventorySnapshot.updateOne(
+      { period, branchId: b._id },
+      {
+        $set: {
+          asOf,
+          costingScope: val.costingScope,
+          lines: row.lines,
+          totalQty: row.totalQty,
+          totalValue: row.totalValue,
+          source,
+          createdBy: userId,
+        },
+      },
+      { upsert: true }
+    );
+    n++;
+  }
+  return n;
+}
+
+module.exports = {
+  periodEnd,
+  periodOf,
+  previousPeriod,
+  getStockAt,
+  valueStockAt,
+  createMonthlySnapshots,
+};
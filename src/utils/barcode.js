@@ -0,0 +1,19 @@
+// src/utils/barcode.js
+
+/**
+ * Số kiểm tra EAN-13 cho 12 chữ số đầu (trọng số 1-3 xen kẽ từ trái)
+ */
+function ean13CheckDigit(first12) {
+  const s = String(first12 || "");
+  if (!/^\d{12}$/.test(s)) return null;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(s[i]) * (i % 2 === 0 ? 1 : 3);
+  return String((10 - (sum % 10)) % 10);
+}
+
+function isValidEan13(code) {
+  const s = String(code || "");
+  return /^\d{13}$/.test(s) && ean13CheckDigit(s.slice(0, 12)) === s[12];
+}
+
+module.exports = { ean13CheckDigit, isValidEan13 };
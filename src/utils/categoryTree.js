@@ -0,0 +1,52 @@
+// src/utils/categoryTree.js
+const mongoose = require("mongoose");
+
+const Category = require("../models/Category");
+
+/**
+ * Id category gốc + toàn bộ category con (string)
+ * - rootId: 1 id hoặc mảng id
+ * - cache: Map<id, childIds> dùng lại giữa nhiều lần gọi trong cùng request
+ */
+async function getDescendantCategoryIds(rootId, { cache = null } = {}) {
+  const out = new Set();
+  const queue = (Array.isArray(rootId) ? rootId : [rootId]).filter(Boolean).map(String);
+  while (queue.length) {
+    const id = queue.shift();
+    if (out.has(id)) continue;
+    out.add(id);
+    let childIds = cache?.get(id);
+    if (!childIds) {
+      const children = await Category.find({ parentId: id }).select("_id").lean();
+      childIds = children.map((c) => String(c._id));
+      cache?.set(id, childIds);
+    }
+    queue.push(...childIds);
+  }
+  return [...out];
+}
+
+/**
+ * Chỉ các category con (mọi cấp, không gồm gốc) dạng ObjectId
+ */
+async function getSubCategoryIds(rootId) {
+  const root = String(rootId);
+  const ids = await getDescendantCategoryIds(root);
+  return ids.filter((id) => id !== root).map((id) => new mongoose.Types.ObjectId(id));
+}
+
+/**
+ * Filter Product theo cây category (gồm category con) + brand (không phân biệt hoa thường)
+ * - Product.categoryId có thể lưu ObjectId hoặc string -> match cả 2
+ */
+async function buildProductScopeFilter({ categoryId = null, brand = "" } = {}) {
+  const pFilter = {};
+  if (categoryId) {
+    const ids = await getDescendantCategoryIds(categoryId);
+    pFilter.categoryId = { $in: [...ids, ...ids.map((id) => new mongoose.Types.ObjectId(id))] };
+  }
+  if (brand) pFilter.brand = { $regex: `^${brand.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, $options: "i" };
+  return pFilter;
+}
+
+module.exports = { getDescendantCategoryIds, getSubCategoryIds, buildProductScopeFilter };
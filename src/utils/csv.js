@@ -0,0 +1,72 @@
+// src/utils/csv.js
+
+/**
+ * Escape 1 ô CSV (RFC 4180): có dấu phẩy / nháy kép / xuống dòng -> bọc trong ""
+ */
+function csvCell(v) {
+  if (v == null) return "";
+  const s = v instanceof Date ? v.toISOString() : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * columns: [{ key, label }] | rows: object[]
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map((c) => csvCell(c.label || c.key)).join(",")];
+  for (const r of rows || []) lines.push(columns.map((c) => csvCell(r[c.key])).join(","));
+  return lines.join("\r\n");
+}
+
+/**
+ * Trả file CSV (UTF-8 BOM để Excel đọc đúng tiếng Việt)
+ */
+function sendCsv(res, filename, columns, rows) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send("\uFEFF" + toCsv(columns, rows));
+}
+
+/**
+ * Đọc CSV (RFC 4180) -> string[][]
+ * - bỏ BOM, hỗ trợ ô "..." có dấu phẩy / xuống dòng / ""
+ * - Excel bản tiếng Việt hay xuất dấu ";" -> tự nhận theo dòng header
+ */
+function parseCsv(text) {
+  const s = String(text || "").replace(/^\uFEFF/, "");
+  const firstLine = s.slice(0, s.search(/\r?\n|$/));
+  const sep = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === "") quoted = true;
+    else if (ch === sep) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && s[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = { csvCell, toCsv, sendCsv, parseCsv };
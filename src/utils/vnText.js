@@ -0,0 +1,44 @@
+// src/utils/vnText.js
+
+/**
+ * Bỏ dấu tiếng Việt + thường hoá: "Son Môi Đỏ" -> "son moi do"
+ * - ký tự không phải chữ / số -> khoảng trắng
+ */
+function foldVietnamese(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[đĐ]/g, "d")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function tokenize(s) {
+  return foldVietnamese(s).split(" ").filter(Boolean);
+}
+
+function escapeRegex(s) {
+  return String(s || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Khoảng cách Levenshtein (dừng sớm khi vượt max -> trả max + 1)
+ */
+function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+module.exports = { foldVietnamese, tokenize, escapeRegex, editDistance };
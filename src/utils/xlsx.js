@@ -0,0 +1,305 @@
+// src/utils/xlsx.js
+// Đọc / ghi XLSX tối giản (1 sheet, ô text / số) - đủ cho import / export danh mục hàng
+const zlib = require("zlib");
+
+// ===============================
+// ZIP
+// ===============================
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function xlsxError(code, detail = "") {
+  const err = new Error(code);
+  err.code = code;
+  err.detail = detail;
+  return err;
+}
+
+// giới hạn dung lượng giải nén 1 file trong zip (chặn zip bomb: file nén nhỏ bung ra hàng GB)
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Đọc central directory của zip -> Map<tên file, { method, compSize, size, start }> (chưa giải nén)
+ */
+function listZipEntries(buf) {
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw xlsxError("INVALID_XLSX", "zip end of central directory not found");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (p + 46 > buf.length || buf.readUInt32LE(p) !== 0x02014b50) {
+      throw xlsxError("INVALID_XLSX", "bad central directory");
+    }
+    const method = buf.readUInt16LE(p + 10);
+    const compSize = buf.readUInt32LE(p + 20);
+    const size = buf.readUInt32LE(p + 24);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+
+    if (local + 30 > buf.length) throw xlsxError("INVALID_XLSX", `bad local header: ${name}`);
+    const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+    entries.set(name, { method, compSize, size, start });
+
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return entries;
+}
+
+/**
+ * Giải nén 1 file trong zip, vượt maxSize (khai báo hoặc thực tế) -> INVALID_XLSX
+ */
+function readZipEntry(buf, name, entry, maxSize = MAX_ENTRY_SIZE) {
+  if (entry.size > maxSize) throw xlsxError("INVALID_XLSX", `${name} vượt quá ${maxSize} bytes khi giải nén`);
+
+  const data = buf.subarray(entry.start, entry.start + entry.compSize);
+  if (entry.method === 0) return Buffer.from(data);
+  if (entry.method !== 8) throw xlsxError("INVALID_XLSX", `unsupported compression ${entry.method}`);
+
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: maxSize });
+  } catch (e) {
+    const detail = e?.code === "ERR_BUFFER_TOO_LARGE" ? `${name} vượt quá ${maxSize} bytes khi giải nén` : `${name}: ${e.message}`;
+    throw xlsxError("INVALID_XLSX", detail);
+  }
+}
+
+/**
+ * entries: [{ name, data: Buffer|string }] -> zip Buffer (deflate)
+ */
+function zip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const e of entries) {
+    const name = Buffer.from(e.name, "utf8");
+    const raw = Buffer.isBuffer(e.data) ? e.data : Buffer.from(String(e.data), "utf8");
+    const comp = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const lh = Buffer.alloc(30);
+    lh.writeUInt32LE(0x04034b50, 0);
+    lh.writeUInt16LE(20, 4);
+    lh.writeUInt16LE(0x0800, 6); // tên file UTF-8
+    lh.writeUInt16LE(8, 8);
+    lh.writeUInt32LE(crc, 14);
+    lh.writeUInt32LE(comp.length, 18);
+    lh.writeUInt32LE(raw.length, 22);
+    lh.writeUInt16LE(name.length, 26);
+
+    const ch = Buffer.alloc(46);
+    ch.writeUInt32LE(0x02014b50, 0);
+    ch.writeUInt16LE(20, 4);
+    ch.writeUInt16LE(20, 6);
+    ch.writeUInt16LE(0x0800, 8);
+    ch.writeUInt16LE(8, 10);
+    ch.writeUInt32LE(crc, 16);
+    ch.writeUInt32LE(comp.length, 20);
+    ch.writeUInt32LE(raw.length, 24);
+    ch.writeUInt16LE(name.length, 28);
+    ch.writeUInt32LE(offset, 42);
+
+    locals.push(lh, name, comp);
+    centrals.push(ch, name);
+    offset += lh.length + name.length + comp.length;
+  }
+
+  const central = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(central.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, central, end]);
+}
+
+// ===============================
+// XML
+// ===============================
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function xmlUnescape(s) {
+  return String(s)
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// nối mọi <t> trong 1 node (rich text có nhiều run)
+function textOf(xml) {
+  let out = "";
+  for (const m of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) out += xmlUnescape(m[1]);
+  return out;
+}
+
+function colIndex(ref) {
+  const letters = /^[A-Z]+/.exec(ref)?.[0] || "A";
+  let n = 0;
+  for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+function colName(i) {
+  let s = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+  return s;
+}
+
+// ===============================
+// PUBLIC
+// ===============================
+
+/**
+ * Đọc sheet đầu tiên của file XLSX
+ * @returns string[][] (mọi ô trả về dạng text, ô trống = "")
+ */
+function readXlsx(buffer) {
+  // chỉ giải nén các phần cần đọc (workbook, rels, sharedStrings, sheet) - bỏ qua ảnh / file khác
+  const entries = listZipEntries(buffer);
+  const read = (name) => (entries.has(name) ? readZipEntry(buffer, name, entries.get(name)).toString("utf8") : "");
+
+  // sheet đầu tiên theo workbook.xml (fallback sheet1.xml)
+  let sheetPath = "xl/worksheets/sheet1.xml";
+  const firstSheet = /<sheet\b[^>]*\br:id="([^"]+)"/.exec(read("xl/workbook.xml"));
+  if (firstSheet) {
+    const rel = [...read("xl/_rels/workbook.xml.rels").matchAll(/<Relationship\b[^>]*>/g)]
+      .map((m) => m[0])
+      .find((r) => r.includes(`Id="${firstSheet[1]}"`));
+    const target = rel && /Target="([^"]+)"/.exec(rel)?.[1];
+    if (target) sheetPath = target.startsWith("/") ? target.slice(1) : `xl/${target.replace(/^\.\//, "")}`;
+  }
+  const sheet = read(sheetPath);
+  if (!sheet) throw xlsxError("INVALID_XLSX", "worksheet not found");
+
+  const shared = [...read("xl/sharedStrings.xml").matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textOf(m[1]));
+
+  const rows = [];
+  for (const rm of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rIdx = Number(/\br="(\d+)"/.exec(rm[1])?.[1] || rows.length + 1) - 1;
+    const row = [];
+    for (const cm of (rm[2] || "").matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = cm[1];
+      const body = cm[2] || "";
+      const ref = /\br="([A-Z]+\d+)"/.exec(attrs)?.[1];
+      const type = /\bt="([^"]+)"/.exec(attrs)?.[1] || "n";
+      const v = /<v>([\s\S]*?)<\/v>/.exec(body)?.[1];
+
+      let val = "";
+      if (type === "s") val = shared[Number(v)] ?? "";
+      else if (type === "inlineStr") val = textOf(body);
+      else if (v !== undefined) val = xmlUnescape(v);
+
+      row[ref ? colIndex(ref) : row.length] = val;
+    }
+    rows[rIdx] = Array.from(row, (x) => x ?? "");
+  }
+  return Array.from(rows, (r) => r || []);
+}
+
+/**
+ * Ghi 1 sheet: rows = (string|number|null)[][] (dòng đầu là header)
+ * - số -> ô number, còn lại -> inline string
+ */
+function writeXlsx(rows, sheetName = "Sheet1") {
+  const sheetRows = (rows || [])
+    .map((r, i) => {
+      const cells = (r || [])
+        .map((v, j) => {
+          if (v == null || v === "") return "";
+          const ref = `${colName(j)}${i + 1}`;
+          if (typeof v === "number" && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+          return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${i + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  const xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const NS = "http://schemas.openxmlformats.org";
+
+  return zip([
+    {
+      name: "[Content_Types].xml",
+      data:
+        `${xmlHead}<Types xmlns="${NS}/package/2006/content-types">` +
+        `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+        `<Default Extension="xml" ContentType="application/xml"/>` +
+        `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+        `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+        `</Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data:
+        `${xmlHead}<Relationships xmlns="${NS}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${NS}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      data:
+        `${xmlHead}<workbook xmlns="${NS}/spreadsheetml/2006/main" xmlns:r="${NS}/officeDocument/2006/relationships">` +
+        `<sheets><sheet name="${xmlEscape(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data:
+        `${xmlHead}<Relationships xmlns="${NS}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${NS}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `</Relationships>`,
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      data: `${xmlHead}<worksheet xmlns="${NS}/spreadsheetml/2006/main"><sheetData>${sheetRows}</sheetData></worksheet>`,
+    },
+  ]);
+}
+
+/**
+ * Trả file XLSX
+ */
+function sendXlsx(res, filename, rows, sheetName) {
+  res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(writeXlsx(rows, sheetName));
+}
+
+module.exports = { readXlsx, writeXlsx, sendXlsx };